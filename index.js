@@ -26,674 +26,140 @@
  * 
  * Localities are discovered dynamically via the list_datasets tool.
  * Always call list_datasets first to see available locality codes and datasets.
+ *
+ * Transports:
+ * - stdio (default): one client, launched by Claude Desktop or another MCP host
+ * - http: Streamable HTTP on /mcp with legacy SSE on /sse, for shared hosting
+ *   Usage: datagraph-city-mcp-server --transport http [--port 3000] [--host 127.0.0.1]
+ *   Set MCP_HTTP_AUTH_TOKEN to require a bearer token from inbound clients. Requests must address
+ *   the bind host (MCP_HTTP_ALLOWED_HOSTS / MCP_HTTP_ALLOWED_ORIGINS widen this); sessions idle for
+ *   MCP_HTTP_SESSION_IDLE_SECONDS are closed.
+ *
+ * Configuration: DATAGRAPH_API_KEY / DATAGRAPH_API_URL, or a config file with named
+ * profiles and per-locality keys (datagraph.config.yaml, DATAGRAPH_CONFIG or --config).
+ *   datagraph-city-mcp-server --check-config  tests every profile's endpoint and keys, then exits
+ *
+ * Logs are JSON lines on stderr and, with DATAGRAPH_LOG_FILE, in a rotating file (DATAGRAPH_LOG_LEVEL);
+ * with DATAGRAPH_AUDIT_FILE every query sent to the API is appended to an audit log.
  */
 
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import {
-    CallToolRequestSchema,
-    ListToolsRequestSchema,
-    ListPromptsRequestSchema,
-    GetPromptRequestSchema,
-    ListResourcesRequestSchema,
-    ReadResourceRequestSchema,
-} from '@modelcontextprotocol/sdk/types.js';
 import dotenv from 'dotenv';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const packageJson = JSON.parse(readFileSync(join(__dirname, 'package.json'), 'utf-8'));
+import { homedir } from 'os';
+import { join } from 'path';
+import { parseArgs } from 'util';
+import { createServer } from './lib/server.js';
+import { httpFromEnv, startHttpServer } from './lib/http.js';
+import { cacheFromEnv, createResponseCache } from './lib/cache.js';
+import { apiFromEnv, createProfileClient } from './lib/api-client.js';
+import { checkConfig, ConfigError, loadConfig } from './lib/config.js';
+import { quotaFromEnv } from './lib/quota.js';
+import { createAuditLog, createLogger, loggingFromEnv } from './lib/logging.js';
+import { createQueryStore } from './lib/saved-queries.js';
+import { createSnapshotStore } from './lib/snapshots.js';
 
 dotenv.config();
 
-const API_KEY = process.env.DATAGRAPH_API_KEY;
-const API_URL = process.env.DATAGRAPH_API_URL || 'https://api.datagraph.city';
-
-if (!API_KEY) {
-    console.error('Error: DATAGRAPH_API_KEY environment variable is required');
-    process.exit(1);
-}
-
-// Create MCP server
-const server = new Server(
-    {
-        name: 'datagraph',
-        version: '1.7.2',
-    },
-    {
-        capabilities: {
-            tools: {},
-            prompts: {},
-            resources: {},
-        },
-    }
-);
+const QUERIES_FILE = process.env.DATAGRAPH_QUERIES_FILE || join(homedir(), '.datagraph', 'saved-queries.json');
+const SNAPSHOT_DIR = process.env.DATAGRAPH_SNAPSHOT_DIR || join(homedir(), '.datagraph', 'snapshots');
 
-// Define available tools
-const TOOLS = [
-    {
-        name: 'get_server_info',
-        description: 'Get DataGraph MCP server version and metadata information',
-        inputSchema: {
-            type: 'object',
-            properties: {},
-        },
-        annotations: { title: 'Get Server Info', readOnlyHint: true },
+const { values: options } = parseArgs({
+    options: {
+        transport: { type: 'string', default: process.env.MCP_TRANSPORT || 'stdio' },
+        port: { type: 'string', default: process.env.MCP_HTTP_PORT || '3000' },
+        host: { type: 'string', default: process.env.MCP_HTTP_HOST || '127.0.0.1' },
+        config: { type: 'string' },
+        'check-config': { type: 'boolean', default: false },
     },
-    {
-        name: 'get_locality_schema',
-        description: `Get the Neo4j graph schema for a locality. **ALWAYS CALL THIS FIRST** before querying.
-        
-Returns: node labels, relationships, properties, indexes, dataset_filtering (with dataset IDs for WHERE clauses), and security constraints.
-
-**RECOMMENDED WORKFLOW:**
-1. Call list_datasets to discover available localities and dataset IDs
-2. Call get_locality_schema with the locality code (the 'locality' field from list_datasets, NOT the 'id' field)
-3. Read the dataset_filtering section — it tells you the exact WHERE clause to use
-4. Generate Cypher with dataset filter, then use query_locality_data with cypher_query parameter
-
-Why Cypher-first? Natural language parsing is limited and brittle. LLM-generated Cypher from schema is more reliable, expressive, and handles complex queries better.`,
-        inputSchema: {
-            type: 'object',
-            properties: {
-                locality: {
-                    type: 'string',
-                    description: "Locality code (REQUIRED). Use the 'locality' field from list_datasets (NOT the 'id' field). Example: 'nova-scotia', 'kc', 'unlonely-nyc'.",
-                },
-            },
-            required: ['locality'],
-        },
-        annotations: { title: 'Get Locality Schema', readOnlyHint: true },
-    },
-    {
-        name: 'query_locality_data',
-        description: `Execute queries against locality data. **BEST PRACTICE: Generate Cypher from schema rather than using natural language.**
-
-**Two modes:**
-1. **Cypher (RECOMMENDED)**: Generate Cypher after calling get_locality_schema. More reliable and expressive.
-2. **Natural Language**: Fallback for simple queries.
-
-**CRITICAL — DATASET FILTERING:**
-All datasets share one Neo4j instance. Every Cypher query MUST include a dataset filter or it will return data from ANY dataset.
-Use: WHERE n.dataset = '<dataset_id>' (get dataset IDs from list_datasets 'id' field).
-Example: MATCH (g:Goal) WHERE g.dataset = 'nova-scotia-gosr' RETURN g
-
-**Workflow:**
-1. Call list_datasets to discover localities (use 'locality' field) and dataset IDs (use 'id' field)
-2. Call get_locality_schema with the locality code to understand the graph
-3. Generate Cypher based on user question and schema — ALWAYS include WHERE n.dataset = '<id>' filter
-4. Submit via cypher_query parameter`,
-        inputSchema: {
-            type: 'object',
-            properties: {
-                query: {
-                    type: 'string',
-                    description: 'User question or description. Used for logging and natural language fallback.',
-                },
-                locality: {
-                    type: 'string',
-                    description: "Locality code (REQUIRED). Use the 'locality' field from list_datasets (NOT the 'id' field). Example: 'nova-scotia', 'kc', 'unlonely-nyc'.",
-                },
-                cypher_query: {
-                    type: 'string',
-                    description: "RECOMMENDED: Cypher query generated from schema. MUST include WHERE n.dataset = '<dataset_id>' filter (use 'id' from list_datasets). Must be read-only with LIMIT clause (max 1000).",
-                },
-                cypher_params: {
-                    type: 'object',
-                    description: 'Parameters for Cypher query. Use $param syntax in query. Example: {"borough": "M", "lat": 40.7}',
-                },
-                limit: {
-                    type: 'number',
-                    description: 'Maximum results for natural language queries (default: 10, max: 100)',
-                    default: 10,
-                },
-            },
-            required: ['query'],
-        },
-        annotations: { title: 'Query Locality Data', readOnlyHint: true, openWorldHint: true },
-    },
-    {
-        name: 'list_datasets',
-        description: `List all available datasets with their locality codes, node counts, and metadata.
-
-**CALL THIS FIRST** to discover available localities and datasets before querying.
-
-Returns each dataset's locality code, name, node counts, and suggested Cypher queries.
-
-GOSR Framework — ALWAYS SPELL AS: Goal-Obstacles-Solutions-Resources
-Core layers: Goal · Obstacles · Solutions · Resources · Actors · Funders
-Extended layers (some datasets): StrategyArea (Actor WORKS_IN) · Ecosystem (SETS_POLICY, FUNDS)
-- Goal: singular aspirational future state
-- Obstacles: plural barriers preventing the goal (the problems)
-- Solutions: plural potential strategies to overcome Obstacles (NOT actual programs)
-- Resources: plural actual operating programs (IMPLEMENT Solutions)
-- Actors: organizations that EXECUTE Resources and receive FUNDS from Funders
-- Funders: foundations/agencies that FUND Actors or Resources. FUNDS edges target Actors (org-level) when the source names only the organization, or Resources (program-level) when the source names a specific program. To find everything a funder funds, query both: (f)-[:FUNDS]->(a:Actor) UNION (f)-[:FUNDS]->(r:Resource). Government funders create one FUNDS edge per fiscal year — multiple edges between the same funder and actor/resource are intentional time-series records (NOT duplicates). Use WHERE r.year=N for snapshots, SUM(r.amount) for lifetime totals.
-- StrategyArea: practitioner-defined groupings (e.g. Prevention, Intervention) — NOT Solutions
-- Ecosystem: governance bodies (councils, elected officials) that SETS_POLICY and FUNDS`,
-        inputSchema: {
-            type: 'object',
-            properties: {
-                locality: {
-                    type: 'string',
-                    description: 'Filter by locality code (optional)',
-                },
-            },
-        },
-        annotations: { title: 'List Datasets', readOnlyHint: true },
-    },
-    {
-        name: 'get_usage_stats',
-        description: 'Get your API usage statistics and quota information',
-        inputSchema: {
-            type: 'object',
-            properties: {},
-        },
-        annotations: { title: 'Get Usage Stats', readOnlyHint: true },
-    },
-];
-
-// Define available prompts
-const PROMPTS = [
-    {
-        name: 'explore_locality_data',
-        description: 'Guided workflow to explore urban data: list localities, view schema, and query data',
-        arguments: [
-            {
-                name: 'locality',
-                description: 'Locality code. Call list_datasets to discover available codes.',
-                required: true,
-            },
-        ],
-    },
-    {
-        name: 'analyze_gosr_dataset',
-        description: 'Analyze a GOSR (Goal-Obstacles-Solutions-Resources) dataset for civic problem-solving',
-        arguments: [
-            {
-                name: 'dataset',
-                description: 'Dataset name (e.g., "Un-Lonely NYC", "Kansas City Violence Prevention")',
-                required: true,
-            },
-            {
-                name: 'focus',
-                description: 'Specific focus area (e.g., "social isolation", "community programs", "violence prevention")',
-                required: false,
-            },
-        ],
-    },
-    {
-        name: 'cypher_query_builder',
-        description: 'Step-by-step guide to build a Cypher query from schema',
-        arguments: [
-            {
-                name: 'locality',
-                description: 'Locality code. Call list_datasets to discover available codes.',
-                required: true,
-            },
-            {
-                name: 'user_question',
-                description: 'What you want to find out',
-                required: true,
-            },
-        ],
-    },
-];
-
-// Define available resources
-const RESOURCES = [
-    {
-        uri: 'datagraph://cities/list',
-        name: 'Available Cities',
-        description: 'List of all cities with available datasets',
-        mimeType: 'application/json',
-    },
-    {
-        uri: 'datagraph://datasets/gosr',
-        name: 'GOSR Datasets',
-        description: 'All Goal-Obstacles-Solutions-Resources datasets for civic problem-solving',
-        mimeType: 'application/json',
-    },
-    {
-        uri: 'datagraph://schema/nyc',
-        name: 'NYC Graph Schema',
-        description: 'Neo4j graph schema for New York City data',
-        mimeType: 'application/json',
-    },
-    {
-        uri: 'datagraph://schema/kc',
-        name: 'Kansas City Graph Schema',
-        description: 'Neo4j graph schema for Kansas City data',
-        mimeType: 'application/json',
-    },
-    {
-        uri: 'datagraph://usage/stats',
-        name: 'API Usage Statistics',
-        description: 'Your current API usage and quota information',
-        mimeType: 'application/json',
-    },
-];
-
-// List available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-    return {
-        tools: TOOLS,
-    };
 });
 
-// List available prompts
-server.setRequestHandler(ListPromptsRequestSchema, async () => {
-    return {
-        prompts: PROMPTS,
-    };
-});
-
-// Handle prompt requests
-server.setRequestHandler(GetPromptRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
-
-    switch (name) {
-        case 'explore_locality_data': {
-            const locality = args?.locality;
-                if (!locality) {
-                    throw new Error('locality argument is required. Call list_datasets to discover available locality codes.');
-                }
-            return {
-                messages: [
-                    {
-                        role: 'user',
-                        content: {
-                            type: 'text',
-                            text: `I want to explore urban data for ${locality}. Let's start by:
-1. Listing available localities and their datasets
-2. Getting the graph schema for ${locality}
-3. Understanding what kinds of questions I can ask
-
-Please guide me through this process.`,
-                        },
-                    },
-                ],
-            };
-        }
-
-        case 'analyze_gosr_dataset': {
-            const dataset = args?.dataset;
-            const focus = args?.focus || 'general overview';
-            
-            if (!dataset) {
-                throw new Error('dataset argument is required');
-            }
-
-            return {
-                messages: [
-                    {
-                        role: 'user',
-                        content: {
-                            type: 'text',
-                            text: `I want to analyze the "${dataset}" GOSR dataset, focusing on: ${focus}.
-
-Please help me:
-1. List available GOSR datasets to confirm this one exists
-2. Get the schema to understand the data structure
-3. Query for relevant Goals, Obstacles, Solutions, and Resources
-4. Summarize key insights and patterns
-
-Use the GOSR framework (gosr.ai) to structure the analysis.`,
-                        },
-                    },
-                ],
-            };
-        }
-
-        case 'cypher_query_builder': {
-            const locality = args?.locality;
-            const user_question = args?.user_question;
-            
-            if (!locality) {
-                    throw new Error('locality argument is required. Call list_datasets to discover available locality codes.');
-                }
-            if (!user_question) {
-                throw new Error('user_question argument is required');
-            }
-
-            return {
-                messages: [
-                    {
-                        role: 'user',
-                        content: {
-                            type: 'text',
-                            text: `I want to query ${locality} data to answer: "${user_question}"
-
-Please help me:
-1. Get the graph schema for ${locality}
-2. Understand what node labels and relationships are available
-3. Generate an appropriate Cypher query based on my question
-4. Execute the query and interpret the results
+let api;
+let cacheSettings;
+let settings;
+let quota;
+let logging;
+let http;
+try {
+    api = apiFromEnv();
+    cacheSettings = cacheFromEnv();
+    settings = loadConfig({ path: options.config, timeoutMs: api.timeoutMs, maxRetries: api.maxRetries });
+    quota = quotaFromEnv();
+    logging = loggingFromEnv();
+    http = httpFromEnv();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
 
-Remember to include LIMIT clauses and ensure read-only operations.`,
-                        },
-                    },
-                ],
-            };
-        }
+// Print one line per check and exit non-zero if any failed
+async function checkConnectivity() {
+    console.error(`Checking ${Object.keys(settings.profiles).length} profile(s) from ${settings.source}`);
+    const results = await checkConfig(settings, createProfileClient);
+    for (const result of results) {
+        const marker = result.profile === settings.defaultProfile ? ' (default)' : '';
+        console.error(`${result.ok ? '✓' : '✗'} ${result.profile}${marker}: ${result.target}${result.ok ? '' : ` - ${result.detail}`}`);
+    }
+    return results.every((result) => result.ok);
+}
 
-        default:
-            throw new Error(`Unknown prompt: ${name}`);
+// Start the server
+async function main() {
+    if (options['check-config']) {
+        process.exit(await checkConnectivity() ? 0 : 1);
     }
-});
 
-// List available resources
-server.setRequestHandler(ListResourcesRequestSchema, async () => {
-    return {
-        resources: RESOURCES,
+    const defaultUrl = settings.profiles[settings.defaultProfile].apiUrl;
+    const logger = createLogger({ level: logging.level, file: logging.file, maxBytes: logging.maxBytes, maxFiles: logging.maxFiles });
+    const config = {
+        profiles: settings.profiles,
+        defaultProfile: settings.defaultProfile,
+        timeoutMs: api.timeoutMs,
+        maxRetries: api.maxRetries,
+        // Limits apply per session: each HTTP client gets its own ledger
+        quota,
+        // One cache for every session; keys carry the profile name, so profiles never share entries
+        cache: createResponseCache({ ...cacheSettings, namespace: defaultUrl, logger }),
+        // Saved queries are shared by every session
+        queries: createQueryStore({ file: QUERIES_FILE }),
+        snapshots: createSnapshotStore({ dir: SNAPSHOT_DIR }),
+        // Sessions log through one logger and one audit log; entries carry the session id
+        logger,
+        audit: createAuditLog({ file: logging.auditFile }),
     };
-});
-
-// Handle resource reads
-server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-    const { uri } = request.params;
-
-    try {
-        switch (uri) {
-            case 'datagraph://cities/list': {
-                const response = await fetch(`${API_URL}/cities`, {
-                    headers: {
-                        'Authorization': `Bearer ${API_KEY}`,
-                    },
-                });
-
-                if (!response.ok) {
-                    throw new Error('Failed to fetch cities');
-                }
-
-                const cities = await response.json();
-
-                return {
-                    contents: [
-                        {
-                            uri,
-                            mimeType: 'application/json',
-                            text: JSON.stringify(cities, null, 2),
-                        },
-                    ],
-                };
-            }
-
-            case 'datagraph://datasets/gosr': {
-                const response = await fetch(`${API_URL}/datasets`, {
-                    headers: {
-                        'Authorization': `Bearer ${API_KEY}`,
-                    },
-                });
-
-                if (!response.ok) {
-                    throw new Error('Failed to fetch datasets');
-                }
-
-                const datasets = await response.json();
-
-                return {
-                    contents: [
-                        {
-                            uri,
-                            mimeType: 'application/json',
-                            text: JSON.stringify(datasets, null, 2),
-                        },
-                    ],
-                };
-            }
-
-            case 'datagraph://schema/nyc':
-            case 'datagraph://schema/kc': {
-                const locality = uri.split('/').pop();
-                const response = await fetch(`${API_URL}/api/${locality}/schema`, {
-                    headers: {
-                        'Authorization': `Bearer ${API_KEY}`,
-                    },
-                });
 
-                if (!response.ok) {
-                    throw new Error(`Failed to fetch schema for ${locality}`);
-                }
-
-                const schema = await response.json();
-
-                return {
-                    contents: [
-                        {
-                            uri,
-                            mimeType: 'application/json',
-                            text: JSON.stringify(schema, null, 2),
-                        },
-                    ],
-                };
-            }
-
-            case 'datagraph://usage/stats': {
-                const response = await fetch(`${API_URL}/usage`, {
-                    headers: {
-                        'Authorization': `Bearer ${API_KEY}`,
-                    },
-                });
-
-                if (!response.ok) {
-                    throw new Error('Failed to fetch usage stats');
-                }
-
-                const stats = await response.json();
-
-                return {
-                    contents: [
-                        {
-                            uri,
-                            mimeType: 'application/json',
-                            text: JSON.stringify(stats, null, 2),
-                        },
-                    ],
-                };
-            }
-
-            default:
-                throw new Error(`Unknown resource: ${uri}`);
+    if (options.transport === 'http') {
+        const port = Number(options.port);
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+            throw new Error(`Invalid --port: ${options.port}`);
         }
-    } catch (error) {
-        throw new Error(`Failed to read resource ${uri}: ${error.message}`);
-    }
-});
-
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
-
-    try {
-        switch (name) {
-            case 'get_server_info': {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: JSON.stringify({
-                                name: packageJson.name,
-                                version: packageJson.version,
-                                description: packageJson.description,
-                                homepage: packageJson.homepage,
-                                repository: packageJson.repository.url,
-                                gosr_framework: {
-                                    spelling: "ALWAYS: Goal-Obstacles-Solutions-Resources (Goal singular, rest plural)",
-                                    goal: "A single aspirational future picture (singular)",
-                                    obstacles: "Barriers preventing the goal — a diagnosis of why the problem persists (plural)",
-                                    solutions: "POTENTIAL strategies to overcome each Obstacle if implemented (plural - NOT actual programs)",
-                                    resources: "ACTUAL operating programs that implement a Solution in practice (plural)",
-                                    actors: "Organizations that EXECUTE Resources (in model but not in GOSR acronym)",
-                                    funders: "Foundations or government agencies that FUND Actors or Resources. Direction: (Funder)-[:FUNDS]->(Actor) when source names only the org; (Funder)-[:FUNDS]->(Resource) when source names a specific program. Query both patterns to find all funding.",
-                                    strategy_area: "Extended layer (some datasets). Broad practitioner groupings e.g. Prevention, Intervention. NOT Solutions. Relationship: (Actor)-[:WORKS_IN]->(StrategyArea)",
-                                    ecosystem: "Extended layer (some datasets). Governance stakeholders (elected officials, planning bodies) that set policy and allocate public funds. Relationships: SETS_POLICY, FUNDS, WORKS_IN"
-                                }
-                            }, null, 2),
-                        },
-                    ],
-                };
-            }
-
-            case 'query_locality_data': {
-                const { query, locality, category, limit = 10, cypher_query, cypher_params } = args;
-                
-                if (!locality) {
-                    throw new Error('locality parameter is required. Call list_datasets to discover available locality codes.');
-                }
-
-                const requestBody = { query, category, limit };
 
-                // If Cypher query is provided, include it
-                if (cypher_query) {
-                    requestBody.cypher_query = cypher_query;
-                    if (cypher_params) {
-                        requestBody.cypher_params = cypher_params;
-                    }
-                }
-
-                const response = await fetch(`${API_URL}/api/${locality}/query`, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${API_KEY}`,
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify(requestBody),
-                });
-
-                if (!response.ok) {
-                    const error = await response.json();
-                    throw new Error(error.error || 'Query failed');
-                }
-
-                const data = await response.json();
-
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: JSON.stringify(data, null, 2),
-                        },
-                    ],
-                };
-            }
-
-            case 'get_locality_schema': {
-                const { locality } = args;
-                
-                if (!locality) {
-                    throw new Error('locality parameter is required. Call list_datasets to discover available locality codes.');
-                }
-
-                const response = await fetch(`${API_URL}/api/${locality}/schema`, {
-                    headers: {
-                        'Authorization': `Bearer ${API_KEY}`,
-                    },
-                });
-
-                if (!response.ok) {
-                    throw new Error('Failed to fetch schema');
-                }
-
-                const schema = await response.json();
-
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: JSON.stringify(schema, null, 2),
-                        },
-                    ],
-                };
-            }
-
-
-            case 'list_datasets': {
-                const { locality } = args;
-                const url = locality ? `${API_URL}/datasets?locality=${encodeURIComponent(locality)}` : `${API_URL}/datasets`;
-
-                const response = await fetch(url, {
-                    headers: {
-                        'Authorization': `Bearer ${API_KEY}`,
-                    },
-                });
-
-                if (!response.ok) {
-                    throw new Error('Failed to list datasets');
-                }
-
-                const datasets = await response.json();
-
-                const wrapper = {
-                    usage: {
-                        locality_field: "Use the 'locality' field as the locality parameter for get_locality_schema and query_locality_data.",
-                        id_field: "Use the 'id' field in Cypher WHERE clauses to filter by dataset: WHERE n.dataset = '<id>'",
-                        critical: "All datasets share one Neo4j instance. Cypher queries WITHOUT a dataset filter will return data from ANY dataset.",
-                    },
-                    datasets,
-                };
-
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: JSON.stringify(wrapper, null, 2),
-                        },
-                    ],
-                };
-            }
-
-            case 'get_usage_stats': {
-                const response = await fetch(`${API_URL}/usage`, {
-                    headers: {
-                        'Authorization': `Bearer ${API_KEY}`,
-                    },
-                });
-
-                if (!response.ok) {
-                    throw new Error('Failed to get usage stats');
-                }
-
-                const stats = await response.json();
-
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: JSON.stringify(stats, null, 2),
-                        },
-                    ],
-                };
-            }
+        const authToken = process.env.MCP_HTTP_AUTH_TOKEN;
+        const { url } = await startHttpServer({
+            createServer: () => createServer(config),
+            host: options.host,
+            port,
+            authToken,
+            allowedHosts: http.allowedHosts,
+            allowedOrigins: http.allowedOrigins,
+            sessionIdleMs: http.sessionIdleMs,
+            logger,
+        });
+        logger.notice('DataGraph MCP server running', { transport: 'http', url: `${url}/mcp`, legacy_sse: `${url}/sse`, bearer_auth: Boolean(authToken) });
+        return;
+    }
 
-            default:
-                throw new Error(`Unknown tool: ${name}`);
-        }
-    } catch (error) {
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: `Error: ${error.message}`,
-                },
-            ],
-            isError: true,
-        };
+    if (options.transport !== 'stdio') {
+        throw new Error(`Unknown --transport: ${options.transport} (expected stdio or http)`);
     }
-});
 
-// Start the server
-async function main() {
+    const server = createServer(config);
     const transport = new StdioServerTransport();
     await server.connect(transport);
-    console.error('DataGraph MCP server running on stdio');
+    logger.notice('DataGraph MCP server running', { transport: 'stdio', log_file: logger.file, audit_file: logging.auditFile });
 }
 
 main().catch((error) => {
     console.error('Server error:', error);
     process.exit(1);
 });
-
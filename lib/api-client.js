@@ -0,0 +1,383 @@
+/**
+ * DataGraph API client
+ *
+ * Single place where the server talks to the DataGraph REST API:
+ * - Bearer auth with the upstream DATAGRAPH_API_KEY, or per-profile and per-locality keys
+ * - Per-attempt timeout, combined with the caller's AbortSignal (MCP request cancellation)
+ * - Exponential backoff with jitter on 429 and 5xx, honoring Retry-After
+ * - Typed errors that keep the HTTP status, upstream message and request id
+ * - The caller's correlation id sent as X-Correlation-Id, so API logs can be matched to a tool call
+ */
+
+import { ConfigError } from './config.js';
+
+const RETRYABLE_STATUS = (status) => status === 429 || status >= 500;
+
+export const DEFAULT_TIMEOUT_MS = 30000;
+export const DEFAULT_MAX_RETRIES = 3;
+
+export class DataGraphApiError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} details
+     * @param {number} [details.status] - HTTP status from the API
+     * @param {string} [details.upstreamMessage] - Error message returned by the API
+     * @param {string} [details.requestId] - Upstream request id (x-request-id header or request_id field)
+     * @param {string} [details.method]
+     * @param {string} [details.path]
+     * @param {number} [details.attempts] - Attempts made, including retries
+     * @param {string} [details.correlationId] - X-Correlation-Id sent with the request
+     */
+    constructor(message, { status, upstreamMessage, requestId, method, path, attempts, correlationId } = {}) {
+        super(message);
+        this.name = 'DataGraphApiError';
+        this.status = status;
+        this.upstreamMessage = upstreamMessage;
+        this.requestId = requestId;
+        this.method = method;
+        this.path = path;
+        this.attempts = attempts;
+        this.correlationId = correlationId;
+    }
+
+    get retryable() {
+        return this.status !== undefined && RETRYABLE_STATUS(this.status);
+    }
+
+    toJSON() {
+        return {
+            error: 'datagraph_api_error',
+            message: this.message,
+            status: this.status ?? null,
+            upstream_message: this.upstreamMessage ?? null,
+            request_id: this.requestId ?? null,
+            request: this.method && this.path ? `${this.method} ${this.path}` : null,
+            attempts: this.attempts ?? null,
+            correlation_id: this.correlationId ?? null,
+        };
+    }
+}
+
+export class DataGraphTimeoutError extends DataGraphApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'DataGraphTimeoutError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+export class DataGraphNetworkError extends DataGraphApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'DataGraphNetworkError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+export class RequestCancelledError extends Error {
+    constructor(message = 'Request was cancelled by the client') {
+        super(message);
+        this.name = 'RequestCancelledError';
+    }
+}
+
+/**
+ * Timeout and retries from DATAGRAPH_API_TIMEOUT_MS and DATAGRAPH_API_MAX_RETRIES.
+ *
+ * @throws {ConfigError} on values that are not whole numbers, or a timeout of 0
+ */
+export function apiFromEnv(env = process.env) {
+    const settings = { timeoutMs: DEFAULT_TIMEOUT_MS, maxRetries: DEFAULT_MAX_RETRIES };
+    const issues = [];
+    for (const [key, name, min, hint] of [
+        ['timeoutMs', 'DATAGRAPH_API_TIMEOUT_MS', 1, 'a whole number of milliseconds above 0'],
+        ['maxRetries', 'DATAGRAPH_API_MAX_RETRIES', 0, 'a whole number (0 disables retries)'],
+    ]) {
+        if (env[name] === undefined || env[name] === '') continue;
+        const value = Number(env[name]);
+        if (!Number.isInteger(value) || value < min) issues.push(`${name}: must be ${hint}`);
+        else settings[key] = value;
+    }
+
+    if (issues.length > 0) {
+        throw new ConfigError('environment', issues);
+    }
+    return settings;
+}
+
+/**
+ * Create a client bound to one API key and base URL.
+ *
+ * @param {object} config
+ * @param {string} config.apiKey
+ * @param {string} config.apiUrl
+ * @param {number} [config.timeoutMs] - Timeout per attempt (default 30000)
+ * @param {number} [config.maxRetries] - Retries after the first attempt (default 3)
+ * @param {number} [config.retryBaseMs] - First backoff delay (default 500)
+ * @param {number} [config.maxRetryDelayMs] - Cap for any single backoff or Retry-After (default 30000)
+ * @param {typeof fetch} [config.fetch] - fetch implementation (default globalThis.fetch)
+ * @throws {RangeError} when timeoutMs is not a positive integer or maxRetries not an integer of 0 or more
+ */
+export function createApiClient({
+    apiKey,
+    apiUrl,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryBaseMs = 500,
+    maxRetryDelayMs = 30000,
+    fetch: fetchImpl = globalThis.fetch,
+}) {
+    // A NaN maxRetries would never end the retry loop
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+        throw new RangeError(`timeoutMs must be a positive integer, got ${timeoutMs}`);
+    }
+    if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+        throw new RangeError(`maxRetries must be an integer of 0 or more, got ${maxRetries}`);
+    }
+    const baseUrl = apiUrl.replace(/\/+$/, '');
+
+    /**
+     * Send a request and return the parsed JSON body.
+     *
+     * @param {string} path - Path below the API base URL, e.g. /datasets
+     * @param {object} [options]
+     * @param {string} [options.method] - HTTP method (default GET)
+     * @param {object} [options.query] - Query string parameters; undefined values are skipped
+     * @param {*} [options.body] - JSON request body
+     * @param {AbortSignal} [options.signal] - Aborts the request and any pending retry
+     * @param {string} [options.ifNoneMatch] - ETag for conditional GET; a 304 resolves to { notModified: true }
+     * @param {boolean} [options.withMeta] - Resolve to { data, etag, notModified } instead of the body alone
+     * @param {string} [options.correlationId] - Sent as X-Correlation-Id and kept on errors
+     */
+    async function request(path, { method = 'GET', query, body, signal, ifNoneMatch, withMeta = false, correlationId } = {}) {
+        const url = new URL(baseUrl + path);
+        for (const [key, value] of Object.entries(query || {})) {
+            if (value !== undefined && value !== null) {
+                url.searchParams.set(key, String(value));
+            }
+        }
+
+        const headers = { 'Authorization': `Bearer ${apiKey}`, 'Accept': 'application/json' };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (ifNoneMatch) {
+            headers['If-None-Match'] = ifNoneMatch;
+        }
+        if (correlationId) {
+            headers['X-Correlation-Id'] = correlationId;
+        }
+        const details = { method, path: url.pathname + url.search, ...(correlationId && { correlationId }) };
+
+        for (let attempt = 1; ; attempt++) {
+            throwIfCancelled(signal);
+
+            let error;
+            let retryAfterMs;
+            try {
+                const { response, text } = await fetchWithTimeout(fetchImpl, url, {
+                    method,
+                    headers,
+                    body: body === undefined ? undefined : JSON.stringify(body),
+                }, timeoutMs, signal);
+
+                const etag = response.headers.get('etag') || undefined;
+                if (response.status === 304 && ifNoneMatch) {
+                    return { data: undefined, etag: etag || ifNoneMatch, notModified: true };
+                }
+                if (response.ok) {
+                    const data = parseJson(response, text, { ...details, status: response.status, attempts: attempt });
+                    return withMeta ? { data, etag, notModified: false } : data;
+                }
+
+                error = httpError(response, text, { ...details, attempts: attempt });
+                retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            } catch (caught) {
+                if (caught instanceof RequestCancelledError) throw caught;
+                if (caught instanceof DataGraphApiError) {
+                    error = caught;
+                } else if (caught.name === 'TimeoutError') {
+                    error = new DataGraphTimeoutError(`DataGraph API ${method} ${details.path} timed out after ${timeoutMs}ms`, { ...details, attempts: attempt });
+                } else {
+                    error = new DataGraphNetworkError(`DataGraph API ${method} ${details.path} failed: ${caught.message}`, { ...details, attempts: attempt });
+                }
+            }
+
+            if (!error.retryable || attempt > maxRetries) {
+                throw error;
+            }
+
+            const backoff = retryBaseMs * 2 ** (attempt - 1) * (0.5 + Math.random() / 2);
+            await sleep(Math.min(retryAfterMs ?? backoff, maxRetryDelayMs), signal);
+        }
+    }
+
+    return {
+        request,
+        get: (path, options = {}) => request(path, { ...options, method: 'GET' }),
+        post: (path, body, options = {}) => request(path, { ...options, method: 'POST', body }),
+    };
+}
+
+/**
+ * Create a client for a configuration profile (see config.js). Requests for a
+ * locality with an override (the /api/{locality}/... paths, or a locality query
+ * parameter) go to that locality's endpoint with its key; everything else uses
+ * the profile's own endpoint and key. A profile without its own key can reach
+ * only its overridden localities, listed in onlyLocalities (null otherwise).
+ *
+ * @param {object} profile
+ * @param {string} profile.name
+ * @param {string} profile.apiUrl
+ * @param {string} [profile.apiKey] - Optional when every locality has its own key
+ * @param {object} [profile.localities] - { [locality]: { apiUrl, apiKey } }
+ * @param {number} [profile.timeoutMs]
+ * @param {number} [profile.maxRetries]
+ * @param {object} [options] - Passed through to createApiClient (fetch, retryBaseMs, ...)
+ */
+export function createProfileClient({ name, apiUrl, apiKey, localities = {}, timeoutMs, maxRetries }, options = {}) {
+    const settings = { ...options, ...(timeoutMs !== undefined && { timeoutMs }), ...(maxRetries !== undefined && { maxRetries }) };
+    const base = apiKey ? createApiClient({ ...settings, apiKey, apiUrl }) : null;
+    const overrides = new Map(Object.entries(localities)
+        .map(([locality, override]) => [locality, createApiClient({ ...settings, apiKey: override.apiKey, apiUrl: override.apiUrl })]));
+
+    function clientFor(path, query) {
+        const locality = requestLocality(path, query);
+        const override = locality !== undefined && overrides.get(locality);
+        if (override) return override;
+        if (!base) {
+            throw new Error(`Profile '${name}' has API keys only for ${[...overrides.keys()].join(', ')}; ${locality ? `locality '${locality}'` : path} is not covered`);
+        }
+        return base;
+    }
+
+    const request = (path, options = {}) => clientFor(path, options.query).request(path, options);
+
+    return {
+        profile: name,
+        onlyLocalities: base ? null : [...overrides.keys()],
+        request,
+        get: (path, options = {}) => request(path, { ...options, method: 'GET' }),
+        post: (path, body, options = {}) => request(path, { ...options, method: 'POST', body }),
+    };
+}
+
+/**
+ * Locality a request is for: the {locality} of /api/{locality}/..., or the locality query parameter.
+ */
+export function requestLocality(path, query) {
+    const segment = /^\/api\/([^/?]+)/.exec(path)?.[1];
+    return segment !== undefined ? decodeURIComponent(segment) : query?.locality;
+}
+
+function throwIfCancelled(signal) {
+    if (signal?.aborted) {
+        throw new RequestCancelledError();
+    }
+}
+
+// fetch and read the body under one per-attempt timeout that also follows the caller's signal
+async function fetchWithTimeout(fetchImpl, url, init, timeoutMs, signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+        controller.abort(new DOMException(`Timed out after ${timeoutMs}ms`, 'TimeoutError'));
+    }, timeoutMs);
+    const onCancel = () => controller.abort(new RequestCancelledError());
+    signal?.addEventListener('abort', onCancel, { once: true });
+
+    try {
+        const response = await fetchImpl(url, { ...init, signal: controller.signal });
+        return { response, text: await response.text() };
+    } catch (error) {
+        // fetch rejects with the abort reason, or an AbortError wrapping it
+        if (controller.signal.aborted) {
+            throw controller.signal.reason;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onCancel);
+    }
+}
+
+function parseJson(response, text, details) {
+    try {
+        return text ? JSON.parse(text) : null;
+    } catch {
+        throw new DataGraphApiError(`DataGraph API ${details.method} ${details.path} returned invalid JSON`, {
+            ...details,
+            requestId: requestIdFrom(response),
+            upstreamMessage: truncate(text),
+        });
+    }
+}
+
+// Build an error from a non-2xx response without assuming the body is JSON
+function httpError(response, text, details) {
+    let payload = null;
+    try {
+        payload = text ? JSON.parse(text) : null;
+    } catch {
+        // plain-text or HTML error page
+    }
+
+    const upstreamMessage = messageFrom(payload) ?? truncate(text);
+    const message = `DataGraph API ${details.method} ${details.path} failed with ${response.status}${upstreamMessage ? `: ${upstreamMessage}` : ` ${response.statusText}`}`;
+
+    return new DataGraphApiError(message, {
+        ...details,
+        status: response.status,
+        upstreamMessage,
+        requestId: requestIdFrom(response, payload),
+    });
+}
+
+// APIs disagree on where the message lives: { error }, { error: { message } }, { message } or { detail }
+function messageFrom(payload) {
+    if (!payload || typeof payload !== 'object') return undefined;
+    return [payload.error?.message, payload.error, payload.message, payload.detail]
+        .find((candidate) => typeof candidate === 'string' && candidate);
+}
+
+function requestIdFrom(response, payload) {
+    return response.headers.get('x-request-id')
+        || response.headers.get('request-id')
+        || payload?.request_id
+        || payload?.requestId
+        || undefined;
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return undefined;
+    if (/^\d+(\.\d+)?$/.test(value.trim())) {
+        return Number(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onCancel = () => {
+            clearTimeout(timer);
+            reject(new RequestCancelledError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onCancel);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onCancel, { once: true });
+    });
+}
+
+function truncate(text, max = 500) {
+    if (!text) return undefined;
+    return text.length > max ? `${text.slice(0, max)}...` : text;
+}
@@ -0,0 +1,211 @@
+/**
+ * Response cache for rarely-changing API data (locality schemas, dataset lists)
+ *
+ * Entries are fresh for ttlMs. A stale entry that has an ETag is revalidated
+ * with If-None-Match instead of being refetched; a 304 keeps the cached body.
+ * With a directory configured, entries are also written to disk so a restarted
+ * server starts warm. Concurrent loads of the same key share one request; a
+ * caller that cancels stops waiting for it, and the request itself is aborted
+ * only once no caller waits for it any more.
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readFile, readdir, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { RequestCancelledError } from './api-client.js';
+import { ConfigError } from './config.js';
+import { createLogger } from './logging.js';
+
+export const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Cache settings from DATAGRAPH_CACHE_TTL_SECONDS (0 disables caching) and DATAGRAPH_CACHE_DIR.
+ *
+ * @throws {ConfigError} when the TTL is not a whole number
+ */
+export function cacheFromEnv(env = process.env) {
+    const settings = { ttlMs: DEFAULT_CACHE_TTL_MS, directory: env.DATAGRAPH_CACHE_DIR || undefined };
+    if (env.DATAGRAPH_CACHE_TTL_SECONDS !== undefined && env.DATAGRAPH_CACHE_TTL_SECONDS !== '') {
+        const value = Number(env.DATAGRAPH_CACHE_TTL_SECONDS);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new ConfigError('environment', ['DATAGRAPH_CACHE_TTL_SECONDS: must be a whole number of seconds (0 disables caching)']);
+        }
+        settings.ttlMs = value * 1000;
+    }
+    return settings;
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.ttlMs] - Freshness window; 0 disables caching (default 5 minutes)
+ * @param {string} [options.directory] - Optional directory for on-disk persistence
+ * @param {string} [options.namespace] - Separates on-disk entries of different API endpoints
+ * @param {object} [options.logger] - Logger from createLogger() for disk write failures (default: warnings to stderr)
+ * @throws {RangeError} when ttlMs is not a number of 0 or more
+ */
+export function createResponseCache({ ttlMs = DEFAULT_CACHE_TTL_MS, directory, namespace = '', logger = createLogger({ level: 'warning' }) } = {}) {
+    // A NaN TTL would make every entry stale and silently turn caching off
+    if (!Number.isFinite(ttlMs) || ttlMs < 0) {
+        throw new RangeError(`ttlMs must be a number of 0 or more, got ${ttlMs}`);
+    }
+    const entries = new Map();
+    // key -> { promise, controller, waiters } for loads in flight
+    const pending = new Map();
+    const counters = { hits: 0, misses: 0, revalidated: 0, invalidations: 0 };
+
+    function fileFor(key) {
+        const hash = createHash('sha1').update(`${namespace}|${key}`).digest('hex');
+        return join(directory, `${hash}.json`);
+    }
+
+    async function readFromDisk(key) {
+        if (!directory) return undefined;
+        try {
+            const stored = JSON.parse(await readFile(fileFor(key), 'utf-8'));
+            return stored.key === key ? stored : undefined;
+        } catch {
+            return undefined;
+        }
+    }
+
+    async function writeToDisk(key, entry) {
+        if (!directory) return;
+        try {
+            await mkdir(directory, { recursive: true });
+            await writeFile(fileFor(key), JSON.stringify({ key, ...entry }));
+        } catch (error) {
+            logger.warning('Cache write failed', { key, error: error.message });
+        }
+    }
+
+    async function diskKeys() {
+        let files;
+        try {
+            files = await readdir(directory);
+        } catch {
+            return [];
+        }
+        const keys = [];
+        for (const file of files.filter((name) => name.endsWith('.json'))) {
+            try {
+                const stored = JSON.parse(await readFile(join(directory, file), 'utf-8'));
+                if (stored.key && fileFor(stored.key) === join(directory, file)) keys.push(stored.key);
+            } catch {
+                // not a cache entry
+            }
+        }
+        return keys;
+    }
+
+    async function load(key, loader) {
+        let entry = entries.get(key) || await readFromDisk(key);
+
+        if (entry && Date.now() - entry.storedAt < ttlMs) {
+            entries.set(key, entry);
+            counters.hits++;
+            return entry.data;
+        }
+
+        const result = await loader(entry?.etag);
+        if (entry && result.notModified) {
+            counters.revalidated++;
+            entry = { ...entry, storedAt: Date.now() };
+        } else {
+            counters.misses++;
+            entry = { data: result.data, etag: result.etag, storedAt: Date.now() };
+        }
+
+        if (ttlMs > 0) {
+            entries.set(key, entry);
+            await writeToDisk(key, entry);
+        }
+        return entry.data;
+    }
+
+    // The caller's signal only ends its own wait; the shared load is aborted when its last waiter leaves
+    function wait(key, shared, signal) {
+        shared.waiters++;
+        if (!signal) return shared.promise;
+        return new Promise((resolve, reject) => {
+            const leave = () => {
+                if (--shared.waiters === 0) {
+                    if (pending.get(key) === shared) pending.delete(key);
+                    shared.controller.abort();
+                }
+                reject(new RequestCancelledError());
+            };
+            if (signal.aborted) {
+                leave();
+                return;
+            }
+            signal.addEventListener('abort', leave, { once: true });
+            shared.promise.then((data) => {
+                signal.removeEventListener('abort', leave);
+                resolve(data);
+            }, (error) => {
+                signal.removeEventListener('abort', leave);
+                reject(error);
+            });
+        });
+    }
+
+    return {
+        /**
+         * Return the cached value for key, calling loader(etag, signal) when it is missing or stale.
+         * loader must resolve to { data, etag } or { notModified: true }, and should pass signal on
+         * to its request: it aborts once every caller sharing the load has cancelled.
+         *
+         * @param {string} key
+         * @param {(etag: string|undefined, signal: AbortSignal) => Promise<object>} loader
+         * @param {object} [options]
+         * @param {AbortSignal} [options.signal] - Cancels this caller's wait only
+         */
+        get(key, loader, { signal } = {}) {
+            let shared = pending.get(key);
+            if (!shared) {
+                const controller = new AbortController();
+                shared = { controller, waiters: 0 };
+                shared.promise = load(key, (etag) => loader(etag, controller.signal)).finally(() => {
+                    if (pending.get(key) === shared) pending.delete(key);
+                });
+                // Every waiter handles the outcome; this keeps a load nobody waits for from going unhandled
+                shared.promise.catch(() => {});
+                pending.set(key, shared);
+            }
+            return wait(key, shared, signal);
+        },
+
+        /**
+         * Drop entries whose key matches; with no predicate the whole cache is cleared.
+         * @param {(key: string) => boolean} [predicate]
+         * @returns {Promise<number>} Number of entries removed
+         */
+        async invalidate(predicate = () => true) {
+            const keys = new Set([...entries.keys()].filter(predicate));
+            if (directory) {
+                for (const key of await diskKeys()) {
+                    if (predicate(key)) keys.add(key);
+                }
+            }
+            for (const key of keys) {
+                entries.delete(key);
+                if (directory) {
+                    await unlink(fileFor(key)).catch(() => {});
+                }
+            }
+            counters.invalidations += keys.size;
+            return keys.size;
+        },
+
+        stats() {
+            const lookups = counters.hits + counters.misses + counters.revalidated;
+            return {
+                ...counters,
+                hit_rate: lookups ? Number(((counters.hits + counters.revalidated) / lookups).toFixed(3)) : null,
+                entries: entries.size,
+                ttl_seconds: ttlMs / 1000,
+                persistent: Boolean(directory),
+            };
+        },
+    };
+}
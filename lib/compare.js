@@ -0,0 +1,210 @@
+/**
+ * Cross-dataset comparison for compare_datasets
+ *
+ * Each dataset is queried on its own, in its own locality, with every node
+ * filtered on $dataset. The comparison is done here:
+ * - layer counts side by side
+ * - structural metrics from edge counts (Solutions per Obstacle, Resources per Solution, ...)
+ * - Solution and StrategyArea themes matched between each pair of datasets by name similarity
+ * - funders that appear in more than one dataset under the same normalized name
+ */
+
+export const COMPARE_MAX_DATASETS = 5;
+export const DEFAULT_SIMILARITY = 0.5;
+
+// Theme matches listed per pair of datasets
+const MAX_THEME_MATCHES = 25;
+
+// GOSR layers first, in model order; other labels follow alphabetically
+const LAYER_ORDER = ['Goal', 'Obstacle', 'Solution', 'Resource', 'Actor', 'Funder', 'StrategyArea', 'Ecosystem'];
+
+// Words that carry no theme: "Gun buyback programs" and "Gun buyback" are the same theme
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with',
+    'program', 'programs', 'initiative', 'initiatives', 'service', 'services',
+]);
+
+export const LAYER_COUNTS_CYPHER = `MATCH (n {dataset: $dataset})
+RETURN labels(n)[0] AS label, count(n) AS count
+ORDER BY label
+LIMIT 100`;
+
+// Edge counts per relationship type and endpoint labels, with distinct endpoints for coverage
+export const STRUCTURE_CYPHER = `MATCH (a {dataset: $dataset})-[r:HAS_OBSTACLE|HAS_SOLUTION|IMPLEMENTS|EXECUTES|FUNDS|WORKS_IN]->(b {dataset: $dataset})
+RETURN labels(a)[0] AS from_label, type(r) AS rel, labels(b)[0] AS to_label,
+       count(DISTINCT a) AS sources, count(DISTINCT b) AS targets, count(r) AS edges
+LIMIT 100`;
+
+export const THEMES_CYPHER = `MATCH (n {dataset: $dataset})
+WHERE n:Solution OR n:StrategyArea
+RETURN labels(n)[0] AS label, coalesce(n.id, n.name) AS key, n.name AS name
+LIMIT 1000`;
+
+// Funders and Ecosystems with their FUNDS totals; Ecosystems without FUNDS edges are dropped later
+export const FUNDERS_CYPHER = `MATCH (f {dataset: $dataset})
+WHERE f:Funder OR f:Ecosystem
+OPTIONAL MATCH (f)-[r:FUNDS]->(t {dataset: $dataset})
+RETURN labels(f)[0] AS label, coalesce(f.id, f.name) AS key, f.name AS name,
+       count(r) AS grants, sum(r.amount) AS amount
+LIMIT 1000`;
+
+/**
+ * Compare datasets from their query results.
+ *
+ * @param {object[]} sides - One entry per dataset: { dataset: { id, locality, name }, counts, structure, themes, funders }
+ *   holding the rows of LAYER_COUNTS_CYPHER, STRUCTURE_CYPHER, THEMES_CYPHER and FUNDERS_CYPHER
+ * @param {object} [options]
+ * @param {number} [options.similarity] - Minimum name similarity (0-1) for a shared theme
+ */
+export function compareDatasets(sides, { similarity = DEFAULT_SIMILARITY } = {}) {
+    const ids = sides.map((side) => side.dataset.id);
+    const counts = sides.map((side) => new Map(side.counts.map((row) => [row.label, Number(row.count) || 0])));
+
+    const labels = [...new Set(counts.flatMap((map) => [...map.keys()]))].sort(compareLabels);
+    const layers = labels.map((label) => ({
+        label,
+        counts: Object.fromEntries(ids.map((id, i) => [id, counts[i].get(label) ?? 0])),
+    }));
+
+    const metrics = Object.fromEntries(sides.map((side, i) => [side.dataset.id, structuralMetrics(side.structure, counts[i])]));
+
+    const shared_themes = [];
+    for (let i = 0; i < sides.length; i++) {
+        for (let j = i + 1; j < sides.length; j++) {
+            const matches = matchThemes(sides[i].themes, sides[j].themes, similarity);
+            shared_themes.push({
+                datasets: [ids[i], ids[j]],
+                total: matches.length,
+                matches: matches.slice(0, MAX_THEME_MATCHES),
+            });
+        }
+    }
+
+    return {
+        datasets: sides.map(({ dataset }) => ({ id: dataset.id, locality: dataset.locality, name: dataset.name })),
+        layers,
+        metrics,
+        shared_themes,
+        funder_overlap: funderOverlap(sides),
+        table: comparisonTable(ids, layers, metrics),
+    };
+}
+
+/**
+ * Ratios from STRUCTURE_CYPHER rows and layer counts; null when the layer is empty.
+ */
+export function structuralMetrics(structure, counts) {
+    const find = (rel, from, to) => structure.find((row) => row.rel === rel && row.from_label === from && row.to_label === to);
+    const edges = (rel, from, to) => Number(find(rel, from, to)?.edges) || 0;
+    const ratio = (value, label) => (counts.get(label) ? round(value / counts.get(label)) : null);
+
+    return {
+        solutions_per_obstacle: ratio(edges('HAS_SOLUTION', 'Obstacle', 'Solution'), 'Obstacle'),
+        resources_per_solution: ratio(edges('IMPLEMENTS', 'Resource', 'Solution'), 'Solution'),
+        actors_per_resource: ratio(edges('EXECUTES', 'Actor', 'Resource'), 'Resource'),
+        obstacles_with_solutions: ratio(Number(find('HAS_SOLUTION', 'Obstacle', 'Solution')?.sources) || 0, 'Obstacle'),
+        solutions_with_resources: ratio(Number(find('IMPLEMENTS', 'Resource', 'Solution')?.targets) || 0, 'Solution'),
+    };
+}
+
+/**
+ * Similarity of two names from 0 to 1: the Dice coefficient of their word sets,
+ * ignoring case, punctuation, plurals and filler words.
+ */
+export function nameSimilarity(a, b) {
+    const left = nameTokens(a);
+    const right = nameTokens(b);
+    if (left.size === 0 || right.size === 0) return 0;
+    let shared = 0;
+    for (const token of left) {
+        if (right.has(token)) shared++;
+    }
+    return round((2 * shared) / (left.size + right.size));
+}
+
+// Pairs of same-label themes at or above the threshold, each theme used once, best matches first
+function matchThemes(left, right, threshold) {
+    const candidates = [];
+    for (const a of left) {
+        for (const b of right) {
+            if (a.label !== b.label) continue;
+            const score = nameSimilarity(a.name, b.name);
+            if (score >= threshold) candidates.push({ a, b, score });
+        }
+    }
+    candidates.sort((x, y) => y.score - x.score);
+
+    const used = new Set();
+    const matches = [];
+    for (const { a, b, score } of candidates) {
+        if (used.has(`a:${a.key}`) || used.has(`b:${b.key}`)) continue;
+        used.add(`a:${a.key}`);
+        used.add(`b:${b.key}`);
+        matches.push({ label: a.label, similarity: score, names: [a.name, b.name], ids: [a.key, b.key] });
+    }
+    return matches;
+}
+
+function funderOverlap(sides) {
+    const groups = new Map();
+    for (const side of sides) {
+        for (const row of side.funders) {
+            const grants = Number(row.grants) || 0;
+            if (row.label !== 'Funder' && grants === 0) continue;
+            const key = [...nameTokens(row.name)].sort().join(' ');
+            if (!key) continue;
+            const group = groups.get(key) ?? { name: row.name, datasets: {} };
+            group.datasets[side.dataset.id] = { id: row.key, grants, amount: round(Number(row.amount) || 0) };
+            groups.set(key, group);
+        }
+    }
+
+    const shared = [...groups.values()].filter((group) => Object.keys(group.datasets).length > 1);
+    return {
+        shared,
+        by_dataset: Object.fromEntries(sides.map(({ dataset }) => [dataset.id, {
+            funders: [...groups.values()].filter((group) => group.datasets[dataset.id]).length,
+            shared: shared.filter((group) => group.datasets[dataset.id]).length,
+        }])),
+    };
+}
+
+function comparisonTable(ids, layers, metrics) {
+    const metricNames = Object.keys(metrics[ids[0]] ?? {});
+    const cell = (value) => (value === null || value === undefined ? '–' : String(value));
+    return [
+        `| | ${ids.map(escapeCell).join(' | ')} |`,
+        `|---|${ids.map(() => '---:').join('|')}|`,
+        ...layers.map((layer) => `| ${layer.label} | ${ids.map((id) => layer.counts[id]).join(' | ')} |`),
+        ...metricNames.map((metric) => `| *${metric.replace(/_/g, ' ')}* | ${ids.map((id) => cell(metrics[id][metric])).join(' | ')} |`),
+    ].join('\n');
+}
+
+function nameTokens(name) {
+    return new Set(String(name ?? '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word && !STOPWORDS.has(word))
+        .map(singular));
+}
+
+function singular(word) {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+function compareLabels(a, b) {
+    const rank = (label) => (LAYER_ORDER.includes(label) ? LAYER_ORDER.indexOf(label) : LAYER_ORDER.length);
+    return rank(a) - rank(b) || a.localeCompare(b);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function escapeCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|');
+}
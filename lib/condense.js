@@ -0,0 +1,295 @@
+/**
+ * Condensed views for large tool responses
+ *
+ * Schemas, dataset lists and query results can be rendered at three levels:
+ * - full:    the API response unchanged
+ * - summary: schema properties capped per label, datasets without suggested
+ *            queries and long text, query results as sampled rows plus column stats
+ * - minimal: labels and relationship types only, dataset ids and names only,
+ *            column stats without rows
+ *
+ * With a max_tokens budget the most detailed level that fits is chosen.
+ * Every condensed view carries a `condensed` block that says what was left
+ * out and how to get it back. Views may also carry the data behind their text,
+ * which tools return as structuredContent.
+ */
+
+import { flattenRows } from './format.js';
+
+export const DETAIL_LEVELS = ['full', 'summary', 'minimal'];
+
+// Properties kept per label or relationship type in the summary schema
+const SUMMARY_PROPERTIES = 8;
+// Longest string kept in summary dataset entries
+const SUMMARY_TEXT = 200;
+// Row samples tried, largest first, for condensed query results
+const ROW_SAMPLES = [20, 5];
+
+// Rough token count: ~4 characters per token for JSON and English text
+export function estimateTokens(text) {
+    return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Choose a view for detail/max_tokens.
+ *
+ * @param {Array<{ detail: string, render: () => string, data?: () => object }>} views - Most detailed first
+ * @param {object} options
+ * @param {string} [options.detail] - Requested level; views more detailed than it are skipped
+ * @param {number} [options.maxTokens] - Budget; the first view that fits wins
+ * @returns {{ text: string, detail: string, data?: object, tokens: number, overBudget: boolean }}
+ */
+export function pickView(views, { detail = 'full', maxTokens } = {}) {
+    const allowed = views.filter((view) => DETAIL_LEVELS.indexOf(view.detail) >= DETAIL_LEVELS.indexOf(detail));
+    const candidates = allowed.length > 0 ? allowed : views.slice(-1);
+
+    let chosen;
+    let chosenView;
+    for (const view of candidates) {
+        chosenView = view;
+        chosen = { text: view.render(), detail: view.detail };
+        if (!maxTokens || estimateTokens(chosen.text) <= maxTokens) break;
+    }
+    const tokens = estimateTokens(chosen.text);
+    return {
+        ...chosen,
+        ...(chosenView.data && { data: chosenView.data() }),
+        tokens,
+        overBudget: Boolean(maxTokens) && tokens > maxTokens,
+    };
+}
+
+/**
+ * A view rendered as pretty-printed JSON, with the object itself as its data.
+ *
+ * @param {string} detail
+ * @param {() => object} build - Called at most once
+ */
+export function jsonView(detail, build) {
+    let value;
+    const data = () => (value ??= build());
+    return { detail, data, render: () => JSON.stringify(data(), null, 2) };
+}
+
+export function assertDetailOptions(detail, maxTokens) {
+    if (detail !== undefined && !DETAIL_LEVELS.includes(detail)) {
+        throw new Error(`detail must be one of: ${DETAIL_LEVELS.join(', ')}`);
+    }
+    if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+        throw new Error('max_tokens must be a positive integer');
+    }
+}
+
+// Schema payloads differ between localities; accept the common spellings
+export const NODE_KEYS = ['nodes', 'node_labels', 'labels', 'node_types'];
+const RELATIONSHIP_KEYS = ['relationships', 'relationship_types', 'rels'];
+const KEPT_KEYS = ['dataset_filtering', 'security', 'constraints'];
+
+/**
+ * Condense a locality schema.
+ *
+ * @param {object} schema - Payload of /api/{locality}/schema
+ * @param {'summary'|'minimal'} detail
+ * @param {string} locality - Used in the retrieval hint
+ */
+export function condenseSchema(schema, detail, locality) {
+    const retrieve = `Call get_locality_schema with locality '${locality}' and detail 'full', or read datagraph://schema/${locality}`;
+
+    if (detail === 'summary') {
+        const omitted = { entries: 0, properties: 0 };
+        const capped = capProperties(schema, omitted);
+        return {
+            condensed: {
+                detail,
+                omitted: omitted.properties > 0
+                    ? [`${omitted.properties} properties beyond the first ${SUMMARY_PROPERTIES} on ${omitted.entries} labels or relationship types`]
+                    : [],
+                retrieve,
+            },
+            ...capped,
+        };
+    }
+
+    const nodeKey = NODE_KEYS.find((key) => schema?.[key] !== undefined);
+    const relationshipKey = RELATIONSHIP_KEYS.find((key) => schema?.[key] !== undefined);
+    const kept = KEPT_KEYS.filter((key) => schema?.[key] !== undefined);
+    const dropped = Object.keys(schema || {}).filter((key) => key !== nodeKey && key !== relationshipKey && !kept.includes(key));
+
+    return {
+        condensed: {
+            detail,
+            omitted: ['properties of every label and relationship type', ...dropped],
+            retrieve,
+        },
+        node_labels: nodeKey ? names(schema[nodeKey], ['label', 'name', 'labels'], ['count', 'node_count']) : [],
+        relationship_types: relationshipKey ? names(schema[relationshipKey], ['type', 'name', 'relationship'], ['count'], true) : [],
+        ...Object.fromEntries(kept.map((key) => [key, schema[key]])),
+    };
+}
+
+function capProperties(value, omitted, key) {
+    if (Array.isArray(value)) {
+        return value.map((item) => capProperties(item, omitted));
+    }
+    if (!value || typeof value !== 'object' || KEPT_KEYS.includes(key)) {
+        return value;
+    }
+
+    const out = {};
+    for (const [childKey, child] of Object.entries(value)) {
+        if (childKey === 'properties' && Array.isArray(child) && child.length > SUMMARY_PROPERTIES) {
+            out[childKey] = child.slice(0, SUMMARY_PROPERTIES);
+            out.properties_omitted = child.length - SUMMARY_PROPERTIES;
+        } else if (childKey === 'properties' && isPlainObject(child) && Object.keys(child).length > SUMMARY_PROPERTIES) {
+            out[childKey] = Object.fromEntries(Object.entries(child).slice(0, SUMMARY_PROPERTIES));
+            out.properties_omitted = Object.keys(child).length - SUMMARY_PROPERTIES;
+        } else {
+            out[childKey] = capProperties(child, omitted, childKey);
+            continue;
+        }
+        omitted.entries++;
+        omitted.properties += out.properties_omitted;
+    }
+    return out;
+}
+
+// Label or relationship names from an array of strings, an array of objects or a name-keyed map
+function names(entries, nameFields, countFields, withEnds = false) {
+    const describe = (name, entry) => {
+        const count = countFields.map((field) => entry?.[field]).find((value) => typeof value === 'number');
+        const from = entry?.from ?? entry?.start ?? entry?.source;
+        const to = entry?.to ?? entry?.end ?? entry?.target;
+        if (count === undefined && !(withEnds && (from || to))) return name;
+        return {
+            name,
+            ...(count !== undefined && { count }),
+            ...(withEnds && from && { from }),
+            ...(withEnds && to && { to }),
+        };
+    };
+
+    if (Array.isArray(entries)) {
+        return entries.map((entry) => {
+            if (typeof entry === 'string') return entry;
+            const name = nameFields.map((field) => entry?.[field]).find((value) => value !== undefined);
+            return describe(Array.isArray(name) ? name.join(':') : name, entry);
+        });
+    }
+    if (isPlainObject(entries)) {
+        return Object.entries(entries).map(([name, entry]) => describe(name, entry));
+    }
+    return [];
+}
+
+/**
+ * Condense dataset entries from /datasets.
+ *
+ * @param {object[]} datasets
+ * @param {'summary'|'minimal'} detail
+ */
+export function condenseDatasets(datasets, detail) {
+    const retrieve = "Call list_datasets with detail 'full', or read datagraph://datasets/{id} for one dataset";
+
+    if (detail === 'summary') {
+        const droppedFields = new Set();
+        const entries = datasets.map((entry) => {
+            const out = {};
+            for (const [key, value] of Object.entries(entry)) {
+                if (typeof value === 'string' && value.length > SUMMARY_TEXT) {
+                    out[key] = `${value.slice(0, SUMMARY_TEXT)}...`;
+                    droppedFields.add(`${key} (truncated)`);
+                } else if (Array.isArray(value) || (isPlainObject(value) && !/count/i.test(key))) {
+                    droppedFields.add(key);
+                } else {
+                    out[key] = value;
+                }
+            }
+            return out;
+        });
+        return { condensed: { detail, omitted: [...droppedFields], retrieve }, datasets: entries };
+    }
+
+    return {
+        condensed: { detail, omitted: ['every field except id, locality and name'], retrieve },
+        datasets: datasets.map(({ id, locality, name }) => ({ id, locality, name })),
+    };
+}
+
+/**
+ * Per-column statistics over result rows: non-null count, distinct values,
+ * numeric range and the most common values.
+ *
+ * @param {object[]} rows
+ */
+export function columnStats(rows) {
+    const { columns, rows: flat } = flattenRows(rows);
+    return Object.fromEntries(columns.map((column) => {
+        const values = flat.map((row) => row[column]).filter((value) => value !== undefined && value !== null && value !== '');
+        const counts = new Map();
+        values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+        const numbers = values.filter((value) => typeof value === 'number');
+        const types = [...new Set(values.map((value) => typeof value))];
+
+        return [column, {
+            type: types.length === 1 ? types[0] : types.length === 0 ? 'empty' : 'mixed',
+            non_null: values.length,
+            distinct: counts.size,
+            ...(numbers.length > 0 && {
+                min: Math.min(...numbers),
+                max: Math.max(...numbers),
+                mean: Math.round((numbers.reduce((sum, n) => sum + n, 0) / numbers.length) * 100) / 100,
+            }),
+            ...(types.includes('string') && {
+                top: [...counts.entries()]
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, 3)
+                    .map(([value, count]) => ({ value: truncateValue(value), count })),
+            }),
+        }];
+    }));
+}
+
+/**
+ * Views of one page of query rows, most detailed first, for pickView().
+ *
+ * @param {object[]} rows
+ * @param {(rows: object[]) => string} renderRows - Renders rows in the requested output_format
+ * @param {string} retrieve - How to get the full rows back
+ */
+export function queryViews(rows, renderRows, retrieve) {
+    let stats;
+    const statsOf = () => (stats ??= columnStats(rows));
+
+    const summaryOf = (sample, detail) => ({
+        condensed: {
+            detail,
+            rows: rows.length,
+            rows_shown: sample,
+            omitted: sample < rows.length ? [`${rows.length - sample} of ${rows.length} rows`] : [],
+            retrieve,
+        },
+        column_stats: statsOf(),
+    });
+    const condensed = (sample, detail) => ({
+        detail,
+        render: () => (sample > 0
+            ? `${renderRows(rows.slice(0, sample))}\n\n${JSON.stringify(summaryOf(sample, detail), null, 2)}`
+            : JSON.stringify(summaryOf(sample, detail), null, 2)),
+        data: () => ({ results: rows.slice(0, sample), ...summaryOf(sample, detail) }),
+    });
+
+    const samples = [...new Set(ROW_SAMPLES.map((sample) => Math.min(sample, rows.length)))];
+    return [
+        { detail: 'full', render: () => renderRows(rows), data: () => ({ results: rows }) },
+        ...samples.map((sample) => condensed(sample, 'summary')),
+        condensed(0, 'minimal'),
+    ];
+}
+
+function truncateValue(value) {
+    return typeof value === 'string' && value.length > 80 ? `${value.slice(0, 77)}...` : value;
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,313 @@
+/**
+ * Server configuration: named API profiles
+ *
+ * Without a config file there is a single profile, 'default', built from
+ * DATAGRAPH_API_KEY and DATAGRAPH_API_URL. A config file (JSON or YAML, from
+ * --config, DATAGRAPH_CONFIG or datagraph.config.{json,yaml,yml} in the working
+ * directory) defines named profiles, each with its own endpoint and key, and
+ * optional per-locality overrides for partner keys scoped to one locality:
+ *
+ *   default_profile: production
+ *   profiles:
+ *     production:
+ *       api_key: ${DATAGRAPH_API_KEY}
+ *       localities:
+ *         kc:
+ *           api_key: ${KC_PARTNER_KEY}
+ *     staging:
+ *       api_url: https://staging-api.datagraph.city
+ *       api_key: ${DATAGRAPH_STAGING_KEY}
+ *       timeout_ms: 60000
+ *
+ * ${NAME} in any string is read from the environment; an unset variable is a
+ * configuration error. Every problem in the file is reported at once.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { extname, resolve } from 'path';
+import { parse as parseYaml } from 'yaml';
+
+export const DEFAULT_API_URL = 'https://api.datagraph.city';
+export const CONFIG_FILENAMES = ['datagraph.config.json', 'datagraph.config.yaml', 'datagraph.config.yml'];
+
+const ROOT_KEYS = ['default_profile', 'profiles'];
+const PROFILE_KEYS = ['api_url', 'api_key', 'timeout_ms', 'max_retries', 'localities'];
+const LOCALITY_KEYS = ['api_url', 'api_key'];
+
+export class ConfigError extends Error {
+    /**
+     * @param {string} source - Config file path, or 'environment'
+     * @param {string[]} issues - One line per problem, prefixed with the setting's path
+     */
+    constructor(source, issues) {
+        super(`Invalid configuration in ${source}:\n${issues.map((issue) => `  - ${issue}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.source = source;
+        this.issues = issues;
+    }
+}
+
+/**
+ * Load the configuration: the config file if there is one, otherwise the environment.
+ *
+ * @param {object} [options]
+ * @param {string} [options.path] - Config file from --config; overrides DATAGRAPH_CONFIG
+ * @param {object} [options.env] - Environment (default process.env)
+ * @param {string} [options.cwd] - Directory searched for datagraph.config.* (default process.cwd())
+ * @param {number} [options.timeoutMs] - Default timeout for profiles that set none
+ * @param {number} [options.maxRetries] - Default retries for profiles that set none
+ * @returns {{ source: string, defaultProfile: string, profiles: object }}
+ */
+export function loadConfig({ path, env = process.env, cwd = process.cwd(), timeoutMs, maxRetries } = {}) {
+    const file = findConfigFile({ path, env, cwd });
+    if (!file) {
+        return configFromEnv(env, { timeoutMs, maxRetries });
+    }
+    return validateConfig(readConfigFile(file), { source: file, env, timeoutMs, maxRetries });
+}
+
+/**
+ * Path of the config file to use, or null. An explicit path that does not exist is an error.
+ */
+export function findConfigFile({ path, env = process.env, cwd = process.cwd() } = {}) {
+    const explicit = path || env.DATAGRAPH_CONFIG;
+    if (explicit) {
+        const file = resolve(cwd, explicit);
+        if (!existsSync(file)) {
+            throw new ConfigError(file, ['file not found']);
+        }
+        return file;
+    }
+    return CONFIG_FILENAMES.map((name) => resolve(cwd, name)).find((file) => existsSync(file)) ?? null;
+}
+
+/**
+ * Read a JSON or YAML config file; the format follows the extension.
+ */
+export function readConfigFile(file) {
+    const text = readFileSync(file, 'utf-8');
+    try {
+        return extname(file).toLowerCase() === '.json' ? JSON.parse(text) : parseYaml(text);
+    } catch (error) {
+        throw new ConfigError(file, [`cannot be parsed: ${error.message.split('\n')[0]}`]);
+    }
+}
+
+/**
+ * The single 'default' profile from DATAGRAPH_API_KEY and DATAGRAPH_API_URL.
+ */
+export function configFromEnv(env = process.env, { timeoutMs, maxRetries } = {}) {
+    const issues = [];
+    if (!env.DATAGRAPH_API_KEY) {
+        issues.push('DATAGRAPH_API_KEY is not set. Set it, or create a config file (datagraph.config.yaml or --config <file>) with API profiles.');
+    } else {
+        checkKey(env.DATAGRAPH_API_KEY, 'DATAGRAPH_API_KEY', issues);
+    }
+    const apiUrl = env.DATAGRAPH_API_URL || DEFAULT_API_URL;
+    checkUrl(apiUrl, 'DATAGRAPH_API_URL', issues);
+    if (issues.length > 0) {
+        throw new ConfigError('environment', issues);
+    }
+    return {
+        source: 'environment',
+        defaultProfile: 'default',
+        profiles: {
+            default: { name: 'default', apiUrl, apiKey: env.DATAGRAPH_API_KEY, timeoutMs, maxRetries, localities: {} },
+        },
+    };
+}
+
+/**
+ * Validate a parsed config file and resolve ${NAME} references.
+ *
+ * @param {*} raw - Parsed JSON or YAML
+ * @param {object} options
+ * @param {string} options.source - File path, used in error messages
+ * @param {object} [options.env]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.maxRetries]
+ * @throws {ConfigError} listing every problem found
+ */
+export function validateConfig(raw, { source, env = process.env, timeoutMs, maxRetries }) {
+    const issues = [];
+    if (!isObject(raw)) {
+        throw new ConfigError(source, ['the file must contain an object with a profiles section']);
+    }
+    const root = interpolate(raw, env, '', issues);
+    unknownKeys(root, ROOT_KEYS, '', issues);
+
+    const profiles = {};
+    if (!isObject(root.profiles) || Object.keys(root.profiles).length === 0) {
+        issues.push('profiles: must define at least one profile');
+    } else {
+        for (const [name, entry] of Object.entries(root.profiles)) {
+            const profile = validateProfile(name, entry, issues, { timeoutMs, maxRetries });
+            if (profile) profiles[name] = profile;
+        }
+    }
+
+    const names = Object.keys(root.profiles && isObject(root.profiles) ? root.profiles : {});
+    let defaultProfile = root.default_profile;
+    if (defaultProfile === undefined) {
+        defaultProfile = names.includes('default') ? 'default' : names[0];
+    } else if (!names.includes(defaultProfile)) {
+        issues.push(`default_profile: '${defaultProfile}' is not a profile (profiles: ${names.join(', ') || 'none'})`);
+    }
+
+    if (issues.length > 0) {
+        throw new ConfigError(source, issues);
+    }
+    return { source, defaultProfile, profiles };
+}
+
+function validateProfile(name, entry, issues, defaults) {
+    const path = `profiles.${name}`;
+    if (!/^[\w.-]+$/.test(name)) {
+        issues.push(`${path}: profile names may contain only letters, digits, '_', '.' and '-'`);
+    }
+    if (!isObject(entry)) {
+        issues.push(`${path}: must be an object with api_url and api_key`);
+        return null;
+    }
+    unknownKeys(entry, PROFILE_KEYS, path, issues);
+
+    const apiUrl = entry.api_url ?? DEFAULT_API_URL;
+    checkUrl(apiUrl, `${path}.api_url`, issues);
+    checkKey(entry.api_key, `${path}.api_key`, issues);
+    if (entry.timeout_ms !== undefined && !(Number.isInteger(entry.timeout_ms) && entry.timeout_ms > 0)) {
+        issues.push(`${path}.timeout_ms: must be a positive integer (milliseconds)`);
+    }
+    if (entry.max_retries !== undefined && !(Number.isInteger(entry.max_retries) && entry.max_retries >= 0)) {
+        issues.push(`${path}.max_retries: must be an integer of 0 or more`);
+    }
+
+    const localities = {};
+    if (entry.localities !== undefined && !isObject(entry.localities)) {
+        issues.push(`${path}.localities: must map locality codes to { api_url, api_key } overrides`);
+    } else {
+        for (const [locality, override] of Object.entries(entry.localities || {})) {
+            const overridePath = `${path}.localities.${locality}`;
+            if (!isObject(override) || (override.api_url === undefined && override.api_key === undefined)) {
+                issues.push(`${overridePath}: must set api_url, api_key or both`);
+                continue;
+            }
+            unknownKeys(override, LOCALITY_KEYS, overridePath, issues);
+            if (override.api_url !== undefined) checkUrl(override.api_url, `${overridePath}.api_url`, issues);
+            checkKey(override.api_key, `${overridePath}.api_key`, issues);
+            localities[locality] = { apiUrl: override.api_url ?? apiUrl, apiKey: override.api_key ?? entry.api_key };
+        }
+    }
+
+    // A partner profile may carry only locality keys; anything else needs a profile key
+    if (entry.api_key === undefined && !Object.values(localities).some((override) => override.apiKey)) {
+        issues.push(`${path}: needs an api_key, or api_key overrides under localities`);
+    }
+
+    return {
+        name,
+        apiUrl,
+        apiKey: entry.api_key,
+        timeoutMs: entry.timeout_ms ?? defaults.timeoutMs,
+        maxRetries: entry.max_retries ?? defaults.maxRetries,
+        localities,
+    };
+}
+
+/**
+ * One-line description of each profile for get_server_info and --check-config; never includes keys.
+ */
+export function describeProfiles(config) {
+    return Object.values(config.profiles).map((profile) => ({
+        name: profile.name,
+        default: profile.name === config.defaultProfile,
+        api_url: profile.apiUrl,
+        has_api_key: Boolean(profile.apiKey),
+        localities: Object.fromEntries(Object.entries(profile.localities).map(([locality, override]) => [locality, {
+            api_url: override.apiUrl,
+            own_key: override.apiKey !== profile.apiKey,
+        }])),
+    }));
+}
+
+/**
+ * Check connectivity for every profile: GET /usage with the profile key, and
+ * GET /api/{locality}/schema for each locality override.
+ *
+ * @param {object} config - From loadConfig()
+ * @param {Function} createClient - createProfileClient from api-client.js
+ * @returns {Promise<object[]>} One { profile, target, ok, detail } entry per check
+ */
+export async function checkConfig(config, createClient) {
+    const results = [];
+    for (const profile of Object.values(config.profiles)) {
+        const api = createClient({ ...profile, maxRetries: 0 });
+        const checks = [
+            ...(profile.apiKey ? [{ target: `${profile.apiUrl} /usage`, path: '/usage' }] : []),
+            ...Object.entries(profile.localities).map(([locality, override]) => ({
+                target: `${override.apiUrl} /api/${locality}/schema`,
+                path: `/api/${encodeURIComponent(locality)}/schema`,
+            })),
+        ];
+        for (const check of checks) {
+            try {
+                await api.get(check.path);
+                results.push({ profile: profile.name, target: check.target, ok: true });
+            } catch (error) {
+                results.push({ profile: profile.name, target: check.target, ok: false, detail: error.message });
+            }
+        }
+    }
+    return results;
+}
+
+// Replace ${NAME} in every string; unset variables are reported with the setting's path and left in place
+function interpolate(value, env, path, issues) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+            if (env[name] === undefined || env[name] === '') {
+                issues.push(`${path}: environment variable ${name} is not set`);
+                return match;
+            }
+            return env[name];
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, i) => interpolate(item, env, `${path}[${i}]`, issues));
+    }
+    if (isObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, env, path ? `${path}.${key}` : key, issues)]));
+    }
+    return value;
+}
+
+function unknownKeys(object, allowed, path, issues) {
+    for (const key of Object.keys(object)) {
+        if (!allowed.includes(key)) {
+            issues.push(`${path ? `${path}.` : ''}${key}: unknown setting (expected ${allowed.join(', ')})`);
+        }
+    }
+}
+
+function checkUrl(value, path, issues) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        issues.push(`${path}: must be an http(s) URL`);
+        return;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        issues.push(`${path}: must be an http(s) URL`);
+    }
+}
+
+// A key is sent as a bearer token, so a stray space or line break (often pasted in) would break every request
+function checkKey(value, path, issues) {
+    if (value !== undefined && (typeof value !== 'string' || !value || /\s/.test(value))) {
+        issues.push(`${path}: must be a non-empty string without spaces or line breaks`);
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
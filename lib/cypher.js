@@ -0,0 +1,751 @@
+/**
+ * Client-side Cypher safety checks
+ *
+ * All datasets share one Neo4j instance behind /api/{locality}/query, so the
+ * server checks model-generated Cypher before forwarding it:
+ * - Write clauses (CREATE, MERGE, SET, DELETE, REMOVE, DROP, FOREACH, LOAD CSV)
+ *   are rejected, and CALL may only name a known read-only procedure.
+ * - Every RETURN gets a LIMIT: missing limits are injected, oversized ones clamped.
+ * - Every bound node variable in a MATCH pattern must carry a dataset filter,
+ *   either inline ({dataset: ...}) or as a top-level AND condition of the MATCH's
+ *   WHERE (n.dataset = ... / n.dataset IN ...); comparisons under OR or NOT do not count.
+ * - Node patterns outside MATCH (pattern comprehensions, WHERE pattern predicates)
+ *   follow the same rule; their anonymous nodes need an inline dataset filter.
+ *
+ * Violations are reported with the offending clause and position so the model
+ * can fix the query without a round trip to the API.
+ */
+
+export const MAX_CYPHER_LIMIT = 1000;
+
+// Parameter name used by injectDatasetFilter for the dataset id
+export const DATASET_PARAM = '__dataset';
+
+// Parameter names used by paginateCypher for the page window
+export const SKIP_PARAM = '__skip';
+export const LIMIT_PARAM = '__limit';
+
+const WRITE_CLAUSES = new Set(['CREATE', 'MERGE', 'SET', 'DELETE', 'DETACH', 'REMOVE', 'DROP', 'FOREACH']);
+
+// Procedures CALL may name; anything else could write to the graph, the schema
+// or the filesystem, or run Cypher the checks here never see
+const READ_PROCEDURES = [
+    /^db\.index\.fulltext\.query(Nodes|Relationships)$/i,
+    /^db\.(labels|relationshipTypes|propertyKeys|indexes|constraints)$/i,
+    /^db\.schema\.(visualization|nodeTypeProperties|relTypeProperties)$/i,
+    /^apoc\.meta\.(data|schema|stats|graph|nodeTypeProperties|relTypeProperties)$/i,
+    /^apoc\.path\.(expand|expandConfig|subgraphNodes|subgraphAll|spanningTree)$/i,
+    /^apoc\.algo\.(dijkstra|aStar|allSimplePaths)$/i,
+    /^gds\.[A-Za-z.]+\.stream$/i,
+];
+
+// Clause keywords that end a MATCH pattern
+const PATTERN_TERMINATORS = new Set([
+    'WHERE', 'RETURN', 'WITH', 'UNWIND', 'CALL', 'ORDER', 'SKIP', 'LIMIT', 'UNION',
+    'MATCH', 'OPTIONAL', 'USING', 'CREATE', 'MERGE', 'SET', 'DELETE', 'DETACH',
+    'REMOVE', 'FOREACH', 'LOAD', 'YIELD',
+]);
+
+// Words a node pattern can follow; after any other word ( opens a function call
+const PATTERN_PRECEDERS = new Set([
+    'MATCH', 'WHERE', 'AND', 'OR', 'XOR', 'NOT', 'RETURN', 'WITH', 'DISTINCT',
+    'CASE', 'WHEN', 'THEN', 'ELSE', 'IN',
+]);
+
+const OPEN_BRACKETS = new Set(['(', '[', '{']);
+const CLOSE_BRACKETS = new Set([')', ']', '}']);
+
+export class CypherValidationError extends Error {
+    constructor(violations, cypher) {
+        const summary = violations.map((v) => v.message).join('; ');
+        super(`Cypher rejected (${violations.length} violation${violations.length === 1 ? '' : 's'}): ${summary}`);
+        this.name = 'CypherValidationError';
+        this.violations = violations;
+        this.cypher = cypher;
+    }
+
+    toJSON() {
+        return {
+            error: 'cypher_validation_failed',
+            message: this.message,
+            violations: this.violations,
+            hint: "Queries must be read-only, end with LIMIT <= 1000 and filter every node variable by dataset, e.g. WHERE n.dataset = '<dataset_id>'. Fix the listed clauses and resubmit.",
+        };
+    }
+}
+
+/**
+ * Split a Cypher string into tokens. Comments are dropped; every token keeps
+ * its source offsets and bracket depth so callers can rewrite the original text.
+ */
+export function tokenize(cypher) {
+    const tokens = [];
+    let depth = 0;
+    let i = 0;
+
+    const push = (type, value, start, extra = {}) => {
+        tokens.push({ type, value, start, end: i, depth, ...extra });
+    };
+
+    while (i < cypher.length) {
+        const ch = cypher[i];
+        const start = i;
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '/' && cypher[i + 1] === '/') {
+            while (i < cypher.length && cypher[i] !== '\n') i++;
+        } else if (ch === '/' && cypher[i + 1] === '*') {
+            const close = cypher.indexOf('*/', i + 2);
+            if (close === -1) {
+                throw new CypherValidationError([violation('UNTERMINATED_COMMENT', 'comment', 'Unterminated /* comment', cypher, start)], cypher);
+            }
+            i = close + 2;
+        } else if (ch === '\'' || ch === '"') {
+            i++;
+            while (i < cypher.length && cypher[i] !== ch) {
+                i += cypher[i] === '\\' ? 2 : 1;
+            }
+            if (i >= cypher.length) {
+                throw new CypherValidationError([violation('UNTERMINATED_STRING', 'string literal', 'Unterminated string literal', cypher, start)], cypher);
+            }
+            i++;
+            push('string', cypher.slice(start + 1, i - 1), start);
+        } else if (ch === '`') {
+            i++;
+            while (i < cypher.length && !(cypher[i] === '`' && cypher[i + 1] !== '`')) {
+                i += cypher[i] === '`' ? 2 : 1;
+            }
+            if (i >= cypher.length) {
+                throw new CypherValidationError([violation('UNTERMINATED_IDENTIFIER', 'identifier', 'Unterminated `quoted` identifier', cypher, start)], cypher);
+            }
+            i++;
+            const value = cypher.slice(start + 1, i - 1).replace(/``/g, '`');
+            push('word', value, start, { upper: value.toUpperCase(), quoted: true });
+        } else if (ch === '$') {
+            i++;
+            const match = /^(?:[A-Za-z_][A-Za-z0-9_]*|\d+|`[^`]+`)/.exec(cypher.slice(i));
+            if (match) i += match[0].length;
+            push('param', match ? match[0].replace(/`/g, '') : '', start);
+        } else if (/[0-9]/.test(ch)) {
+            const match = /^(?:0x[0-9a-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(cypher.slice(i));
+            i += match[0].length;
+            push('number', match[0], start);
+        } else if (/[A-Za-z_]/.test(ch)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(cypher.slice(i));
+            i += match[0].length;
+            push('word', match[0], start, { upper: match[0].toUpperCase(), quoted: false });
+        } else if (OPEN_BRACKETS.has(ch)) {
+            i++;
+            push('punct', ch, start);
+            depth++;
+        } else if (CLOSE_BRACKETS.has(ch)) {
+            depth = Math.max(0, depth - 1);
+            i++;
+            push('punct', ch, start);
+        } else {
+            i++;
+            push('punct', ch, start);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Validate a Cypher query and return it with LIMIT clauses injected or clamped.
+ *
+ * @param {string} cypher
+ * @param {object} [options]
+ * @param {object} [options.params] - Cypher parameters, used to resolve LIMIT $param
+ * @param {number} [options.maxLimit] - Largest LIMIT allowed (default 1000)
+ * @param {number} [options.defaultLimit] - LIMIT injected when a RETURN has none
+ * @param {boolean} [options.requireDatasetFilter] - Check node variables for dataset filters (default true)
+ * @returns {{ valid: boolean, cypher: string, violations: object[], notices: string[] }}
+ */
+export function validateCypher(cypher, options = {}) {
+    const {
+        params = {},
+        maxLimit = MAX_CYPHER_LIMIT,
+        defaultLimit = maxLimit,
+        requireDatasetFilter = true,
+    } = options;
+
+    if (typeof cypher !== 'string' || !cypher.trim()) {
+        return {
+            valid: false,
+            cypher,
+            violations: [{ code: 'EMPTY_QUERY', clause: null, message: 'cypher_query is empty' }],
+            notices: [],
+        };
+    }
+
+    let tokens;
+    try {
+        tokens = tokenize(cypher);
+    } catch (error) {
+        if (error instanceof CypherValidationError) {
+            return { valid: false, cypher, violations: error.violations, notices: [] };
+        }
+        throw error;
+    }
+
+    const violations = [];
+    const notices = [];
+
+    // A single trailing semicolon is fine; anything after it is a second statement
+    const semicolon = tokens.findIndex((t) => t.type === 'punct' && t.value === ';');
+    if (semicolon !== -1) {
+        if (semicolon < tokens.length - 1) {
+            violations.push(violation('MULTIPLE_STATEMENTS', ';', 'Only one statement may be submitted per query', cypher, tokens[semicolon].start));
+        }
+        tokens = tokens.slice(0, semicolon);
+    }
+
+    violations.push(...findWriteOperations(tokens, cypher));
+    if (requireDatasetFilter) {
+        violations.push(...findUnfilteredNodes(tokens, cypher));
+    }
+
+    const edits = [];
+    violations.push(...planLimits(tokens, cypher, { params, maxLimit, defaultLimit, edits, notices }));
+
+    return {
+        valid: violations.length === 0,
+        cypher: applyEdits(cypher, edits),
+        violations,
+        notices,
+    };
+}
+
+/**
+ * Validate and throw a CypherValidationError if the query is not allowed.
+ */
+export function assertSafeCypher(cypher, options = {}) {
+    const result = validateCypher(cypher, options);
+    if (!result.valid) {
+        throw new CypherValidationError(result.violations, cypher);
+    }
+    return result;
+}
+
+function isKeyword(tokens, i, keyword) {
+    const token = tokens[i];
+    if (!token || token.type !== 'word' || token.quoted || token.upper !== keyword) {
+        return false;
+    }
+    // n.set, (n:Create) and {delete: 1} are identifiers, not clauses
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (prev && prev.type === 'punct' && (prev.value === '.' || prev.value === ':')) return false;
+    if (next && next.type === 'punct' && next.value === ':') return false;
+    return true;
+}
+
+function findWriteOperations(tokens, cypher) {
+    const violations = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type !== 'word') continue;
+
+        if (WRITE_CLAUSES.has(token.upper) && isKeyword(tokens, i, token.upper)) {
+            // DETACH DELETE is one clause
+            if (token.upper === 'DELETE' && isKeyword(tokens, i - 1, 'DETACH')) continue;
+            const clause = token.upper === 'DETACH' ? 'DETACH DELETE' : token.upper;
+            violations.push(violation('WRITE_CLAUSE', clause, `${clause} is not allowed: queries must be read-only`, cypher, token.start));
+        } else if (isKeyword(tokens, i, 'LOAD') && isKeyword(tokens, i + 1, 'CSV')) {
+            violations.push(violation('WRITE_CLAUSE', 'LOAD CSV', 'LOAD CSV is not allowed: queries may only read the graph', cypher, token.start));
+        } else if (isKeyword(tokens, i, 'CALL')) {
+            const name = readProcedureName(tokens, i + 1);
+            if (name && !READ_PROCEDURES.some((pattern) => pattern.test(name))) {
+                violations.push(violation('PROCEDURE_NOT_ALLOWED', `CALL ${name}`, `CALL ${name} is not allowed: only read-only procedures such as db.index.fulltext.queryNodes may be called`, cypher, token.start));
+            }
+        }
+    }
+
+    return violations;
+}
+
+function readProcedureName(tokens, i) {
+    const parts = [];
+    while (tokens[i] && tokens[i].type === 'word') {
+        parts.push(tokens[i].value);
+        if (tokens[i + 1] && tokens[i + 1].value === '.' && tokens[i + 2] && tokens[i + 2].type === 'word') {
+            i += 2;
+        } else {
+            break;
+        }
+    }
+    return parts.join('.');
+}
+
+/**
+ * Rewrite a Cypher query so every node pattern carries an inline dataset
+ * predicate, e.g. (n:Goal) -> (n:Goal {dataset: $__dataset}): those of MATCH
+ * clauses, pattern comprehensions and WHERE pattern predicates.
+ * The caller supplies the dataset id as the named parameter.
+ *
+ * A dataset the query already names, inline or in a WHERE comparison, must
+ * include the same dataset: a string literal equal to it, or a parameter set to it.
+ *
+ * @param {string} cypher
+ * @param {object} [options]
+ * @param {string} [options.dataset] - Dataset id the query is restricted to
+ * @param {object} [options.params] - Cypher parameters, used to resolve {dataset: $param}
+ * @param {string} [options.paramName] - Parameter the predicate refers to (default __dataset)
+ * @returns {{ cypher: string, notices: string[] }}
+ * @throws {CypherValidationError} DATASET_CONFLICT when an inline or WHERE dataset differs from dataset
+ */
+export function injectDatasetFilter(cypher, { dataset, params = {}, paramName = DATASET_PARAM } = {}) {
+    const tokens = tokenize(cypher);
+    const edits = [];
+    const notices = [];
+    const violations = [];
+    const predicate = `dataset: $${paramName}`;
+
+    for (const node of nodePatterns(tokens, cypher)) {
+        const name = node.variable || (node.label ? `:${node.label}` : 'anonymous node');
+        if (node.filtered) {
+            const value = inlineValue(tokens, node.datasetIndex, params);
+            if (dataset !== undefined && value !== dataset) {
+                violations.push(violation(
+                    'DATASET_CONFLICT',
+                    node.clause,
+                    `Node (${name}) filters on ${value === undefined ? 'a computed dataset' : `dataset '${value}'`} but the query is restricted to dataset '${dataset}'; remove the inline dataset`,
+                    cypher,
+                    node.start
+                ));
+            } else {
+                notices.push(`Kept existing inline dataset filter on (${name})`);
+            }
+        } else if (node.mapIndex !== -1) {
+            const at = tokens[node.mapIndex].end;
+            const empty = tokens[node.mapIndex + 1].value === '}';
+            edits.push({ start: at, end: at, text: empty ? predicate : `${predicate}, ` });
+        } else {
+            // Property maps go after labels and before an inline WHERE
+            const at = node.whereIndex !== -1 ? tokens[node.whereIndex].start : tokens[node.closeIndex].start;
+            const empty = node.closeIndex === node.openIndex + 1;
+            const text = node.whereIndex !== -1 ? `{${predicate}} ` : `${empty ? '' : ' '}{${predicate}}`;
+            edits.push({ start: at, end: at, text });
+        }
+    }
+
+    for (const comparison of datasetComparisons(tokens, cypher)) {
+        const values = comparison.values.flatMap((token) => datasetValues(token, params));
+        if (dataset === undefined || values.includes(dataset)) continue;
+        const named = values.some((value) => value === undefined) ? 'a computed dataset'
+            : values.length === 1 ? `dataset '${values[0]}'` : `datasets ${values.map((value) => `'${value}'`).join(', ')}`;
+        violations.push(violation(
+            'DATASET_CONFLICT',
+            comparison.clause,
+            `${comparison.variable}.dataset is compared with ${named} but the query is restricted to dataset '${dataset}'; remove the comparison`,
+            cypher,
+            comparison.start
+        ));
+    }
+
+    if (violations.length > 0) {
+        throw new CypherValidationError(violations, cypher);
+    }
+    return { cypher: applyEdits(cypher, edits), notices };
+}
+
+// Value of an inline {dataset: ...} entry when it is a string literal or a parameter, else undefined
+function inlineValue(tokens, datasetIndex, params) {
+    const value = tokens[datasetIndex + 2];
+    const next = tokens[datasetIndex + 3];
+    if (!value || !next || ![',', '}'].includes(next.value)) return undefined;
+    if (value.type === 'string') return value.value;
+    if (value.type === 'param' && typeof params[value.value] === 'string') return params[value.value];
+    return undefined;
+}
+
+// Dataset ids a compared string literal or parameter names; [undefined] when the parameter is not a string or string list
+function datasetValues(token, params) {
+    if (token.type === 'string') return [token.value];
+    const value = params[token.value];
+    if (typeof value === 'string') return [value];
+    if (Array.isArray(value) && value.length > 0 && value.every((item) => typeof item === 'string')) return value;
+    return [undefined];
+}
+
+/**
+ * Rewrite the final RETURN's SKIP/LIMIT as SKIP $__skip LIMIT $__limit so the
+ * result can be read page by page. The query's own SKIP and LIMIT describe the
+ * rows the pages cover; a missing LIMIT means all rows.
+ *
+ * UNION queries and queries whose SKIP/LIMIT cannot be resolved are left alone
+ * (pageable: false) so validateCypher applies its usual LIMIT rules.
+ *
+ * @returns {{ pageable: boolean, cypher: string, skip?: number, limit?: number|null, ordered?: boolean, reason?: string }}
+ */
+export function paginateCypher(cypher, { params = {} } = {}) {
+    let tokens;
+    try {
+        tokens = tokenize(cypher);
+    } catch {
+        return { pageable: false, cypher, reason: 'Query could not be parsed' };
+    }
+
+    const semicolon = tokens.findIndex((t) => t.type === 'punct' && t.value === ';');
+    if (semicolon !== -1) tokens = tokens.slice(0, semicolon);
+
+    if (tokens.some((t, i) => t.depth === 0 && isKeyword(tokens, i, 'UNION'))) {
+        return { pageable: false, cypher, reason: 'UNION queries are not paginated' };
+    }
+
+    let returnIndex = -1;
+    tokens.forEach((t, i) => {
+        if (t.depth === 0 && isKeyword(tokens, i, 'RETURN')) returnIndex = i;
+    });
+    if (returnIndex === -1) {
+        return { pageable: false, cypher, reason: 'No RETURN clause found' };
+    }
+
+    const window = { SKIP: 0, LIMIT: null };
+    const edits = [];
+    let ordered = false;
+    for (let i = returnIndex + 1; i < tokens.length; i++) {
+        if (tokens[i].depth !== 0) continue;
+        if (isKeyword(tokens, i, 'ORDER')) ordered = true;
+        const keyword = ['SKIP', 'LIMIT'].find((word) => isKeyword(tokens, i, word));
+        if (!keyword) continue;
+
+        const value = tokens[i + 1];
+        const resolved = value?.type === 'number' && /^\d+$/.test(value.value) ? Number(value.value)
+            : value?.type === 'param' && Number.isInteger(params[value.value]) ? params[value.value]
+                : undefined;
+        if (resolved === undefined) {
+            return { pageable: false, cypher, reason: `${keyword} must be an integer literal or integer parameter` };
+        }
+        window[keyword] = resolved;
+        // Remove the clause together with the whitespace before it
+        edits.push({ start: tokens[i - 1].end, end: value.end, text: '' });
+    }
+
+    const last = tokens[tokens.length - 1];
+    edits.push({ start: last.end, end: last.end, text: ` SKIP $${SKIP_PARAM} LIMIT $${LIMIT_PARAM}` });
+
+    return {
+        pageable: true,
+        cypher: applyEdits(cypher, edits),
+        skip: window.SKIP,
+        limit: window.LIMIT,
+        ordered,
+    };
+}
+
+function findUnfilteredNodes(tokens, cypher) {
+    const nodes = new Map();
+    const violations = [];
+
+    for (const node of nodePatterns(tokens, cypher)) {
+        if (!node.variable) {
+            // A MATCH reaches its anonymous nodes from filtered ones; elsewhere they start a new search
+            if (!node.inMatch && !node.filtered) {
+                const label = node.label ? `:${node.label}` : '';
+                violations.push(violation(
+                    'MISSING_DATASET_FILTER',
+                    node.clause,
+                    `Node (${label}) has no dataset filter; add it inline: (${label ? `${label} ` : ''}{dataset: '<dataset_id>'})`,
+                    cypher,
+                    node.start
+                ));
+            }
+            continue;
+        }
+        const known = nodes.get(node.variable);
+        if (known) {
+            known.filtered = known.filtered || node.filtered;
+        } else {
+            nodes.set(node.variable, { ...node });
+        }
+    }
+
+    const filtered = new Set(datasetComparisons(tokens, cypher).map((comparison) => comparison.variable));
+    for (const [variable, node] of nodes) {
+        if (node.filtered || filtered.has(variable)) continue;
+        const label = node.label ? `${variable}:${node.label}` : variable;
+        violations.push({
+            ...violation(
+                'MISSING_DATASET_FILTER',
+                node.clause,
+                `Node (${label}) has no dataset filter; add WHERE ${variable}.dataset = '<dataset_id>'`,
+                cypher,
+                node.start
+            ),
+            variable,
+        });
+    }
+    return violations;
+}
+
+// Every node pattern in the query: those of MATCH and OPTIONAL MATCH clauses at
+// any depth (inMatch), and those joined to a relationship anywhere else, as in
+// pattern comprehensions and WHERE pattern predicates
+function nodePatterns(tokens, cypher) {
+    const nodes = [];
+    const inMatch = new Set();
+
+    for (let i = 0; i < tokens.length; i++) {
+        if (!isKeyword(tokens, i, 'MATCH')) continue;
+
+        const clauseStart = isKeyword(tokens, i - 1, 'OPTIONAL') ? i - 1 : i;
+        const clauseDepth = tokens[i].depth;
+        let end = i + 1;
+        while (end < tokens.length) {
+            const t = tokens[end];
+            if (t.depth < clauseDepth) break;
+            if (t.depth === clauseDepth && t.type === 'word' && PATTERN_TERMINATORS.has(t.upper) && isKeyword(tokens, end, t.upper)) break;
+            end++;
+        }
+
+        const clause = snippet(cypher, tokens[clauseStart].start, tokens[end - 1].end);
+        for (let j = i + 1; j < end; j++) {
+            inMatch.add(j);
+            const node = readNodePattern(tokens, j);
+            if (node) {
+                nodes.push({ ...node, inMatch: true, clause, start: tokens[j].start });
+            }
+        }
+        i = end - 1;
+    }
+
+    for (let i = 0; i < tokens.length; i++) {
+        if (inMatch.has(i)) continue;
+        const node = readNodePattern(tokens, i);
+        if (node && joinsRelationship(tokens, node)) {
+            const clause = snippet(cypher, tokens[i].start, tokens[node.closeIndex].end);
+            nodes.push({ ...node, inMatch: false, clause, start: tokens[i].start });
+        }
+    }
+
+    return nodes.sort((a, b) => a.start - b.start);
+}
+
+// True when a relationship starts or ends at the node pattern: (a)--, (a)-[, (a)<-, --(b), ]-(b) or ->(b)
+function joinsRelationship(tokens, { openIndex, closeIndex }) {
+    const punct = (k) => (tokens[k]?.type === 'punct' ? tokens[k].value : null);
+    return (punct(closeIndex + 1) === '-' && ['-', '['].includes(punct(closeIndex + 2)))
+        || (punct(closeIndex + 1) === '<' && punct(closeIndex + 2) === '-')
+        || (punct(openIndex - 1) === '-' && ['-', ']'].includes(punct(openIndex - 2)))
+        || (punct(openIndex - 1) === '>' && punct(openIndex - 2) === '-');
+}
+
+// Describes the node pattern opened by tokens[i], or null if tokens[i] is not one
+function readNodePattern(tokens, i) {
+    const open = tokens[i];
+    if (open.type !== 'punct' || open.value !== '(') return null;
+
+    // foo( is a function call such as shortestPath(...), not a node
+    const prev = tokens[i - 1];
+    if (prev && prev.type === 'word' && !(PATTERN_PRECEDERS.has(prev.upper) && isKeyword(tokens, i - 1, prev.upper))) return null;
+
+    let j = i + 1;
+    let variable = null;
+    const first = tokens[j];
+    if (first && first.type === 'word' && !(first.upper === 'WHERE' && !first.quoted)) {
+        const after = tokens[j + 1];
+        const startsNode = after && ((after.type === 'punct' && [':', '{', ')'].includes(after.value)) || (after.type === 'word' && after.upper === 'WHERE'));
+        if (!startsNode) return null;
+        variable = first.value;
+        j++;
+    }
+
+    let label = null;
+    let filtered = false;
+    let datasetIndex = -1;
+    let mapIndex = -1;
+    let whereIndex = -1;
+    for (; j < tokens.length && tokens[j].depth > open.depth; j++) {
+        const t = tokens[j];
+        if (t.depth !== open.depth + 1 && t.depth !== open.depth + 2) continue;
+        if (t.depth === open.depth + 1) {
+            if (!label && t.type === 'word' && tokens[j - 1].value === ':' && mapIndex === -1) {
+                label = t.value;
+            }
+            if (t.type === 'punct' && t.value === '{' && mapIndex === -1 && whereIndex === -1) {
+                mapIndex = j;
+            }
+            if (t.type === 'word' && !t.quoted && t.upper === 'WHERE' && whereIndex === -1) {
+                whereIndex = j;
+            }
+        } else if (j > mapIndex && mapIndex !== -1 && whereIndex === -1 && t.type === 'word' && t.value === 'dataset' && tokens[j + 1] && tokens[j + 1].value === ':') {
+            filtered = true;
+            datasetIndex = j;
+        }
+    }
+
+    return { variable, label, filtered, datasetIndex, mapIndex, whereIndex, openIndex: i, closeIndex: j };
+}
+
+// Dataset comparisons a WHERE guarantees: n.dataset = x, x = n.dataset or
+// n.dataset IN [...] as a top-level AND conjunct of the WHERE of a MATCH, of an
+// inline node pattern or of a pattern comprehension. Comparisons under OR, XOR
+// or NOT filter nothing.
+function datasetComparisons(tokens, cypher) {
+    const comparisons = [];
+    for (let i = 0; i < tokens.length; i++) {
+        if (!isKeyword(tokens, i, 'WHERE') || !filtersMatch(tokens, i)) continue;
+
+        const depth = tokens[i].depth;
+        let end = i + 1;
+        // A pattern comprehension's WHERE ends at its | projection
+        while (end < tokens.length && tokens[end].depth >= depth
+            && !(tokens[end].depth === depth && tokens[end].type === 'punct' && tokens[end].value === '|')
+            && !(tokens[end].depth === depth && tokens[end].type === 'word' && PATTERN_TERMINATORS.has(tokens[end].upper) && isKeyword(tokens, end, tokens[end].upper))) {
+            end++;
+        }
+
+        const conjuncts = [[]];
+        let disjunction = false;
+        for (let j = i + 1; j < end; j++) {
+            if (tokens[j].depth === depth && (isKeyword(tokens, j, 'OR') || isKeyword(tokens, j, 'XOR'))) disjunction = true;
+            if (tokens[j].depth === depth && isKeyword(tokens, j, 'AND')) conjuncts.push([]);
+            else conjuncts[conjuncts.length - 1].push(tokens[j]);
+        }
+        if (disjunction) continue;
+
+        for (const conjunct of conjuncts) {
+            const comparison = comparedVariable(conjunct, depth);
+            if (comparison) {
+                comparisons.push({ ...comparison, clause: snippet(cypher, conjunct[0].start, conjunct[conjunct.length - 1].end) });
+            }
+        }
+    }
+    return comparisons;
+}
+
+// True when the WHERE at tokens[i] belongs to a MATCH clause or sits inside a
+// node pattern or a pattern comprehension ([(a)-->(b) WHERE ... | ...])
+function filtersMatch(tokens, i) {
+    const depth = tokens[i].depth;
+    for (let j = i - 1; j >= 0; j--) {
+        const t = tokens[j];
+        if (t.depth < depth) return t.value === '(' || (t.value === '[' && (tokens[j + 1].value === '(' || tokens[j + 2]?.value === '='));
+        if (t.depth === depth && t.type === 'word' && PATTERN_TERMINATORS.has(t.upper) && isKeyword(tokens, j, t.upper)) {
+            return t.upper === 'MATCH';
+        }
+    }
+    return false;
+}
+
+// The variable and compared value tokens of a conjunct that is exactly one
+// dataset comparison at depth. The other side must be a string literal or a
+// parameter, or for IN a parameter or a list of them, so n.dataset = n.dataset
+// filters nothing.
+function comparedVariable(conjunct, depth) {
+    if (conjunct.some((t) => t.depth < depth)) return null;
+    const isDatasetProperty = (v, dot, prop) => v && v.depth === depth && v.type === 'word' && !v.quoted
+        && dot?.value === '.' && prop?.type === 'word' && prop.value === 'dataset';
+    const isValue = (t) => t.type === 'string' || t.type === 'param';
+
+    const [v, dot, prop, op, ...rest] = conjunct;
+    if (isDatasetProperty(v, dot, prop) && op?.depth === depth) {
+        if (op.value === '=' && rest.length === 1 && isValue(rest[0])) {
+            return { variable: v.value, values: rest, start: v.start };
+        }
+        if (op.type === 'word' && op.upper === 'IN') {
+            if (rest.length === 1 && rest[0].type === 'param') {
+                return { variable: v.value, values: rest, start: v.start };
+            }
+            const items = rest.slice(1, -1);
+            if (rest[0]?.value === '[' && rest[rest.length - 1].value === ']' && items.length > 0
+                && items.every((t, k) => (k % 2 === 0 ? isValue(t) : t.value === ',')) && items.length % 2 === 1) {
+                return { variable: v.value, values: items.filter(isValue), start: v.start };
+            }
+        }
+        return null;
+    }
+    if (conjunct.length === 5 && isValue(v) && dot.value === '=' && isDatasetProperty(prop, op, rest[0])) {
+        return { variable: prop.value, values: [v], start: v.start };
+    }
+    return null;
+}
+
+function planLimits(tokens, cypher, { params, maxLimit, defaultLimit, edits, notices }) {
+    const violations = [];
+
+    // Each side of a top-level UNION has its own RETURN ... LIMIT
+    const parts = [];
+    let partStart = 0;
+    for (let i = 0; i < tokens.length; i++) {
+        if (tokens[i].depth === 0 && isKeyword(tokens, i, 'UNION')) {
+            parts.push([partStart, i]);
+            partStart = isKeyword(tokens, i + 1, 'ALL') ? i + 2 : i + 1;
+        }
+    }
+    parts.push([partStart, tokens.length]);
+
+    for (const [start, end] of parts) {
+        if (start >= end) continue;
+
+        let returnIndex = -1;
+        let limitIndex = -1;
+        for (let i = start; i < end; i++) {
+            if (tokens[i].depth !== 0) continue;
+            if (isKeyword(tokens, i, 'RETURN')) {
+                returnIndex = i;
+                limitIndex = -1;
+            } else if (isKeyword(tokens, i, 'LIMIT') && returnIndex !== -1) {
+                limitIndex = i;
+            }
+        }
+
+        if (returnIndex === -1) {
+            notices.push('No RETURN clause found; LIMIT was not applied');
+            continue;
+        }
+
+        if (limitIndex === -1) {
+            edits.push({ start: tokens[end - 1].end, end: tokens[end - 1].end, text: ` LIMIT ${defaultLimit}` });
+            notices.push(`Injected LIMIT ${defaultLimit}`);
+            continue;
+        }
+
+        const value = tokens[limitIndex + 1];
+        if (value && value.type === 'number' && /^\d+$/.test(value.value)) {
+            if (Number(value.value) > maxLimit) {
+                edits.push({ start: value.start, end: value.end, text: String(maxLimit) });
+                notices.push(`Clamped LIMIT ${value.value} to ${maxLimit}`);
+            }
+        } else if (value && value.type === 'param' && Number.isInteger(params[value.value])) {
+            if (params[value.value] > maxLimit) {
+                edits.push({ start: value.start, end: value.end, text: String(maxLimit) });
+                notices.push(`Clamped LIMIT $${value.value} (${params[value.value]}) to ${maxLimit}`);
+            }
+        } else {
+            violations.push(violation(
+                'INVALID_LIMIT',
+                snippet(cypher, tokens[limitIndex].start, tokens[end - 1].end),
+                `LIMIT must be an integer literal or integer parameter no greater than ${maxLimit}`,
+                cypher,
+                tokens[limitIndex].start
+            ));
+        }
+    }
+
+    return violations;
+}
+
+function applyEdits(cypher, edits) {
+    return [...edits]
+        .sort((a, b) => b.start - a.start)
+        .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), cypher);
+}
+
+function violation(code, clause, message, cypher, offset) {
+    return { code, clause, message, position: position(cypher, offset) };
+}
+
+function position(cypher, offset) {
+    const before = cypher.slice(0, offset).split('\n');
+    return { offset, line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function snippet(cypher, start, end) {
+    const text = cypher.slice(start, end).replace(/\s+/g, ' ').trim();
+    return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
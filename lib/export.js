@@ -0,0 +1,282 @@
+/**
+ * Subgraph export for export_subgraph
+ *
+ * A dataset's nodes and relationships, or those within a few hops of a root node,
+ * are read with two ordered queries and rendered as GraphML, Cytoscape.js
+ * JSON, Graphviz DOT or a Mermaid flowchart. Every format groups nodes by GOSR
+ * layer (node label) and colors them per layer:
+ * - GraphML: `layer` and `color` node attributes
+ * - Cytoscape.js: one compound parent node per layer, plus a stylesheet
+ * - DOT: one cluster per layer
+ * - Mermaid: one subgraph per layer, with a classDef per layer
+ */
+
+export const EXPORT_FORMATS = {
+    graphml: { mimeType: 'application/graphml+xml', extension: 'graphml' },
+    cytoscape: { mimeType: 'application/json', extension: 'cyjs' },
+    dot: { mimeType: 'text/vnd.graphviz', extension: 'dot' },
+    mermaid: { mimeType: 'text/vnd.mermaid', extension: 'mmd' },
+};
+
+export const MAX_EXPORT_DEPTH = 6;
+
+// Rows the queries below return at most; reaching it means the export is incomplete
+export const EXPORT_ROW_LIMIT = 1000;
+
+// Ordered so a truncated export is the same first rows on every run
+const NODE_COLUMNS = `RETURN labels(n)[0] AS label, coalesce(n.id, n.name) AS key, n.name AS name, n.description AS description
+ORDER BY label, key
+LIMIT ${EXPORT_ROW_LIMIT}`;
+
+const EDGE_COLUMNS = `RETURN labels(a)[0] AS from_label, coalesce(a.id, a.name) AS from_key,
+       type(r) AS rel, properties(r) AS properties,
+       labels(b)[0] AS to_label, coalesce(b.id, b.name) AS to_key
+ORDER BY from_label, from_key, rel, to_label, to_key
+LIMIT ${EXPORT_ROW_LIMIT}`;
+
+export const EXPORT_NODES_CYPHER = `MATCH (n {dataset: $dataset})
+${NODE_COLUMNS}`;
+
+export const EXPORT_EDGES_CYPHER = `MATCH (a {dataset: $dataset})-[r]->(b {dataset: $dataset})
+${EDGE_COLUMNS}`;
+
+/**
+ * Queries for the nodes within depth hops of a root node ($root, its id or name),
+ * following relationships in either direction through nodes of the dataset, and
+ * for the relationships between those nodes. Variable-length bounds cannot be
+ * parameters, so label and depth must already be validated.
+ *
+ * @returns {{ nodes: string, edges: string }}
+ */
+export function neighbourhoodCypher(label, depth) {
+    const reach = `MATCH (root:${label} {dataset: $dataset})
+WHERE coalesce(root.id, root.name) = $root
+MATCH p = (root)-[*0..${depth}]-(n {dataset: $dataset})
+WHERE all(x IN nodes(p) WHERE x.dataset = $dataset)
+WITH DISTINCT n`;
+    return {
+        nodes: `${reach}
+${NODE_COLUMNS}`,
+        edges: `${reach}
+WITH collect(n) AS kept
+UNWIND kept AS a
+MATCH (a {dataset: $dataset})-[r]->(b {dataset: $dataset})
+WHERE b IN kept
+${EDGE_COLUMNS}`,
+    };
+}
+
+// GOSR layers in model order, with their colors; other labels are grey and come last
+const LAYERS = [
+    ['Goal', '#4C78A8'],
+    ['Obstacle', '#E45756'],
+    ['Solution', '#54A24B'],
+    ['Resource', '#F58518'],
+    ['Actor', '#B279A2'],
+    ['Funder', '#EECA3B'],
+    ['StrategyArea', '#72B7B2'],
+    ['Ecosystem', '#9D755D'],
+];
+const LAYER_COLORS = new Map(LAYERS);
+const OTHER_COLOR = '#BAB0AC';
+
+/**
+ * Build a graph from the node and relationship rows of the queries above.
+ * Nodes get short ids (n1, n2, ...) that are safe in every format; edges to
+ * nodes missing from the node rows are dropped.
+ *
+ * @returns {{ nodes: object[], edges: object[] }}
+ */
+export function buildGraph(nodeRows, edgeRows) {
+    const byRef = new Map();
+    const nodes = nodeRows.map((row, i) => {
+        const node = {
+            id: `n${i + 1}`,
+            key: row.key,
+            label: row.label || 'Node',
+            name: row.name ?? row.key,
+            ...(row.description && { description: row.description }),
+        };
+        byRef.set(ref(row.label, row.key), node);
+        return node;
+    });
+
+    const edges = edgeRows.flatMap((row) => {
+        const source = byRef.get(ref(row.from_label, row.from_key));
+        const target = byRef.get(ref(row.to_label, row.to_key));
+        if (!source || !target) return [];
+        return [{ source: source.id, target: target.id, type: row.rel, properties: row.properties || {} }];
+    }).map((edge, i) => ({ id: `e${i + 1}`, ...edge }));
+
+    return { nodes, edges };
+}
+
+/**
+ * Node counts per label, GOSR layers first.
+ */
+export function layerCounts(graph) {
+    const counts = {};
+    for (const label of layersOf(graph)) {
+        counts[label] = graph.nodes.filter((node) => node.label === label).length;
+    }
+    return counts;
+}
+
+/**
+ * Render a graph in one of EXPORT_FORMATS.
+ *
+ * @param {{ nodes: object[], edges: object[] }} graph
+ * @param {string} format
+ * @param {object} [options]
+ * @param {string} [options.title] - Graph name (the dataset id)
+ */
+export function renderGraph(graph, format, { title = 'datagraph' } = {}) {
+    switch (format) {
+        case 'graphml':
+            return renderGraphml(graph, title);
+        case 'cytoscape':
+            return JSON.stringify(renderCytoscape(graph, title), null, 2);
+        case 'dot':
+            return renderDot(graph, title);
+        case 'mermaid':
+            return renderMermaid(graph);
+        default:
+            throw new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+}
+
+function renderGraphml(graph, title) {
+    const data = (key, value) => (value === undefined ? '' : `<data key="${key}">${xml(value)}</data>`);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        '  <key id="layer" for="node" attr.name="layer" attr.type="string"/>',
+        '  <key id="key" for="node" attr.name="key" attr.type="string"/>',
+        '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+        '  <key id="description" for="node" attr.name="description" attr.type="string"/>',
+        '  <key id="color" for="node" attr.name="color" attr.type="string"/>',
+        '  <key id="type" for="edge" attr.name="type" attr.type="string"/>',
+        '  <key id="properties" for="edge" attr.name="properties" attr.type="string"/>',
+        `  <graph id="${xml(title)}" edgedefault="directed">`,
+        ...graph.nodes.map((node) => `    <node id="${node.id}">${data('layer', node.label)}${data('key', node.key)}${data('name', node.name)}${data('description', node.description)}${data('color', colorOf(node.label))}</node>`),
+        ...graph.edges.map((edge) => `    <edge id="${edge.id}" source="${edge.source}" target="${edge.target}">${data('type', edge.type)}${Object.keys(edge.properties).length > 0 ? data('properties', JSON.stringify(edge.properties)) : ''}</edge>`),
+        '  </graph>',
+        '</graphml>',
+    ].join('\n');
+}
+
+function renderCytoscape(graph, title) {
+    const layers = layersOf(graph);
+    return {
+        data: { name: title },
+        elements: {
+            nodes: [
+                ...layers.map((label) => ({ data: { id: `layer:${label}`, label, layer: label } })),
+                ...graph.nodes.map((node) => ({
+                    data: {
+                        id: node.id,
+                        parent: `layer:${node.label}`,
+                        label: node.name,
+                        layer: node.label,
+                        key: node.key,
+                        ...(node.description && { description: node.description }),
+                    },
+                })),
+            ],
+            edges: graph.edges.map((edge) => ({
+                data: { ...edge.properties, id: edge.id, source: edge.source, target: edge.target, label: edge.type },
+            })),
+        },
+        style: [
+            { selector: 'node', style: { label: 'data(label)' } },
+            { selector: ':parent', style: { 'background-opacity': 0.08, 'text-valign': 'top' } },
+            ...layers.map((label) => ({ selector: `node[layer = "${label}"]:childless`, style: { 'background-color': colorOf(label) } })),
+            { selector: 'edge', style: { label: 'data(label)', 'curve-style': 'bezier', 'target-arrow-shape': 'triangle', 'font-size': 8 } },
+        ],
+    };
+}
+
+function renderDot(graph, title) {
+    const lines = [
+        `digraph ${dotString(title)} {`,
+        '  rankdir=LR;',
+        '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+        '  edge [fontname="Helvetica", fontsize=9];',
+    ];
+    for (const label of layersOf(graph)) {
+        lines.push(`  subgraph ${dotString(`cluster_${label}`)} {`);
+        lines.push(`    label=${dotString(label)};`);
+        lines.push('    style=dashed;');
+        for (const node of graph.nodes.filter((candidate) => candidate.label === label)) {
+            lines.push(`    ${node.id} [label=${dotString(node.name)}, fillcolor=${dotString(colorOf(label))}];`);
+        }
+        lines.push('  }');
+    }
+    for (const edge of graph.edges) {
+        lines.push(`  ${edge.source} -> ${edge.target} [label=${dotString(edge.type)}];`);
+    }
+    lines.push('}');
+    return lines.join('\n');
+}
+
+function renderMermaid(graph) {
+    const lines = ['flowchart LR'];
+    const layers = layersOf(graph);
+    for (const label of layers) {
+        lines.push(`    subgraph layer_${safeId(label)}["${mermaidText(label)}"]`);
+        for (const node of graph.nodes.filter((candidate) => candidate.label === label)) {
+            lines.push(`        ${node.id}["${mermaidText(node.name)}"]`);
+        }
+        lines.push('    end');
+    }
+    for (const edge of graph.edges) {
+        lines.push(`    ${edge.source} -->|${mermaidText(edge.type)}| ${edge.target}`);
+    }
+    for (const label of layers) {
+        const color = colorOf(label);
+        lines.push(`    classDef ${safeId(label)} fill:${color},stroke:${color},color:#fff`);
+        const ids = graph.nodes.filter((node) => node.label === label).map((node) => node.id);
+        if (ids.length > 0) {
+            lines.push(`    class ${ids.join(',')} ${safeId(label)}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+function layersOf(graph) {
+    const labels = [...new Set(graph.nodes.map((node) => node.label))];
+    const rank = (label) => {
+        const index = LAYERS.findIndex(([layer]) => layer === label);
+        return index === -1 ? LAYERS.length : index;
+    };
+    return labels.sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+function colorOf(label) {
+    return LAYER_COLORS.get(label) ?? OTHER_COLOR;
+}
+
+function ref(label, key) {
+    return `${label}:${key}`;
+}
+
+function safeId(value) {
+    return String(value).replace(/\W/g, '_');
+}
+
+function xml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function dotString(value) {
+    return `"${String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+// Mermaid labels are quoted; quotes and line breaks inside use entity codes
+function mermaidText(value) {
+    return String(value ?? '').replace(/"/g, '#quot;').replace(/\n/g, ' ').replace(/\|/g, '#124;');
+}
@@ -0,0 +1,117 @@
+/**
+ * Result formatting for query_locality_data
+ *
+ * Rows are flattened into columns before rendering as a markdown table, CSV
+ * or NDJSON: a Neo4j node in column `g` becomes `g.labels` plus one `g.<prop>`
+ * column per property, a relationship becomes `r.type` plus its properties,
+ * and nested maps use dotted keys. Lists of scalars are joined with "; ",
+ * anything else nested is kept as JSON.
+ */
+
+export const OUTPUT_FORMATS = ['json', 'table', 'csv', 'ndjson'];
+
+/**
+ * Flatten result rows into column names and flat row objects.
+ *
+ * @param {object[]} rows
+ * @returns {{ columns: string[], rows: object[] }}
+ */
+export function flattenRows(rows) {
+    const columns = new Set();
+    const flat = rows.map((row) => {
+        const out = {};
+        const record = row !== null && typeof row === 'object' && !Array.isArray(row) ? row : { value: row };
+        for (const [key, value] of Object.entries(record)) {
+            flattenValue(key, value, out);
+        }
+        Object.keys(out).forEach((column) => columns.add(column));
+        return out;
+    });
+    return { columns: [...columns], rows: flat };
+}
+
+function flattenValue(prefix, value, out) {
+    if (isNeo4jInteger(value)) {
+        out[prefix] = toNumber(value);
+    } else if (isNode(value)) {
+        out[`${prefix}.labels`] = value.labels.join(':');
+        flattenProperties(prefix, value.properties, out);
+    } else if (isRelationship(value)) {
+        out[`${prefix}.type`] = value.type;
+        flattenProperties(prefix, value.properties, out);
+    } else if (Array.isArray(value)) {
+        out[prefix] = value.every(isScalar) ? value.join('; ') : JSON.stringify(value);
+    } else if (value !== null && typeof value === 'object') {
+        flattenProperties(prefix, value, out);
+    } else {
+        out[prefix] = value;
+    }
+}
+
+function flattenProperties(prefix, properties, out) {
+    for (const [key, value] of Object.entries(properties || {})) {
+        flattenValue(`${prefix}.${key}`, value, out);
+    }
+}
+
+// Shapes produced by the neo4j driver's toJSON and by most REST wrappers around it
+function isNode(value) {
+    return Boolean(value) && Array.isArray(value.labels) && typeof value.properties === 'object';
+}
+
+function isRelationship(value) {
+    return Boolean(value) && typeof value.type === 'string' && typeof value.properties === 'object';
+}
+
+function isNeo4jInteger(value) {
+    return Boolean(value) && typeof value === 'object'
+        && Object.keys(value).length === 2 && Number.isInteger(value.low) && Number.isInteger(value.high);
+}
+
+function toNumber({ low, high }) {
+    return high * 2 ** 32 + (low >>> 0);
+}
+
+function isScalar(value) {
+    return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Render flattened rows in one of OUTPUT_FORMATS other than json.
+ *
+ * @param {{ columns: string[], rows: object[] }} table - Output of flattenRows
+ * @param {'table'|'csv'|'ndjson'} format
+ */
+export function renderRows({ columns, rows }, format) {
+    switch (format) {
+        case 'table':
+            return markdownTable(columns, rows);
+        case 'csv':
+            return csv(columns, rows);
+        case 'ndjson':
+            return rows.map((row) => JSON.stringify(row)).join('\n');
+        default:
+            throw new Error(`Unknown output_format '${format}'. Expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+}
+
+function markdownTable(columns, rows) {
+    if (columns.length === 0) return '_No rows_';
+    const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    return [
+        `| ${columns.map(cell).join(' | ')} |`,
+        `|${columns.map(() => '---').join('|')}|`,
+        ...rows.map((row) => `| ${columns.map((column) => cell(row[column])).join(' | ')} |`),
+    ].join('\n');
+}
+
+// RFC 4180: quote fields containing comma, quote or line break; CRLF line endings
+function csv(columns, rows) {
+    const field = (value) => {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((values) => values.map(field).join(','))
+        .join('\r\n');
+}
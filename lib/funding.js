@@ -0,0 +1,178 @@
+/**
+ * Funding flow analysis over FUNDS edges
+ *
+ * FUNDS semantics (see list_datasets):
+ * - (Funder)-[:FUNDS]->(Actor) when the source names only the organization,
+ *   (Funder)-[:FUNDS]->(Resource) when it names a specific program. Both are counted.
+ * - Government funders record one edge per fiscal year, so lifetime totals are
+ *   SUM(r.amount) over all edges and a year's snapshot filters on r.year.
+ * - Ecosystem nodes (governance bodies) can FUND as well and are reported as funders.
+ *
+ * Every FUNDS edge is matched exactly once (no path joins), so nothing is double counted.
+ */
+
+// Shared MATCH/WHERE for the breakdown and totals queries
+const FUNDS_MATCH = `MATCH (f {dataset: $dataset})-[r:FUNDS]->(t {dataset: $dataset})
+WHERE (f:Funder OR f:Ecosystem) AND (t:Actor OR t:Resource)
+  AND ($funder IS NULL OR f.id = $funder OR toLower(f.name) CONTAINS toLower($funder))
+  AND ($actor IS NULL
+       OR (t:Actor AND (t.id = $actor OR toLower(t.name) CONTAINS toLower($actor)))
+       OR (t:Resource AND EXISTS {
+            MATCH (a:Actor {dataset: $dataset})-[:EXECUTES]->(t)
+            WHERE a.id = $actor OR toLower(a.name) CONTAINS toLower($actor)
+          }))
+  AND ($year_from IS NULL OR r.year >= $year_from)
+  AND ($year_to IS NULL OR r.year <= $year_to)`;
+
+// One row per funder, recipient and year
+export const FUNDING_BREAKDOWN_CYPHER = `${FUNDS_MATCH}
+RETURN labels(f)[0] AS funder_label, coalesce(f.id, f.name) AS funder_key, f.name AS funder_name,
+       labels(t)[0] AS recipient_label, coalesce(t.id, t.name) AS recipient_key, t.name AS recipient_name,
+       r.year AS year, sum(r.amount) AS amount, count(r) AS grants
+ORDER BY amount DESC
+LIMIT 1000`;
+
+// Totals computed in the database, used to detect a truncated breakdown
+export const FUNDING_TOTALS_CYPHER = `${FUNDS_MATCH}
+RETURN count(r) AS grants, sum(r.amount) AS amount
+LIMIT 1`;
+
+/**
+ * Build the Cypher parameters; unset filters are passed as null.
+ */
+export function fundingParams({ dataset, funder, actor, year_from, year_to }) {
+    return {
+        dataset,
+        funder: funder ?? null,
+        actor: actor ?? null,
+        year_from: year_from ?? null,
+        year_to: year_to ?? null,
+    };
+}
+
+/**
+ * Aggregate breakdown rows into per-funder, per-recipient and per-year views.
+ *
+ * @param {object[]} rows - Rows from FUNDING_BREAKDOWN_CYPHER
+ * @param {object} [options]
+ * @param {number} [options.topFunders] - Funders with their own series in series_by_funder (default 10)
+ */
+export function summarizeFunding(rows, { topFunders = 10 } = {}) {
+    const funders = new Map();
+    const recipients = new Map();
+    const years = new Map();
+    let amount = 0;
+    let grants = 0;
+
+    for (const row of rows) {
+        const rowAmount = Number(row.amount) || 0;
+        const rowGrants = Number(row.grants) || 0;
+        const year = row.year ?? 'unknown';
+        amount += rowAmount;
+        grants += rowGrants;
+
+        const funder = upsert(funders, row.funder_key, () => ({
+            funder: row.funder_name,
+            id: row.funder_key,
+            label: row.funder_label,
+            amount: 0,
+            grants: 0,
+            recipients: new Set(),
+            years: new Map(),
+        }));
+        funder.amount += rowAmount;
+        funder.grants += rowGrants;
+        funder.recipients.add(`${row.recipient_label}:${row.recipient_key}`);
+        funder.years.set(year, (funder.years.get(year) || 0) + rowAmount);
+
+        const recipient = upsert(recipients, `${row.recipient_label}:${row.recipient_key}`, () => ({
+            recipient: row.recipient_name,
+            id: row.recipient_key,
+            label: row.recipient_label,
+            amount: 0,
+            grants: 0,
+            funders: new Set(),
+        }));
+        recipient.amount += rowAmount;
+        recipient.grants += rowGrants;
+        recipient.funders.add(row.funder_key);
+
+        const yearEntry = upsert(years, year, () => ({ year, amount: 0, grants: 0 }));
+        yearEntry.amount += rowAmount;
+        yearEntry.grants += rowGrants;
+    }
+
+    const byAmount = (a, b) => b.amount - a.amount;
+    const sortedYears = [...years.keys()].sort(compareYears);
+    const byFunder = [...funders.values()].sort(byAmount);
+
+    return {
+        totals: {
+            amount: round(amount),
+            grants,
+            funders: funders.size,
+            recipients: recipients.size,
+            first_year: sortedYears.find((year) => year !== 'unknown') ?? null,
+            last_year: [...sortedYears].reverse().find((year) => year !== 'unknown') ?? null,
+        },
+        by_funder: byFunder.map(({ recipients: r, years: y, ...funder }) => {
+            const known = [...y.keys()].filter((year) => year !== 'unknown').sort(compareYears);
+            return {
+                ...funder,
+                amount: round(funder.amount),
+                recipients: r.size,
+                first_year: known[0] ?? null,
+                last_year: known[known.length - 1] ?? null,
+            };
+        }),
+        by_recipient: [...recipients.values()].sort(byAmount).map(({ funders: f, ...recipient }) => ({
+            ...recipient,
+            amount: round(recipient.amount),
+            funders: f.size,
+        })),
+        by_year: sortedYears.map((year) => ({ ...years.get(year), amount: round(years.get(year).amount) })),
+        series_by_funder: {
+            years: sortedYears,
+            series: byFunder.slice(0, topFunders).map((funder) => ({
+                funder: funder.funder,
+                id: funder.id,
+                values: sortedYears.map((year) => round(funder.years.get(year) || 0)),
+            })),
+        },
+        totals_table: totalsTable(byFunder, amount, grants),
+    };
+}
+
+function totalsTable(byFunder, amount, grants) {
+    const lines = [
+        '| Funder | Type | Amount | Grants | Recipients |',
+        '|--------|------|-------:|-------:|-----------:|',
+        ...byFunder.map((f) => `| ${escapeCell(f.funder)} | ${f.label} | ${formatAmount(f.amount)} | ${f.grants} | ${f.recipients.size} |`),
+        `| **Total** | | **${formatAmount(amount)}** | **${grants}** | |`,
+    ];
+    return lines.join('\n');
+}
+
+function upsert(map, key, create) {
+    if (!map.has(key)) map.set(key, create());
+    return map.get(key);
+}
+
+// Numeric years ascending, 'unknown' last
+function compareYears(a, b) {
+    if (a === 'unknown') return 1;
+    if (b === 'unknown') return -1;
+    return Number(a) - Number(b);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function formatAmount(value) {
+    return round(value).toLocaleString('en-US');
+}
+
+function escapeCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|');
+}
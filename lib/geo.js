@@ -0,0 +1,303 @@
+/**
+ * Geospatial search for query_nearby
+ *
+ * Point data (subway stations, DOB permits, property sales, crime complaints)
+ * keeps its coordinates in different properties per locality and label, so the
+ * labels to search are read from the locality schema: a latitude/longitude
+ * pair (latitude/longitude, lat/lon, lat/lng) or a Neo4j point property
+ * (location, point, geo, ...). A search is one of:
+ * - a radius around a point: prefiltered on the enclosing box so range indexes
+ *   on the coordinates apply, then cut to the circle with point.distance
+ * - a bounding box
+ * - an NYC borough: the label's borough property, or the borough's
+ *   approximate bounding box for labels without one
+ * Results can be returned as a GeoJSON FeatureCollection for mapping.
+ */
+
+import { NODE_KEYS } from './condense.js';
+
+export const GEO_FORMATS = ['rows', 'geojson'];
+export const DEFAULT_RADIUS_M = 500;
+export const MAX_RADIUS_M = 50000;
+export const DEFAULT_NEARBY_LIMIT = 100;
+
+// Borough names as stored in NYC Open Data, with the codes and county names also in use,
+// and approximate bounding boxes ([west, south, east, north])
+export const NYC_BOROUGHS = {
+    MANHATTAN: { aliases: ['M', 'MN', '1', 'NEW YORK'], bbox: [-74.0479, 40.6829, -73.9067, 40.8820] },
+    BRONX: { aliases: ['X', 'BX', '2', 'THE BRONX'], bbox: [-73.9339, 40.7855, -73.7654, 40.9176] },
+    BROOKLYN: { aliases: ['K', 'BK', '3', 'KINGS'], bbox: [-74.0419, 40.5707, -73.8334, 40.7395] },
+    QUEENS: { aliases: ['Q', 'QN', '4'], bbox: [-73.9626, 40.5431, -73.7004, 40.8007] },
+    'STATEN ISLAND': { aliases: ['R', 'SI', '5', 'RICHMOND'], bbox: [-74.2557, 40.4960, -74.0522, 40.6490] },
+};
+
+const LATITUDE_NAMES = ['latitude', 'lat'];
+const LONGITUDE_NAMES = ['longitude', 'lon', 'lng', 'long'];
+const POINT_NAMES = ['location', 'point', 'geo', 'geolocation', 'coordinates', 'position'];
+const BOROUGH_NAMES = ['borough', 'boro', 'boro_name', 'borough_name'];
+
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Labels of a locality schema that carry coordinates, with the properties that hold them.
+ *
+ * @param {object} schema - Payload of /api/{locality}/schema
+ * @returns {object[]} One { label, latitude, longitude } or { label, point } entry per label,
+ *   with borough set when the label has a borough property
+ */
+export function geoLabels(schema) {
+    return schemaLabels(schema).flatMap(({ label, properties }) => {
+        const find = (names) => properties.find((property) => names.includes(property.name.toLowerCase()))?.name;
+        const borough = find(BOROUGH_NAMES);
+        const latitude = find(LATITUDE_NAMES);
+        const longitude = find(LONGITUDE_NAMES);
+        if (latitude && longitude) {
+            return [{ label, latitude, longitude, ...(borough && { borough }) }];
+        }
+        const point = properties.find((property) => POINT_NAMES.includes(property.name.toLowerCase()) || /point/i.test(property.type ?? ''))?.name;
+        return point ? [{ label, point, ...(borough && { borough }) }] : [];
+    });
+}
+
+/**
+ * Canonical NYC borough name for a name, code or county name ('bk', 'Kings', '3' -> 'BROOKLYN').
+ */
+export function boroughName(value) {
+    const text = String(value ?? '').trim().toUpperCase();
+    const entry = Object.entries(NYC_BOROUGHS).find(([name, { aliases }]) => name === text || aliases.includes(text));
+    return entry ? entry[0] : null;
+}
+
+/**
+ * Check query_nearby search arguments and describe the search.
+ *
+ * @returns {{ center?: object, radiusM?: number, bbox?: number[], borough?: string }}
+ * @throws {Error} on a missing, mixed or out-of-range search
+ */
+export function parseSearch({ latitude, longitude, radius_m, bbox, borough }) {
+    const hasPoint = latitude !== undefined || longitude !== undefined;
+    if (hasPoint && (typeof latitude !== 'number' || typeof longitude !== 'number')) {
+        throw new Error('latitude and longitude must be given together, as numbers');
+    }
+    if (hasPoint && bbox !== undefined) {
+        throw new Error('Pass latitude/longitude (with radius_m) or bbox, not both');
+    }
+    if (!hasPoint && bbox === undefined && borough === undefined) {
+        throw new Error('Pass latitude and longitude (with radius_m), a bbox, or a borough');
+    }
+    if (radius_m !== undefined && !hasPoint) {
+        throw new Error('radius_m requires latitude and longitude');
+    }
+
+    const search = {};
+    if (hasPoint) {
+        checkCoordinate(latitude, longitude, 'latitude/longitude');
+        const radiusM = radius_m ?? DEFAULT_RADIUS_M;
+        if (typeof radiusM !== 'number' || !(radiusM > 0) || radiusM > MAX_RADIUS_M) {
+            throw new Error(`radius_m must be a number of meters above 0 and at most ${MAX_RADIUS_M}`);
+        }
+        search.center = { latitude, longitude };
+        search.radiusM = radiusM;
+    }
+    if (bbox !== undefined) {
+        if (!Array.isArray(bbox) || bbox.length !== 4 || !bbox.every((value) => typeof value === 'number')) {
+            throw new Error('bbox must be [west, south, east, north] in degrees, e.g. [-74.02, 40.70, -73.97, 40.75]');
+        }
+        const [west, south, east, north] = bbox;
+        checkCoordinate(south, west, 'bbox');
+        checkCoordinate(north, east, 'bbox');
+        if (west >= east || south >= north) {
+            throw new Error('bbox must be [west, south, east, north] with west < east and south < north');
+        }
+        search.bbox = bbox;
+    }
+    if (borough !== undefined) {
+        search.borough = boroughName(borough);
+        if (!search.borough) {
+            throw new Error(`Unknown borough '${borough}'. Use one of: ${Object.keys(NYC_BOROUGHS).join(', ')} (or a code such as MN, BK, 3)`);
+        }
+    }
+    return search;
+}
+
+/**
+ * Cypher and parameters for one label of a search.
+ *
+ * @param {object} spec - Entry from geoLabels()
+ * @param {object} search - From parseSearch()
+ * @param {object} options
+ * @param {string} [options.dataset] - Filter on one dataset...
+ * @param {string[]} [options.datasets] - ...or on any dataset of the locality
+ * @param {number} options.limit
+ * @returns {{ cypher: string, params: object, notices: string[] }}
+ */
+export function nearbyCypher(spec, search, { dataset, datasets, limit }) {
+    const n = 'n';
+    const lat = spec.point ? `${n}.${quote(spec.point)}.latitude` : `${n}.${quote(spec.latitude)}`;
+    const lon = spec.point ? `${n}.${quote(spec.point)}.longitude` : `${n}.${quote(spec.longitude)}`;
+    const params = dataset ? { dataset, limit } : { datasets, limit };
+    const where = [dataset ? `${n}.dataset = $dataset` : `${n}.dataset IN $datasets`];
+    const notices = [];
+
+    // A borough is a property filter where the label has one, otherwise its bounding box
+    let box = search.bbox ?? (search.center && enclosingBox(search.center, search.radiusM));
+    if (search.borough) {
+        if (spec.borough) {
+            where.push(`toUpper(toString(${n}.${quote(spec.borough)})) IN $boroughs`);
+            params.boroughs = [search.borough, ...NYC_BOROUGHS[search.borough].aliases];
+        } else if (box) {
+            notices.push(`${spec.label} has no borough property; the borough filter was not applied to it`);
+        } else {
+            box = NYC_BOROUGHS[search.borough].bbox;
+            notices.push(`${spec.label} has no borough property; searched the approximate bounding box of ${search.borough}`);
+        }
+    }
+    if (box) {
+        [params.west, params.south, params.east, params.north] = box;
+        where.push(`${lat} >= $south AND ${lat} <= $north`, `${lon} >= $west AND ${lon} <= $east`);
+    } else {
+        where.push(`${lat} IS NOT NULL AND ${lon} IS NOT NULL`);
+    }
+
+    const match = `MATCH (${n}:${quote(spec.label)})\nWHERE ${where.join('\n  AND ')}`;
+    const columns = `${n}.dataset AS dataset, ${lat} AS latitude, ${lon} AS longitude, properties(${n}) AS properties`;
+    if (!search.center) {
+        return {
+            cypher: `${match}\nRETURN ${columns}\nORDER BY latitude, longitude\nLIMIT $limit`,
+            params,
+            notices,
+        };
+    }
+
+    params.latitude = search.center.latitude;
+    params.longitude = search.center.longitude;
+    params.radius_m = search.radiusM;
+    return {
+        cypher: `${match}
+WITH ${n}, point.distance(point({latitude: ${lat}, longitude: ${lon}}), point({latitude: $latitude, longitude: $longitude})) AS distance_m
+WHERE distance_m <= $radius_m
+RETURN ${columns}, distance_m
+ORDER BY distance_m
+LIMIT $limit`,
+        params,
+        notices,
+    };
+}
+
+/**
+ * Result rows of every label merged into one list: nearest first for radius
+ * searches, and cut to limit. Rows without numeric coordinates are dropped.
+ */
+export function mergeNearby(resultsByLabel, limit) {
+    const rows = resultsByLabel.flatMap(({ spec, rows }) => rows
+        .filter((row) => Number.isFinite(Number(row.latitude)) && Number.isFinite(Number(row.longitude)))
+        .map((row) => ({
+            label: spec.label,
+            dataset: row.dataset ?? row.properties?.dataset ?? null,
+            latitude: Number(row.latitude),
+            longitude: Number(row.longitude),
+            ...(row.distance_m !== undefined && { distance_m: Math.round(Number(row.distance_m) * 10) / 10 }),
+            properties: withoutCoordinates(row.properties, spec),
+        })));
+    if (rows.some((row) => row.distance_m !== undefined)) {
+        rows.sort((a, b) => a.distance_m - b.distance_m);
+    }
+    return rows.slice(0, limit);
+}
+
+/**
+ * A GeoJSON FeatureCollection (RFC 7946) of merged rows. Every feature is a
+ * Point with label, dataset and distance_m next to the node properties; the
+ * search and notices are kept as foreign members.
+ */
+export function toFeatureCollection(rows, extra = {}) {
+    const features = rows.map((row) => ({
+        type: 'Feature',
+        ...(row.properties?.id !== undefined && { id: row.properties.id }),
+        geometry: { type: 'Point', coordinates: [row.longitude, row.latitude] },
+        properties: {
+            label: row.label,
+            dataset: row.dataset,
+            ...(row.distance_m !== undefined && { distance_m: row.distance_m }),
+            ...row.properties,
+        },
+    }));
+    return {
+        type: 'FeatureCollection',
+        ...(rows.length > 0 && {
+            bbox: [
+                Math.min(...rows.map((row) => row.longitude)),
+                Math.min(...rows.map((row) => row.latitude)),
+                Math.max(...rows.map((row) => row.longitude)),
+                Math.max(...rows.map((row) => row.latitude)),
+            ],
+        }),
+        features,
+        ...extra,
+    };
+}
+
+/**
+ * The search as reported with results, in snake_case.
+ */
+export function describeSearch(search) {
+    return {
+        ...(search.center && { center: search.center, radius_m: search.radiusM }),
+        ...(search.bbox && { bbox: search.bbox }),
+        ...(search.borough && { borough: search.borough }),
+    };
+}
+
+// Smallest box around a circle; longitude degrees shrink with latitude
+function enclosingBox({ latitude, longitude }, radiusM) {
+    const dLat = radiusM / METERS_PER_DEGREE;
+    const dLon = radiusM / (METERS_PER_DEGREE * Math.max(Math.cos((latitude * Math.PI) / 180), 0.01));
+    return [longitude - dLon, latitude - dLat, longitude + dLon, latitude + dLat];
+}
+
+function checkCoordinate(latitude, longitude, name) {
+    if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+        throw new Error(`${name}: latitude must be from -90 to 90 and longitude from -180 to 180`);
+    }
+}
+
+function withoutCoordinates(properties, spec) {
+    if (!properties || typeof properties !== 'object') return {};
+    const { [spec.latitude ?? spec.point]: _lat, [spec.longitude ?? spec.point]: _lon, ...rest } = properties;
+    return rest;
+}
+
+// Node labels and their properties, from the schema shapes condense.js also accepts
+function schemaLabels(schema) {
+    const key = NODE_KEYS.find((candidate) => schema?.[candidate] !== undefined);
+    const entries = key ? schema[key] : [];
+    if (Array.isArray(entries)) {
+        return entries
+            .map((entry) => (typeof entry === 'string'
+                ? { label: entry, properties: [] }
+                : { label: entry?.label ?? entry?.name ?? entry?.labels?.[0], properties: propertyList(entry?.properties) }))
+            .filter((entry) => typeof entry.label === 'string');
+    }
+    if (entries && typeof entries === 'object') {
+        return Object.entries(entries).map(([label, entry]) => ({ label, properties: propertyList(entry?.properties ?? entry) }));
+    }
+    return [];
+}
+
+function propertyList(properties) {
+    if (Array.isArray(properties)) {
+        return properties
+            .map((property) => (typeof property === 'string'
+                ? { name: property, type: null }
+                : { name: property?.name ?? property?.property ?? property?.key, type: property?.type ?? null }))
+            .filter((property) => typeof property.name === 'string');
+    }
+    if (properties && typeof properties === 'object') {
+        return Object.entries(properties).map(([name, value]) => ({ name, type: typeof value === 'string' ? value : value?.type ?? null }));
+    }
+    return [];
+}
+
+function quote(identifier) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(identifier) ? identifier : `\`${identifier.replace(/`/g, '``')}\``;
+}
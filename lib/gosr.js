@@ -0,0 +1,295 @@
+/**
+ * GOSR graph helpers
+ *
+ * Goal-Obstacles-Solutions-Resources structure as stored in Neo4j:
+ *   (Goal)-[:HAS_OBSTACLE]->(Obstacle)-[:HAS_OBSTACLE]->(Obstacle)   sub-problems
+ *   (Obstacle)-[:HAS_SOLUTION]->(Solution)<-[:IMPLEMENTS]-(Resource)
+ *   (Actor)-[:EXECUTES]->(Resource), (Funder)-[:FUNDS]->(Actor|Resource)
+ *
+ * Queries here always filter every node by $dataset and return scalar columns,
+ * so results do not depend on how the API serializes nodes.
+ */
+
+// Goal -> Obstacle -> Solution <- Resource edges of one dataset
+export const GOSR_TREE_CYPHER = `MATCH (a {dataset: $dataset})-[rel:HAS_OBSTACLE|HAS_SOLUTION|IMPLEMENTS]->(b {dataset: $dataset})
+RETURN labels(a)[0] AS from_label, coalesce(a.id, a.name) AS from_id, a.name AS from_name,
+       type(rel) AS rel,
+       labels(b)[0] AS to_label, coalesce(b.id, b.name) AS to_id, b.name AS to_name
+LIMIT 1000`;
+
+// Query responses are { results: [...] } or a bare array of rows
+export function resultRows(payload) {
+    if (Array.isArray(payload)) return payload;
+    if (payload && Array.isArray(payload.results)) return payload.results;
+    return [];
+}
+
+/**
+ * Nest GOSR edge rows (from GOSR_TREE_CYPHER) into Goal -> Obstacles -> Solutions -> Resources.
+ * Obstacles keep their sub-obstacles; Resources hang under the Solution they implement.
+ */
+export function buildGosrTree(rows) {
+    const nodes = new Map();
+    const node = (label, id, name) => {
+        const key = `${label}:${id}`;
+        if (!nodes.has(key)) {
+            const entry = { label, id, name };
+            if (label === 'Goal' || label === 'Obstacle') entry.obstacles = [];
+            if (label === 'Obstacle') entry.solutions = [];
+            if (label === 'Solution') entry.resources = [];
+            nodes.set(key, entry);
+        }
+        return nodes.get(key);
+    };
+
+    const children = new Set();
+    for (const row of rows) {
+        const from = node(row.from_label, row.from_id, row.from_name);
+        const to = node(row.to_label, row.to_id, row.to_name);
+
+        if (row.rel === 'HAS_OBSTACLE' && from.obstacles) {
+            from.obstacles.push(to);
+            children.add(to);
+        } else if (row.rel === 'HAS_SOLUTION' && from.solutions) {
+            from.solutions.push(to);
+            children.add(to);
+        } else if (row.rel === 'IMPLEMENTS' && to.resources) {
+            to.resources.push(from);
+            children.add(from);
+        }
+    }
+
+    const all = [...nodes.values()];
+    const count = (label) => all.filter((n) => n.label === label).length;
+
+    return {
+        goals: all.filter((n) => n.label === 'Goal'),
+        // Obstacles or Solutions not reachable from any Goal
+        unattached: all.filter((n) => n.label !== 'Goal' && !children.has(n)),
+        counts: {
+            goals: count('Goal'),
+            obstacles: count('Obstacle'),
+            solutions: count('Solution'),
+            resources: count('Resource'),
+        },
+    };
+}
+
+export const GOSR_LABELS = ['Goal', 'Obstacle', 'Solution', 'Resource', 'Actor', 'Funder'];
+
+// GOSR_LABELS plus the StrategyArea and Ecosystem extensions some datasets use
+export const GOSR_LAYERS = [...GOSR_LABELS, 'StrategyArea', 'Ecosystem'];
+
+// Stable key for a node: its id property, or its name when the dataset has no ids
+const NODE_KEY = (variable) => `coalesce(${variable}.id, ${variable}.name)`;
+
+// Hops from each layer toward Funders; 'in' means the stored edge points at the current node
+const DOWNSTREAM_HOPS = {
+    Goal: [{ rel: 'HAS_OBSTACLE', dir: 'out', to: 'Obstacle' }],
+    Obstacle: [
+        { rel: 'HAS_OBSTACLE', dir: 'out', to: 'Obstacle' },
+        { rel: 'HAS_SOLUTION', dir: 'out', to: 'Solution' },
+    ],
+    Solution: [{ rel: 'IMPLEMENTS', dir: 'in', to: 'Resource' }],
+    Resource: [
+        { rel: 'EXECUTES', dir: 'in', to: 'Actor' },
+        { rel: 'FUNDS', dir: 'in', to: 'Funder' },
+    ],
+    Actor: [{ rel: 'FUNDS', dir: 'in', to: 'Funder' }],
+    Funder: [],
+};
+
+// Same hops walked backwards, toward the Goal
+const UPSTREAM_HOPS = Object.fromEntries(GOSR_LABELS.map((label) => [label, []]));
+for (const [from, hops] of Object.entries(DOWNSTREAM_HOPS)) {
+    for (const hop of hops) {
+        UPSTREAM_HOPS[hop.to].push({ rel: hop.rel, dir: hop.dir === 'out' ? 'in' : 'out', to: from });
+    }
+}
+
+/**
+ * Cypher that finds a starting node by id or case-insensitive exact name.
+ */
+export function startNodeCypher(label) {
+    assertGosrLabel(label);
+    return `MATCH (n:${label} {dataset: $dataset})
+WHERE n.id = $node OR toLower(n.name) = toLower($node)
+RETURN ${NODE_KEY('n')} AS key, n.name AS name, n.description AS description
+LIMIT 10`;
+}
+
+/**
+ * Cypher for near-miss suggestions when no node matches exactly.
+ */
+export function suggestNodeCypher(label) {
+    assertGosrLabel(label);
+    return `MATCH (n:${label} {dataset: $dataset})
+WHERE toLower(n.name) CONTAINS toLower($node)
+RETURN ${NODE_KEY('n')} AS key, n.name AS name
+LIMIT 10`;
+}
+
+// One hop from a frontier of nodes with the same label
+function hopCypher(fromLabel, hop) {
+    const pattern = hop.dir === 'out'
+        ? `(n:${fromLabel} {dataset: $dataset})-[r:${hop.rel}]->(m:${hop.to} {dataset: $dataset})`
+        : `(n:${fromLabel} {dataset: $dataset})<-[r:${hop.rel}]-(m:${hop.to} {dataset: $dataset})`;
+    return `MATCH ${pattern}
+WHERE ${NODE_KEY('n')} IN $keys
+RETURN ${NODE_KEY('n')} AS from_key, ${NODE_KEY('m')} AS key, m.name AS name, m.description AS description, properties(r) AS edge
+LIMIT 1000`;
+}
+
+function assertGosrLabel(label) {
+    if (!GOSR_LABELS.includes(label)) {
+        throw new Error(`Unknown GOSR layer '${label}'. Expected one of: ${GOSR_LABELS.join(', ')}`);
+    }
+}
+
+export const MAX_CHAIN_DEPTH = 12;
+
+/**
+ * Walk the GOSR chain from one node, level by level, and return nested trees.
+ *
+ * @param {object} options
+ * @param {(cypher: string, params: object) => Promise<object[]>} options.run - Executes Cypher, resolves to rows
+ * @param {string} options.dataset - Dataset id every node must belong to
+ * @param {{ label: string, key: string, name: string }} options.start - Resolved starting node
+ * @param {'upstream'|'downstream'|'both'} [options.direction]
+ * @param {number} [options.maxDepth] - Hops to follow in each direction
+ * @param {number} [options.maxNodes] - Stop expanding once this many nodes are in the result
+ */
+export async function traverseGosrChain({ run, dataset, start, direction = 'both', maxDepth = 8, maxNodes = 2000 }) {
+    const counts = {};
+    let nodeCount = 0;
+    let truncated = false;
+    let queries = 0;
+
+    async function walk(hops) {
+        const root = { children: [] };
+        const visited = new Set([`${start.label}:${start.key}`]);
+        // Each frontier entry is a tree node waiting for its children
+        let frontier = [{ label: start.label, key: start.key, tree: root }];
+
+        for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+            const next = [];
+            const byLabel = groupBy(frontier, (entry) => entry.label);
+
+            for (const [label, entries] of byLabel) {
+                const parents = groupBy(entries, (entry) => entry.key);
+                for (const hop of hops[label]) {
+                    queries++;
+                    const rows = await run(hopCypher(label, hop), { dataset, keys: [...parents.keys()] });
+                    if (rows.length >= 1000) truncated = true;
+
+                    for (const row of rows) {
+                        if (nodeCount >= maxNodes) {
+                            truncated = true;
+                            break;
+                        }
+                        const id = `${hop.to}:${row.key}`;
+                        const seen = visited.has(id);
+                        for (const parent of parents.get(row.from_key) || []) {
+                            const child = {
+                                label: hop.to,
+                                id: row.key,
+                                name: row.name,
+                                ...(row.description && { description: row.description }),
+                                via: hop.rel,
+                                ...(row.edge && Object.keys(row.edge).length > 0 && { edge: row.edge }),
+                                ...(seen ? { already_listed: true } : { children: [] }),
+                            };
+                            parent.tree.children.push(child);
+                            if (!seen) {
+                                visited.add(id);
+                                nodeCount++;
+                                counts[hop.to] = (counts[hop.to] || 0) + 1;
+                                next.push({ label: hop.to, key: row.key, tree: child });
+                            }
+                        }
+                    }
+                }
+            }
+            frontier = next;
+        }
+
+        if (frontier.length > 0 && frontier.some((entry) => hops[entry.label].length > 0)) {
+            truncated = true;
+        }
+        return root.children;
+    }
+
+    const result = { start };
+    if (direction === 'upstream' || direction === 'both') {
+        result.upstream = await walk(UPSTREAM_HOPS);
+    }
+    if (direction === 'downstream' || direction === 'both') {
+        result.downstream = await walk(DOWNSTREAM_HOPS);
+    }
+
+    return { ...result, counts, truncated, queries_run: queries };
+}
+
+export const MAX_GAP_EXAMPLES = 50;
+
+/**
+ * Gap checks: nodes missing the next link of the GOSR chain.
+ * gapCypher() turns a check into one query returning total, missing and up to
+ * $examples example nodes; details adds extra fields to each example.
+ */
+export const GOSR_GAP_CHECKS = [
+    {
+        gap: 'obstacles_without_solutions',
+        label: 'Obstacle',
+        description: 'Obstacles with no HAS_SOLUTION edge to a Solution',
+        linked: 'EXISTS { MATCH (n)-[:HAS_SOLUTION]->(:Solution {dataset: $dataset}) }',
+        // Decomposed Obstacles may be addressed through their sub-obstacles instead
+        details: { sub_obstacles: 'COUNT { MATCH (n)-[:HAS_OBSTACLE]->(:Obstacle {dataset: $dataset}) }' },
+    },
+    {
+        gap: 'solutions_without_resources',
+        label: 'Solution',
+        description: 'Solutions no Resource IMPLEMENTS',
+        linked: 'EXISTS { MATCH (n)<-[:IMPLEMENTS]-(:Resource {dataset: $dataset}) }',
+    },
+    {
+        gap: 'resources_without_actors',
+        label: 'Resource',
+        description: 'Resources no Actor EXECUTES',
+        linked: 'EXISTS { MATCH (n)<-[:EXECUTES]-(:Actor {dataset: $dataset}) }',
+    },
+    {
+        gap: 'actors_without_funders',
+        label: 'Actor',
+        description: 'Actors with no FUNDS edge, neither to the Actor nor to any Resource it executes',
+        linked: `EXISTS {
+    MATCH (f {dataset: $dataset})-[:FUNDS]->(n)
+    WHERE f:Funder OR f:Ecosystem
+  } OR EXISTS {
+    MATCH (f {dataset: $dataset})-[:FUNDS]->(:Resource {dataset: $dataset})<-[:EXECUTES]-(n)
+    WHERE f:Funder OR f:Ecosystem
+  }`,
+    },
+];
+
+export function gapCypher(check) {
+    const fields = [`id: ${NODE_KEY('n')}`, 'name: n.name']
+        .concat(Object.entries(check.details || {}).map(([key, expression]) => `${key}: ${expression}`));
+    return `MATCH (n:${check.label} {dataset: $dataset})
+WITH n, ${check.linked} AS linked
+WITH count(n) AS total,
+     sum(CASE WHEN linked THEN 0 ELSE 1 END) AS missing,
+     collect(CASE WHEN linked THEN null ELSE {${fields.join(', ')}} END) AS unlinked
+RETURN total, missing, unlinked[0..$examples] AS examples
+LIMIT 1`;
+}
+
+function groupBy(items, keyOf) {
+    const groups = new Map();
+    for (const item of items) {
+        const key = keyOf(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    }
+    return groups;
+}
@@ -0,0 +1,332 @@
+/**
+ * HTTP transport for hosting one shared DataGraph MCP server
+ *
+ * Routes:
+ * - /mcp               Streamable HTTP (POST, GET, DELETE), one MCP session per client
+ * - /sse + /messages   Legacy HTTP+SSE transport for older clients
+ * - /health            Unauthenticated liveness check
+ *
+ * Each session gets its own Server from createServer(), so per-session state
+ * never leaks between clients. Inbound clients may be required to present a
+ * bearer token; it is separate from the upstream DATAGRAPH_API_KEY, which is
+ * never exposed to HTTP clients.
+ *
+ * MCP routes only answer requests whose Host names this server and whose Origin,
+ * when a browser sends one, is allowed, so a web page cannot reach a local
+ * server through DNS rebinding. Streamable HTTP sessions without a request for
+ * sessionIdleMs are closed.
+ */
+
+import { createServer as createHttpServer } from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { ConfigError } from './config.js';
+import { createLogger } from './logging.js';
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const INVALID_BODY = Symbol('invalid body');
+
+export const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+
+// Names a server bound to a loopback address answers to
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+// Bind addresses that listen on every interface, so no one host name is known
+const WILDCARD_HOSTS = ['0.0.0.0', '::', '[::]'];
+
+/**
+ * HTTP transport settings from MCP_HTTP_ALLOWED_HOSTS, MCP_HTTP_ALLOWED_ORIGINS
+ * (comma-separated) and MCP_HTTP_SESSION_IDLE_SECONDS (0 keeps idle sessions open).
+ *
+ * @throws {ConfigError} on malformed origins or an idle timeout that is not a whole number
+ */
+export function httpFromEnv(env = process.env) {
+    const settings = { allowedHosts: undefined, allowedOrigins: [], sessionIdleMs: DEFAULT_SESSION_IDLE_MS };
+    const issues = [];
+    const list = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+    if (env.MCP_HTTP_ALLOWED_HOSTS) {
+        settings.allowedHosts = list(env.MCP_HTTP_ALLOWED_HOSTS).map(hostnameOf);
+        if (settings.allowedHosts.includes(null)) issues.push('MCP_HTTP_ALLOWED_HOSTS: must list host names, e.g. mcp.example.org,localhost');
+    }
+    if (env.MCP_HTTP_ALLOWED_ORIGINS) {
+        settings.allowedOrigins = list(env.MCP_HTTP_ALLOWED_ORIGINS);
+        if (settings.allowedOrigins.some((origin) => originOf(origin) !== origin)) {
+            issues.push('MCP_HTTP_ALLOWED_ORIGINS: must list origins without a path, e.g. https://app.example.org');
+        }
+    }
+    if (env.MCP_HTTP_SESSION_IDLE_SECONDS !== undefined && env.MCP_HTTP_SESSION_IDLE_SECONDS !== '') {
+        const value = Number(env.MCP_HTTP_SESSION_IDLE_SECONDS);
+        if (!Number.isInteger(value) || value < 0) issues.push('MCP_HTTP_SESSION_IDLE_SECONDS: must be a whole number (0 keeps idle sessions open)');
+        else settings.sessionIdleMs = value * 1000;
+    }
+
+    if (issues.length > 0) {
+        throw new ConfigError('environment', issues);
+    }
+    return settings;
+}
+
+/**
+ * Start an HTTP server that speaks MCP.
+ *
+ * @param {object} options
+ * @param {() => import('@modelcontextprotocol/sdk/server/index.js').Server} options.createServer - Builds a server per session
+ * @param {string} [options.host] - Interface to bind (default 127.0.0.1)
+ * @param {number} [options.port] - Port to bind; 0 picks a free port (default 3000)
+ * @param {string} [options.authToken] - Bearer token inbound clients must send
+ * @param {string[]} [options.allowedHosts] - Host names clients may address; defaults to the bind host
+ *   (localhost, 127.0.0.1 and [::1] for a loopback host), and to any name for 0.0.0.0 or ::
+ * @param {string[]} [options.allowedOrigins] - Browser origins allowed besides those on allowedHosts
+ * @param {number} [options.sessionIdleMs] - Close Streamable HTTP sessions idle this long; 0 never does (default 30 minutes)
+ * @param {object} [options.logger] - Logger from createLogger() (default: errors to stderr)
+ * @returns {Promise<{ url: string, httpServer: import('http').Server, sessions: Map, close: () => Promise<void> }>}
+ */
+export async function startHttpServer({
+    createServer,
+    host = '127.0.0.1',
+    port = 3000,
+    authToken,
+    allowedHosts = defaultAllowedHosts(host),
+    allowedOrigins = [],
+    sessionIdleMs = DEFAULT_SESSION_IDLE_MS,
+    logger = createLogger({ level: 'error' }),
+}) {
+    // sessionId -> { transport, server, lastActive, active }
+    const sessions = new Map();
+
+    const httpServer = createHttpServer((req, res) => {
+        handleRequest(req, res).catch((error) => {
+            logger.error('HTTP transport error', { method: req.method, url: req.url, error: error.stack ?? String(error) });
+            if (!res.headersSent) {
+                sendJsonRpcError(res, 500, -32603, 'Internal server error');
+            }
+        });
+    });
+
+    async function handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === '/health' && req.method === 'GET') {
+            sendJson(res, 200, { status: 'ok', sessions: sessions.size });
+            return;
+        }
+
+        if (!['/mcp', '/sse', '/messages'].includes(url.pathname)) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        const rejected = checkHostAndOrigin(req);
+        if (rejected) {
+            logger.warning('Rejected HTTP request', { method: req.method, url: req.url, host: req.headers.host, origin: req.headers.origin, reason: rejected });
+            sendJsonRpcError(res, 403, -32000, `Forbidden: ${rejected}`);
+            return;
+        }
+
+        if (authToken && !isAuthorized(req, authToken)) {
+            res.setHeader('WWW-Authenticate', 'Bearer realm="datagraph-mcp"');
+            sendJsonRpcError(res, 401, -32001, 'Unauthorized: missing or invalid bearer token');
+            return;
+        }
+
+        if (url.pathname === '/mcp') {
+            await handleStreamable(req, res);
+        } else if (url.pathname === '/sse' && req.method === 'GET') {
+            await openLegacySse(res);
+        } else if (url.pathname === '/messages' && req.method === 'POST') {
+            await handleLegacyMessage(req, res, url.searchParams.get('sessionId'));
+        } else {
+            sendJsonRpcError(res, 405, -32000, 'Method not allowed');
+        }
+    }
+
+    async function handleStreamable(req, res) {
+        const sessionId = req.headers['mcp-session-id'];
+        const body = req.method === 'POST' ? await readJsonBody(req, res) : undefined;
+        if (body === INVALID_BODY) return;
+
+        const existing = sessionId && sessions.get(sessionId);
+        if (existing) {
+            if (!(existing.transport instanceof StreamableHTTPServerTransport)) {
+                sendJsonRpcError(res, 400, -32000, 'Session uses the legacy SSE transport');
+                return;
+            }
+            // An open request, such as a GET event stream, keeps the session from going idle
+            existing.active++;
+            res.on('close', () => {
+                existing.active--;
+                existing.lastActive = Date.now();
+            });
+            await existing.transport.handleRequest(req, res, body);
+            return;
+        }
+
+        if (sessionId) {
+            sendJsonRpcError(res, 404, -32001, 'Session not found');
+            return;
+        }
+
+        if (req.method !== 'POST' || !isInitializeRequest(body)) {
+            sendJsonRpcError(res, 400, -32000, 'Bad Request: no valid session ID provided');
+            return;
+        }
+
+        const server = createServer();
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (id) => {
+                sessions.set(id, { transport, server, lastActive: Date.now(), active: 0 });
+            },
+        });
+        transport.onclose = () => {
+            if (transport.sessionId) {
+                sessions.delete(transport.sessionId);
+            }
+        };
+
+        await server.connect(transport);
+        await transport.handleRequest(req, res, body);
+    }
+
+    async function openLegacySse(res) {
+        const server = createServer();
+        const transport = new SSEServerTransport('/messages', res);
+        // The event stream stays open for the session's life; it ends when the client disconnects
+        sessions.set(transport.sessionId, { transport, server, lastActive: Date.now(), active: 1 });
+        res.on('close', () => {
+            sessions.delete(transport.sessionId);
+        });
+        await server.connect(transport);
+    }
+
+    async function handleLegacyMessage(req, res, sessionId) {
+        const session = sessionId && sessions.get(sessionId);
+        if (!session || !(session.transport instanceof SSEServerTransport)) {
+            sendJsonRpcError(res, 404, -32001, 'Session not found');
+            return;
+        }
+
+        const body = await readJsonBody(req, res);
+        if (body === INVALID_BODY) return;
+        await session.transport.handlePostMessage(req, res, body);
+    }
+
+    // Host must be a name this server answers to; a browser's Origin must be allowed too
+    function checkHostAndOrigin(req) {
+        if (allowedHosts && !allowedHosts.includes(hostnameOf(req.headers.host ?? ''))) {
+            return `Host '${req.headers.host ?? ''}' is not allowed`;
+        }
+        const origin = req.headers.origin;
+        if (origin && !allowedOrigins.includes(origin)) {
+            const originHost = originOf(origin) && new URL(origin).hostname;
+            if (!allowedHosts || !allowedHosts.includes(originHost)) return `Origin '${origin}' is not allowed`;
+        }
+        return null;
+    }
+
+    function closeIdleSessions() {
+        const now = Date.now();
+        for (const [id, session] of sessions) {
+            if (!(session.transport instanceof StreamableHTTPServerTransport) || session.active > 0 || now - session.lastActive < sessionIdleMs) continue;
+            sessions.delete(id);
+            logger.info('Closed idle HTTP session', { session_id: id, idle_ms: now - session.lastActive });
+            session.transport.close().catch(() => {});
+        }
+    }
+
+    await new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, host, () => {
+            httpServer.off('error', reject);
+            resolve();
+        });
+    });
+
+    const address = httpServer.address();
+    const displayHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+
+    const sweeper = sessionIdleMs > 0 ? setInterval(closeIdleSessions, Math.min(sessionIdleMs, 60 * 1000)) : null;
+    sweeper?.unref();
+
+    return {
+        url: `http://${displayHost}:${address.port}`,
+        httpServer,
+        sessions,
+        async close() {
+            clearInterval(sweeper);
+            for (const { transport } of sessions.values()) {
+                await transport.close().catch(() => {});
+            }
+            sessions.clear();
+            httpServer.closeAllConnections();
+            await new Promise((resolve) => httpServer.close(() => resolve()));
+        },
+    };
+}
+
+function defaultAllowedHosts(host) {
+    const name = hostnameOf(host.includes(':') && !host.startsWith('[') ? `[${host}]` : host);
+    if (WILDCARD_HOSTS.includes(name)) return null;
+    return LOOPBACK_HOSTS.includes(name) ? LOOPBACK_HOSTS : [name];
+}
+
+// Lower-case host name of a Host header or bind address (IPv6 in brackets), or null if it is not one
+function hostnameOf(value) {
+    try {
+        return new URL(`http://${value}`).hostname || null;
+    } catch {
+        return null;
+    }
+}
+
+// scheme://host[:port] of an origin, or null if it is not an http(s) URL
+function originOf(value) {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+    } catch {
+        return null;
+    }
+}
+
+function isAuthorized(req, authToken) {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (!match) return false;
+
+    const given = Buffer.from(match[1].trim());
+    const expected = Buffer.from(authToken);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// Parses the request body as JSON; answers with a JSON-RPC parse error and returns INVALID_BODY on failure
+async function readJsonBody(req, res) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            sendJsonRpcError(res, 413, -32600, 'Request body too large');
+            return INVALID_BODY;
+        }
+        chunks.push(chunk);
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+    } catch {
+        sendJsonRpcError(res, 400, -32700, 'Parse error: request body must be JSON');
+        return INVALID_BODY;
+    }
+}
+
+function sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
+
+function sendJsonRpcError(res, status, code, message) {
+    sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
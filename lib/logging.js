@@ -0,0 +1,247 @@
+/**
+ * Structured logging and the Cypher audit log
+ *
+ * Log entries are single-line JSON objects ({ time, level, msg, ...fields })
+ * written to stderr (stdout carries the stdio transport) and, when
+ * DATAGRAPH_LOG_FILE names one, to a log file that is rotated by size:
+ * server.log -> server.log.1 -> ... A log file that cannot be created or
+ * written is dropped with a warning on stderr; the server keeps running.
+ * Levels are the MCP (syslog) levels, so the same entries can be forwarded to
+ * clients as notifications/message after logging/setLevel.
+ *
+ * The audit log is separate: an append-only JSON Lines file (DATAGRAPH_AUDIT_FILE)
+ * with one entry per Cypher or natural language query sent to the API (tool,
+ * locality, Cypher, params, row count, latency, status), never rotated or rewritten.
+ * Neither file is written unless configured.
+ *
+ * Both pass every entry through redact(), which masks API keys, bearer tokens
+ * and values of fields named like api_key, token, secret, password or authorization.
+ */
+
+import { appendFileSync, existsSync, mkdirSync, renameSync, rmSync, statSync } from 'fs';
+import { dirname } from 'path';
+import { ConfigError } from './config.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+export const DEFAULT_LOGGING = {
+    level: 'info',
+    file: null,
+    maxBytes: 10 * 1024 * 1024,
+    maxFiles: 5,
+    auditFile: null,
+};
+
+const REDACTED = '[REDACTED]';
+const SECRET_FIELD = /^(.*[_-])?(api[_-]?key|token|secret|password|authorization)$/i;
+const SECRET_VALUE = [
+    /\bdgc_[A-Za-z0-9_-]+/g,
+    /\bBearer\s+[A-Za-z0-9._~+/=-]+/gi,
+];
+
+/**
+ * Logging settings from DATAGRAPH_LOG_* and DATAGRAPH_AUDIT_FILE. The log and
+ * audit files are off unless a path is given; 'off' also disables one.
+ *
+ * @throws {ConfigError} listing every invalid variable
+ */
+export function loggingFromEnv(env = process.env) {
+    const settings = { ...DEFAULT_LOGGING };
+    const issues = [];
+
+    if (env.DATAGRAPH_LOG_LEVEL) {
+        if (LOG_LEVELS.includes(env.DATAGRAPH_LOG_LEVEL)) settings.level = env.DATAGRAPH_LOG_LEVEL;
+        else issues.push(`DATAGRAPH_LOG_LEVEL: must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+    for (const [key, name] of [['file', 'DATAGRAPH_LOG_FILE'], ['auditFile', 'DATAGRAPH_AUDIT_FILE']]) {
+        if (env[name]) settings[key] = env[name] === 'off' ? null : env[name];
+    }
+    for (const [key, name, min] of [['maxBytes', 'DATAGRAPH_LOG_MAX_BYTES', 1024], ['maxFiles', 'DATAGRAPH_LOG_MAX_FILES', 1]]) {
+        if (env[name] === undefined || env[name] === '') continue;
+        const value = Number(env[name]);
+        if (!Number.isInteger(value) || value < min) issues.push(`${name}: must be a whole number of at least ${min}`);
+        else settings[key] = value;
+    }
+
+    if (issues.length > 0) {
+        throw new ConfigError('environment', issues);
+    }
+    return settings;
+}
+
+/**
+ * Mask secrets in a value before it is logged: fields named like keys or
+ * tokens, and API-key or bearer-token strings anywhere.
+ */
+export function redact(value, field) {
+    if (field !== undefined && SECRET_FIELD.test(field) && value !== null && value !== undefined && typeof value !== 'object') {
+        return REDACTED;
+    }
+    if (typeof value === 'string') {
+        return SECRET_VALUE.reduce((text, pattern) => text.replace(pattern, REDACTED), value);
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item, key)]));
+    }
+    return value;
+}
+
+/**
+ * Leveled JSON logger.
+ *
+ * @param {object} [options]
+ * @param {string} [options.level] - Lowest level written (default 'info')
+ * @param {{ write: (text: string) => void }|null} [options.stream] - Default process.stderr; null writes no stream
+ * @param {string} [options.file] - Log file, rotated when it would grow past maxBytes; skipped with a
+ *   warning when it cannot be created
+ * @param {number} [options.maxBytes]
+ * @param {number} [options.maxFiles] - Rotated files kept next to the log file
+ * @returns {Logger}
+ */
+export function createLogger({
+    level = DEFAULT_LOGGING.level,
+    stream = process.stderr,
+    file,
+    maxBytes = DEFAULT_LOGGING.maxBytes,
+    maxFiles = DEFAULT_LOGGING.maxFiles,
+} = {}) {
+    const state = { level: checkLevel(level) };
+    let rotating = null;
+    let unavailable = null;
+    if (file) {
+        try {
+            rotating = createRotatingFile({ file, maxBytes, maxFiles });
+        } catch (error) {
+            unavailable = error;
+        }
+    }
+
+    function write(entry) {
+        if (severity(entry.level) < severity(state.level)) return;
+        const line = `${JSON.stringify(entry)}\n`;
+        stream?.write(line);
+        if (!rotating) return;
+        try {
+            rotating.write(line);
+        } catch (error) {
+            // Keep serving: report once on the stream and stop writing the file
+            rotating = null;
+            stream?.write(`${JSON.stringify({ time: entry.time, level: 'error', msg: `Log file ${file} disabled: ${error.message}` })}\n`);
+        }
+    }
+
+    if (unavailable) {
+        // Reported at any level, like a write failure below
+        stream?.write(`${JSON.stringify({ time: new Date().toISOString(), level: 'warning', msg: `Log file ${file} unavailable, logging to stderr only: ${unavailable.message}` })}\n`);
+    }
+    return bindLogger({ state, write, file: rotating ? file : null }, {}, null);
+}
+
+/**
+ * @typedef {object} Logger
+ * @property {(level: string, msg: string, fields?: object) => void} log
+ * @property {(msg: string, fields?: object) => void} debug
+ * @property {(msg: string, fields?: object) => void} info
+ * @property {(msg: string, fields?: object) => void} notice
+ * @property {(msg: string, fields?: object) => void} warning
+ * @property {(msg: string, fields?: object) => void} error
+ * @property {(fields: object, forward?: (entry: object) => void) => Logger} child - Adds fields to every entry;
+ *   forward receives every entry of the child at any level, e.g. to send it to an MCP client
+ * @property {(level: string) => void} setLevel - Lowest level written to the stream and file
+ * @property {string} level
+ * @property {string|null} file
+ */
+
+function bindLogger(root, fields, forward) {
+    const log = (level, msg, extra = {}) => {
+        const entry = redact({ time: new Date().toISOString(), level: checkLevel(level), msg, ...fields, ...extra });
+        root.write(entry);
+        forward?.(entry);
+    };
+    const logger = {
+        log,
+        child: (more, childForward) => bindLogger(root, { ...fields, ...more }, childForward ?? forward),
+        setLevel: (level) => {
+            root.state.level = checkLevel(level);
+        },
+        get level() {
+            return root.state.level;
+        },
+        file: root.file,
+    };
+    for (const level of ['debug', 'info', 'notice', 'warning', 'error']) {
+        logger[level] = (msg, extra) => log(level, msg, extra);
+    }
+    return logger;
+}
+
+/**
+ * Append-only audit log of the queries sent to the API, one JSON object per line.
+ * Without a file, entries are dropped.
+ *
+ * @param {object} [options]
+ * @param {string} [options.file]
+ */
+export function createAuditLog({ file } = {}) {
+    let ready = false;
+    return {
+        file: file ?? null,
+
+        /**
+         * @param {object} entry - tool, locality, cypher, params, rows, latency_ms, status, ...
+         */
+        record(entry) {
+            if (!file) return;
+            if (!ready) {
+                mkdirSync(dirname(file), { recursive: true });
+                ready = true;
+            }
+            appendFileSync(file, `${JSON.stringify(redact({ time: new Date().toISOString(), ...entry }))}\n`, { flag: 'a' });
+        },
+    };
+}
+
+/**
+ * True when a message at level passes a minimum level.
+ */
+export function levelEnabled(level, minimum) {
+    return severity(level) >= severity(minimum);
+}
+
+// Synchronous appends keep entries in order and make rotation race-free in one process
+function createRotatingFile({ file, maxBytes, maxFiles }) {
+    mkdirSync(dirname(file), { recursive: true });
+    let size = existsSync(file) ? statSync(file).size : 0;
+
+    function rotate() {
+        rmSync(`${file}.${maxFiles}`, { force: true });
+        for (let index = maxFiles - 1; index >= 1; index--) {
+            if (existsSync(`${file}.${index}`)) renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+        }
+        renameSync(file, `${file}.1`);
+        size = 0;
+    }
+
+    return {
+        write(line) {
+            const bytes = Buffer.byteLength(line);
+            if (size > 0 && size + bytes > maxBytes) rotate();
+            appendFileSync(file, line);
+            size += bytes;
+        },
+    };
+}
+
+function checkLevel(level) {
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Log level must be one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    return level;
+}
+
+function severity(level) {
+    return LOG_LEVELS.indexOf(level);
+}
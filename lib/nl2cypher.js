@@ -0,0 +1,113 @@
+/**
+ * Natural language to Cypher through MCP sampling
+ *
+ * With use_sampling, query_locality_data asks the client's own model
+ * (sampling/createMessage) to write Cypher for the question instead of relying
+ * on the API's natural language parser. The request is grounded with the cached
+ * locality schema, the locality's dataset ids and the dataset filter rules. The
+ * reply goes through the same validator as any cypher_query; if it fails, the
+ * violations are sent back for one corrected attempt.
+ */
+
+import { CypherValidationError, DATASET_PARAM, injectDatasetFilter, MAX_CYPHER_LIMIT, validateCypher } from './cypher.js';
+
+export const SAMPLING_ATTEMPTS = 2;
+export const SAMPLING_MAX_TOKENS = 1000;
+
+// Schema views larger than this are condensed before they go into the request
+export const SAMPLING_SCHEMA_TOKENS = 6000;
+
+const SYSTEM_PROMPT = `You translate questions into one read-only Cypher query for a Neo4j graph of civic data.
+Datasets follow the GOSR framework: (Goal)-[:HAS_OBSTACLE]->(Obstacle)-[:HAS_SOLUTION]->(Solution)<-[:IMPLEMENTS]-(Resource), Actors EXECUTE Resources and Funders FUND Actors or Resources.
+
+Rules:
+- Use only the node labels, relationship types and properties in the schema.
+- All datasets share one database. Every node variable in every MATCH must be filtered on its dataset property, e.g. MATCH (g:Goal) WHERE g.dataset = '<dataset_id>'.
+- Anonymous nodes outside MATCH, as in WHERE (g)-->(:Obstacle), need an inline filter: (:Obstacle {dataset: '<dataset_id>'}).
+- Read-only: no CREATE, MERGE, SET, DELETE, REMOVE, DROP, FOREACH, LOAD CSV or write procedures.
+- End with LIMIT (1000 at most) and add ORDER BY when order matters.
+- Reply with only the query in a \`\`\`cypher code block and no explanation.`;
+
+/**
+ * Build the sampling/createMessage params for a question.
+ *
+ * @param {object} options
+ * @param {string} options.question
+ * @param {string} options.locality
+ * @param {string} options.schemaText - Schema JSON, condensed to fit SAMPLING_SCHEMA_TOKENS
+ * @param {object[]} options.datasets - Dataset entries of the locality ({ id, name, description })
+ * @param {string} [options.dataset] - Dataset id the query must stay within
+ */
+export function buildTranslationRequest({ question, locality, schemaText, datasets, dataset }) {
+    const scope = dataset
+        ? `Query dataset '${dataset}' only: filter every node on dataset = '${dataset}'.`
+        : `Datasets in this locality (filter on the one the question is about):\n${datasets.map((entry) => `- ${entry.id}: ${entry.name || ''}${entry.description ? ` (${entry.description})` : ''}`).join('\n')}`;
+
+    return {
+        systemPrompt: SYSTEM_PROMPT,
+        messages: [
+            {
+                role: 'user',
+                content: {
+                    type: 'text',
+                    text: `Locality: ${locality}\n\n${scope}\n\nGraph schema:\n${schemaText}\n\nQuestion: ${question}`,
+                },
+            },
+        ],
+        includeContext: 'none',
+        temperature: 0,
+        maxTokens: SAMPLING_MAX_TOKENS,
+    };
+}
+
+/**
+ * Messages that send rejected Cypher back to the model with the validator's violations.
+ */
+export function repairMessages(reply, violations) {
+    return [
+        { role: 'assistant', content: { type: 'text', text: reply } },
+        {
+            role: 'user',
+            content: {
+                type: 'text',
+                text: `That query was rejected:\n${violations.map((v) => `- ${v.message}${v.clause ? ` (${v.clause})` : ''}`).join('\n')}\n\nReply with a corrected query in a \`\`\`cypher code block.`,
+            },
+        },
+    ];
+}
+
+/**
+ * Text of a sampling result; content is one block or, in newer clients, a list of blocks.
+ */
+export function samplingText(content) {
+    const blocks = Array.isArray(content) ? content : [content];
+    return blocks.filter((block) => block?.type === 'text').map((block) => block.text).join('\n');
+}
+
+/**
+ * Pull the query out of a reply: the first fenced code block if there is one,
+ * otherwise the whole text, without a trailing semicolon.
+ */
+export function extractCypher(text) {
+    const fenced = /```(?:cypher)?[^\S\n]*\n?([\s\S]*?)```/i.exec(text);
+    return (fenced ? fenced[1] : text).trim().replace(/;\s*$/, '');
+}
+
+/**
+ * Validate translated Cypher as query_locality_data will run it: with the
+ * dataset filter injected when the query is restricted to a dataset.
+ *
+ * @returns {{ valid: boolean, violations: object[] }}
+ */
+export function checkTranslation(cypher, dataset, params = {}) {
+    if (!dataset) {
+        return validateCypher(cypher, { params, maxLimit: MAX_CYPHER_LIMIT });
+    }
+    try {
+        const candidate = injectDatasetFilter(cypher, { dataset, params }).cypher;
+        return validateCypher(candidate, { params: { ...params, [DATASET_PARAM]: dataset }, maxLimit: MAX_CYPHER_LIMIT });
+    } catch (error) {
+        if (error instanceof CypherValidationError) return { valid: false, violations: error.violations };
+        throw error;
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * Output schemas for tools that return structuredContent
+ *
+ * Each tool still returns its text blocks; structuredContent carries the same
+ * data as one object that clients can consume without parsing text. API
+ * payloads (datasets, schemas, usage, query responses) are passed through, so
+ * their schemas pin down the fields this server relies on and allow the rest.
+ * With detail or max_tokens, structuredContent follows the condensed view and
+ * carries its `condensed` note. A payload that is not a JSON object (null, a
+ * list, a bare string) is wrapped as { value } so it still matches its schema.
+ */
+
+// Note added by condensed views (see condense.js)
+const CONDENSED = {
+    type: 'object',
+    description: 'Present when the output was condensed for detail or max_tokens: what was left out and how to get it',
+    properties: {
+        detail: { type: 'string', enum: ['summary', 'minimal'] },
+        omitted: { type: 'array', items: { type: 'string' } },
+        retrieve: { type: 'string' },
+        rows: { type: 'integer' },
+        rows_shown: { type: 'integer' },
+    },
+    required: ['detail', 'omitted', 'retrieve'],
+};
+
+// Where objectContent() puts a payload that is not an object
+const WRAPPED_VALUE = { description: 'The API payload, when it was not a JSON object' };
+
+const NOTICES = {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Rewrites and warnings: dataset filter added, LIMIT injected or clamped, paging, sampling',
+};
+
+export const LIST_DATASETS_OUTPUT = {
+    type: 'object',
+    properties: {
+        usage: {
+            type: 'object',
+            properties: {
+                locality_field: { type: 'string' },
+                id_field: { type: 'string' },
+                critical: { type: 'string' },
+            },
+            required: ['locality_field', 'id_field', 'critical'],
+        },
+        datasets: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', description: 'Dataset id for WHERE n.dataset = <id> and the dataset argument' },
+                    locality: { type: 'string', description: 'Locality code for get_locality_schema and query_locality_data' },
+                    name: { type: 'string' },
+                },
+                required: ['id'],
+            },
+        },
+        condensed: CONDENSED,
+    },
+    required: ['usage', 'datasets'],
+};
+
+export const LOCALITY_SCHEMA_OUTPUT = {
+    type: 'object',
+    description: 'The locality schema from the DataGraph API; field names vary between localities (nodes or node_labels, relationships or relationship_types)',
+    properties: {
+        locality: { type: 'string' },
+        nodes: { type: 'array' },
+        node_labels: { type: 'array' },
+        relationships: { type: 'array' },
+        relationship_types: { type: 'array' },
+        indexes: { type: 'array', items: { type: 'object' } },
+        dataset_filtering: { type: 'object' },
+        condensed: CONDENSED,
+        value: WRAPPED_VALUE,
+    },
+};
+
+const PAGINATION = {
+    type: 'object',
+    properties: {
+        truncated: { type: 'boolean' },
+        offset: { type: 'integer' },
+        rows_returned: { type: 'integer' },
+        next_cursor: { type: 'string', description: 'Pass to fetch_more for the next page' },
+        total_estimate: {
+            type: ['object', 'null'],
+            properties: {
+                rows: { type: 'integer' },
+                source: { type: 'string', enum: ['api', 'last_page'] },
+            },
+        },
+    },
+    required: ['truncated', 'offset', 'rows_returned'],
+};
+
+export const QUERY_OUTPUT = {
+    type: 'object',
+    properties: {
+        locality: { type: 'string' },
+        kind: {
+            type: 'string',
+            enum: ['rows', 'response', 'resource', 'plan'],
+            description: "'rows': result rows in results; 'response': the API answered without rows (see response); 'resource': rows are in the CSV resource; 'plan': explain or profile",
+        },
+        results: { type: 'array', description: 'Result rows of this page as returned by the API; a sample when condensed' },
+        row_count: { type: 'integer', description: 'Rows in this page' },
+        columns: { type: 'array', items: { type: 'string' }, description: 'Flattened column names' },
+        response: { description: 'API response without result rows' },
+        resource_uri: { type: 'string' },
+        column_stats: { type: 'object' },
+        condensed: CONDENSED,
+        executed_cypher: { type: 'string' },
+        cypher_params: { type: 'object' },
+        notices: NOTICES,
+        pagination: PAGINATION,
+        plan: {
+            type: 'object',
+            properties: {
+                mode: { type: 'string', enum: ['explain', 'profile'] },
+                summary: { type: 'object' },
+                warnings: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            code: { type: 'string', enum: ['LABEL_SCAN', 'ALL_NODES_SCAN', 'MISSING_INDEX'] },
+                            message: { type: 'string' },
+                        },
+                        required: ['code', 'message'],
+                    },
+                },
+                tree: { type: 'string' },
+            },
+            required: ['mode', 'summary', 'warnings', 'tree'],
+        },
+    },
+    required: ['locality', 'kind'],
+};
+
+export const USAGE_OUTPUT = {
+    type: 'object',
+    description: 'API usage for the key in use, as reported by the DataGraph API',
+    properties: {
+        plan: { type: 'string' },
+        requests_today: { type: 'number' },
+        daily_limit: { type: ['number', 'null'] },
+        requests_this_month: { type: 'number' },
+        monthly_limit: { type: ['number', 'null'] },
+        value: WRAPPED_VALUE,
+    },
+};
+
+export const SERVER_INFO_OUTPUT = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        version: { type: 'string' },
+        description: { type: 'string' },
+        homepage: { type: 'string' },
+        repository: { type: 'string' },
+        cache: {
+            type: 'object',
+            properties: {
+                entries: { type: 'integer' },
+                hits: { type: 'integer' },
+                misses: { type: 'integer' },
+                revalidated: { type: 'integer' },
+            },
+        },
+        profiles: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    default: { type: 'boolean' },
+                    api_url: { type: 'string' },
+                    has_api_key: { type: 'boolean' },
+                    localities: { type: 'object' },
+                },
+                required: ['name', 'default', 'api_url', 'has_api_key', 'localities'],
+            },
+        },
+        gosr_framework: { type: 'object', additionalProperties: { type: 'string' } },
+    },
+    required: ['name', 'version', 'cache', 'profiles', 'gosr_framework'],
+};
+
+/**
+ * structuredContent for an API payload under an object schema: the payload
+ * itself when it is an object, otherwise { value: payload }.
+ */
+export function objectContent(payload) {
+    return payload !== null && typeof payload === 'object' && !Array.isArray(payload) ? payload : { value: payload ?? null };
+}
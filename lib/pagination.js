@@ -0,0 +1,122 @@
+/**
+ * Cursors for paging through query_locality_data results
+ *
+ * A cursor is base64url-encoded JSON holding everything needed to fetch the
+ * next page: locality, query (Cypher with its parameters, or the natural
+ * language request), the next offset and where the requested rows end,
+ * followed by an HMAC of that JSON under a key generated when the process
+ * starts. Cursors need no server-side storage and work across HTTP sessions
+ * of one process; a restart invalidates them. A cursor that was edited, or
+ * whose state has the wrong shape, is rejected before anything is sent, and the
+ * Cypher inside is validated again on every fetch.
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+const CURSOR_VERSION = 1;
+
+// Request fields a cursor may carry to the API besides the Cypher and its parameters
+export const CURSOR_REQUEST_FIELDS = ['query', 'category', 'limit'];
+
+const PROCESS_KEY = randomBytes(32);
+
+export class InvalidCursorError extends Error {
+    constructor(message = 'Invalid cursor. Pass next_cursor exactly as returned by query_locality_data or fetch_more.') {
+        super(message);
+        this.name = 'InvalidCursorError';
+    }
+}
+
+/**
+ * @param {object} state
+ * @param {'cypher'|'nl'} state.mode
+ * @param {string} state.locality
+ * @param {object} state.request - query, category and limit sent with every page
+ * @param {number} state.offset - First row of the next page
+ * @param {number} state.start - First row of the whole result (the query's own SKIP)
+ * @param {number|null} state.end - Row after the last requested one; null when the query had no LIMIT
+ * @param {number} state.pageSize
+ * @param {Buffer} [key] - HMAC key (default: this process's key)
+ */
+export function encodeCursor(state, key = PROCESS_KEY) {
+    const payload = Buffer.from(JSON.stringify({ v: CURSOR_VERSION, ...state }), 'utf-8').toString('base64url');
+    return `${payload}.${sign(payload, key)}`;
+}
+
+/**
+ * @throws {InvalidCursorError} when the signature does not match or the state is malformed
+ */
+export function decodeCursor(cursor, key = PROCESS_KEY) {
+    const [payload, signature, extra] = String(cursor).split('.');
+    // Byte lengths, not string lengths: timingSafeEqual throws on buffers of different sizes
+    const expected = Buffer.from(sign(payload, key));
+    const given = Buffer.from(signature ?? '');
+    if (extra !== undefined || given.length !== expected.length || !timingSafeEqual(given, expected)) {
+        throw new InvalidCursorError();
+    }
+
+    let state;
+    try {
+        state = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    } catch {
+        throw new InvalidCursorError();
+    }
+    if (!isPlainObject(state) || state.v !== CURSOR_VERSION || !validState(state)) {
+        throw new InvalidCursorError();
+    }
+    const { v, ...rest } = state;
+    return rest;
+}
+
+/**
+ * The API request fields of a cursor state, without anything else it carries.
+ */
+export function cursorRequest(state) {
+    return Object.fromEntries(CURSOR_REQUEST_FIELDS
+        .filter((field) => state.request?.[field] !== undefined)
+        .map((field) => [field, state.request[field]]));
+}
+
+function sign(payload, key) {
+    return createHmac('sha256', key).update(payload).digest('base64url');
+}
+
+function validState(state) {
+    const { mode, locality, request, offset, start, end, pageSize, profile } = state;
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    const optional = (value, check) => value === undefined || value === null || check(value);
+
+    if (!['cypher', 'nl'].includes(mode) || typeof locality !== 'string' || !locality) return false;
+    if (!isCount(offset) || !isCount(start) || start > offset || !Number.isInteger(pageSize) || pageSize < 1) return false;
+    if (end !== null && !(isCount(end) && end >= start)) return false;
+    if (!optional(profile, (value) => typeof value === 'string')) return false;
+    if (!isPlainObject(request) || Object.keys(request).some((field) => !CURSOR_REQUEST_FIELDS.includes(field))) return false;
+    if (!optional(request.query, (value) => typeof value === 'string')
+        || !optional(request.category, (value) => typeof value === 'string')
+        || !optional(request.limit, Number.isInteger)) return false;
+
+    if (mode === 'nl') {
+        return ['cypher', 'params', 'single'].every((field) => state[field] === undefined)
+            && optional(state.previousFirstRow, (value) => typeof value === 'string');
+    }
+    return typeof state.cypher === 'string' && state.cypher.trim() !== ''
+        && optional(state.params, isPlainObject)
+        && optional(state.single, (value) => typeof value === 'boolean')
+        && state.previousFirstRow === undefined;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Short hash of a row, used to notice an API that ignores offset
+export function rowFingerprint(row) {
+    return createHash('sha1').update(JSON.stringify(row ?? null)).digest('hex').slice(0, 16);
+}
+
+// Total row counts some API responses include next to the rows
+export function apiTotal(data) {
+    if (!data || Array.isArray(data)) return undefined;
+    return [data.total, data.total_count, data.totalCount, data.count]
+        .find((value) => Number.isInteger(value) && value >= 0);
+}
@@ -0,0 +1,230 @@
+/**
+ * EXPLAIN / PROFILE plans for query_locality_data
+ *
+ * The DataGraph API forwards EXPLAIN and PROFILE to Neo4j and returns the plan
+ * in the driver's shape: { operatorType, identifiers, arguments: { Details,
+ * EstimatedRows, ... }, children } with rows and dbHits added by PROFILE.
+ * The plan is rendered as an indented operator tree, and scans are checked:
+ * - NodeByLabelScan / AllNodesScan read every node of a label (or every node)
+ * - a Filter on a property of a scanned node with no index on (label, property)
+ *   is reported as a missing index, using the indexes from the locality schema
+ */
+
+export const PLAN_MODES = ['explain', 'profile'];
+
+const LABEL_SCANS = new Set(['NodeByLabelScan', 'AllNodesScan']);
+const MAX_DETAILS = 120;
+
+/**
+ * Split a leading EXPLAIN or PROFILE keyword off a Cypher query.
+ *
+ * @returns {{ mode: string | null, cypher: string }}
+ */
+export function splitPlanPrefix(cypher) {
+    const match = /^\s*(EXPLAIN|PROFILE)\b\s*/i.exec(cypher);
+    return match
+        ? { mode: match[1].toLowerCase(), cypher: cypher.slice(match[0].length) }
+        : { mode: null, cypher };
+}
+
+/**
+ * Find the root operator of the plan in a query response, or null if there is none.
+ * Accepts plan/profile at the top level or under summary, optionally wrapped in { root }.
+ */
+export function extractPlan(data) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) return null;
+    const plan = data.profile ?? data.plan ?? data.summary?.profile ?? data.summary?.plan ?? null;
+    const root = plan?.root ?? plan;
+    return root && typeof root === 'object' && (root.operatorType || root.operator_type) ? normalizeOperator(root) : null;
+}
+
+function normalizeOperator(raw) {
+    const args = raw.arguments ?? raw.args ?? {};
+    const details = args.Details ?? args.details ?? args.LegacyExpression ?? args.ExpandExpression
+        ?? (args.LabelName && raw.identifiers?.length ? `${raw.identifiers[0]}${args.LabelName}` : '');
+    return {
+        type: String(raw.operatorType ?? raw.operator_type).replace(/@.*$/, ''),
+        details: String(details),
+        identifiers: raw.identifiers ?? [],
+        estimatedRows: toNumber(args.EstimatedRows ?? args.estimatedRows ?? raw.estimatedRows),
+        rows: toNumber(raw.rows ?? args.Rows),
+        dbHits: toNumber(raw.dbHits ?? raw.db_hits ?? args.DbHits),
+        children: (raw.children ?? []).map(normalizeOperator),
+    };
+}
+
+// Neo4j integers may arrive as { low, high }
+function toNumber(value) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value === 'object' && 'low' in value && 'high' in value) return value.high * 2 ** 32 + (value.low >>> 0);
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Flag label scans and filters that have no index to use.
+ *
+ * @param {object} plan - Root operator from extractPlan
+ * @param {object[] | undefined} indexes - The schema's indexes section; undefined skips the missing-index check
+ * @returns {{ warnings: object[], marks: Map<object, string[]>, summary: object }}
+ */
+export function analyzePlan(plan, indexes) {
+    const warnings = [];
+    const marks = new Map();
+    const mark = (operator, text) => marks.set(operator, [...(marks.get(operator) ?? []), text]);
+    const indexed = indexes ? indexKeys(indexes) : null;
+    const reported = new Set();
+
+    walk(plan, (operator) => {
+        if (LABEL_SCANS.has(operator.type)) {
+            const scan = parseScan(operator);
+            warnings.push({
+                code: operator.type === 'AllNodesScan' ? 'ALL_NODES_SCAN' : 'LABEL_SCAN',
+                operator: operator.type,
+                details: operator.details,
+                estimated_rows: operator.estimatedRows,
+                message: operator.type === 'AllNodesScan'
+                    ? `Reads every node in the database for '${scan.variable}'; add a label to the pattern`
+                    : `Reads every :${scan.label} node${rowsNote(operator)} before filtering`,
+            });
+            mark(operator, operator.type === 'AllNodesScan' ? '⚠ all nodes scan' : '⚠ full label scan');
+        }
+
+        if (operator.type === 'Filter' && indexed) {
+            const scanned = scannedVariables(operator);
+            const { properties, labels } = parsePredicates(operator.details);
+            for (const { variable, property } of properties) {
+                if (!scanned.has(variable)) continue;
+                const label = scanned.get(variable) ?? labels.get(variable);
+                const key = `${label}|${property}`;
+                if (!label || indexed.has(key) || reported.has(key)) continue;
+                reported.add(key);
+                warnings.push({
+                    code: 'MISSING_INDEX',
+                    operator: operator.type,
+                    label,
+                    property,
+                    message: `${variable}.${property} is checked on every scanned :${label} node; the schema lists no index on :${label}(${property})`,
+                });
+                mark(operator, `⚠ no index on :${label}(${property})`);
+            }
+        }
+    });
+
+    return {
+        warnings,
+        marks,
+        summary: {
+            operators: countOperators(plan),
+            estimated_rows: plan.estimatedRows,
+            ...(plan.rows !== undefined && { rows: plan.rows }),
+            ...(hasDbHits(plan) && { db_hits: totalDbHits(plan) }),
+        },
+    };
+}
+
+/**
+ * Render the plan as an indented operator tree, one line per operator.
+ * Operators with warnings end in the ⚠ markers from analyzePlan.
+ */
+export function renderPlanTree(plan, marks = new Map()) {
+    const lines = [];
+
+    const visit = (operator, prefix, childPrefix) => {
+        const stats = [
+            operator.estimatedRows !== undefined && `est. ${formatRows(operator.estimatedRows)} rows`,
+            operator.rows !== undefined && `rows ${operator.rows}`,
+            operator.dbHits !== undefined && `db hits ${operator.dbHits}`,
+        ].filter(Boolean);
+        const details = operator.details.length > MAX_DETAILS ? `${operator.details.slice(0, MAX_DETAILS - 1)}…` : operator.details;
+        lines.push([
+            `${prefix}${operator.type}`,
+            details,
+            stats.length > 0 && `(${stats.join(', ')})`,
+            ...(marks.get(operator) ?? []),
+        ].filter(Boolean).join('  '));
+
+        operator.children.forEach((child, i) => {
+            const last = i === operator.children.length - 1;
+            visit(child, `${childPrefix}${last ? '└─ ' : '├─ '}`, `${childPrefix}${last ? '   ' : '│  '}`);
+        });
+    };
+    visit(plan, '', '');
+    return lines.join('\n');
+}
+
+function walk(operator, visit) {
+    visit(operator);
+    operator.children.forEach((child) => walk(child, visit));
+}
+
+function countOperators(plan) {
+    let count = 0;
+    walk(plan, () => count++);
+    return count;
+}
+
+function hasDbHits(plan) {
+    let found = false;
+    walk(plan, (operator) => { found ||= operator.dbHits !== undefined; });
+    return found;
+}
+
+function totalDbHits(plan) {
+    let total = 0;
+    walk(plan, (operator) => { total += operator.dbHits ?? 0; });
+    return total;
+}
+
+function rowsNote(operator) {
+    return operator.estimatedRows !== undefined ? ` (est. ${formatRows(operator.estimatedRows)})` : '';
+}
+
+function formatRows(rows) {
+    return Number.isInteger(rows) ? String(rows) : rows.toFixed(1);
+}
+
+// "n:Permit" for NodeByLabelScan, "n" for AllNodesScan
+function parseScan(operator) {
+    const match = /^\s*`?(\w+)`?\s*(?::\s*`?(\w+)`?)?/.exec(operator.details) ?? [];
+    return { variable: match[1] ?? operator.identifiers[0], label: match[2] };
+}
+
+// Variables bound by a scan below this operator, mapped to the scanned label (undefined for AllNodesScan)
+function scannedVariables(operator) {
+    const scanned = new Map();
+    walk(operator, (candidate) => {
+        if (LABEL_SCANS.has(candidate.type)) {
+            const { variable, label } = parseScan(candidate);
+            if (variable) scanned.set(variable, label);
+        }
+    });
+    return scanned;
+}
+
+// Property comparisons (n.prop = ..., n.prop IN ..., ...) and label checks (n:Label) in a Filter
+function parsePredicates(details) {
+    const text = details.replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g, "''");
+    const properties = [];
+    const labels = new Map();
+    for (const [, variable, property] of text.matchAll(/`?(\w+)`?\.`?(\w+)`?\s*(?:=|<>|<=|>=|<|>|IN\b|STARTS WITH\b|ENDS WITH\b|CONTAINS\b|IS NOT NULL\b)/gi)) {
+        properties.push({ variable, property });
+    }
+    for (const [, variable, label] of text.matchAll(/(?<![.\w$])`?(\w+)`?:`?(\w+)`?/g)) {
+        labels.set(variable, label);
+    }
+    return { properties, labels };
+}
+
+// "Label|property" for every index, keyed on its first property
+function indexKeys(indexes) {
+    const keys = new Set();
+    for (const index of indexes) {
+        const labels = index.labelsOrTypes ?? (index.label ? [index.label] : []);
+        const property = index.properties?.[0] ?? index.property;
+        for (const label of labels) {
+            if (property) keys.add(`${label}|${property}`);
+        }
+    }
+    return keys;
+}
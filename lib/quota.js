@@ -0,0 +1,247 @@
+/**
+ * Local quota guard and usage ledger
+ *
+ * Every upstream API request made for a session is counted here before it is
+ * sent, per tool and per locality. Two windows are limited:
+ * - per minute (sliding): stops runaway agent loops quickly
+ * - per session: caps what one conversation can spend
+ * Crossing a soft limit adds a warning to tool results; a hard limit rejects
+ * the request without calling the API. The API's own /usage numbers, refreshed
+ * every usageCheckEvery requests, add warnings as the daily or monthly quota
+ * runs low. Responses served from the cache cost nothing and are not counted.
+ *
+ * Over HTTP every client session has its own ledger, so the limits do not cap
+ * the server's total spend on a shared key.
+ */
+
+import { ConfigError } from './config.js';
+
+export const DEFAULT_QUOTA = {
+    minuteSoft: 30,
+    minuteHard: 60,
+    sessionSoft: 500,
+    sessionHard: 1000,
+    usageCheckEvery: 50,
+};
+
+// Share of the API's daily or monthly limit at which the model is warned
+export const QUOTA_WARN_RATIO = 0.8;
+
+const MINUTE_MS = 60 * 1000;
+
+const ENV_LIMITS = {
+    minuteSoft: 'DATAGRAPH_QUOTA_MINUTE_SOFT',
+    minuteHard: 'DATAGRAPH_QUOTA_MINUTE_HARD',
+    sessionSoft: 'DATAGRAPH_QUOTA_SESSION_SOFT',
+    sessionHard: 'DATAGRAPH_QUOTA_SESSION_HARD',
+};
+
+export class QuotaExceededError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} details
+     * @param {string} details.scope - 'minute' or 'session'
+     * @param {number} details.limit - The hard limit that was reached
+     * @param {number} details.count - Requests already made in the window
+     * @param {number} [details.retryAfterSeconds] - When a request fits in the window again (minute scope)
+     */
+    constructor(message, { scope, limit, count, retryAfterSeconds }) {
+        super(message);
+        this.name = 'QuotaExceededError';
+        this.scope = scope;
+        this.limit = limit;
+        this.count = count;
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+
+    toJSON() {
+        return {
+            error: 'local_quota_exceeded',
+            message: this.message,
+            scope: this.scope,
+            limit: this.limit,
+            count: this.count,
+            retry_after_seconds: this.retryAfterSeconds ?? null,
+            hint: this.scope === 'minute'
+                ? 'Too many DataGraph API requests in a short time. Wait, then batch the work into fewer, broader queries instead of looping.'
+                : 'This session has used its DataGraph API budget. Summarize what you have; a new session or a higher DATAGRAPH_QUOTA_SESSION_HARD is needed for more.',
+        };
+    }
+}
+
+/**
+ * Quota limits from DATAGRAPH_QUOTA_* variables; 0 disables a limit.
+ *
+ * @throws {ConfigError} on values that are not whole numbers, or a soft limit above its hard limit
+ */
+export function quotaFromEnv(env = process.env) {
+    const limits = { ...DEFAULT_QUOTA };
+    const issues = [];
+    for (const [key, name] of Object.entries(ENV_LIMITS)) {
+        if (env[name] === undefined || env[name] === '') continue;
+        const value = Number(env[name]);
+        if (!Number.isInteger(value) || value < 0) {
+            issues.push(`${name}: must be a whole number (0 disables the limit)`);
+        } else {
+            limits[key] = value;
+        }
+    }
+    for (const scope of ['minute', 'session']) {
+        const soft = limits[`${scope}Soft`];
+        const hard = limits[`${scope}Hard`];
+        if (soft && hard && soft > hard) {
+            issues.push(`${ENV_LIMITS[`${scope}Soft`]}: soft limit ${soft} is above the hard limit ${hard}`);
+        }
+    }
+    if (issues.length > 0) {
+        throw new ConfigError('environment', issues);
+    }
+    return limits;
+}
+
+/**
+ * Create the ledger for one MCP session.
+ *
+ * @param {object} [limits] - Overrides for DEFAULT_QUOTA; 0 disables a limit
+ * @param {object} [options]
+ * @param {() => number} [options.now] - Clock, for tests
+ */
+export function createUsageLedger(limits = {}, { now = Date.now } = {}) {
+    const quota = { ...DEFAULT_QUOTA, ...limits };
+    const startedAt = now();
+    const recent = [];
+    const byTool = {};
+    const byLocality = {};
+    let requests = 0;
+    let toolCalls = 0;
+    let blocked = 0;
+    let upstream = null;
+    let requestsAtCheck = 0;
+
+    const toolEntry = (tool) => (byTool[tool] ??= { calls: 0, api_requests: 0, blocked: 0 });
+
+    function lastMinute() {
+        const cutoff = now() - MINUTE_MS;
+        while (recent.length > 0 && recent[0] <= cutoff) recent.shift();
+        return recent.length;
+    }
+
+    return {
+        limits: quota,
+
+        recordToolCall(tool) {
+            toolCalls++;
+            toolEntry(tool).calls++;
+        },
+
+        /**
+         * Count one API request, or throw QuotaExceededError if a hard limit is reached.
+         *
+         * @param {object} request
+         * @param {string} request.tool - Tool name, or the MCP method for resources
+         * @param {string} [request.locality]
+         */
+        reserve({ tool, locality }) {
+            const minute = lastMinute();
+            if (quota.minuteHard && minute >= quota.minuteHard) {
+                blocked++;
+                toolEntry(tool).blocked++;
+                const retryAfterSeconds = Math.max(1, Math.ceil((recent[0] + MINUTE_MS - now()) / 1000));
+                throw new QuotaExceededError(
+                    `Local quota: ${minute} DataGraph API requests in the last minute (hard limit ${quota.minuteHard}). Retry in ${retryAfterSeconds}s.`,
+                    { scope: 'minute', limit: quota.minuteHard, count: minute, retryAfterSeconds },
+                );
+            }
+            if (quota.sessionHard && requests >= quota.sessionHard) {
+                blocked++;
+                toolEntry(tool).blocked++;
+                throw new QuotaExceededError(
+                    `Local quota: this session has made ${requests} DataGraph API requests (hard limit ${quota.sessionHard}).`,
+                    { scope: 'session', limit: quota.sessionHard, count: requests },
+                );
+            }
+
+            recent.push(now());
+            requests++;
+            toolEntry(tool).api_requests++;
+            if (locality) {
+                byLocality[locality] = (byLocality[locality] ?? 0) + 1;
+            }
+        },
+
+        /**
+         * Keep the API's /usage numbers; requests made since are added to them in estimates.
+         */
+        recordUsage(stats) {
+            if (stats && typeof stats === 'object') {
+                upstream = { ...stats, checked_at: new Date(now()).toISOString() };
+                requestsAtCheck = requests;
+            }
+        },
+
+        usageCheckDue() {
+            return Boolean(quota.usageCheckEvery) && requests - requestsAtCheck >= quota.usageCheckEvery;
+        },
+
+        /**
+         * Warnings for tool results: soft limits reached and API quota running low.
+         */
+        warnings,
+
+        /**
+         * The ledger as reported by the datagraph://usage/session resource.
+         */
+        snapshot() {
+            return {
+                session: {
+                    started_at: new Date(startedAt).toISOString(),
+                    tool_calls: toolCalls,
+                    api_requests: requests,
+                    api_requests_last_minute: lastMinute(),
+                    blocked,
+                },
+                limits: {
+                    per_minute: { soft: quota.minuteSoft || null, hard: quota.minuteHard || null },
+                    per_session: { soft: quota.sessionSoft || null, hard: quota.sessionHard || null },
+                },
+                by_tool: byTool,
+                by_locality: byLocality,
+                upstream: upstream && {
+                    ...upstream,
+                    requests_since_check: requests - requestsAtCheck,
+                    estimate: Object.fromEntries(upstreamPeriods().map(({ key, used, limit }) => [key, { used, limit }])),
+                },
+                warnings: warnings(),
+            };
+        },
+    };
+
+    function warnings() {
+        const list = [];
+        const minute = lastMinute();
+        if (quota.minuteSoft && minute >= quota.minuteSoft) {
+            list.push(`${minute} DataGraph API requests in the last minute (soft limit ${quota.minuteSoft}${quota.minuteHard ? `, requests are refused at ${quota.minuteHard}` : ''}). Slow down and combine queries.`);
+        }
+        if (quota.sessionSoft && requests >= quota.sessionSoft) {
+            list.push(`${requests} DataGraph API requests this session (soft limit ${quota.sessionSoft}${quota.sessionHard ? `, requests are refused at ${quota.sessionHard}` : ''}). Finish with what you have where possible.`);
+        }
+        for (const { used, limit, period } of upstreamPeriods()) {
+            if (limit > 0 && used >= limit * QUOTA_WARN_RATIO) {
+                list.push(`About ${used} of ${limit} DataGraph API requests used ${period} (${Math.round((used / limit) * 100)}% of the API quota).`);
+            }
+        }
+        return list;
+    }
+
+    // /usage counts plus requests made since they were fetched
+    function upstreamPeriods() {
+        if (!upstream) return [];
+        const since = requests - requestsAtCheck;
+        return [
+            { key: 'today', period: 'today', used: upstream.requests_today, limit: upstream.daily_limit },
+            { key: 'this_month', period: 'this month', used: upstream.requests_this_month, limit: upstream.monthly_limit },
+        ]
+            .filter(({ used, limit }) => Number.isFinite(used) && Number.isFinite(limit))
+            .map((entry) => ({ ...entry, used: entry.used + since }));
+    }
+}
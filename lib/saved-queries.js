@@ -0,0 +1,362 @@
+/**
+ * Saved query library
+ *
+ * Named, parameterized Cypher queries kept in a local JSON file, so the
+ * questions a team asks every week (active funders by year, Resources per
+ * StrategyArea) are one run_saved_query call away. The suggested_queries of
+ * /datasets belong to the library as '<dataset id>.<name>' entries (source
+ * 'suggested'); a query saved under one of those names replaces it.
+ *
+ * Parameters are declared with a type and passed to the API as Cypher
+ * parameters ($name). A parameter without a default is required.
+ *
+ *   {
+ *     "name": "funders-by-year",
+ *     "locality": "kc",
+ *     "dataset": "kc-violence-prevention",
+ *     "cypher": "MATCH (f:Funder)-[r:FUNDS]->(a) WHERE r.year = $year RETURN f.name, sum(r.amount) AS total ORDER BY total DESC",
+ *     "parameters": { "year": { "type": "integer", "description": "Fiscal year" } }
+ *   }
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { assertSafeCypher, DATASET_PARAM, injectDatasetFilter, MAX_CYPHER_LIMIT, tokenize } from './cypher.js';
+
+export const QUERY_NAME_PATTERN = /^[A-Za-z0-9][\w.-]{0,79}$/;
+export const QUERY_PROMPT_PREFIX = 'query:';
+
+const PARAMETER_KEYS = ['type', 'description', 'default'];
+
+// Value checks per parameter type; list items are scalars, e.g. for WHERE n.name IN $names
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    integer: (value) => Number.isInteger(value),
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    boolean: (value) => typeof value === 'boolean',
+    list: (value) => Array.isArray(value) && value.every((item) => ['string', 'number', 'boolean'].includes(typeof item)),
+};
+
+export const PARAMETER_TYPES = Object.keys(TYPE_CHECKS);
+
+// Values used to check the Cypher when a query is saved
+const PLACEHOLDERS = { string: '', integer: 0, number: 0, boolean: false, list: [] };
+
+/**
+ * Query store backed by a JSON file, or by memory when no file is given.
+ * Writes go through a temporary file and are applied one at a time.
+ *
+ * @param {object} [options]
+ * @param {string} [options.file] - Path of the JSON file; created on the first save
+ */
+export function createQueryStore({ file } = {}) {
+    let memory = {};
+    let writes = Promise.resolve();
+
+    async function load() {
+        if (!file) return memory;
+        let text;
+        try {
+            text = await readFile(file, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw new Error(`Saved query file ${file} cannot be read: ${error.message}`);
+        }
+        let stored;
+        try {
+            stored = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Saved query file ${file} cannot be parsed: ${error.message}`);
+        }
+        return isObject(stored?.queries) ? stored.queries : {};
+    }
+
+    async function store(queries) {
+        if (!file) {
+            memory = queries;
+            return;
+        }
+        await mkdir(dirname(file), { recursive: true });
+        const temporary = `${file}.${process.pid}.tmp`;
+        await writeFile(temporary, `${JSON.stringify({ version: 1, queries }, null, 2)}\n`);
+        await rename(temporary, file);
+    }
+
+    return {
+        file: file ?? null,
+
+        async list() {
+            return Object.values(await load()).map((query) => ({ ...query, source: 'saved' }));
+        },
+
+        async get(name) {
+            const query = (await load())[name];
+            return query ? { ...query, source: 'saved' } : null;
+        },
+
+        /**
+         * Add or replace a query; a replaced query keeps its created_at.
+         *
+         * @param {object} query - From checkQueryDefinition()
+         * @returns {Promise<{ query: object, replaced: boolean }>}
+         */
+        save(query) {
+            const result = writes.then(async () => {
+                const queries = await load();
+                const previous = queries[query.name];
+                const now = new Date().toISOString();
+                const record = { ...query, created_at: previous?.created_at ?? now, updated_at: now };
+                await store({ ...queries, [query.name]: record });
+                return { query: { ...record, source: 'saved' }, replaced: Boolean(previous) };
+            });
+            writes = result.catch(() => {});
+            return result;
+        },
+    };
+}
+
+/**
+ * Check a query definition from save_query and return it normalized.
+ * The Cypher is validated like query_locality_data input, with each parameter
+ * set to its default or a placeholder of its type.
+ *
+ * @returns {{ query: object, notices: string[] }}
+ * @throws {Error} listing every problem with the definition
+ * @throws {CypherValidationError} when the Cypher is not allowed
+ */
+export function checkQueryDefinition({ name, description = '', locality, dataset, cypher, parameters = {} }) {
+    const issues = [];
+    const notices = [];
+
+    if (typeof name !== 'string' || !QUERY_NAME_PATTERN.test(name)) {
+        issues.push("name: 1-80 letters, digits, '_', '.' or '-', starting with a letter or digit");
+    }
+    if (typeof locality !== 'string' || !locality) {
+        issues.push('locality: required. Call list_datasets to discover available locality codes.');
+    }
+    if (dataset !== undefined && (typeof dataset !== 'string' || !dataset)) {
+        issues.push("dataset: must be a dataset id (the 'id' field from list_datasets)");
+    }
+    if (typeof description !== 'string') {
+        issues.push('description: must be a string');
+    }
+    if (typeof cypher !== 'string' || !cypher.trim()) {
+        issues.push('cypher: required');
+    }
+
+    const declared = isObject(parameters) ? parameters : {};
+    if (!isObject(parameters)) {
+        issues.push('parameters: must map parameter names to { type, description, default }');
+    }
+    for (const [param, spec] of Object.entries(declared)) {
+        const path = `parameters.${param}`;
+        if (!/^[A-Za-z_]\w*$/.test(param) || param.startsWith('__')) {
+            issues.push(`${path}: parameter names must be Cypher identifiers that do not start with '__'`);
+        }
+        if (!isObject(spec) || !PARAMETER_TYPES.includes(spec.type)) {
+            issues.push(`${path}.type: must be one of ${PARAMETER_TYPES.join(', ')}`);
+            continue;
+        }
+        for (const key of Object.keys(spec).filter((key) => !PARAMETER_KEYS.includes(key))) {
+            issues.push(`${path}.${key}: unknown setting (expected ${PARAMETER_KEYS.join(', ')})`);
+        }
+        if (spec.description !== undefined && typeof spec.description !== 'string') {
+            issues.push(`${path}.description: must be a string`);
+        }
+        if (spec.default !== undefined && !TYPE_CHECKS[spec.type](spec.default)) {
+            issues.push(`${path}.default: must be ${article(spec.type)}`);
+        }
+    }
+
+    // Every $param in the Cypher must be declared; a broken query is reported by the Cypher check below
+    const used = typeof cypher === 'string' ? cypherParameters(cypher) : [];
+    for (const param of used.filter((param) => !Object.hasOwn(declared, param))) {
+        issues.push(param.startsWith('__')
+            ? `cypher: $${param} is reserved for the server`
+            : `cypher: $${param} is not declared in parameters`);
+    }
+    for (const param of Object.keys(declared).filter((param) => !used.includes(param))) {
+        notices.push(`Parameter '${param}' is not used in the Cypher`);
+    }
+
+    if (issues.length > 0) {
+        throw new Error(`Cannot save query${typeof name === 'string' && name ? ` '${name}'` : ''}:\n${issues.map((issue) => `  - ${issue}`).join('\n')}`);
+    }
+
+    const placeholders = Object.fromEntries(Object.entries(declared).map(([param, spec]) => [param, spec.default ?? PLACEHOLDERS[spec.type]]));
+    const candidate = dataset ? injectDatasetFilter(cypher, { dataset, params: placeholders }).cypher : cypher;
+    assertSafeCypher(candidate, {
+        params: dataset ? { ...placeholders, [DATASET_PARAM]: dataset } : placeholders,
+        maxLimit: MAX_CYPHER_LIMIT,
+    });
+
+    return {
+        query: {
+            name,
+            description,
+            locality,
+            ...(dataset && { dataset }),
+            cypher: cypher.trim(),
+            parameters: Object.fromEntries(Object.entries(declared).map(([param, spec]) => [param, {
+                type: spec.type,
+                ...(spec.description && { description: spec.description }),
+                ...(spec.default !== undefined && { default: spec.default }),
+            }])),
+        },
+        notices,
+    };
+}
+
+/**
+ * Cypher parameters for one run of a saved query: the given values checked
+ * against the declared types, with defaults for the rest. Text is converted
+ * to the declared type, since prompt arguments are always strings
+ * ('2024' -> 2024, 'true' -> true, 'a, b' -> ['a', 'b']).
+ *
+ * @throws {Error} listing unknown, missing and mistyped parameters
+ */
+export function bindParameters(query, values = {}) {
+    if (!isObject(values)) {
+        throw new Error(`parameters must be an object, e.g. ${JSON.stringify(example(query))}`);
+    }
+
+    const issues = Object.keys(values)
+        .filter((param) => !Object.hasOwn(query.parameters, param))
+        .map((param) => `unknown parameter '${param}'`);
+    const params = {};
+    for (const [param, spec] of Object.entries(query.parameters)) {
+        let value = values[param];
+        if (value === undefined || value === null || value === '') {
+            if (spec.default === undefined) {
+                issues.push(`'${param}' is required (${spec.type})`);
+            } else {
+                params[param] = spec.default;
+            }
+            continue;
+        }
+        if (typeof value === 'string' && spec.type !== 'string') {
+            value = fromText(spec.type, value);
+        }
+        if (!TYPE_CHECKS[spec.type](value)) {
+            issues.push(`'${param}' must be ${article(spec.type)}`);
+        } else {
+            params[param] = value;
+        }
+    }
+
+    if (issues.length > 0) {
+        throw new Error(`Invalid parameters for saved query '${query.name}': ${issues.join('; ')}. Expected: ${describeParameters(query.parameters)}`);
+    }
+    return params;
+}
+
+/**
+ * Library entries for the suggested_queries of a /datasets listing.
+ */
+export function suggestedQueries(datasets) {
+    return datasets.flatMap((entry) => (Array.isArray(entry.suggested_queries) ? entry.suggested_queries : [])
+        .filter((suggestion) => suggestion?.name && typeof suggestion.cypher === 'string')
+        .map((suggestion) => ({
+            name: `${entry.id}.${String(suggestion.name).replace(/[^\w.-]+/g, '-')}`,
+            description: suggestion.description || '',
+            locality: entry.locality,
+            dataset: entry.id,
+            cypher: suggestion.cypher,
+            parameters: {},
+            source: 'suggested',
+        })));
+}
+
+/**
+ * Saved and suggested queries by name; a saved query replaces a suggestion of the same name.
+ */
+export function mergeQueries(saved, suggested) {
+    const names = new Set(saved.map((query) => query.name));
+    return [...saved, ...suggested.filter((query) => !names.has(query.name))]
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * A query with the resource URI and prompt name it is published under.
+ */
+export function describeQuery(query) {
+    return {
+        ...query,
+        uri: `datagraph://queries/${encodeURIComponent(query.name)}`,
+        prompt: `${QUERY_PROMPT_PREFIX}${query.name}`,
+    };
+}
+
+/**
+ * The MCP prompt generated for a saved query; its arguments are the query's parameters.
+ */
+export function queryPrompt(query) {
+    return {
+        name: `${QUERY_PROMPT_PREFIX}${query.name}`,
+        description: `Run the saved query '${query.name}'${query.description ? `: ${query.description}` : ''}`,
+        arguments: Object.entries(query.parameters).map(([param, spec]) => ({
+            name: param,
+            description: `${spec.type}${spec.description ? ` - ${spec.description}` : ''}${spec.default !== undefined ? ` (default ${JSON.stringify(spec.default)})` : ''}`,
+            required: spec.default === undefined,
+        })),
+    };
+}
+
+/**
+ * Prompt text asking the model to run a saved query with bound parameters and interpret the result.
+ */
+export function queryPromptText(query, params) {
+    const scope = query.dataset ? `dataset '${query.dataset}' in locality '${query.locality}'` : `locality '${query.locality}'`;
+    return `Run the saved query '${query.name}' on ${scope} with run_saved_query:
+
+${JSON.stringify({ name: query.name, parameters: params }, null, 2)}
+
+The query is:
+
+${query.cypher}
+
+${query.description ? `It answers: ${query.description}\n\n` : ''}Summarize the results. If they are paged, use fetch_more with next_cursor before drawing conclusions about totals.`;
+}
+
+// Names of the $parameters a query uses, in order of first use
+function cypherParameters(cypher) {
+    try {
+        return [...new Set(tokenize(cypher).filter((token) => token.type === 'param' && token.value).map((token) => token.value))];
+    } catch {
+        return [];
+    }
+}
+
+function fromText(type, text) {
+    const value = text.trim();
+    switch (type) {
+        case 'integer':
+            return /^-?\d+$/.test(value) ? Number(value) : text;
+        case 'number':
+            return value !== '' && Number.isFinite(Number(value)) ? Number(value) : text;
+        case 'boolean':
+            return value === 'true' ? true : value === 'false' ? false : text;
+        case 'list':
+            return value.split(',').map((item) => item.trim()).filter(Boolean);
+        default:
+            return text;
+    }
+}
+
+function describeParameters(parameters) {
+    const entries = Object.entries(parameters);
+    if (entries.length === 0) return 'no parameters';
+    return entries.map(([param, spec]) => `${param} (${spec.type}${spec.default !== undefined ? `, default ${JSON.stringify(spec.default)}` : ', required'})`).join(', ');
+}
+
+function example(query) {
+    return Object.fromEntries(Object.entries(query.parameters).map(([param, spec]) => [param, spec.default ?? PLACEHOLDERS[spec.type]]));
+}
+
+function article(type) {
+    return type === 'integer' ? 'an integer' : `a ${type}`;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,167 @@
+/**
+ * Free-text entity search for search_entities
+ *
+ * Searches the name and description of nodes in every GOSR layer (plus the
+ * StrategyArea and Ecosystem extensions) of one dataset:
+ * - labels covered by a FULLTEXT index in the locality schema are searched
+ *   with db.index.fulltext.queryNodes, which handles stemming and fuzzy terms
+ * - other labels fall back to case-insensitive CONTAINS on the phrase and on
+ *   each word, ranked in Cypher so LIMIT keeps the best hits
+ * Every hit is then ranked with the CONTAINS weights, so both kinds of hit
+ * sort on one scale; the index score breaks ties.
+ */
+
+import { GOSR_LAYERS } from './gosr.js';
+
+export const SEARCH_LABELS = GOSR_LAYERS;
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 100;
+
+const SEARCH_PROPERTIES = ['name', 'description'];
+const SNIPPET_LENGTH = 160;
+
+// Relevance per match; the phrase outweighs any number of single words
+const WEIGHTS = {
+    exactName: 100,
+    phraseInName: 20,
+    phraseInDescription: 8,
+    termInName: 3,
+    termInDescription: 1,
+};
+
+// Words that say nothing about what is searched for ("is there anything about ...")
+const STOPWORDS = new Set([
+    'a', 'about', 'an', 'and', 'any', 'anything', 'are', 'as', 'at', 'by', 'for', 'from', 'in', 'is',
+    'it', 'of', 'on', 'or', 'the', 'there', 'this', 'to', 'what', 'which', 'with',
+]);
+
+// Characters with a meaning in Lucene query syntax
+const LUCENE_SPECIAL = /[+\-&|!(){}[\]^"~*?:\\/]/g;
+
+/**
+ * Lowercased phrase and search words of a free-text query.
+ *
+ * @returns {{ phrase: string, terms: string[] }}
+ */
+export function searchTerms(text) {
+    const phrase = String(text ?? '').replace(/\s+/g, ' ').replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').toLowerCase();
+    const words = phrase.split(/[^\p{L}\p{N}]+/u).filter((word) => word.length > 1 && !STOPWORDS.has(word));
+    return { phrase, terms: [...new Set(words)] };
+}
+
+/**
+ * FULLTEXT indexes of the schema that cover name or description of a searched label,
+ * as { name, labels } with the searched labels each covers.
+ */
+export function fulltextIndexes(indexes, labels) {
+    if (!Array.isArray(indexes)) return [];
+    return indexes
+        .filter((index) => String(index?.type ?? '').toUpperCase() === 'FULLTEXT' && index.name)
+        .filter((index) => (index.properties ?? []).some((property) => SEARCH_PROPERTIES.includes(property)))
+        .map((index) => ({
+            name: index.name,
+            labels: (index.labelsOrTypes ?? index.labels ?? (index.label ? [index.label] : [])).filter((label) => labels.includes(label)),
+        }))
+        .filter((index) => index.labels.length > 0);
+}
+
+/**
+ * Cypher for one FULLTEXT index, restricted to the dataset and labels.
+ */
+export function fulltextCypher() {
+    return `CALL db.index.fulltext.queryNodes($index, $search) YIELD node, score
+WHERE node.dataset = $dataset AND any(label IN labels(node) WHERE label IN $labels)
+RETURN labels(node)[0] AS label, coalesce(node.id, node.name) AS id, node.name AS name, node.description AS description, score
+ORDER BY score DESC
+LIMIT $limit`;
+}
+
+/**
+ * Lucene query for a fulltext index: the words, each also matched fuzzily, with the phrase boosted.
+ */
+export function luceneQuery({ phrase, terms }) {
+    const escape = (text) => text.replace(LUCENE_SPECIAL, (char) => `\\${char}`);
+    const words = terms.map((term) => `${escape(term)} ${escape(term)}~`);
+    return [`"${escape(phrase)}"^4`, ...words].join(' ');
+}
+
+/**
+ * Cypher for the CONTAINS fallback: any node of the labels whose name or
+ * description contains the phrase or one of the words, scored with WEIGHTS.
+ */
+export function containsCypher() {
+    return `MATCH (n {dataset: $dataset})
+WHERE any(label IN labels(n) WHERE label IN $labels)
+WITH n, toLower(coalesce(n.name, '')) AS name_text, toLower(coalesce(n.description, '')) AS description_text
+WITH n,
+     CASE WHEN name_text = $phrase THEN ${WEIGHTS.exactName} ELSE 0 END
+     + CASE WHEN name_text CONTAINS $phrase THEN ${WEIGHTS.phraseInName} ELSE 0 END
+     + CASE WHEN description_text CONTAINS $phrase THEN ${WEIGHTS.phraseInDescription} ELSE 0 END
+     + reduce(total = 0, term IN $terms | total
+         + CASE WHEN name_text CONTAINS term THEN ${WEIGHTS.termInName} ELSE 0 END
+         + CASE WHEN description_text CONTAINS term THEN ${WEIGHTS.termInDescription} ELSE 0 END) AS score
+WHERE score > 0
+RETURN labels(n)[0] AS label, coalesce(n.id, n.name) AS id, n.name AS name, n.description AS description, score
+ORDER BY score DESC, name
+LIMIT $limit`;
+}
+
+/**
+ * Relevance of a hit with the same weights as containsCypher().
+ */
+export function relevance(hit, { phrase, terms }) {
+    const name = String(hit.name ?? '').toLowerCase();
+    const description = String(hit.description ?? '').toLowerCase();
+    let score = 0;
+    if (name === phrase) score += WEIGHTS.exactName;
+    if (name.includes(phrase)) score += WEIGHTS.phraseInName;
+    if (description.includes(phrase)) score += WEIGHTS.phraseInDescription;
+    for (const term of terms) {
+        if (name.includes(term)) score += WEIGHTS.termInName;
+        if (description.includes(term)) score += WEIGHTS.termInDescription;
+    }
+    return score;
+}
+
+/**
+ * Rank rows from both searches into hits: one per node, best first.
+ *
+ * @param {object[]} rows - Rows with label, id, name, description, score and match ('fulltext' or 'contains')
+ * @param {{ phrase: string, terms: string[] }} search - From searchTerms()
+ * @param {number} limit
+ */
+export function rankHits(rows, search, limit) {
+    const byNode = new Map();
+    for (const row of rows) {
+        const key = `${row.label}|${row.id}`;
+        const hit = {
+            layer: row.label,
+            id: row.id,
+            name: row.name ?? null,
+            score: relevance(row, search),
+            ...(row.match === 'fulltext' && { index_score: Math.round(Number(row.score) * 1000) / 1000 }),
+            match: row.match,
+            snippet: snippet(row, search),
+        };
+        const previous = byNode.get(key);
+        if (!previous || hit.score > previous.score || (hit.score === previous.score && (hit.index_score ?? 0) > (previous.index_score ?? 0))) {
+            byNode.set(key, hit);
+        }
+    }
+    return [...byNode.values()]
+        .sort((a, b) => b.score - a.score || (b.index_score ?? 0) - (a.index_score ?? 0) || String(a.name).localeCompare(String(b.name)))
+        .slice(0, limit);
+}
+
+// Up to SNIPPET_LENGTH characters of the description around the first match, or the name
+function snippet(row, { phrase, terms }) {
+    const text = String(row.description || row.name || '').replace(/\s+/g, ' ').trim();
+    if (text.length <= SNIPPET_LENGTH) return text;
+
+    const lower = text.toLowerCase();
+    const positions = [phrase, ...terms].map((term) => lower.indexOf(term)).filter((position) => position !== -1);
+    const at = positions.length > 0 ? Math.min(...positions) : 0;
+    const start = Math.max(0, Math.min(at - Math.floor(SNIPPET_LENGTH / 3), text.length - SNIPPET_LENGTH));
+    const end = start + SNIPPET_LENGTH;
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
@@ -0,0 +1,2676 @@
+/**
+ * DataGraph MCP server definition
+ *
+ * createServer() builds a fully wired MCP Server (tools, prompts, resources).
+ * The stdio entry point uses a single instance; the HTTP transport creates one
+ * per client session so session state is never shared between clients.
+ */
+
+import { randomUUID } from 'crypto';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+    CallToolRequestSchema,
+    ListToolsRequestSchema,
+    ListPromptsRequestSchema,
+    GetPromptRequestSchema,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ReadResourceRequestSchema,
+    SetLevelRequestSchema,
+    McpError,
+} from '@modelcontextprotocol/sdk/types.js';
+import {
+    assertSafeCypher,
+    injectDatasetFilter,
+    paginateCypher,
+    CypherValidationError,
+    DATASET_PARAM,
+    LIMIT_PARAM,
+    MAX_CYPHER_LIMIT,
+    SKIP_PARAM,
+} from './cypher.js';
+import { createProfileClient, DataGraphApiError, requestLocality } from './api-client.js';
+import { describeProfiles } from './config.js';
+import {
+    LIST_DATASETS_OUTPUT,
+    LOCALITY_SCHEMA_OUTPUT,
+    objectContent,
+    QUERY_OUTPUT,
+    SERVER_INFO_OUTPUT,
+    USAGE_OUTPUT,
+} from './output-schemas.js';
+import { createUsageLedger, QuotaExceededError } from './quota.js';
+import { createAuditLog, createLogger, levelEnabled } from './logging.js';
+import {
+    bindParameters,
+    checkQueryDefinition,
+    createQueryStore,
+    describeQuery,
+    mergeQueries,
+    PARAMETER_TYPES,
+    QUERY_PROMPT_PREFIX,
+    queryPrompt,
+    queryPromptText,
+    suggestedQueries,
+} from './saved-queries.js';
+import { createResponseCache } from './cache.js';
+import {
+    buildGosrTree,
+    gapCypher,
+    GOSR_GAP_CHECKS,
+    GOSR_LABELS,
+    GOSR_TREE_CYPHER,
+    MAX_CHAIN_DEPTH,
+    MAX_GAP_EXAMPLES,
+    resultRows,
+    startNodeCypher,
+    suggestNodeCypher,
+    traverseGosrChain,
+} from './gosr.js';
+import { flattenRows, OUTPUT_FORMATS, renderRows } from './format.js';
+import { apiTotal, cursorRequest, decodeCursor, encodeCursor, rowFingerprint } from './pagination.js';
+import {
+    assertDetailOptions,
+    condenseDatasets,
+    condenseSchema,
+    DETAIL_LEVELS,
+    jsonView,
+    pickView,
+    queryViews,
+} from './condense.js';
+import {
+    FUNDING_BREAKDOWN_CYPHER,
+    FUNDING_TOTALS_CYPHER,
+    fundingParams,
+    summarizeFunding,
+} from './funding.js';
+import {
+    COMPARE_MAX_DATASETS,
+    compareDatasets,
+    DEFAULT_SIMILARITY,
+    FUNDERS_CYPHER,
+    LAYER_COUNTS_CYPHER,
+    STRUCTURE_CYPHER,
+    THEMES_CYPHER,
+} from './compare.js';
+import {
+    buildGraph,
+    EXPORT_EDGES_CYPHER,
+    EXPORT_FORMATS,
+    EXPORT_NODES_CYPHER,
+    EXPORT_ROW_LIMIT,
+    layerCounts,
+    MAX_EXPORT_DEPTH,
+    neighbourhoodCypher,
+    renderGraph,
+} from './export.js';
+import {
+    DEFAULT_NEARBY_LIMIT,
+    DEFAULT_RADIUS_M,
+    describeSearch,
+    GEO_FORMATS,
+    geoLabels,
+    MAX_RADIUS_M,
+    mergeNearby,
+    nearbyCypher,
+    parseSearch,
+    toFeatureCollection,
+} from './geo.js';
+import {
+    containsCypher,
+    DEFAULT_SEARCH_LIMIT,
+    fulltextCypher,
+    fulltextIndexes,
+    luceneQuery,
+    MAX_SEARCH_LIMIT,
+    rankHits,
+    SEARCH_LABELS,
+    searchTerms,
+} from './search.js';
+import {
+    buildSnapshot,
+    createSnapshotStore,
+    DEFAULT_DIFF_LIMIT,
+    defaultSnapshotName,
+    describeSnapshot,
+    diffSnapshots,
+    MAX_DIFF_LIMIT,
+    readDatasetGraph,
+    SNAPSHOT_NAME_PATTERN,
+} from './snapshots.js';
+import { analyzePlan, extractPlan, PLAN_MODES, renderPlanTree, splitPlanPrefix } from './plan.js';
+import {
+    buildTranslationRequest,
+    checkTranslation,
+    extractCypher,
+    repairMessages,
+    SAMPLING_ATTEMPTS,
+    SAMPLING_SCHEMA_TOKENS,
+    samplingText,
+} from './nl2cypher.js';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const packageJson = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf-8'));
+
+// Define available tools
+const TOOLS = [
+    {
+        name: 'get_server_info',
+        description: 'Get DataGraph MCP server version and metadata information',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+        },
+        outputSchema: SERVER_INFO_OUTPUT,
+        annotations: { title: 'Get Server Info', readOnlyHint: true },
+    },
+    {
+        name: 'get_locality_schema',
+        description: `Get the Neo4j graph schema for a locality. **ALWAYS CALL THIS FIRST** before querying.
+        
+Returns: node labels, relationships, properties, indexes, dataset_filtering (with dataset IDs for WHERE clauses), and security constraints.
+
+**RECOMMENDED WORKFLOW:**
+1. Call list_datasets to discover available localities and dataset IDs
+2. Call get_locality_schema with the locality code (the 'locality' field from list_datasets, NOT the 'id' field)
+3. Read the dataset_filtering section — it tells you the exact WHERE clause to use
+4. Generate Cypher with dataset filter, then use query_locality_data with cypher_query parameter
+
+Why Cypher-first? Natural language parsing is limited and brittle. LLM-generated Cypher from schema is more reliable, expressive, and handles complex queries better.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                locality: {
+                    type: 'string',
+                    description: "Locality code (REQUIRED). Use the 'locality' field from list_datasets (NOT the 'id' field). Example: 'nova-scotia', 'kc', 'unlonely-nyc'.",
+                },
+                detail: {
+                    type: 'string',
+                    enum: DETAIL_LEVELS,
+                    description: "'full' (default), 'summary' (first 8 properties per label or relationship type) or 'minimal' (labels, relationship types and dataset filtering only)",
+                    default: 'full',
+                },
+                max_tokens: {
+                    type: 'number',
+                    description: 'Approximate token budget for the response; the most detailed view that fits is returned, with a note on what was omitted',
+                },
+            },
+            required: ['locality'],
+        },
+        outputSchema: LOCALITY_SCHEMA_OUTPUT,
+        annotations: { title: 'Get Locality Schema', readOnlyHint: true },
+    },
+    {
+        name: 'query_locality_data',
+        description: `Execute queries against locality data. **BEST PRACTICE: Generate Cypher from schema rather than using natural language.**
+
+**Two modes:**
+1. **Cypher (RECOMMENDED)**: Generate Cypher after calling get_locality_schema. More reliable and expressive.
+2. **Natural Language**: Fallback for simple queries. With use_sampling, the server asks your model (MCP sampling) to write schema-grounded Cypher for the question, validates and runs it, and echoes the generated Cypher; without sampling support it falls back to the API's parser.
+
+**CRITICAL — DATASET FILTERING:**
+All datasets share one Neo4j instance. Every Cypher query MUST include a dataset filter or it will return data from ANY dataset.
+Use: WHERE n.dataset = '<dataset_id>' (get dataset IDs from list_datasets 'id' field).
+Example: MATCH (g:Goal) WHERE g.dataset = 'nova-scotia-gosr' RETURN g
+
+**Local safety check:** Cypher is validated before it is sent. Write clauses (CREATE, MERGE, SET, DELETE, LOAD CSV) and procedures that are not read-only are rejected, and every node variable in MATCH must have a dataset filter; anonymous nodes in pattern comprehensions and WHERE pattern predicates need an inline {dataset: ...}. Rejections list each offending clause so you can fix the query and resubmit.
+
+**Workflow:**
+1. Call list_datasets to discover localities (use 'locality' field) and dataset IDs (use 'id' field)
+2. Call get_locality_schema with the locality code to understand the graph
+3. Generate Cypher based on user question and schema — ALWAYS include WHERE n.dataset = '<id>' filter
+4. Submit via cypher_query parameter (or pass dataset: '<id>' to have the filter added to every MATCH node automatically)
+
+**Explain / profile:** Set mode 'explain' to see the query plan without running the query, or 'profile' to run it and get actual rows and db hits per operator. The plan comes back as an operator tree with full label scans and filters on unindexed properties flagged (checked against the indexes in get_locality_schema). Use it before expensive queries on the shared instance.
+
+**Pagination:** Results come back in pages of page_size rows (max 1000). Your query's SKIP/LIMIT select the rows to page through; without LIMIT every row is reachable. When pagination.truncated is true, call fetch_more with pagination.next_cursor for the next page. Add ORDER BY for stable pages.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: {
+                    type: 'string',
+                    description: 'User question or description. Used for logging and natural language fallback.',
+                },
+                locality: {
+                    type: 'string',
+                    description: "Locality code (REQUIRED). Use the 'locality' field from list_datasets (NOT the 'id' field). Example: 'nova-scotia', 'kc', 'unlonely-nyc'.",
+                },
+                cypher_query: {
+                    type: 'string',
+                    description: "RECOMMENDED: Cypher query generated from schema. MUST include WHERE n.dataset = '<dataset_id>' filter (use 'id' from list_datasets). Must be read-only. LIMIT is optional; large results are paginated.",
+                },
+                cypher_params: {
+                    type: 'object',
+                    description: 'Parameters for Cypher query. Use $param syntax in query. Example: {"borough": "M", "lat": 40.7}',
+                },
+                dataset: {
+                    type: 'string',
+                    description: "Dataset id (the 'id' field from list_datasets). When set, every MATCH node in cypher_query is rewritten to filter on this dataset, so you do not need to write the WHERE n.dataset clauses yourself. The executed Cypher is echoed back.",
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Maximum results for natural language queries (default: 10, max: 100)',
+                    default: 10,
+                },
+                page_size: {
+                    type: 'number',
+                    description: `Rows per page for cypher_query results (default and max: ${MAX_CYPHER_LIMIT})`,
+                    default: MAX_CYPHER_LIMIT,
+                },
+                output_format: {
+                    type: 'string',
+                    enum: OUTPUT_FORMATS,
+                    description: "Result format (default 'json'). 'table' (markdown), 'csv' and 'ndjson' flatten nodes and relationships into columns (g.labels, g.name, r.type, ...) and use far fewer tokens for wide results.",
+                    default: 'json',
+                },
+                csv_as_resource: {
+                    type: 'boolean',
+                    description: "With output_format 'csv': return the CSV as an embedded text/csv resource the client can save as a file, instead of inline text.",
+                    default: false,
+                },
+                detail: {
+                    type: 'string',
+                    enum: DETAIL_LEVELS,
+                    description: "'full' (default), 'summary' (first rows plus per-column stats) or 'minimal' (column stats only). The csv_as_resource file always has every row of the page.",
+                    default: 'full',
+                },
+                max_tokens: {
+                    type: 'number',
+                    description: 'Approximate token budget for the response; the most detailed view that fits is returned, with a note on what was omitted',
+                },
+                use_sampling: {
+                    type: 'boolean',
+                    description: 'Natural language only: have the client model translate query into Cypher via MCP sampling, grounded with the locality schema and dataset filter rules. Falls back to the API parser when the client does not support sampling.',
+                    default: false,
+                },
+                mode: {
+                    type: 'string',
+                    enum: PLAN_MODES,
+                    description: "With cypher_query: 'explain' returns the query plan without running the query; 'profile' runs it and returns the plan with actual rows and db hits. Both flag full label scans and missing indexes. Rows are not returned, so output_format, page_size and detail do not apply.",
+                },
+            },
+            required: ['query'],
+        },
+        outputSchema: QUERY_OUTPUT,
+        annotations: { title: 'Query Locality Data', readOnlyHint: true, openWorldHint: true },
+    },
+    {
+        name: 'fetch_more',
+        description: 'Fetch the next page of a query_locality_data result. Pass pagination.next_cursor from the previous page; the response has its own pagination block with the following cursor while pagination.truncated is true.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                cursor: {
+                    type: 'string',
+                    description: 'pagination.next_cursor from query_locality_data or fetch_more, unchanged',
+                },
+                output_format: {
+                    type: 'string',
+                    enum: OUTPUT_FORMATS,
+                    description: "Result format (default 'json'), as in query_locality_data",
+                    default: 'json',
+                },
+                csv_as_resource: {
+                    type: 'boolean',
+                    description: "With output_format 'csv': return the CSV as an embedded text/csv resource",
+                    default: false,
+                },
+                detail: {
+                    type: 'string',
+                    enum: DETAIL_LEVELS,
+                    description: "'full' (default), 'summary' or 'minimal', as in query_locality_data",
+                    default: 'full',
+                },
+                max_tokens: {
+                    type: 'number',
+                    description: 'Approximate token budget for the response; the most detailed view that fits is returned, with a note on what was omitted',
+                },
+            },
+            required: ['cursor'],
+        },
+        outputSchema: QUERY_OUTPUT,
+        annotations: { title: 'Fetch More Results', readOnlyHint: true, openWorldHint: true },
+    },
+    {
+        name: 'list_datasets',
+        description: `List all available datasets with their locality codes, node counts, and metadata.
+
+**CALL THIS FIRST** to discover available localities and datasets before querying.
+
+Returns each dataset's locality code, name, node counts, and suggested Cypher queries.
+
+GOSR Framework — ALWAYS SPELL AS: Goal-Obstacles-Solutions-Resources
+Core layers: Goal · Obstacles · Solutions · Resources · Actors · Funders
+Extended layers (some datasets): StrategyArea (Actor WORKS_IN) · Ecosystem (SETS_POLICY, FUNDS)
+- Goal: singular aspirational future state
+- Obstacles: plural barriers preventing the goal (the problems)
+- Solutions: plural potential strategies to overcome Obstacles (NOT actual programs)
+- Resources: plural actual operating programs (IMPLEMENT Solutions)
+- Actors: organizations that EXECUTE Resources and receive FUNDS from Funders
+- Funders: foundations/agencies that FUND Actors or Resources. FUNDS edges target Actors (org-level) when the source names only the organization, or Resources (program-level) when the source names a specific program. To find everything a funder funds, query both: (f)-[:FUNDS]->(a:Actor) UNION (f)-[:FUNDS]->(r:Resource). Government funders create one FUNDS edge per fiscal year — multiple edges between the same funder and actor/resource are intentional time-series records (NOT duplicates). Use WHERE r.year=N for snapshots, SUM(r.amount) for lifetime totals.
+- StrategyArea: practitioner-defined groupings (e.g. Prevention, Intervention) — NOT Solutions
+- Ecosystem: governance bodies (councils, elected officials) that SETS_POLICY and FUNDS`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                locality: {
+                    type: 'string',
+                    description: 'Filter by locality code (optional)',
+                },
+                detail: {
+                    type: 'string',
+                    enum: DETAIL_LEVELS,
+                    description: "'full' (default), 'summary' (no suggested queries or nested metadata, long text truncated) or 'minimal' (id, locality and name only)",
+                    default: 'full',
+                },
+                max_tokens: {
+                    type: 'number',
+                    description: 'Approximate token budget for the response; the most detailed view that fits is returned, with a note on what was omitted',
+                },
+            },
+        },
+        outputSchema: LIST_DATASETS_OUTPUT,
+        annotations: { title: 'List Datasets', readOnlyHint: true },
+    },
+    {
+        name: 'get_gosr_chain',
+        description: `Follow the GOSR chain from one node and return the connected path as a nested tree — no Cypher needed.
+
+Use this for questions like "what Resources address this Obstacle and who funds them" or "which Goal does this program serve".
+
+- downstream: Goal → Obstacles (incl. sub-Obstacles) → Solutions → Resources (IMPLEMENTS) → Actors (EXECUTES) → Funders (FUNDS)
+- upstream: the same hops in reverse, toward the Goal
+- Funders are found both ways they are recorded: (Funder)-[:FUNDS]->(Actor) and (Funder)-[:FUNDS]->(Resource). FUNDS edge properties (amount, year) are included; one edge per fiscal year is normal.
+
+Nodes reached twice are listed once with already_listed: true.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                dataset: {
+                    type: 'string',
+                    description: "Dataset id (the 'id' field from list_datasets), e.g. 'kansas-city-violence-prevention'",
+                },
+                node_label: {
+                    type: 'string',
+                    enum: GOSR_LABELS,
+                    description: 'GOSR layer of the starting node',
+                },
+                node: {
+                    type: 'string',
+                    description: 'Starting node id, or its exact name (case-insensitive)',
+                },
+                direction: {
+                    type: 'string',
+                    enum: ['both', 'upstream', 'downstream'],
+                    description: 'upstream = toward the Goal, downstream = toward Funders (default: both)',
+                    default: 'both',
+                },
+                max_depth: {
+                    type: 'number',
+                    description: `Maximum hops in each direction (default: 8, max: ${MAX_CHAIN_DEPTH})`,
+                    default: 8,
+                },
+            },
+            required: ['dataset', 'node_label', 'node'],
+        },
+        annotations: { title: 'Get GOSR Chain', readOnlyHint: true },
+    },
+    {
+        name: 'find_gosr_gaps',
+        description: `Find holes in a dataset's GOSR chain — where the civic ecosystem has no answer yet.
+
+Reports, with counts and example nodes:
+- obstacles_without_solutions: Obstacles with no linked Solution (examples show sub_obstacles, since a decomposed Obstacle may be addressed through its sub-obstacles)
+- solutions_without_resources: Solutions no Resource implements
+- resources_without_actors: Resources no Actor executes
+- actors_without_funders: Actors with no Funder, counting funding of the Actor or of any Resource it executes
+
+Use get_gosr_chain on an example to see its context.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                dataset: {
+                    type: 'string',
+                    description: "Dataset id (the 'id' field from list_datasets)",
+                },
+                examples: {
+                    type: 'number',
+                    description: `Example nodes per gap (default 10, max ${MAX_GAP_EXAMPLES})`,
+                    default: 10,
+                },
+            },
+            required: ['dataset'],
+        },
+        annotations: { title: 'Find GOSR Gaps', readOnlyHint: true },
+    },
+    {
+        name: 'analyze_funding',
+        description: `Aggregate FUNDS edges of a dataset into per-funder, per-recipient and per-year totals — no Cypher needed.
+
+Applies the FUNDS rules from list_datasets for you:
+- Counts both (Funder)-[:FUNDS]->(Actor) and (Funder)-[:FUNDS]->(Resource) edges, each edge exactly once (no double counting)
+- Government funders record one edge per fiscal year; amounts are summed across years for lifetime totals
+- Ecosystem nodes that FUND are included as funders
+
+Returns totals, by_funder, by_recipient, by_year (chart-ready series), series_by_funder (top funders per year) and a markdown totals table.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                dataset: {
+                    type: 'string',
+                    description: "Dataset id (the 'id' field from list_datasets)",
+                },
+                funder: {
+                    type: 'string',
+                    description: 'Only this funder: id, or part of its name (case-insensitive)',
+                },
+                actor: {
+                    type: 'string',
+                    description: 'Only funding received by this Actor, directly or through Resources it executes: id, or part of its name',
+                },
+                year_from: {
+                    type: 'number',
+                    description: 'First fiscal year to include (inclusive)',
+                },
+                year_to: {
+                    type: 'number',
+                    description: 'Last fiscal year to include (inclusive)',
+                },
+            },
+            required: ['dataset'],
+        },
+        annotations: { title: 'Analyze Funding', readOnlyHint: true },
+    },
+    {
+        name: 'compare_datasets',
+        description: `Compare two or more GOSR datasets side by side — no parallel queries needed. Each dataset is queried separately with its own dataset filter, so datasets from different localities can be compared.
+
+Returns:
+- layers: node counts per label (Goal, Obstacle, Solution, Resource, Actor, Funder, ...) for each dataset
+- metrics: Solutions per Obstacle, Resources per Solution, Actors per Resource, and the share of Obstacles with Solutions and Solutions with Resources
+- shared_themes: Solutions and StrategyAreas with similar names, for each pair of datasets
+- funder_overlap: funders that appear in more than one dataset under the same name
+- a markdown table of counts and metrics`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                datasets: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    minItems: 2,
+                    maxItems: COMPARE_MAX_DATASETS,
+                    description: `Dataset ids to compare (the 'id' field from list_datasets), 2 to ${COMPARE_MAX_DATASETS}`,
+                },
+                similarity: {
+                    type: 'number',
+                    description: `Minimum name similarity from 0 to 1 for a shared theme (default ${DEFAULT_SIMILARITY}); word overlap ignoring case, plurals and words like 'program'`,
+                    default: DEFAULT_SIMILARITY,
+                },
+            },
+            required: ['datasets'],
+        },
+        annotations: { title: 'Compare Datasets', readOnlyHint: true },
+    },
+    {
+        name: 'export_subgraph',
+        description: `Export a dataset's graph, or the neighbourhood of one node, as a file the client can render or download ("show the GOSR map").
+
+Formats: 'mermaid' (flowchart, renders in Markdown), 'dot' (Graphviz), 'graphml' (Gephi, yEd, Cytoscape desktop) or 'cytoscape' (Cytoscape.js JSON). Nodes are grouped and colored by GOSR layer (Goal, Obstacle, Solution, Resource, Actor, Funder, ...).
+
+Returned as an embedded resource with the format's mimeType, plus a summary with node and edge counts per layer. Exports read at most ${EXPORT_ROW_LIMIT} nodes and ${EXPORT_ROW_LIMIT} relationships; the summary says when a dataset is larger.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                dataset: {
+                    type: 'string',
+                    description: "Dataset id (the 'id' field from list_datasets)",
+                },
+                format: {
+                    type: 'string',
+                    enum: Object.keys(EXPORT_FORMATS),
+                    description: "Output format (default 'mermaid')",
+                    default: 'mermaid',
+                },
+                node_label: {
+                    type: 'string',
+                    enum: GOSR_LABELS,
+                    description: 'Layer of the root node; with node, exports only its neighbourhood',
+                },
+                node: {
+                    type: 'string',
+                    description: 'Root node id, or its exact name (case-insensitive); requires node_label',
+                },
+                depth: {
+                    type: 'number',
+                    description: `Hops from the root node to include, in either direction (default 2, max ${MAX_EXPORT_DEPTH})`,
+                    default: 2,
+                },
+            },
+            required: ['dataset'],
+        },
+        annotations: { title: 'Export Subgraph', readOnlyHint: true },
+    },
+    {
+        name: 'query_nearby',
+        description: `Find point data (subway stations, DOB permits, property sales, crime complaints, ...) near a location, inside a bounding box or in an NYC borough.
+
+The labels to search and their coordinate properties are read from the locality schema, so no Cypher is needed; every label with latitude/longitude or a point property is searched unless labels narrows it. Radius searches return the nearest first with distance_m.
+
+Set format 'geojson' for a GeoJSON FeatureCollection (Point features with the node properties, label, dataset and distance_m) that map tools can display directly.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                locality: {
+                    type: 'string',
+                    description: "Locality code (the 'locality' field from list_datasets), e.g. 'nyc'",
+                },
+                dataset: {
+                    type: 'string',
+                    description: "Only this dataset (the 'id' field from list_datasets); default: every dataset of the locality",
+                },
+                labels: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: "Node labels to search, e.g. ['Permit']; default: every label with coordinates",
+                },
+                latitude: {
+                    type: 'number',
+                    description: 'Center latitude in degrees (WGS84), with longitude',
+                },
+                longitude: {
+                    type: 'number',
+                    description: 'Center longitude in degrees (WGS84), with latitude',
+                },
+                radius_m: {
+                    type: 'number',
+                    description: `Search radius around latitude/longitude in meters (default ${DEFAULT_RADIUS_M}, max ${MAX_RADIUS_M})`,
+                    default: DEFAULT_RADIUS_M,
+                },
+                bbox: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    minItems: 4,
+                    maxItems: 4,
+                    description: 'Bounding box [west, south, east, north] in degrees, instead of latitude/longitude',
+                },
+                borough: {
+                    type: 'string',
+                    description: "NYC borough: name, code or county (e.g. 'Brooklyn', 'BK', '3', 'Kings'). Alone it searches the whole borough; with a radius or bbox it narrows the results.",
+                },
+                limit: {
+                    type: 'number',
+                    description: `Maximum results over all labels (default ${DEFAULT_NEARBY_LIMIT}, max ${MAX_CYPHER_LIMIT})`,
+                    default: DEFAULT_NEARBY_LIMIT,
+                },
+                format: {
+                    type: 'string',
+                    enum: GEO_FORMATS,
+                    description: "'rows' (default): JSON rows with coordinates and properties; 'geojson': a GeoJSON FeatureCollection",
+                    default: 'rows',
+                },
+            },
+            required: ['locality'],
+        },
+        annotations: { title: 'Query Nearby', readOnlyHint: true },
+    },
+    {
+        name: 'search_entities',
+        description: `Find nodes of a dataset by free text, e.g. "senior isolation", to pick a starting point for get_gosr_chain, export_subgraph or a Cypher query without guessing labels.
+
+Searches name and description across the GOSR layers (${SEARCH_LABELS.join(', ')}). Labels covered by a FULLTEXT index in the locality schema are searched through the index (stemmed and fuzzy); the others with case-insensitive CONTAINS on the whole text and on each word.
+
+Returns hits best first with layer, id, name, score and a snippet of the matching text. Whole-phrase matches rank above single words, and name matches above description matches.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                dataset: {
+                    type: 'string',
+                    description: "Dataset id (the 'id' field from list_datasets), e.g. 'unlonely-nyc'",
+                },
+                text: {
+                    type: 'string',
+                    description: "Words or phrase to look for, e.g. 'senior isolation'",
+                },
+                labels: {
+                    type: 'array',
+                    items: { type: 'string', enum: SEARCH_LABELS },
+                    description: 'Layers to search; default: all of them',
+                },
+                limit: {
+                    type: 'number',
+                    description: `Maximum hits (default ${DEFAULT_SEARCH_LIMIT}, max ${MAX_SEARCH_LIMIT})`,
+                    default: DEFAULT_SEARCH_LIMIT,
+                },
+            },
+            required: ['dataset', 'text'],
+        },
+        annotations: { title: 'Search Entities', readOnlyHint: true },
+    },
+    {
+        name: 'snapshot_dataset',
+        description: `Store a local copy of a dataset's GOSR nodes (all properties) and the relationships between them, so diff_dataset can later report what changed.
+
+Snapshots are named; the default name is the current time (e.g. 2026-10-18T09-30-00Z). Returns the snapshot's node and relationship counts and the list of snapshots of the dataset.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                dataset: {
+                    type: 'string',
+                    description: "Dataset id (the 'id' field from list_datasets)",
+                },
+                name: {
+                    type: 'string',
+                    description: "Snapshot name, e.g. '2026-q3': letters, digits, '_', '.' or '-' (default: the current time)",
+                },
+                overwrite: {
+                    type: 'boolean',
+                    description: 'Replace a snapshot of the same name (default false)',
+                    default: false,
+                },
+            },
+            required: ['dataset'],
+        },
+        annotations: { title: 'Snapshot Dataset', readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    },
+    {
+        name: 'diff_dataset',
+        description: `Report what changed in a dataset between a snapshot from snapshot_dataset and the live graph, or between two snapshots: added, removed and modified nodes per GOSR layer and relationships per type, with property changes (e.g. a FUNDS amount) as from/to values.
+
+Nodes are matched on label and id (name for datasets without ids). Parallel relationships such as FUNDS per year are matched on their properties, so a changed amount is a modification.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                dataset: {
+                    type: 'string',
+                    description: "Dataset id (the 'id' field from list_datasets)",
+                },
+                from: {
+                    type: 'string',
+                    description: 'Snapshot name (or <dataset>@<name>) to compare from (default: the latest snapshot)',
+                },
+                to: {
+                    type: 'string',
+                    description: "Snapshot name to compare to, or 'live' for the current graph (default 'live')",
+                    default: 'live',
+                },
+                limit: {
+                    type: 'number',
+                    description: `Entries listed per layer and change kind; counts are always complete (default ${DEFAULT_DIFF_LIMIT}, max ${MAX_DIFF_LIMIT})`,
+                    default: DEFAULT_DIFF_LIMIT,
+                },
+            },
+            required: ['dataset'],
+        },
+        annotations: { title: 'Diff Dataset', readOnlyHint: true },
+    },
+    {
+        name: 'save_query',
+        description: `Save a Cypher query under a name so it can be rerun with run_saved_query, read as the datagraph://queries/{name} resource and started from its generated prompt.
+
+Declare every $parameter the Cypher uses with a type (${PARAMETER_TYPES.join(', ')}); parameters without a default are required on each run. With dataset set, every MATCH node is filtered on it when the query runs, as in query_locality_data. The Cypher is checked like query_locality_data input before it is saved.
+
+Example: name 'funders-by-year', locality 'kc', dataset 'kc-violence-prevention', cypher "MATCH (f:Funder)-[r:FUNDS]->(a) WHERE r.year = $year RETURN f.name AS funder, sum(r.amount) AS total ORDER BY total DESC", parameters {"year": {"type": "integer", "description": "Fiscal year"}}`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: {
+                    type: 'string',
+                    description: "Query name: letters, digits, '_', '.' and '-' (e.g. 'funders-by-year')",
+                },
+                description: {
+                    type: 'string',
+                    description: 'The question the query answers; shown in list_saved_queries and the prompt',
+                },
+                locality: {
+                    type: 'string',
+                    description: "Locality code the query runs against (the 'locality' field from list_datasets)",
+                },
+                dataset: {
+                    type: 'string',
+                    description: "Dataset id to filter every MATCH node on (the 'id' field from list_datasets). Without it the Cypher must filter on dataset itself.",
+                },
+                cypher: {
+                    type: 'string',
+                    description: 'Read-only Cypher; use $name for parameters',
+                },
+                parameters: {
+                    type: 'object',
+                    description: 'Parameters by name, e.g. {"year": {"type": "integer", "description": "Fiscal year", "default": 2024}}',
+                    additionalProperties: {
+                        type: 'object',
+                        properties: {
+                            type: { type: 'string', enum: PARAMETER_TYPES },
+                            description: { type: 'string' },
+                            default: { description: 'Value used when a run does not pass the parameter; makes it optional' },
+                        },
+                        required: ['type'],
+                    },
+                },
+                overwrite: {
+                    type: 'boolean',
+                    description: 'Replace an existing query of the same name, including a suggested query (default false)',
+                    default: false,
+                },
+            },
+            required: ['name', 'locality', 'cypher'],
+        },
+        annotations: { title: 'Save Query', readOnlyHint: false, destructiveHint: false, idempotentHint: true },
+    },
+    {
+        name: 'list_saved_queries',
+        description: "List saved queries with their parameters, Cypher, resource URI and prompt name. The suggested queries of every dataset are included as '<dataset id>.<name>' (source 'suggested').",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                locality: {
+                    type: 'string',
+                    description: 'Only queries for this locality code',
+                },
+                dataset: {
+                    type: 'string',
+                    description: 'Only queries for this dataset id',
+                },
+            },
+        },
+        annotations: { title: 'List Saved Queries', readOnlyHint: true },
+    },
+    {
+        name: 'run_saved_query',
+        description: 'Run a saved or suggested query by name (see list_saved_queries). Parameter values are checked against the declared types; text is converted, e.g. "2024" for an integer. Results, pagination and output options work as in query_locality_data.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: {
+                    type: 'string',
+                    description: 'Query name from list_saved_queries',
+                },
+                parameters: {
+                    type: 'object',
+                    description: 'Values for the query parameters, e.g. {"year": 2024}',
+                },
+                page_size: {
+                    type: 'number',
+                    description: `Rows per page (default and max: ${MAX_CYPHER_LIMIT})`,
+                    default: MAX_CYPHER_LIMIT,
+                },
+                output_format: {
+                    type: 'string',
+                    enum: OUTPUT_FORMATS,
+                    description: "Result format (default 'json'), as in query_locality_data",
+                    default: 'json',
+                },
+                csv_as_resource: {
+                    type: 'boolean',
+                    description: "With output_format 'csv': return the CSV as an embedded text/csv resource",
+                    default: false,
+                },
+                detail: {
+                    type: 'string',
+                    enum: DETAIL_LEVELS,
+                    description: "'full' (default), 'summary' or 'minimal', as in query_locality_data",
+                    default: 'full',
+                },
+                max_tokens: {
+                    type: 'number',
+                    description: 'Approximate token budget for the response; the most detailed view that fits is returned, with a note on what was omitted',
+                },
+            },
+            required: ['name'],
+        },
+        outputSchema: QUERY_OUTPUT,
+        annotations: { title: 'Run Saved Query', readOnlyHint: true, openWorldHint: true },
+    },
+    {
+        name: 'refresh_cache',
+        description: `Clear cached locality schemas and dataset lists so the next get_locality_schema / list_datasets call fetches fresh data.
+
+Schemas and dataset lists are cached for a few minutes because they rarely change. Call this after a dataset has been updated or when results look out of date.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                locality: {
+                    type: 'string',
+                    description: 'Only clear entries for this locality code (optional; default clears every locality)',
+                },
+                scope: {
+                    type: 'string',
+                    enum: ['all', 'schema', 'datasets'],
+                    description: 'Which cached data to clear (default: all)',
+                    default: 'all',
+                },
+            },
+        },
+        annotations: { title: 'Refresh Cache', readOnlyHint: false, destructiveHint: false, idempotentHint: true },
+    },
+    {
+        name: 'get_usage_stats',
+        description: 'Get your API usage statistics and quota information from the DataGraph API. Requests made in this session and the local limits are in the datagraph://usage/session resource.',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+        },
+        outputSchema: USAGE_OUTPUT,
+        annotations: { title: 'Get Usage Stats', readOnlyHint: true },
+    },
+];
+
+// Define available prompts
+const PROMPTS = [
+    {
+        name: 'explore_locality_data',
+        description: 'Guided workflow to explore urban data: list localities, view schema, and query data',
+        arguments: [
+            {
+                name: 'locality',
+                description: 'Locality code. Call list_datasets to discover available codes.',
+                required: true,
+            },
+        ],
+    },
+    {
+        name: 'analyze_gosr_dataset',
+        description: 'Analyze a GOSR (Goal-Obstacles-Solutions-Resources) dataset for civic problem-solving',
+        arguments: [
+            {
+                name: 'dataset',
+                description: 'Dataset name (e.g., "Un-Lonely NYC", "Kansas City Violence Prevention")',
+                required: true,
+            },
+            {
+                name: 'focus',
+                description: 'Specific focus area (e.g., "social isolation", "community programs", "violence prevention")',
+                required: false,
+            },
+        ],
+    },
+    {
+        name: 'cypher_query_builder',
+        description: 'Step-by-step guide to build a Cypher query from schema',
+        arguments: [
+            {
+                name: 'locality',
+                description: 'Locality code. Call list_datasets to discover available codes.',
+                required: true,
+            },
+            {
+                name: 'user_question',
+                description: 'What you want to find out',
+                required: true,
+            },
+        ],
+    },
+];
+
+// Define available resources
+const RESOURCES = [
+    {
+        uri: 'datagraph://cities/list',
+        name: 'Available Cities',
+        description: 'List of all cities with available datasets',
+        mimeType: 'application/json',
+    },
+    {
+        uri: 'datagraph://datasets/gosr',
+        name: 'GOSR Datasets',
+        description: 'All Goal-Obstacles-Solutions-Resources datasets for civic problem-solving',
+        mimeType: 'application/json',
+    },
+    {
+        uri: 'datagraph://usage/stats',
+        name: 'API Usage Statistics',
+        description: 'Your current API usage and quota information',
+        mimeType: 'application/json',
+    },
+    {
+        uri: 'datagraph://usage/session',
+        name: 'Session Usage Ledger',
+        description: 'API requests made in this session per tool and locality, the local per-minute and per-session limits, and quota warnings',
+        mimeType: 'application/json',
+    },
+];
+
+// Resources for every locality and dataset; resources/list expands these from the live /datasets response
+const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: 'datagraph://schema/{locality}',
+        name: 'Locality Graph Schema',
+        description: "Neo4j graph schema for a locality. Use the 'locality' field from list_datasets.",
+        mimeType: 'application/json',
+    },
+    {
+        uriTemplate: 'datagraph://datasets/{id}',
+        name: 'Dataset Metadata',
+        description: "Metadata for one dataset (locality, node counts, suggested queries). Use the 'id' field from list_datasets.",
+        mimeType: 'application/json',
+    },
+    {
+        uriTemplate: 'datagraph://datasets/{id}/gosr-tree',
+        name: 'GOSR Tree',
+        description: 'Goal -> Obstacles -> Solutions -> Resources hierarchy of a GOSR dataset as nested JSON',
+        mimeType: 'application/json',
+    },
+    {
+        uriTemplate: 'datagraph://queries/{name}',
+        name: 'Saved Query',
+        description: 'Definition of a saved or suggested query: Cypher, parameters, locality and dataset. Use the name from list_saved_queries.',
+        mimeType: 'application/json',
+    },
+];
+
+// Returns { template, params } for URIs that match a resource template
+function matchResourceTemplate(uri) {
+    const patterns = [
+        ['schema', /^datagraph:\/\/schema\/([^/]+)$/, ['locality']],
+        ['gosr-tree', /^datagraph:\/\/datasets\/([^/]+)\/gosr-tree$/, ['id']],
+        ['dataset', /^datagraph:\/\/datasets\/([^/]+)$/, ['id']],
+        ['query', /^datagraph:\/\/queries\/([^/]+)$/, ['name']],
+    ];
+    for (const [template, pattern, names] of patterns) {
+        const match = pattern.exec(uri);
+        if (match) {
+            const params = Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+            return { template, params };
+        }
+    }
+    return null;
+}
+
+// Datasets listing may be a bare array or wrapped in { datasets: [...] }
+function datasetEntries(payload) {
+    if (Array.isArray(payload)) return payload;
+    if (payload && Array.isArray(payload.datasets)) return payload.datasets;
+    return [];
+}
+
+
+/**
+ * Create an MCP server bound to one DataGraph API key and endpoint, or to the
+ * named profiles of a config file (see config.js).
+ *
+ * @param {object} config
+ * @param {string} [config.apiKey] - DataGraph API key sent upstream as a bearer token
+ * @param {string} [config.apiUrl] - DataGraph API base URL
+ * @param {object} [config.profiles] - Profiles from loadConfig(); replaces apiKey and apiUrl
+ * @param {string} [config.defaultProfile] - Profile used when a tool call names none
+ * @param {number} [config.timeoutMs] - Upstream request timeout per attempt
+ * @param {number} [config.maxRetries] - Retries on 429/5xx and network errors
+ * @param {object} [config.cache] - Response cache from createResponseCache(); share one across sessions
+ * @param {object} [config.quota] - Local request limits for this session (see quota.js); 0 disables one
+ * @param {object} [config.queries] - Saved query store from createQueryStore(); share one across sessions (default: in memory)
+ * @param {object} [config.snapshots] - Dataset snapshot store from createSnapshotStore() (default: in memory)
+ * @param {object} [config.logger] - Logger from createLogger(); share one across sessions (default: warnings to stderr)
+ * @param {object} [config.audit] - Query audit log from createAuditLog() (default: none)
+ * @returns {Server}
+ */
+export function createServer({ apiKey, apiUrl, profiles, defaultProfile, timeoutMs, maxRetries, cache, quota, queries, snapshots, logger, audit }) {
+    const config = profiles
+        ? { source: 'config', profiles, defaultProfile: defaultProfile ?? Object.keys(profiles)[0] }
+        : { source: 'environment', profiles: { default: { name: 'default', apiUrl, apiKey, localities: {} } }, defaultProfile: 'default' };
+    const profileNames = Object.keys(config.profiles);
+    const responseCache = cache || createResponseCache();
+    const ledger = createUsageLedger(quota);
+    const queryStore = queries || createQueryStore();
+    const snapshotStore = snapshots || createSnapshotStore();
+    const auditLog = audit || createAuditLog();
+
+    // Every entry of this session carries its id; entries at or above the level the
+    // client chose with logging/setLevel are also sent to it as notifications/message
+    const sessionId = randomUUID();
+    let clientLogLevel = 'warning';
+    const log = (logger || createLogger({ level: 'warning' })).child({ session: sessionId }, (entry) => {
+        if (levelEnabled(entry.level, clientLogLevel)) {
+            server.sendLoggingMessage({ level: entry.level, logger: 'datagraph', data: entry }).catch(() => {});
+        }
+    });
+
+    // One client per profile, created on first use
+    const clients = new Map();
+    function apiFor(profile = config.defaultProfile) {
+        if (!config.profiles[profile]) {
+            throw new Error(`Unknown profile '${profile}'. Configured profiles: ${profileNames.join(', ')}`);
+        }
+        if (!clients.has(profile)) {
+            const { timeoutMs: profileTimeout, maxRetries: profileRetries, ...settings } = config.profiles[profile];
+            clients.set(profile, createProfileClient({
+                ...settings,
+                name: profile,
+                timeoutMs: profileTimeout ?? timeoutMs,
+                maxRetries: profileRetries ?? maxRetries,
+            }));
+        }
+        return clients.get(profile);
+    }
+
+    // What a request's helpers share: the profile's client, the MCP request's abort signal and
+    // the correlation id sent to the API with each request
+    // Every API request is counted in the session ledger first, which refuses it past a hard limit;
+    // queries sent to /api/{locality}/query are written to the audit log
+    function callContext(profile, signal, tool, correlationId = randomUUID()) {
+        const api = apiFor(profile);
+        const request = async (path, options = {}) => {
+            const locality = requestLocality(path, options.query);
+            const method = options.method ?? 'GET';
+            ledger.reserve({ tool, locality });
+
+            const started = Date.now();
+            const trace = { correlation_id: correlationId, tool, profile: api.profile, method, path };
+            const audited = method === 'POST' && /^\/api\/[^/]+\/query$/.test(path);
+            try {
+                const data = await api.request(path, { ...options, correlationId });
+                const latency = Date.now() - started;
+                log.debug('API request', { ...trace, latency_ms: latency });
+                if (audited) {
+                    recordAudit({ ...trace, locality, body: options.body, data, latency, status: 'ok' });
+                }
+                return data;
+            } catch (error) {
+                const latency = Date.now() - started;
+                log.warning('API request failed', { ...trace, latency_ms: latency, http_status: error.status ?? null, error: error.message });
+                if (audited) {
+                    recordAudit({ ...trace, locality, body: options.body, latency, status: 'error', error });
+                }
+                throw error;
+            }
+        };
+        return {
+            api: {
+                profile: api.profile,
+                onlyLocalities: api.onlyLocalities,
+                request,
+                get: (path, options = {}) => request(path, { ...options, method: 'GET' }),
+                post: (path, body, options = {}) => request(path, { ...options, method: 'POST', body }),
+            },
+            signal,
+            correlationId,
+        };
+    }
+
+    // One audit entry per query sent to the API; a failed write is logged, never fatal to the call
+    function recordAudit({ correlation_id, tool, profile, locality, body = {}, data, latency, status, error }) {
+        try {
+            auditLog.record({
+                correlation_id,
+                session: sessionId,
+                tool,
+                profile,
+                locality,
+                query: body.query ?? null,
+                cypher: body.cypher_query ?? null,
+                params: body.cypher_params ?? null,
+                rows: status === 'ok' ? resultRows(data).length : null,
+                latency_ms: latency,
+                status,
+                ...(error && { http_status: error.status ?? null, error: error.message }),
+            });
+        } catch (failure) {
+            log.error('Audit log write failed', { correlation_id, file: auditLog.file, error: failure.message });
+        }
+    }
+
+    // Refresh the ledger's copy of the API's /usage numbers; not counted against the local limits
+    async function checkUpstreamUsage(signal) {
+        try {
+            ledger.recordUsage(await apiFor().get('/usage', { signal }));
+        } catch (error) {
+            log.warning('Usage check failed', { error: error.message });
+        }
+    }
+
+    // Create MCP server
+    const server = new Server(
+        {
+            name: 'datagraph',
+            version: '1.7.2',
+        },
+        {
+            capabilities: {
+                tools: {},
+                prompts: { listChanged: true },
+                resources: { listChanged: true },
+                logging: {},
+            },
+        }
+    );
+
+    // Replaces the SDK's handler, which forwards every level until the client sets one
+    server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+        clientLogLevel = request.params.level;
+        log.info('Client log level set', { level: clientLogLevel });
+        return {};
+    });
+
+    // Schemas and dataset lists change rarely; serve them from the cache and revalidate by ETag
+    // Keys end in the profile name: profiles may see different data. Sessions share loads in
+    // flight, so the request gets the cache's signal and call.signal only cancels this caller's wait
+    function getSchema(locality, call) {
+        return responseCache.get(`schema:${locality}:${call.api.profile}`, (etag, signal) =>
+            call.api.get(`/api/${encodeURIComponent(locality)}/schema`, { signal, ifNoneMatch: etag, withMeta: true }), { signal: call.signal });
+    }
+
+    async function getDatasets(locality, call) {
+        // A profile with only per-locality keys lists the datasets of each of its localities instead of all of them
+        const datasets = !locality && call.api.onlyLocalities
+            ? (await Promise.all(call.api.onlyLocalities.map((code) => getDatasets(code, call)))).flatMap(datasetEntries)
+            : await responseCache.get(`datasets:${locality || '*'}:${call.api.profile}`, (etag, signal) =>
+                call.api.get('/datasets', { query: { locality }, signal, ifNoneMatch: etag, withMeta: true }), { signal: call.signal });
+        // Resources are listed from the default profile
+        if (!locality && call.api.profile === config.defaultProfile) {
+            trackResourceList(datasets);
+        }
+        return datasets;
+    }
+
+    // Tell clients to re-list resources when the set of localities or datasets changes
+    let resourceSignature = null;
+    function trackResourceList(datasets) {
+        const signature = datasetEntries(datasets).map((entry) => `${entry.locality}|${entry.id}`).sort().join(',');
+        if (resourceSignature !== null && signature !== resourceSignature) {
+            server.sendResourceListChanged().catch(() => {});
+        }
+        resourceSignature = signature;
+    }
+
+    async function findDataset(id, call) {
+        const entry = datasetEntries(await getDatasets(undefined, call)).find((candidate) => candidate.id === id);
+        if (!entry) {
+            throw new Error(`Unknown dataset id '${id}'. Call list_datasets for available ids.`);
+        }
+        return entry;
+    }
+
+    // Read a dataset's GOSR nodes and relationships into a snapshot (not stored)
+    async function takeSnapshot(dataset, name, call) {
+        const run = (cypher, params) => runCypher(dataset.locality, `snapshot ${dataset.id}`, cypher, params, call);
+        const takenAt = new Date();
+        const { nodeRows, edgeRows } = await readDatasetGraph(run, dataset.id);
+        return buildSnapshot({ dataset: dataset.id, locality: dataset.locality, name: name ?? defaultSnapshotName(takenAt), takenAt, nodeRows, edgeRows });
+    }
+
+    // Snapshot of a dataset by name or <dataset>@<name>
+    async function findSnapshot(dataset, ref, available) {
+        const [owner, name] = ref.includes('@') ? [ref.slice(0, ref.indexOf('@')), ref.slice(ref.indexOf('@') + 1)] : [dataset, ref];
+        if (owner !== dataset) {
+            throw new Error(`Snapshot '${ref}' belongs to dataset '${owner}', not '${dataset}'. diff_dataset compares snapshots of one dataset.`);
+        }
+        const snapshot = SNAPSHOT_NAME_PATTERN.test(name) ? await snapshotStore.get(dataset, name) : null;
+        if (!snapshot) {
+            throw new Error(`Unknown snapshot '${ref}' of dataset '${dataset}'. Snapshots: ${available.map((entry) => entry.name).join(', ') || 'none'}`);
+        }
+        return snapshot;
+    }
+
+    // Saved queries plus the suggested queries of /datasets; pass datasets when the caller has them
+    // A store or API failure leaves its part out and is reported in notices
+    async function savedQueryLibrary(call, datasets) {
+        const notices = [];
+        let saved = [];
+        try {
+            saved = await queryStore.list();
+        } catch (error) {
+            notices.push(error.message);
+        }
+        if (!datasets) {
+            try {
+                datasets = datasetEntries(await getDatasets(undefined, call));
+            } catch (error) {
+                datasets = [];
+                notices.push(`Suggested queries are missing: listing datasets failed (${error.message})`);
+            }
+        }
+        return { queries: mergeQueries(saved, suggestedQueries(datasets)), notices };
+    }
+
+    async function findSavedQuery(name, call) {
+        const saved = await queryStore.get(name);
+        if (saved) return saved;
+        const suggested = suggestedQueries(datasetEntries(await getDatasets(undefined, call))).find((query) => query.name === name);
+        if (!suggested) {
+            throw new Error(`Unknown saved query '${name}'. Call list_saved_queries for available names.`);
+        }
+        return suggested;
+    }
+
+    // Saving changes the generated prompts and the queries/{name} resources
+    function announceQueryListChanged() {
+        server.sendPromptListChanged().catch(() => {});
+        server.sendResourceListChanged().catch(() => {});
+    }
+
+    // One GOSR node by id or exact name; near matches are suggested when nothing matches
+    async function findGosrNode(run, datasetId, label, node) {
+        const matches = await run(startNodeCypher(label), { dataset: datasetId, node });
+        if (matches.length === 0) {
+            const suggestions = await run(suggestNodeCypher(label), { dataset: datasetId, node });
+            const hint = suggestions.length > 0
+                ? ` Similar names: ${suggestions.map((s) => `'${s.name}' (id ${s.key})`).join(', ')}`
+                : '';
+            throw new Error(`No ${label} with id or name '${node}' in dataset '${datasetId}'.${hint}`);
+        }
+        if (matches.length > 1) {
+            throw new Error(`'${node}' matches ${matches.length} ${label} nodes; pass one of these ids instead: ${matches.map((m) => `${m.key} ('${m.name}')`).join(', ')}`);
+        }
+        return matches[0];
+    }
+
+    // Run server-generated Cypher through the same safety checks as model-written queries
+    async function runCypher(locality, description, cypher, params, call) {
+        const checked = assertSafeCypher(cypher, { params, maxLimit: MAX_CYPHER_LIMIT });
+        const data = await call.api.post(`/api/${encodeURIComponent(locality)}/query`, {
+            query: description,
+            cypher_query: checked.cypher,
+            cypher_params: params,
+        }, { signal: call.signal });
+        return resultRows(data);
+    }
+
+    /**
+     * Run one page of a query_locality_data request.
+     * state is what a cursor carries: mode, locality, request fields, Cypher and params,
+     * offset of this page, start/end of the requested rows and the page size.
+     */
+    async function fetchQueryPage(state, call) {
+        const { mode, locality, offset, start, end, pageSize } = state;
+        const size = end === null ? pageSize : Math.max(0, Math.min(pageSize, end - offset));
+        // Only the request fields go to the API; Cypher is added below after it passes the checks
+        const requestBody = cursorRequest(state);
+        let checked = null;
+
+        if (mode === 'nl') {
+            if (offset > 0) requestBody.offset = offset;
+        } else {
+            // Cursor contents come from the client, so the Cypher is checked on every page
+            const params = state.single ? state.params : { ...state.params, [SKIP_PARAM]: offset, [LIMIT_PARAM]: size };
+            checked = assertSafeCypher(state.cypher, { params, maxLimit: MAX_CYPHER_LIMIT });
+            requestBody.cypher_query = checked.cypher;
+            if (params) {
+                requestBody.cypher_params = params;
+            }
+        }
+
+        const data = await call.api.post(`/api/${encodeURIComponent(locality)}/query`, requestBody, { signal: call.signal });
+        const page = { data, locality, checked, cypherParams: requestBody.cypher_params, pagination: null };
+        if (state.single || !(Array.isArray(data) || Array.isArray(data?.results))) {
+            return page;
+        }
+
+        const rows = resultRows(data);
+        const firstRow = rows.length > 0 ? rowFingerprint(rows[0]) : undefined;
+        if (mode === 'nl' && offset > 0 && firstRow && firstRow === state.previousFirstRow) {
+            throw new Error('The DataGraph API ignored the offset for this natural language query, so there are no further pages. Use cypher_query for paged results.');
+        }
+
+        const total = apiTotal(data);
+        const more = size > 0 && rows.length >= size && (end === null || offset + size < end)
+            && (total === undefined || offset + rows.length < total);
+        page.pagination = {
+            truncated: more,
+            offset,
+            rows_returned: rows.length,
+            ...(more && {
+                next_cursor: encodeCursor({ ...state, offset: offset + size, ...(mode === 'nl' && { previousFirstRow: firstRow }) }),
+            }),
+            total_estimate: total !== undefined
+                ? { rows: total, source: 'api' }
+                : more ? null : { rows: offset - start + rows.length, source: 'last_page' },
+        };
+        return page;
+    }
+
+    /**
+     * Ask the client's model for Cypher answering a question (MCP sampling/createMessage),
+     * grounded with the locality schema. Rejected Cypher is sent back once with the violations.
+     * Returns null when the client does not support sampling.
+     */
+    async function translateWithSampling({ question, locality, dataset, params }, call) {
+        if (!server.getClientCapabilities()?.sampling) {
+            return null;
+        }
+
+        const schema = await getSchema(locality, call);
+        const schemaView = pickView([
+            { detail: 'full', render: () => JSON.stringify(schema, null, 2) },
+            { detail: 'summary', render: () => JSON.stringify(condenseSchema(schema, 'summary', locality), null, 2) },
+            { detail: 'minimal', render: () => JSON.stringify(condenseSchema(schema, 'minimal', locality), null, 2) },
+        ], { detail: 'full', maxTokens: SAMPLING_SCHEMA_TOKENS });
+        const datasets = datasetEntries(await getDatasets(locality, call))
+            .filter((entry) => !entry.locality || entry.locality === locality);
+
+        const request = buildTranslationRequest({ question, locality, schemaText: schemaView.text, datasets, dataset });
+        for (let attempt = 1; ; attempt++) {
+            const reply = await server.createMessage(request, { signal: call.signal });
+            const text = samplingText(reply.content);
+            const cypher = extractCypher(text);
+            const check = checkTranslation(cypher, dataset, params);
+
+            if (check.valid || attempt === SAMPLING_ATTEMPTS) {
+                if (!cypher) {
+                    throw new Error(`The client model returned no Cypher for this question${reply.model ? ` (model ${reply.model})` : ''}. Write cypher_query yourself.`);
+                }
+                return { cypher, model: reply.model, attempts: attempt };
+            }
+            request.messages.push(...repairMessages(text, check.violations));
+        }
+    }
+
+    // EXPLAIN or PROFILE a checked query and render its plan against the locality's indexes
+    async function explainQuery(mode, locality, request, cypher, params, { notices, echoParams }, call) {
+        const checked = assertSafeCypher(cypher, { params, maxLimit: MAX_CYPHER_LIMIT });
+        const executed = `${mode.toUpperCase()} ${checked.cypher}`;
+        const data = await call.api.post(`/api/${encodeURIComponent(locality)}/query`, {
+            ...request,
+            cypher_query: executed,
+            ...(params && { cypher_params: params }),
+        }, { signal: call.signal });
+
+        const plan = extractPlan(data);
+        if (!plan) {
+            throw new Error(`The DataGraph API returned no ${mode} plan for this query (expected a 'plan' or 'profile' field). Run it without mode instead.`);
+        }
+
+        const schema = await getSchema(locality, call);
+        const indexes = Array.isArray(schema?.indexes) ? schema.indexes : undefined;
+        if (!indexes) {
+            notices.push('The locality schema has no indexes section, so missing indexes were not checked');
+        }
+        const { warnings, marks, summary } = analyzePlan(plan, indexes);
+        const tree = renderPlanTree(plan, marks);
+        const details = {
+            mode,
+            executed_cypher: executed,
+            ...(echoParams && { cypher_params: params }),
+            notices: [...notices, ...checked.notices],
+            summary,
+            warnings,
+        };
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `${mode === 'explain' ? 'EXPLAIN (estimated rows; the query was not run)' : 'PROFILE (the query ran; actual rows and db hits)'}\n\n${tree}`,
+                },
+                {
+                    type: 'text',
+                    text: JSON.stringify(details, null, 2),
+                },
+            ],
+            structuredContent: {
+                locality,
+                kind: 'plan',
+                executed_cypher: executed,
+                ...(echoParams && { cypher_params: params }),
+                notices: details.notices,
+                plan: { mode, summary, warnings, tree },
+            },
+        };
+    }
+
+    // Response content for one page: formatted rows, executed Cypher when rewritten, pagination state
+    // structuredContent carries the same parts as one object (QUERY_OUTPUT)
+    function queryPageResult(page, { output_format, csv_as_resource, detail, max_tokens, echo = false, echoParams = false }) {
+        const { content, structured } = formatQueryResult(page.data, { output_format, csv_as_resource, detail, max_tokens, locality: page.locality });
+
+        if (echo) {
+            const rewrite = {
+                executed_cypher: page.checked.cypher,
+                ...(echoParams && { cypher_params: page.cypherParams }),
+                notices: page.checked.notices,
+            };
+            content.push({ type: 'text', text: JSON.stringify(rewrite, null, 2) });
+            Object.assign(structured, rewrite);
+        }
+        if (page.pagination) {
+            content.push({
+                type: 'text',
+                text: JSON.stringify({ pagination: page.pagination }, null, 2),
+            });
+            structured.pagination = page.pagination;
+        }
+
+        return { content, structuredContent: structured };
+    }
+
+    // Text content for a view chosen by pickView, with a note when nothing fits the budget
+    function viewContent(view, max_tokens) {
+        const content = [{ type: 'text', text: view.text }];
+        if (view.overBudget) {
+            content.push({
+                type: 'text',
+                text: `Even the most condensed view is about ${view.tokens} tokens, above max_tokens ${max_tokens}.`,
+            });
+        }
+        return content;
+    }
+
+    function assertOutputFormat(output_format, csv_as_resource) {
+        if (!OUTPUT_FORMATS.includes(output_format)) {
+            throw new Error(`output_format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+        }
+        if (csv_as_resource && output_format !== 'csv') {
+            throw new Error("csv_as_resource requires output_format 'csv'");
+        }
+    }
+
+    // Render a query response as JSON, or as flattened rows when the response has any
+    // With detail or max_tokens set, inline rows may be condensed to a sample plus column stats
+    // Returns the content blocks and the structured form of the same rows
+    function formatQueryResult(data, { output_format, csv_as_resource, locality, detail = 'full', max_tokens }) {
+        const hasRows = Array.isArray(data) || Array.isArray(data?.results);
+        if (!hasRows) {
+            const content = [{ type: 'text', text: JSON.stringify(data, null, 2) }];
+            if (output_format !== 'json') {
+                content.push({ type: 'text', text: `Response has no result rows to format as ${output_format}; returned as JSON.` });
+            }
+            return { content, structured: { locality, kind: 'response', response: data } };
+        }
+
+        const rows = resultRows(data);
+        const render = (subset) => output_format === 'json'
+            ? JSON.stringify(subset, null, 2)
+            : renderRows(flattenRows(subset), output_format);
+
+        if (!csv_as_resource) {
+            if (detail === 'full' && !max_tokens) {
+                return {
+                    content: [{ type: 'text', text: output_format === 'json' ? JSON.stringify(data, null, 2) : render(rows) }],
+                    structured: { locality, kind: 'rows', results: rows, row_count: rows.length },
+                };
+            }
+            const views = queryViews(rows, render, "Repeat the request with detail 'full' (a smaller page_size keeps each page within budget), or with output_format 'csv' and csv_as_resource to get every row as a file");
+            views[0].render = () => (output_format === 'json' ? JSON.stringify(data, null, 2) : render(rows));
+            const view = pickView(views, { detail, maxTokens: max_tokens });
+            return {
+                content: viewContent(view, max_tokens),
+                structured: { locality, kind: 'rows', row_count: rows.length, ...view.data },
+            };
+        }
+
+        const table = flattenRows(rows);
+        const rendered = renderRows(table, output_format);
+        const uri = `datagraph://query-results/${encodeURIComponent(locality)}/${randomUUID()}.csv`;
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `${table.rows.length} rows, ${table.columns.length} columns: ${table.columns.join(', ')}`,
+                },
+                {
+                    type: 'resource',
+                    resource: {
+                        uri,
+                        mimeType: 'text/csv',
+                        blob: Buffer.from(rendered, 'utf-8').toString('base64'),
+                    },
+                },
+            ],
+            structured: { locality, kind: 'resource', row_count: table.rows.length, columns: table.columns, resource_uri: uri },
+        };
+    }
+
+    // query_locality_data: natural language, sampling, explain/profile or paged Cypher
+    async function queryLocalityData(args, call) {
+        const { query, locality, category, limit = 10, cypher_query, cypher_params, dataset, page_size = MAX_CYPHER_LIMIT, output_format = 'json', csv_as_resource = false, detail, max_tokens, use_sampling = false, mode } = args;
+
+        if (!locality) {
+            throw new Error('locality parameter is required. Call list_datasets to discover available locality codes.');
+        }
+        assertOutputFormat(output_format, csv_as_resource);
+        assertDetailOptions(detail, max_tokens);
+        if (!Number.isInteger(page_size) || page_size < 1 || page_size > MAX_CYPHER_LIMIT) {
+            throw new Error(`page_size must be an integer from 1 to ${MAX_CYPHER_LIMIT}`);
+        }
+        if (mode !== undefined && !PLAN_MODES.includes(mode)) {
+            throw new Error(`mode must be one of: ${PLAN_MODES.join(', ')}`);
+        }
+        if (use_sampling && !cypher_query && !query) {
+            throw new Error('use_sampling requires query: the question to translate into Cypher');
+        }
+
+        // Natural language through the client's model, when it supports sampling
+        let generated = null;
+        let samplingFallback = null;
+        if (use_sampling && !cypher_query) {
+            try {
+                generated = await translateWithSampling({ question: query, locality, dataset, params: cypher_params }, call);
+                if (!generated) {
+                    samplingFallback = 'The client does not support sampling; the API natural language parser was used instead';
+                }
+            } catch (error) {
+                if (call.signal?.aborted || !(error instanceof McpError)) {
+                    throw error;
+                }
+                samplingFallback = `Sampling request failed (${error.message}); the API natural language parser was used instead`;
+            }
+        }
+
+        const cypherText = cypher_query || generated?.cypher;
+        if (mode && !cypherText) {
+            throw new Error('mode requires cypher_query: natural language queries have no query plan');
+        }
+
+        // Natural language: the API's own limit is the page size
+        if (!cypherText) {
+            const page = await fetchQueryPage({ mode: 'nl', locality, request: { query, category, limit }, offset: 0, start: 0, end: null, pageSize: limit, profile: call.api.profile }, call);
+            const result = queryPageResult(page, { output_format, csv_as_resource, detail, max_tokens });
+            if (samplingFallback) {
+                result.content.push({ type: 'text', text: JSON.stringify({ notices: [samplingFallback] }, null, 2) });
+                result.structuredContent.notices = [samplingFallback];
+            }
+            return result;
+        }
+
+        // A leading EXPLAIN or PROFILE in the query works like mode
+        const prefixed = splitPlanPrefix(cypherText);
+        const planMode = mode ?? prefixed.mode;
+        let cypher = prefixed.cypher;
+        let params = cypher_params;
+        const notices = [];
+        if (generated) {
+            notices.push(`Cypher generated from the question by ${generated.model || 'the client model'} via MCP sampling${generated.attempts > 1 ? ' (corrected after validation)' : ''}`);
+        }
+
+        // Rewrite every MATCH node to filter on the requested dataset
+        if (dataset) {
+            await assertDatasetInLocality(locality, dataset, call);
+            const injected = injectDatasetFilter(cypher, { dataset, params: cypher_params });
+            cypher = injected.cypher;
+            params = { ...cypher_params, [DATASET_PARAM]: dataset };
+            notices.push(...injected.notices);
+        }
+
+        if (planMode) {
+            return await explainQuery(planMode, locality, { query, category, limit }, cypher, params, { notices, echoParams: Boolean(dataset) }, call);
+        }
+
+        // Read the final RETURN in SKIP/LIMIT windows; UNION queries run once under the usual LIMIT rules
+        const paged = paginateCypher(cypher, { params });
+        const state = paged.pageable
+            ? {
+                mode: 'cypher',
+                profile: call.api.profile,
+                locality,
+                request: { query, category, limit },
+                cypher: paged.cypher,
+                params,
+                offset: paged.skip,
+                start: paged.skip,
+                end: paged.limit === null ? null : paged.skip + paged.limit,
+                pageSize: page_size,
+            }
+            : { mode: 'cypher', profile: call.api.profile, locality, request: { query, category, limit }, cypher, params, offset: 0, start: 0, end: null, pageSize: page_size, single: true };
+
+        if (paged.pageable && paged.limit !== null && paged.limit > page_size) {
+            notices.push(`LIMIT ${paged.limit} is returned in pages of ${page_size} rows; use fetch_more with next_cursor`);
+        } else if (!paged.pageable) {
+            notices.push(`Not paginated: ${paged.reason}`);
+        }
+
+        const page = await fetchQueryPage(state, call);
+        if (page.pagination?.truncated && !paged.ordered) {
+            notices.push('No ORDER BY after RETURN: add one so page boundaries stay stable between fetch_more calls');
+        }
+        page.checked.notices.unshift(...notices);
+
+        // Tell the model when its Cypher was rewritten (dataset filter, LIMIT injected or clamped, paging)
+        return queryPageResult(page, {
+            output_format,
+            csv_as_resource,
+            detail,
+            max_tokens,
+            echo: Boolean(dataset) || page.checked.notices.length > 0,
+            echoParams: Boolean(dataset),
+        });
+    }
+
+    // Reject dataset ids that list_datasets does not report for the locality
+    async function assertDatasetInLocality(locality, dataset, call) {
+        const ids = datasetEntries(await getDatasets(locality, call))
+            .filter((entry) => !entry.locality || entry.locality === locality)
+            .map((entry) => entry.id);
+
+        if (!ids.includes(dataset)) {
+            throw new Error(`Unknown dataset '${dataset}' for locality '${locality}'. Available dataset ids: ${ids.join(', ') || 'none'}. Use the 'id' field from list_datasets.`);
+        }
+    }
+
+    // With more than one profile configured, every tool takes a profile argument
+    const tools = profileNames.length > 1
+        ? TOOLS.map((tool) => ({
+            ...tool,
+            inputSchema: {
+                ...tool.inputSchema,
+                properties: {
+                    ...tool.inputSchema.properties,
+                    profile: {
+                        type: 'string',
+                        enum: profileNames,
+                        description: `API profile to use (default '${config.defaultProfile}'). Profiles are separate DataGraph endpoints or keys, e.g. production and staging.`,
+                    },
+                },
+            },
+        }))
+        : TOOLS;
+
+    // List available tools
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+        return {
+            tools,
+        };
+    });
+
+    // List available prompts: the fixed workflows plus one per saved or suggested query
+    server.setRequestHandler(ListPromptsRequestSchema, async (request, extra) => {
+        const { queries, notices } = await savedQueryLibrary(callContext(undefined, extra.signal, 'prompts/list'));
+        notices.forEach((notice) => log.warning('Listing saved query prompts', { notice }));
+        return {
+            prompts: [...PROMPTS, ...queries.map(queryPrompt)],
+        };
+    });
+
+    // Handle prompt requests
+    server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+        const { name, arguments: args } = request.params;
+
+        if (name.startsWith(QUERY_PROMPT_PREFIX)) {
+            const query = await findSavedQuery(name.slice(QUERY_PROMPT_PREFIX.length), callContext(undefined, extra.signal, 'prompts/get'));
+            return {
+                description: queryPrompt(query).description,
+                messages: [
+                    {
+                        role: 'user',
+                        content: {
+                            type: 'text',
+                            text: queryPromptText(query, bindParameters(query, args)),
+                        },
+                    },
+                ],
+            };
+        }
+
+        switch (name) {
+            case 'explore_locality_data': {
+                const locality = args?.locality;
+                    if (!locality) {
+                        throw new Error('locality argument is required. Call list_datasets to discover available locality codes.');
+                    }
+                return {
+                    messages: [
+                        {
+                            role: 'user',
+                            content: {
+                                type: 'text',
+                                text: `I want to explore urban data for ${locality}. Let's start by:
+1. Listing available localities and their datasets
+2. Getting the graph schema for ${locality}
+3. Understanding what kinds of questions I can ask
+
+Please guide me through this process.`,
+                            },
+                        },
+                    ],
+                };
+            }
+
+            case 'analyze_gosr_dataset': {
+                const dataset = args?.dataset;
+                const focus = args?.focus || 'general overview';
+
+                if (!dataset) {
+                    throw new Error('dataset argument is required');
+                }
+
+                return {
+                    messages: [
+                        {
+                            role: 'user',
+                            content: {
+                                type: 'text',
+                                text: `I want to analyze the "${dataset}" GOSR dataset, focusing on: ${focus}.
+
+Please help me:
+1. List available GOSR datasets to confirm this one exists
+2. Get the schema to understand the data structure
+3. Query for relevant Goals, Obstacles, Solutions, and Resources
+4. Run find_gosr_gaps to see where the chain breaks: Obstacles without Solutions, Solutions without Resources, Resources without Actors, Actors without Funders
+5. Summarize key insights and patterns, citing the gap counts and examples
+
+Use the GOSR framework (gosr.ai) to structure the analysis.`,
+                            },
+                        },
+                    ],
+                };
+            }
+
+            case 'cypher_query_builder': {
+                const locality = args?.locality;
+                const user_question = args?.user_question;
+
+                if (!locality) {
+                        throw new Error('locality argument is required. Call list_datasets to discover available locality codes.');
+                    }
+                if (!user_question) {
+                    throw new Error('user_question argument is required');
+                }
+
+                return {
+                    messages: [
+                        {
+                            role: 'user',
+                            content: {
+                                type: 'text',
+                                text: `I want to query ${locality} data to answer: "${user_question}"
+
+Please help me:
+1. Get the graph schema for ${locality}
+2. Understand what node labels and relationships are available
+3. Generate an appropriate Cypher query based on my question
+4. Execute the query and interpret the results
+
+Remember to include LIMIT clauses and ensure read-only operations.`,
+                            },
+                        },
+                    ],
+                };
+            }
+
+            default:
+                throw new Error(`Unknown prompt: ${name}`);
+        }
+    });
+
+    // List available resources: static entries, one schema per locality, two per dataset and one per saved query
+    server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+        const call = callContext(undefined, extra.signal, 'resources/list');
+        let datasets = [];
+        try {
+            datasets = datasetEntries(await getDatasets(undefined, call));
+        } catch (error) {
+            log.warning('Listing datasets for resources failed', { error: error.message });
+        }
+        const { queries, notices } = await savedQueryLibrary(call, datasets);
+        notices.forEach((notice) => log.warning('Listing saved query resources', { notice }));
+
+        const localities = [...new Set(datasets.map((entry) => entry.locality).filter(Boolean))];
+        return {
+            resources: [
+                ...RESOURCES,
+                ...localities.map((locality) => ({
+                    uri: `datagraph://schema/${encodeURIComponent(locality)}`,
+                    name: `${locality} Graph Schema`,
+                    description: `Neo4j graph schema for locality '${locality}'`,
+                    mimeType: 'application/json',
+                })),
+                ...datasets.flatMap((entry) => [
+                    {
+                        uri: `datagraph://datasets/${encodeURIComponent(entry.id)}`,
+                        name: entry.name || entry.id,
+                        description: `Metadata for dataset '${entry.id}'${entry.locality ? ` (locality '${entry.locality}')` : ''}`,
+                        mimeType: 'application/json',
+                    },
+                    {
+                        uri: `datagraph://datasets/${encodeURIComponent(entry.id)}/gosr-tree`,
+                        name: `${entry.name || entry.id} GOSR Tree`,
+                        description: `Goal -> Obstacles -> Solutions -> Resources hierarchy of '${entry.id}'`,
+                        mimeType: 'application/json',
+                    },
+                ]),
+                ...queries.map((query) => ({
+                    uri: describeQuery(query).uri,
+                    name: `Saved query ${query.name}`,
+                    description: query.description || `${query.source === 'suggested' ? 'Suggested' : 'Saved'} query for locality '${query.locality}'`,
+                    mimeType: 'application/json',
+                })),
+            ],
+        };
+    });
+
+    // List resource templates
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+        return {
+            resourceTemplates: RESOURCE_TEMPLATES,
+        };
+    });
+
+    // Handle resource reads
+    server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+        const { uri } = request.params;
+        const call = callContext(undefined, extra.signal, 'resources/read');
+
+        try {
+            switch (uri) {
+                case 'datagraph://cities/list': {
+                    const cities = await call.api.get('/cities', { signal: call.signal });
+
+                    return {
+                        contents: [
+                            {
+                                uri,
+                                mimeType: 'application/json',
+                                text: JSON.stringify(cities, null, 2),
+                            },
+                        ],
+                    };
+                }
+
+                case 'datagraph://datasets/gosr': {
+                    const datasets = await getDatasets(undefined, call);
+
+                    return {
+                        contents: [
+                            {
+                                uri,
+                                mimeType: 'application/json',
+                                text: JSON.stringify(datasets, null, 2),
+                            },
+                        ],
+                    };
+                }
+
+                case 'datagraph://usage/stats': {
+                    const stats = await call.api.get('/usage', { signal: call.signal });
+                    ledger.recordUsage(stats);
+
+                    return {
+                        contents: [
+                            {
+                                uri,
+                                mimeType: 'application/json',
+                                text: JSON.stringify(stats, null, 2),
+                            },
+                        ],
+                    };
+                }
+
+                case 'datagraph://usage/session': {
+                    return {
+                        contents: [
+                            {
+                                uri,
+                                mimeType: 'application/json',
+                                text: JSON.stringify(ledger.snapshot(), null, 2),
+                            },
+                        ],
+                    };
+                }
+
+                default: {
+                    const match = matchResourceTemplate(uri);
+                    if (!match) {
+                        throw new Error(`Unknown resource: ${uri}`);
+                    }
+
+                    let payload;
+                    if (match.template === 'schema') {
+                        payload = await getSchema(match.params.locality, call);
+                    } else if (match.template === 'dataset') {
+                        payload = await findDataset(match.params.id, call);
+                    } else if (match.template === 'query') {
+                        payload = describeQuery(await findSavedQuery(match.params.name, call));
+                    } else {
+                        const dataset = await findDataset(match.params.id, call);
+                        const rows = await runCypher(dataset.locality, `GOSR tree for ${dataset.id}`, GOSR_TREE_CYPHER, { dataset: dataset.id }, call);
+                        payload = {
+                            dataset: dataset.id,
+                            locality: dataset.locality,
+                            ...buildGosrTree(rows),
+                            truncated: rows.length >= MAX_CYPHER_LIMIT,
+                        };
+                    }
+
+                    return {
+                        contents: [
+                            {
+                                uri,
+                                mimeType: 'application/json',
+                                text: JSON.stringify(payload, null, 2),
+                            },
+                        ],
+                    };
+                }
+            }
+        } catch (error) {
+            const requestId = error instanceof DataGraphApiError && error.requestId ? ` (request id ${error.requestId})` : '';
+            throw new Error(`Failed to read resource ${uri}: ${error.message}${requestId}`);
+        }
+    });
+
+    // Handle tool calls; results get quota warnings once a soft limit or the API quota is near
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+        const { name } = request.params;
+        const correlationId = randomUUID();
+        const started = Date.now();
+        ledger.recordToolCall(name);
+        log.debug('Tool call', { correlation_id: correlationId, tool: name, arguments: request.params.arguments ?? {} });
+        const result = await callTool(request, extra, correlationId);
+        log.info('Tool call finished', {
+            correlation_id: correlationId,
+            tool: name,
+            status: result.isError ? 'error' : 'ok',
+            latency_ms: Date.now() - started,
+        });
+        // Quoted in bug reports, it finds the call in the logs, the audit log and the API's logs
+        result._meta = { ...result._meta, 'datagraph/correlation_id': correlationId };
+
+        if (ledger.usageCheckDue()) {
+            await checkUpstreamUsage(extra.signal);
+        }
+        const warnings = ledger.warnings();
+        if (warnings.length > 0) {
+            result.content.push({ type: 'text', text: JSON.stringify({ quota_warnings: warnings }, null, 2) });
+        }
+        return result;
+    });
+
+    async function callTool(request, extra, correlationId) {
+        const { name, arguments: args } = request.params;
+
+        try {
+            const call = callContext(args?.profile, extra.signal, name, correlationId);
+
+            switch (name) {
+                case 'get_server_info': {
+                    const info = {
+                        name: packageJson.name,
+                        version: packageJson.version,
+                        description: packageJson.description,
+                        homepage: packageJson.homepage,
+                        repository: packageJson.repository.url,
+                        cache: responseCache.stats(),
+                        profiles: describeProfiles(config),
+                        gosr_framework: {
+                            spelling: "ALWAYS: Goal-Obstacles-Solutions-Resources (Goal singular, rest plural)",
+                            goal: "A single aspirational future picture (singular)",
+                            obstacles: "Barriers preventing the goal — a diagnosis of why the problem persists (plural)",
+                            solutions: "POTENTIAL strategies to overcome each Obstacle if implemented (plural - NOT actual programs)",
+                            resources: "ACTUAL operating programs that implement a Solution in practice (plural)",
+                            actors: "Organizations that EXECUTE Resources (in model but not in GOSR acronym)",
+                            funders: "Foundations or government agencies that FUND Actors or Resources. Direction: (Funder)-[:FUNDS]->(Actor) when source names only the org; (Funder)-[:FUNDS]->(Resource) when source names a specific program. Query both patterns to find all funding.",
+                            strategy_area: "Extended layer (some datasets). Broad practitioner groupings e.g. Prevention, Intervention. NOT Solutions. Relationship: (Actor)-[:WORKS_IN]->(StrategyArea)",
+                            ecosystem: "Extended layer (some datasets). Governance stakeholders (elected officials, planning bodies) that set policy and allocate public funds. Relationships: SETS_POLICY, FUNDS, WORKS_IN"
+                        }
+                    };
+
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: JSON.stringify(info, null, 2),
+                            },
+                        ],
+                        structuredContent: info,
+                    };
+                }
+
+                case 'query_locality_data':
+                    return await queryLocalityData(args, call);
+
+                case 'fetch_more': {
+                    const { cursor, output_format = 'json', csv_as_resource = false, detail, max_tokens } = args;
+
+                    if (!cursor) {
+                        throw new Error('cursor parameter is required: pass next_cursor from query_locality_data or fetch_more');
+                    }
+                    assertOutputFormat(output_format, csv_as_resource);
+                    assertDetailOptions(detail, max_tokens);
+
+                    // Pages come from the profile the cursor was created with, unless the call names one
+                    const state = decodeCursor(cursor);
+                    const page = await fetchQueryPage(state, args.profile ? call : callContext(state.profile, extra.signal, name));
+                    return queryPageResult(page, { output_format, csv_as_resource, detail, max_tokens });
+                }
+
+                case 'get_locality_schema': {
+                    const { locality, detail = 'full', max_tokens } = args;
+
+                    if (!locality) {
+                        throw new Error('locality parameter is required. Call list_datasets to discover available locality codes.');
+                    }
+                    assertDetailOptions(detail, max_tokens);
+
+                    const schema = await getSchema(locality, call);
+                    const view = pickView([
+                        jsonView('full', () => schema),
+                        jsonView('summary', () => condenseSchema(schema, 'summary', locality)),
+                        jsonView('minimal', () => condenseSchema(schema, 'minimal', locality)),
+                    ], { detail, maxTokens: max_tokens });
+
+                    return { content: viewContent(view, max_tokens), structuredContent: objectContent(view.data) };
+                }
+
+
+                case 'list_datasets': {
+                    const { locality, detail = 'full', max_tokens } = args;
+                    assertDetailOptions(detail, max_tokens);
+                    const datasets = await getDatasets(locality, call);
+
+                    const usage = {
+                        locality_field: "Use the 'locality' field as the locality parameter for get_locality_schema and query_locality_data.",
+                        id_field: "Use the 'id' field in Cypher WHERE clauses to filter by dataset: WHERE n.dataset = '<id>'",
+                        critical: "All datasets share one Neo4j instance. Cypher queries WITHOUT a dataset filter will return data from ANY dataset.",
+                    };
+                    // A wrapped listing ({ datasets, ... }) keeps its other fields next to usage
+                    const view = pickView([
+                        jsonView('full', () => ({ usage, ...(Array.isArray(datasets) ? { datasets } : { ...datasets, datasets: datasetEntries(datasets) }) })),
+                        jsonView('summary', () => ({ usage, ...condenseDatasets(datasetEntries(datasets), 'summary') })),
+                        jsonView('minimal', () => ({ usage, ...condenseDatasets(datasetEntries(datasets), 'minimal') })),
+                    ], { detail, maxTokens: max_tokens });
+
+                    return { content: viewContent(view, max_tokens), structuredContent: view.data };
+                }
+
+                case 'get_gosr_chain': {
+                    const { dataset: datasetId, node_label, node, direction = 'both', max_depth = 8 } = args;
+
+                    if (!datasetId || !node_label || !node) {
+                        throw new Error('dataset, node_label and node parameters are required. Call list_datasets for dataset ids.');
+                    }
+                    if (!GOSR_LABELS.includes(node_label)) {
+                        throw new Error(`node_label must be one of: ${GOSR_LABELS.join(', ')}`);
+                    }
+                    if (!['both', 'upstream', 'downstream'].includes(direction)) {
+                        throw new Error('direction must be one of: both, upstream, downstream');
+                    }
+                    if (!Number.isInteger(max_depth) || max_depth < 1 || max_depth > MAX_CHAIN_DEPTH) {
+                        throw new Error(`max_depth must be an integer from 1 to ${MAX_CHAIN_DEPTH}`);
+                    }
+
+                    const dataset = await findDataset(datasetId, call);
+                    const run = (cypher, params) => runCypher(dataset.locality, `get_gosr_chain ${node_label} '${node}'`, cypher, params, call);
+
+                    const start = await findGosrNode(run, dataset.id, node_label, node);
+
+                    const chain = await traverseGosrChain({
+                        run,
+                        dataset: dataset.id,
+                        start: { label: node_label, key: start.key, name: start.name },
+                        direction,
+                        maxDepth: max_depth,
+                    });
+
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: JSON.stringify({ dataset: dataset.id, ...chain }, null, 2),
+                            },
+                        ],
+                    };
+                }
+
+                case 'find_gosr_gaps': {
+                    const { dataset: datasetId, examples = 10 } = args;
+
+                    if (!datasetId) {
+                        throw new Error('dataset parameter is required. Call list_datasets for dataset ids.');
+                    }
+                    if (!Number.isInteger(examples) || examples < 0 || examples > MAX_GAP_EXAMPLES) {
+                        throw new Error(`examples must be an integer from 0 to ${MAX_GAP_EXAMPLES}`);
+                    }
+
+                    const dataset = await findDataset(datasetId, call);
+                    const params = { dataset: dataset.id, examples };
+                    const results = await Promise.all(GOSR_GAP_CHECKS.map((check) => runCypher(
+                        dataset.locality,
+                        `find_gosr_gaps ${check.gap} ${dataset.id}`,
+                        gapCypher(check),
+                        params,
+                        call,
+                    )));
+
+                    const gaps = {};
+                    GOSR_GAP_CHECKS.forEach((check, index) => {
+                        const [row = {}] = results[index];
+                        const total = Number(row.total) || 0;
+                        const missing = Number(row.missing) || 0;
+                        gaps[check.gap] = {
+                            description: check.description,
+                            missing,
+                            total,
+                            share: total ? Number((missing / total).toFixed(3)) : null,
+                            examples: row.examples || [],
+                        };
+                    });
+
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: JSON.stringify({ dataset: dataset.id, gaps }, null, 2),
+                            },
+                        ],
+                    };
+                }
+
+                case 'analyze_funding': {
+                    const { dataset: datasetId, funder, actor, year_from, year_to } = args;
+
+                    if (!datasetId) {
+                        throw new Error('dataset parameter is required. Call list_datasets for dataset ids.');
+                    }
+                    if (year_from !== undefined && year_to !== undefined && year_from > year_to) {
+                        throw new Error('year_from must not be after year_to');
+                    }
+
+                    const dataset = await findDataset(datasetId, call);
+                    const params = fundingParams({ dataset: dataset.id, funder, actor, year_from, year_to });
+                    const [rows, [totals]] = await Promise.all([
+                        runCypher(dataset.locality, `analyze_funding ${dataset.id}`, FUNDING_BREAKDOWN_CYPHER, params, call),
+                        runCypher(dataset.locality, `analyze_funding totals ${dataset.id}`, FUNDING_TOTALS_CYPHER, params, call),
+                    ]);
+
+                    const { totals_table, ...summary } = summarizeFunding(rows);
+                    // The breakdown is capped at 1000 rows; compare with the database totals
+                    const truncated = Boolean(totals) && Number(totals.grants) !== summary.totals.grants;
+
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: JSON.stringify({
+                                    dataset: dataset.id,
+                                    filters: { funder, actor, year_from, year_to },
+                                    ...summary,
+                                    truncated,
+                                    ...(truncated && {
+                                        database_totals: { amount: totals.amount, grants: totals.grants },
+                                        note: 'Breakdown covers the largest 1000 funder/recipient/year combinations; database_totals include every edge. Narrow with funder, actor or year filters for a complete breakdown.',
+                                    }),
+                                }, null, 2),
+                            },
+                            {
+                                type: 'text',
+                                text: totals_table,
+                            },
+                        ],
+                    };
+                }
+
+                case 'compare_datasets': {
+                    const { datasets: datasetIds, similarity = DEFAULT_SIMILARITY } = args;
+
+                    if (!Array.isArray(datasetIds) || datasetIds.length < 2 || datasetIds.length > COMPARE_MAX_DATASETS) {
+                        throw new Error(`datasets must list 2 to ${COMPARE_MAX_DATASETS} dataset ids. Call list_datasets for dataset ids.`);
+                    }
+                    if (new Set(datasetIds).size !== datasetIds.length) {
+                        throw new Error('datasets must not repeat a dataset id');
+                    }
+                    if (typeof similarity !== 'number' || similarity < 0 || similarity > 1) {
+                        throw new Error('similarity must be a number from 0 to 1');
+                    }
+
+                    const entries = await Promise.all(datasetIds.map((id) => findDataset(id, call)));
+                    const sides = await Promise.all(entries.map(async (dataset) => {
+                        const run = (part, cypher) => runCypher(dataset.locality, `compare_datasets ${part} ${dataset.id}`, cypher, { dataset: dataset.id }, call);
+                        const [counts, structure, themes, funders] = await Promise.all([
+                            run('layers', LAYER_COUNTS_CYPHER),
+                            run('structure', STRUCTURE_CYPHER),
+                            run('themes', THEMES_CYPHER),
+                            run('funders', FUNDERS_CYPHER),
+                        ]);
+                        return { dataset, counts, structure, themes, funders };
+                    }));
+
+                    const { table, ...comparison } = compareDatasets(sides, { similarity });
+
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: JSON.stringify({ ...comparison, similarity }, null, 2),
+                            },
+                            {
+                                type: 'text',
+                                text: table,
+                            },
+                        ],
+                    };
+                }
+
+                case 'export_subgraph': {
+                    const { dataset: datasetId, format = 'mermaid', node_label, node, depth = 2 } = args;
+
+                    if (!datasetId) {
+                        throw new Error('dataset parameter is required. Call list_datasets for dataset ids.');
+                    }
+                    if (!EXPORT_FORMATS[format]) {
+                        throw new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+                    }
+                    if (Boolean(node_label) !== Boolean(node)) {
+                        throw new Error('Pass node_label and node together to export the neighbourhood of one node, or neither to export the whole dataset');
+                    }
+                    if (node_label && !GOSR_LABELS.includes(node_label)) {
+                        throw new Error(`node_label must be one of: ${GOSR_LABELS.join(', ')}`);
+                    }
+                    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_EXPORT_DEPTH) {
+                        throw new Error(`depth must be an integer from 1 to ${MAX_EXPORT_DEPTH}`);
+                    }
+
+                    const dataset = await findDataset(datasetId, call);
+                    const run = (cypher, params) => runCypher(dataset.locality, `export_subgraph ${dataset.id}`, cypher, params, call);
+                    const root = node ? await findGosrNode(run, dataset.id, node_label, node) : null;
+                    const queries = root
+                        ? neighbourhoodCypher(node_label, depth)
+                        : { nodes: EXPORT_NODES_CYPHER, edges: EXPORT_EDGES_CYPHER };
+                    const params = root ? { dataset: dataset.id, root: root.key } : { dataset: dataset.id };
+                    const [nodeRows, edgeRows] = await Promise.all([
+                        run(queries.nodes, params),
+                        run(queries.edges, params),
+                    ]);
+                    const truncated = nodeRows.length >= EXPORT_ROW_LIMIT || edgeRows.length >= EXPORT_ROW_LIMIT;
+                    const graph = buildGraph(nodeRows, edgeRows);
+
+                    const { mimeType, extension } = EXPORT_FORMATS[format];
+                    const uri = `datagraph://exports/${encodeURIComponent(dataset.id)}/${randomUUID()}.${extension}`;
+                    const rendered = renderGraph(graph, format, { title: dataset.id });
+
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: JSON.stringify({
+                                    dataset: dataset.id,
+                                    format,
+                                    mimeType,
+                                    uri,
+                                    ...(root && { root: { label: node_label, key: root.key, name: root.name }, depth }),
+                                    nodes: graph.nodes.length,
+                                    edges: graph.edges.length,
+                                    layers: layerCounts(graph),
+                                    truncated,
+                                    ...(truncated && {
+                                        note: root
+                                            ? `The neighbourhood has more than ${EXPORT_ROW_LIMIT} nodes or relationships; the export covers the first ${EXPORT_ROW_LIMIT} of each. Lower depth for a complete export.`
+                                            : `The dataset has more than ${EXPORT_ROW_LIMIT} nodes or relationships; the export covers the first ${EXPORT_ROW_LIMIT} of each. Export the neighbourhood of one node for a complete picture of that part.`,
+                                    }),
+                                }, null, 2),
+                            },
+                            {
+                                type: 'resource',
+                                resource: {
+                                    uri,
+                                    mimeType,
+                                    blob: Buffer.from(rendered, 'utf-8').toString('base64'),
+                                },
+                            },
+                        ],
+                    };
+                }
+
+                case 'query_nearby': {
+                    const { locality, dataset, labels, limit = DEFAULT_NEARBY_LIMIT, format = 'rows' } = args;
+
+                    if (!locality) {
+                        throw new Error('locality parameter is required. Call list_datasets to discover available locality codes.');
+                    }
+                    if (!GEO_FORMATS.includes(format)) {
+                        throw new Error(`format must be one of: ${GEO_FORMATS.join(', ')}`);
+                    }
+                    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CYPHER_LIMIT) {
+                        throw new Error(`limit must be an integer from 1 to ${MAX_CYPHER_LIMIT}`);
+                    }
+                    const search = parseSearch(args);
+
+                    const available = geoLabels(await getSchema(locality, call));
+                    if (available.length === 0) {
+                        throw new Error(`The schema of locality '${locality}' has no labels with coordinates (latitude/longitude or a point property). Call list_datasets for localities with point data.`);
+                    }
+                    let specs = available;
+                    if (labels !== undefined) {
+                        if (!Array.isArray(labels) || labels.length === 0) {
+                            throw new Error('labels must be a non-empty list of node labels');
+                        }
+                        const unknown = labels.filter((label) => !available.some((spec) => spec.label === label));
+                        if (unknown.length > 0) {
+                            throw new Error(`No coordinates for ${unknown.join(', ')} in locality '${locality}'. Labels with coordinates: ${available.map((spec) => spec.label).join(', ')}`);
+                        }
+                        specs = available.filter((spec) => labels.includes(spec.label));
+                    }
+
+                    // Without a dataset, every dataset of the locality; the filter is required either way
+                    let scope;
+                    if (dataset) {
+                        await assertDatasetInLocality(locality, dataset, call);
+                        scope = { dataset };
+                    } else {
+                        const datasets = datasetEntries(await getDatasets(locality, call))
+                            .filter((entry) => !entry.locality || entry.locality === locality)
+                            .map((entry) => entry.id);
+                        if (datasets.length === 0) {
+                            throw new Error(`No datasets for locality '${locality}'. Call list_datasets for available localities.`);
+                        }
+                        scope = { datasets };
+                    }
+
+                    const queries = specs.map((spec) => ({ spec, ...nearbyCypher(spec, search, { ...scope, limit }) }));
+                    const results = await Promise.all(queries.map(async ({ spec, cypher, params }) => ({
+                        spec,
+                        rows: await runCypher(locality, `query_nearby ${spec.label}`, cypher, params, call),
+                    })));
+
+                    const rows = mergeNearby(results, limit);
+                    const matched = results.reduce((sum, result) => sum + result.rows.length, 0);
+                    const truncated = matched > rows.length || results.some((result) => result.rows.length >= limit);
+                    const notices = queries.flatMap((query) => query.notices);
+                    const summary = {
+                        locality,
+                        ...(dataset && { dataset }),
+                        search: describeSearch(search),
+                        labels: results.map((result) => ({ label: result.spec.label, rows: result.rows.length })),
+                        returned: rows.length,
+                        truncated,
+                        ...(truncated && { note: `More points match than the ${limit} returned; raise limit (max ${MAX_CYPHER_LIMIT}) or narrow the search` }),
+                        ...(notices.length > 0 && { notices }),
+                    };
+
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: JSON.stringify(format === 'geojson' ? toFeatureCollection(rows, { query: summary }) : { ...summary, results: rows }, null, 2),
+                            },
+                        ],
+                    };
+                }
+
+                case 'search_entities': {
+                    const { dataset: datasetId, text, labels = SEARCH_LABELS, limit = DEFAULT_SEARCH_LIMIT } = args;
+
+                    if (!datasetId || typeof text !== 'string') {
+                        throw new Error('dataset and text parameters are required. Call list_datasets for dataset ids.');
+                    }
+                    const search = searchTerms(text);
+                    if (!search.phrase) {
+                        throw new Error('text must contain at least one letter or digit');
+                    }
+                    if (!Array.isArray(labels) || labels.length === 0 || labels.some((label) => !SEARCH_LABELS.includes(label))) {
+                        throw new Error(`labels must be a non-empty list of: ${SEARCH_LABELS.join(', ')}`);
+                    }
+                    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+                        throw new Error(`limit must be an integer from 1 to ${MAX_SEARCH_LIMIT}`);
+                    }
+
+                    const dataset = await findDataset(datasetId, call);
+                    const schema = await getSchema(dataset.locality, call);
+                    const indexes = fulltextIndexes(schema?.indexes, labels);
+                    const notices = [];
+
+                    // One query per fulltext index; an index the API cannot query leaves its labels to CONTAINS
+                    const covered = new Set();
+                    const fulltextRows = await Promise.all(indexes.map(async (index) => {
+                        try {
+                            const rows = await runCypher(dataset.locality, `search_entities ${index.name}`, fulltextCypher(), {
+                                index: index.name,
+                                search: luceneQuery(search),
+                                dataset: dataset.id,
+                                labels: index.labels,
+                                limit,
+                            }, call);
+                            index.labels.forEach((label) => covered.add(label));
+                            return rows.map((row) => ({ ...row, match: 'fulltext' }));
+                        } catch (error) {
+                            if (call.signal?.aborted || !(error instanceof DataGraphApiError)) {
+                                throw error;
+                            }
+                            notices.push(`Fulltext index '${index.name}' failed (${error.message}); ${index.labels.join(', ')} searched with CONTAINS instead`);
+                            return [];
+                        }
+                    }));
+
+                    const remaining = labels.filter((label) => !covered.has(label));
+                    const containsRows = remaining.length === 0 ? [] : await runCypher(dataset.locality, `search_entities '${text}'`, containsCypher(), {
+                        dataset: dataset.id,
+                        labels: remaining,
+                        phrase: search.phrase,
+                        terms: search.terms,
+                        limit,
+                    }, call);
+
+                    const hits = rankHits([...fulltextRows.flat(), ...containsRows.map((row) => ({ ...row, match: 'contains' }))], search, limit);
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: JSON.stringify({
+                                    dataset: dataset.id,
+                                    text,
+                                    terms: search.terms,
+                                    searched: {
+                                        fulltext: indexes.filter((index) => index.labels.every((label) => covered.has(label)))
+                                            .map((index) => ({ index: index.name, labels: index.labels })),
+                                        contains: remaining,
+                                    },
+                                    returned: hits.length,
+                                    hits,
+                                    ...(hits.length === 0 && { note: 'No matches; try fewer or different words, or other labels' }),
+                                    ...(notices.length > 0 && { notices }),
+                                }, null, 2),
+                            },
+                        ],
+                    };
+                }
+
+                case 'snapshot_dataset': {
+                    const { dataset: datasetId, name, overwrite = false } = args;
+
+                    if (!datasetId) {
+                        throw new Error('dataset parameter is required. Call list_datasets for dataset ids.');
+                    }
+                    if (name !== undefined && (typeof name !== 'string' || !SNAPSHOT_NAME_PATTERN.test(name))) {
+                        throw new Error("name must be 1-80 letters, digits, '_', '.' or '-', starting with a letter or digit");
+                    }
+                    if (name === 'live') {
+                        throw new Error("'live' stands for the current graph in diff_dataset; choose another snapshot name");
+                    }
+
+                    const dataset = await findDataset(datasetId, call);
+                    const snapshot = await takeSnapshot(dataset, name, call);
+                    const { replaced } = await snapshotStore.save(snapshot, { overwrite });
+
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: JSON.stringify({
+                                    snapshot: describeSnapshot(snapshot),
+                                    replaced,
+                                    stored_in: snapshotStore.dir ?? 'memory (this session only)',
+                                    snapshots: (await snapshotStore.list(dataset.id)).map((entry) => ({ name: entry.name, taken_at: entry.taken_at })),
+                                }, null, 2),
+                            },
+                        ],
+                    };
+                }
+
+                case 'diff_dataset': {
+                    const { dataset: datasetId, from, to = 'live', limit = DEFAULT_DIFF_LIMIT } = args;
+
+                    if (!datasetId) {
+                        throw new Error('dataset parameter is required. Call list_datasets for dataset ids.');
+                    }
+                    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DIFF_LIMIT) {
+                        throw new Error(`limit must be an integer from 1 to ${MAX_DIFF_LIMIT}`);
+                    }
+
+                    const dataset = await findDataset(datasetId, call);
+                    const available = await snapshotStore.list(dataset.id);
+                    if (from === undefined && available.length === 0) {
+                        throw new Error(`No snapshots of dataset '${dataset.id}' yet. Call snapshot_dataset now and diff_dataset later to see what changed.`);
+                    }
+                    const before = from === undefined ? available.at(-1) : await findSnapshot(dataset.id, from, available);
+                    const after = to === 'live' ? await takeSnapshot(dataset, 'live', call) : await findSnapshot(dataset.id, to, available);
+
+                    const diff = diffSnapshots(before, after, { limit });
+                    const changes = Object.values(diff.summary).reduce((sum, counts) => sum + counts.added + counts.removed + counts.modified, 0);
+                    const side = (snapshot) => (snapshot === after && to === 'live'
+                        ? { live: true, taken_at: snapshot.taken_at, counts: snapshot.counts }
+                        : { snapshot: describeSnapshot(snapshot).id, taken_at: snapshot.taken_at, counts: snapshot.counts });
+
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: JSON.stringify({
+                                    dataset: dataset.id,
+                                    from: side(before),
+                                    to: side(after),
+                                    ...diff,
+                                    ...(changes === 0 && { note: 'No changes' }),
+                                    ...(diff.truncated && { note: `Lists hold at most ${limit} entries each; raise limit (max ${MAX_DIFF_LIMIT}) for more` }),
+                                }, null, 2),
+                            },
+                        ],
+                    };
+                }
+
+                case 'save_query': {
+                    const { overwrite = false, ...definition } = args;
+
+                    const { query, notices } = checkQueryDefinition(definition);
+                    if (query.dataset) {
+                        await assertDatasetInLocality(query.locality, query.dataset, call);
+                    }
+                    const existing = (await savedQueryLibrary(call)).queries.find((candidate) => candidate.name === query.name);
+                    if (existing && !overwrite) {
+                        throw new Error(`A ${existing.source} query named '${query.name}' already exists. Pass overwrite: true to replace it, or choose another name.`);
+                    }
+
+                    const saved = await queryStore.save(query);
+                    announceQueryListChanged();
+
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: JSON.stringify({
+                                    saved: describeQuery(saved.query),
+                                    replaced: existing ? existing.source : false,
+                                    store: queryStore.file ?? 'memory (not kept after the server stops)',
+                                    ...(notices.length > 0 && { notices }),
+                                }, null, 2),
+                            },
+                        ],
+                    };
+                }
+
+                case 'list_saved_queries': {
+                    const { locality, dataset } = args;
+                    const { queries, notices } = await savedQueryLibrary(call);
+                    const matching = queries.filter((query) => (!locality || query.locality === locality) && (!dataset || query.dataset === dataset));
+
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: JSON.stringify({
+                                    queries: matching.map(describeQuery),
+                                    store: queryStore.file ?? 'memory (not kept after the server stops)',
+                                    ...(notices.length > 0 && { notices }),
+                                }, null, 2),
+                            },
+                        ],
+                    };
+                }
+
+                case 'run_saved_query': {
+                    const { name: queryName, parameters, page_size, output_format, csv_as_resource, detail, max_tokens } = args;
+
+                    if (!queryName) {
+                        throw new Error('name parameter is required. Call list_saved_queries for available names.');
+                    }
+
+                    const saved = await findSavedQuery(queryName, call);
+                    const params = bindParameters(saved, parameters);
+                    return await queryLocalityData({
+                        query: saved.description || `Saved query ${saved.name}`,
+                        locality: saved.locality,
+                        dataset: saved.dataset,
+                        cypher_query: saved.cypher,
+                        ...(Object.keys(params).length > 0 && { cypher_params: params }),
+                        page_size,
+                        output_format,
+                        csv_as_resource,
+                        detail,
+                        max_tokens,
+                    }, call);
+                }
+
+                case 'refresh_cache': {
+                    const { locality, scope = 'all' } = args;
+                    const kinds = scope === 'all' ? ['schema', 'datasets'] : [scope];
+
+                    const invalidated = await responseCache.invalidate((key) => {
+                        const [kind, keyLocality] = key.split(':');
+                        if (!kinds.includes(kind)) return false;
+                        // The unfiltered dataset list ('*') includes every locality
+                        return !locality || keyLocality === locality || keyLocality === '*';
+                    });
+
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: JSON.stringify({
+                                    invalidated,
+                                    scope,
+                                    locality: locality || 'all',
+                                    cache: responseCache.stats(),
+                                }, null, 2),
+                            },
+                        ],
+                    };
+                }
+
+                case 'get_usage_stats': {
+                    const stats = await call.api.get('/usage', { signal: call.signal });
+                    if (call.api.profile === config.defaultProfile) {
+                        ledger.recordUsage(stats);
+                    }
+
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: JSON.stringify(stats, null, 2),
+                            },
+                        ],
+                        structuredContent: objectContent(stats),
+                    };
+                }
+
+                default:
+                    throw new Error(`Unknown tool: ${name}`);
+            }
+        } catch (error) {
+            // Validation and API errors carry structured details (offending clauses,
+            // HTTP status, upstream message, request id) so the model can act on them
+            if (error instanceof CypherValidationError || error instanceof DataGraphApiError || error instanceof QuotaExceededError) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(error.toJSON(), null, 2),
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: ${error.message}`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    return server;
+}
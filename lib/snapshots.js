@@ -0,0 +1,373 @@
+/**
+ * Dataset snapshots for snapshot_dataset and diff_dataset
+ *
+ * A snapshot is a normalized local copy of a dataset's GOSR nodes (with all
+ * their properties) and of the relationships between them, kept as one JSON
+ * file per snapshot:
+ *
+ *   <dir>/<dataset id>/<name>.json
+ *   {
+ *     "version": 1, "dataset": "kc-violence-prevention", "locality": "kc",
+ *     "name": "2026-09-01", "taken_at": "2026-09-01T08:00:00.000Z",
+ *     "nodes": [{ "label": "Goal", "key": "kc-g1", "properties": { "name": "..." } }],
+ *     "relationships": [{ "type": "FUNDS", "from": { "label": "Funder", "key": "kc-f1" },
+ *                         "to": { "label": "Actor", "key": "kc-a1" }, "properties": { "amount": 500000 } }]
+ *   }
+ *
+ * Nodes are identified by label and key (id, or name without ids). Relationships
+ * are identified by type and endpoints; parallel relationships (FUNDS per year)
+ * are matched on equal properties first, then paired on the properties they
+ * share, so a changed amount shows as a modification rather than a removal and
+ * an addition.
+ */
+
+import { mkdir, readdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { MAX_CYPHER_LIMIT } from './cypher.js';
+import { GOSR_LAYERS } from './gosr.js';
+
+export const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9][\w.-]{0,79}$/;
+export const DEFAULT_DIFF_LIMIT = 50;
+export const MAX_DIFF_LIMIT = 500;
+
+// Pages of MAX_CYPHER_LIMIT rows read per snapshot at most
+const MAX_PAGES = 50;
+
+// Keys and endpoints can repeat (nodes without ids, parallel FUNDS edges), so
+// both queries end their ORDER BY on elementId to give SKIP/LIMIT pages a total order
+export const SNAPSHOT_NODES_CYPHER = `MATCH (n {dataset: $dataset})
+WHERE any(label IN labels(n) WHERE label IN $labels)
+RETURN labels(n)[0] AS label, coalesce(n.id, n.name) AS key, properties(n) AS properties
+ORDER BY label, key, elementId(n)
+SKIP $skip LIMIT $limit`;
+
+export const SNAPSHOT_EDGES_CYPHER = `MATCH (a {dataset: $dataset})-[r]->(b {dataset: $dataset})
+WHERE any(label IN labels(a) WHERE label IN $labels) AND any(label IN labels(b) WHERE label IN $labels)
+RETURN labels(a)[0] AS from_label, coalesce(a.id, a.name) AS from_key,
+       type(r) AS rel, properties(r) AS properties,
+       labels(b)[0] AS to_label, coalesce(b.id, b.name) AS to_key
+ORDER BY from_label, from_key, rel, to_label, to_key, elementId(r)
+SKIP $skip LIMIT $limit`;
+
+/**
+ * Read the GOSR nodes and relationships of a dataset page by page.
+ *
+ * @param {(cypher: string, params: object) => Promise<object[]>} run - Runs Cypher against the dataset's locality
+ * @param {string} dataset
+ * @returns {Promise<{ nodeRows: object[], edgeRows: object[] }>}
+ */
+export async function readDatasetGraph(run, dataset) {
+    const readAll = async (cypher, what) => {
+        const rows = [];
+        for (let page = 0; page < MAX_PAGES; page++) {
+            const batch = await run(cypher, { dataset, labels: GOSR_LAYERS, skip: page * MAX_CYPHER_LIMIT, limit: MAX_CYPHER_LIMIT });
+            rows.push(...batch);
+            if (batch.length < MAX_CYPHER_LIMIT) return rows;
+        }
+        throw new Error(`Dataset '${dataset}' has more than ${MAX_PAGES * MAX_CYPHER_LIMIT} ${what}; it is too large to snapshot`);
+    };
+    const nodeRows = await readAll(SNAPSHOT_NODES_CYPHER, 'nodes');
+    const edgeRows = await readAll(SNAPSHOT_EDGES_CYPHER, 'relationships');
+    return { nodeRows, edgeRows };
+}
+
+/**
+ * Normalize query rows into a snapshot: sorted nodes and relationships with
+ * canonical properties, and counts per label and relationship type.
+ */
+export function buildSnapshot({ dataset, locality, name, takenAt, nodeRows, edgeRows }) {
+    const nodes = nodeRows
+        .map((row) => {
+            const { dataset: _, ...properties } = row.properties ?? {};
+            return { label: row.label, key: row.key, properties: canonical(properties) };
+        })
+        .sort((a, b) => layerIndex(a.label) - layerIndex(b.label) || compare(a.label, b.label) || compare(a.key, b.key));
+
+    const relationships = edgeRows
+        .map((row) => ({
+            type: row.rel,
+            from: { label: row.from_label, key: row.from_key },
+            to: { label: row.to_label, key: row.to_key },
+            properties: canonical(row.properties ?? {}),
+        }))
+        .sort((a, b) => compare(relationshipId(a), relationshipId(b)) || compare(JSON.stringify(a.properties), JSON.stringify(b.properties)));
+
+    return {
+        version: 1,
+        dataset,
+        locality,
+        name,
+        taken_at: takenAt.toISOString(),
+        counts: {
+            nodes: countBy(nodes, (node) => node.label),
+            relationships: countBy(relationships, (relationship) => relationship.type),
+        },
+        nodes,
+        relationships,
+    };
+}
+
+/**
+ * Default snapshot name for a time: the ISO timestamp to the second, e.g. 2026-10-18T09-30-00Z.
+ */
+export function defaultSnapshotName(date) {
+    return date.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+/**
+ * Snapshot without its nodes and relationships, as listed and returned by the tools.
+ */
+export function describeSnapshot(snapshot) {
+    const { nodes, relationships, version, ...summary } = snapshot;
+    return { id: `${snapshot.dataset}@${snapshot.name}`, ...summary };
+}
+
+/**
+ * Snapshot store backed by a directory, or by memory when no directory is given.
+ * Writes go through a temporary file.
+ *
+ * @param {object} [options]
+ * @param {string} [options.dir] - Directory holding one subdirectory per dataset; created on the first save
+ */
+export function createSnapshotStore({ dir } = {}) {
+    const memory = new Map();
+    const fileOf = (dataset, name) => join(dir, encodeURIComponent(dataset), `${name}.json`);
+
+    async function read(file) {
+        let text;
+        try {
+            text = await readFile(file, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw new Error(`Snapshot file ${file} cannot be read: ${error.message}`);
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Snapshot file ${file} cannot be parsed: ${error.message}`);
+        }
+    }
+
+    async function get(dataset, name) {
+        if (!dir) return memory.get(`${dataset}@${name}`) ?? null;
+        return read(fileOf(dataset, name));
+    }
+
+    return {
+        dir: dir ?? null,
+        get,
+
+        /**
+         * Snapshots of a dataset, oldest first.
+         */
+        async list(dataset) {
+            let snapshots;
+            if (!dir) {
+                snapshots = [...memory.values()].filter((snapshot) => snapshot.dataset === dataset);
+            } else {
+                let files;
+                try {
+                    files = await readdir(join(dir, encodeURIComponent(dataset)));
+                } catch (error) {
+                    if (error.code === 'ENOENT') return [];
+                    throw new Error(`Snapshot directory ${dir} cannot be read: ${error.message}`);
+                }
+                snapshots = await Promise.all(files
+                    .filter((file) => file.endsWith('.json'))
+                    .map((file) => read(join(dir, encodeURIComponent(dataset), file))));
+            }
+            return snapshots.filter(Boolean).sort((a, b) => compare(a.taken_at, b.taken_at) || compare(a.name, b.name));
+        },
+
+        /**
+         * Store a snapshot from buildSnapshot(); an existing name is replaced only with overwrite.
+         *
+         * @returns {Promise<{ replaced: boolean }>}
+         */
+        async save(snapshot, { overwrite = false } = {}) {
+            const existing = await get(snapshot.dataset, snapshot.name);
+            if (existing && !overwrite) {
+                throw new Error(`Snapshot '${snapshot.name}' of dataset '${snapshot.dataset}' already exists. Pass overwrite: true to replace it, or another name.`);
+            }
+            if (!dir) {
+                memory.set(`${snapshot.dataset}@${snapshot.name}`, snapshot);
+            } else {
+                const file = fileOf(snapshot.dataset, snapshot.name);
+                await mkdir(dirname(file), { recursive: true });
+                const temporary = `${file}.${process.pid}.tmp`;
+                await writeFile(temporary, `${JSON.stringify(snapshot)}\n`);
+                await rename(temporary, file);
+            }
+            return { replaced: Boolean(existing) };
+        },
+    };
+}
+
+/**
+ * Changes from one snapshot to another, per layer and per relationship type.
+ * Counts are complete; each list of added, removed or modified items holds at
+ * most limit entries.
+ *
+ * @param {object} before - Snapshot from buildSnapshot()
+ * @param {object} after - Snapshot from buildSnapshot()
+ * @param {object} [options]
+ * @param {number} [options.limit]
+ */
+export function diffSnapshots(before, after, { limit = DEFAULT_DIFF_LIMIT } = {}) {
+    const layers = {};
+    const layerOf = (label) => (layers[label] ??= { before: 0, after: 0, added: [], removed: [], modified: [] });
+
+    const oldNodes = new Map(before.nodes.map((node) => [endpoint(node), node]));
+    const newNodes = new Map(after.nodes.map((node) => [endpoint(node), node]));
+    before.nodes.forEach((node) => layerOf(node.label).before++);
+    after.nodes.forEach((node) => layerOf(node.label).after++);
+
+    for (const [id, node] of newNodes) {
+        const old = oldNodes.get(id);
+        if (!old) {
+            layerOf(node.label).added.push({ key: node.key, name: node.properties.name ?? null, properties: node.properties });
+        } else {
+            const changes = propertyChanges(old.properties, node.properties);
+            if (changes) layerOf(node.label).modified.push({ key: node.key, name: node.properties.name ?? old.properties.name ?? null, changes });
+        }
+    }
+    for (const [id, node] of oldNodes) {
+        if (!newNodes.has(id)) layerOf(node.label).removed.push({ key: node.key, name: node.properties.name ?? null });
+    }
+
+    const relationships = {};
+    const typeOf = (type) => (relationships[type] ??= { before: 0, after: 0, added: [], removed: [], modified: [] });
+    const groups = new Map();
+    for (const [side, snapshot] of [['before', before], ['after', after]]) {
+        for (const relationship of snapshot.relationships) {
+            typeOf(relationship.type)[side]++;
+            const id = relationshipId(relationship);
+            if (!groups.has(id)) groups.set(id, { before: [], after: [] });
+            groups.get(id)[side].push(relationship);
+        }
+    }
+    for (const group of groups.values()) {
+        const { removed, added, modified } = matchRelationships(group.before, group.after);
+        const describe = (relationship) => ({ from: endpoint(relationship.from), to: endpoint(relationship.to) });
+        removed.forEach((relationship) => typeOf(relationship.type).removed.push({ ...describe(relationship), properties: relationship.properties }));
+        added.forEach((relationship) => typeOf(relationship.type).added.push({ ...describe(relationship), properties: relationship.properties }));
+        modified.forEach(([old, relationship]) => typeOf(relationship.type).modified.push({
+            ...describe(relationship),
+            properties: relationship.properties,
+            changes: propertyChanges(old.properties, relationship.properties),
+        }));
+    }
+
+    let truncated = false;
+    const summarize = (entries, order) => {
+        const changed = Object.entries(entries)
+            .filter(([, entry]) => entry.added.length + entry.removed.length + entry.modified.length > 0)
+            .sort(([a], [b]) => order(a, b));
+        return Object.fromEntries(changed.map(([name, entry]) => {
+            const counts = { before: entry.before, after: entry.after, added: entry.added.length, removed: entry.removed.length, modified: entry.modified.length };
+            const lists = {};
+            for (const kind of ['added', 'removed', 'modified']) {
+                if (entry[kind].length > limit) truncated = true;
+                if (entry[kind].length > 0) lists[kind] = entry[kind].slice(0, limit);
+            }
+            return [name, { counts, ...lists }];
+        }));
+    };
+
+    const nodeChanges = summarize(layers, (a, b) => layerIndex(a) - layerIndex(b) || compare(a, b));
+    const relationshipChanges = summarize(relationships, compare);
+    const total = (entries) => Object.values(entries).reduce((sum, { counts }) => ({
+        added: sum.added + counts.added,
+        removed: sum.removed + counts.removed,
+        modified: sum.modified + counts.modified,
+    }), { added: 0, removed: 0, modified: 0 });
+
+    return {
+        summary: { nodes: total(nodeChanges), relationships: total(relationshipChanges) },
+        layers: nodeChanges,
+        relationships: relationshipChanges,
+        truncated,
+    };
+}
+
+// Pair the relationships of one type between the same two nodes: equal ones
+// cancel out, the rest are paired on the most equal property values
+function matchRelationships(before, after) {
+    const removed = [];
+    const remaining = [...after];
+    for (const old of before) {
+        const same = remaining.findIndex((relationship) => sameValue(relationship.properties, old.properties));
+        if (same === -1) removed.push(old);
+        else remaining.splice(same, 1);
+    }
+
+    const modified = [];
+    const unmatched = [];
+    for (const old of removed) {
+        let best = -1;
+        let bestShared = 0;
+        remaining.forEach((relationship, index) => {
+            const shared = sharedValues(old.properties, relationship.properties);
+            if (shared > bestShared) {
+                best = index;
+                bestShared = shared;
+            }
+        });
+        // A lone pair is a modification even when no property value is shared
+        if (best === -1 && removed.length === 1 && remaining.length === 1) best = 0;
+        if (best === -1) {
+            unmatched.push(old);
+        } else {
+            modified.push([old, remaining[best]]);
+            remaining.splice(best, 1);
+        }
+    }
+    return { removed: unmatched, added: remaining, modified };
+}
+
+function propertyChanges(before, after) {
+    const changes = {};
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (!sameValue(before[key], after[key])) {
+            changes[key] = { from: before[key] ?? null, to: after[key] ?? null };
+        }
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+function sharedValues(a, b) {
+    return Object.keys(a).filter((key) => key in b && sameValue(a[key], b[key])).length;
+}
+
+// Property values with object keys sorted, so equal values serialize equally
+function canonical(value) {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map((key) => [key, canonical(value[key])]));
+    }
+    return value;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function countBy(items, keyOf) {
+    const counts = {};
+    items.forEach((item) => {
+        counts[keyOf(item)] = (counts[keyOf(item)] ?? 0) + 1;
+    });
+    return counts;
+}
+
+function layerIndex(label) {
+    const index = GOSR_LAYERS.indexOf(label);
+    return index === -1 ? GOSR_LAYERS.length : index;
+}
+
+function compare(a, b) {
+    return String(a).localeCompare(String(b));
+}
+
+const endpoint = ({ label, key }) => `${label}:${key}`;
+const relationshipId = (relationship) => `${endpoint(relationship.from)}-[${relationship.type}]->${endpoint(relationship.to)}`;
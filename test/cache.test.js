@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { cacheFromEnv, createResponseCache } from '../lib/cache.js';
+
+describe('response cache', () => {
+    it('keeps a shared load going when one caller cancels', async () => {
+        const cache = createResponseCache();
+        let release;
+        let loadSignal;
+        const loader = (etag, signal) => {
+            loadSignal = signal;
+            return new Promise((resolve) => {
+                release = () => resolve({ data: { labels: ['Goal'] }, etag: '"v1"' });
+            });
+        };
+
+        const first = new AbortController();
+        const cancelled = cache.get('schema:kc', loader, { signal: first.signal });
+        const waiting = cache.get('schema:kc', loader, { signal: new AbortController().signal });
+        first.abort();
+
+        await assert.rejects(cancelled, { name: 'RequestCancelledError' });
+        assert.equal(loadSignal.aborted, false);
+        release();
+        assert.deepEqual(await waiting, { labels: ['Goal'] });
+    });
+
+    it('aborts a shared load once every caller has cancelled', async () => {
+        const cache = createResponseCache();
+        let loads = 0;
+        const loader = (etag, signal) => {
+            loads++;
+            return new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new Error('aborted')));
+            });
+        };
+
+        const callers = [new AbortController(), new AbortController()];
+        const results = callers.map((caller) => cache.get('datasets:*', loader, { signal: caller.signal }));
+        for (const caller of callers) caller.abort();
+        for (const result of results) {
+            await assert.rejects(result, { name: 'RequestCancelledError' });
+        }
+
+        // The next caller starts a new load instead of joining the aborted one
+        const next = cache.get('datasets:*', async () => ({ data: [] }));
+        assert.deepEqual(await next, []);
+        assert.equal(loads, 1);
+    });
+
+    it('reads its settings from the environment', () => {
+        assert.deepEqual(cacheFromEnv({}), { ttlMs: 5 * 60 * 1000, directory: undefined });
+        assert.deepEqual(cacheFromEnv({ DATAGRAPH_CACHE_TTL_SECONDS: '0', DATAGRAPH_CACHE_DIR: '/tmp/cache' }), { ttlMs: 0, directory: '/tmp/cache' });
+        assert.throws(() => cacheFromEnv({ DATAGRAPH_CACHE_TTL_SECONDS: '5m' }), /DATAGRAPH_CACHE_TTL_SECONDS: must be a whole number/);
+        assert.throws(() => createResponseCache({ ttlMs: NaN }), RangeError);
+    });
+});
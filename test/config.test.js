@@ -0,0 +1,198 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { apiFromEnv, createApiClient, createProfileClient } from '../lib/api-client.js';
+import { checkConfig, ConfigError, loadConfig, validateConfig } from '../lib/config.js';
+import { connect } from './helpers.js';
+import { startMockApi } from './mock-api/server.js';
+import { API_KEY } from './mock-api/fixtures.js';
+
+const PARTNER_KEY = 'dgc_partner_key';
+
+describe('config file', () => {
+    let dir;
+
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), 'datagraph-config-'));
+    });
+
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('loads YAML profiles with ${VAR} references and locality overrides', () => {
+        writeFileSync(join(dir, 'datagraph.config.yaml'), [
+            'default_profile: production',
+            'profiles:',
+            '  production:',
+            '    api_key: ${PROD_KEY}',
+            '    localities:',
+            '      kc:',
+            '        api_key: ${KC_KEY}',
+            '  staging:',
+            '    api_url: https://staging.example.org',
+            '    api_key: staging-key',
+            '    timeout_ms: 60000',
+        ].join('\n'));
+
+        const config = loadConfig({ cwd: dir, env: { PROD_KEY: 'prod', KC_KEY: 'kc' }, timeoutMs: 30000 });
+        assert.equal(config.defaultProfile, 'production');
+        assert.equal(config.profiles.production.apiUrl, 'https://api.datagraph.city');
+        assert.equal(config.profiles.production.timeoutMs, 30000);
+        assert.deepEqual(config.profiles.production.localities.kc, { apiUrl: 'https://api.datagraph.city', apiKey: 'kc' });
+        assert.equal(config.profiles.staging.timeoutMs, 60000);
+    });
+
+    it('reports every problem with the path of the setting', () => {
+        let error;
+        try {
+            validateConfig({
+                default_profile: 'prod',
+                profiles: {
+                    production: { api_url: 'ftp://example.org', api_key: '${MISSING_KEY}', retries: 2 },
+                    partner: { localities: { kc: {} } },
+                },
+            }, { source: 'datagraph.config.json', env: {} });
+        } catch (caught) {
+            error = caught;
+        }
+
+        assert.ok(error instanceof ConfigError);
+        assert.match(error.message, /^Invalid configuration in datagraph\.config\.json:/);
+        assert.ok(error.issues.includes('profiles.production.api_key: environment variable MISSING_KEY is not set'));
+        assert.ok(error.issues.includes('profiles.production.api_url: must be an http(s) URL'));
+        assert.ok(error.issues.some((issue) => issue.startsWith('profiles.production.retries: unknown setting')));
+        assert.ok(error.issues.includes('profiles.partner.localities.kc: must set api_url, api_key or both'));
+        assert.ok(error.issues.some((issue) => issue.startsWith("default_profile: 'prod' is not a profile")));
+    });
+
+    it('falls back to DATAGRAPH_API_KEY without a config file', () => {
+        const config = loadConfig({ cwd: join(dir, 'missing'), env: { DATAGRAPH_API_KEY: 'key' } });
+        assert.deepEqual(Object.keys(config.profiles), ['default']);
+        assert.throws(() => loadConfig({ cwd: join(dir, 'missing'), env: {} }), /DATAGRAPH_API_KEY is not set/);
+        assert.throws(() => loadConfig({ cwd: join(dir, 'missing'), env: { DATAGRAPH_API_KEY: 'key\n', DATAGRAPH_API_URL: 'api.example.org' } }), (error) => {
+            assert.deepEqual(error.issues, [
+                'DATAGRAPH_API_KEY: must be a non-empty string without spaces or line breaks',
+                'DATAGRAPH_API_URL: must be an http(s) URL',
+            ]);
+            return true;
+        });
+    });
+
+    it('validates the API timeout and retries from the environment', () => {
+        assert.deepEqual(apiFromEnv({}), { timeoutMs: 30000, maxRetries: 3 });
+        assert.deepEqual(apiFromEnv({ DATAGRAPH_API_TIMEOUT_MS: '5000', DATAGRAPH_API_MAX_RETRIES: '0' }), { timeoutMs: 5000, maxRetries: 0 });
+        assert.throws(() => apiFromEnv({ DATAGRAPH_API_TIMEOUT_MS: '-1', DATAGRAPH_API_MAX_RETRIES: 'three' }), (error) => {
+            assert.ok(error instanceof ConfigError);
+            assert.deepEqual(error.issues, [
+                'DATAGRAPH_API_TIMEOUT_MS: must be a whole number of milliseconds above 0',
+                'DATAGRAPH_API_MAX_RETRIES: must be a whole number (0 disables retries)',
+            ]);
+            return true;
+        });
+        assert.throws(() => createApiClient({ apiKey: API_KEY, apiUrl: 'http://127.0.0.1:9', maxRetries: NaN }), RangeError);
+    });
+});
+
+describe('profiles', () => {
+    let main;
+    let partner;
+    let t;
+
+    before(async () => {
+        main = await startMockApi();
+        partner = await startMockApi({ apiKey: PARTNER_KEY });
+        t = await connect({
+            api: main,
+            server: {
+                defaultProfile: 'production',
+                profiles: {
+                    production: {
+                        name: 'production',
+                        apiUrl: main.url,
+                        apiKey: API_KEY,
+                        localities: { kc: { apiUrl: partner.url, apiKey: PARTNER_KEY } },
+                    },
+                    staging: { name: 'staging', apiUrl: partner.url, apiKey: PARTNER_KEY, localities: {} },
+                    partner: { name: 'partner', apiUrl: main.url, localities: { kc: { apiUrl: partner.url, apiKey: PARTNER_KEY } } },
+                },
+            },
+        });
+    });
+
+    after(async () => {
+        await t.close();
+        await main.close();
+        await partner.close();
+    });
+
+    it('adds a profile argument to every tool', async () => {
+        const { tools } = await t.client.listTools();
+        for (const tool of tools) {
+            assert.deepEqual(tool.inputSchema.properties.profile.enum, ['production', 'staging', 'partner']);
+        }
+    });
+
+    it('sends a locality with an override to its own endpoint and key', async () => {
+        const before = partner.requests.length;
+        const result = await t.call('get_locality_schema', { locality: 'kc' });
+        assert.ok(!result.isError, result.texts[0]);
+        const sent = partner.requests.slice(before);
+        assert.deepEqual(sent.map((request) => request.path), ['/api/kc/schema']);
+        assert.equal(sent[0].headers.authorization, `Bearer ${PARTNER_KEY}`);
+    });
+
+    it('uses the profile named in the call, and keeps it in fetch_more cursors', async () => {
+        const before = partner.requests.length;
+        const result = await t.call('query_locality_data', {
+            locality: 'nyc',
+            dataset: 'nyc-dob-permits',
+            cypher_query: 'MATCH (p:Permit) RETURN p.id AS id ORDER BY id',
+            page_size: 2,
+            profile: 'staging',
+        });
+        assert.ok(!result.isError, result.texts[0]);
+        const { next_cursor } = result.blocks.at(-1).pagination;
+
+        const more = await t.call('fetch_more', { cursor: next_cursor });
+        assert.ok(!more.isError, more.texts[0]);
+        assert.deepEqual(partner.requests.slice(before).map((request) => request.path), ['/datasets', '/api/nyc/query', '/api/nyc/query']);
+    });
+
+    it('looks up datasets through the locality keys of a profile without its own key', async () => {
+        const before = partner.requests.length;
+        const result = await t.call('export_subgraph', { dataset: 'kc-violence-prevention', profile: 'partner' });
+        assert.ok(!result.isError, result.texts[0]);
+        const listing = partner.requests.slice(before).find((request) => request.path === '/datasets');
+        assert.deepEqual(listing.query, { locality: 'kc' });
+
+        const outside = await t.call('export_subgraph', { dataset: 'nyc-dob-permits', profile: 'partner' });
+        assert.equal(outside.isError, true);
+        assert.match(outside.texts[0], /Unknown dataset id 'nyc-dob-permits'/);
+    });
+
+    it('rejects an unknown profile with the configured names', async () => {
+        const result = await t.call('list_datasets', { profile: 'dev' });
+        assert.equal(result.isError, true);
+        assert.match(result.texts[0], /Unknown profile 'dev'\. Configured profiles: production, staging, partner/);
+    });
+
+    it('reports profiles without keys in get_server_info', async () => {
+        const { json, texts } = await t.call('get_server_info');
+        assert.deepEqual(json.profiles.map((profile) => profile.name), ['production', 'staging', 'partner']);
+        assert.equal(json.profiles[0].localities.kc.own_key, true);
+        assert.ok(!texts[0].includes(PARTNER_KEY));
+    });
+
+    it('checks connectivity of every profile and locality override', async () => {
+        const results = await checkConfig({
+            profiles: {
+                production: { name: 'production', apiUrl: main.url, apiKey: API_KEY, localities: { kc: { apiUrl: partner.url, apiKey: 'wrong' } } },
+            },
+        }, createProfileClient);
+        assert.deepEqual(results.map((result) => result.ok), [true, false]);
+        assert.match(results[1].detail, /401/);
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { injectDatasetFilter, paginateCypher, validateCypher } from '../lib/cypher.js';
+
+describe('validateCypher', () => {
+    const filtered = "MATCH (n:Goal) WHERE n.dataset = 'kc' RETURN n";
+
+    it('injects a missing LIMIT and clamps large ones', () => {
+        assert.equal(validateCypher(filtered).cypher, `${filtered} LIMIT 1000`);
+        assert.equal(validateCypher(`${filtered} LIMIT 5000`).cypher, `${filtered} LIMIT 1000`);
+    });
+
+    it('rejects write clauses and write procedures', () => {
+        for (const cypher of [
+            "MATCH (n:Goal) WHERE n.dataset = 'kc' SET n.name = 'x' RETURN n",
+            "CALL apoc.create.node(['Goal'], {}) YIELD node RETURN node",
+            "LOAD CSV FROM 'file:///x.csv' AS row RETURN row",
+        ]) {
+            assert.equal(validateCypher(cypher).valid, false, cypher);
+        }
+    });
+
+    it('allows only read-only procedures', () => {
+        for (const cypher of ["CALL apoc.nodes.link([], 'NEXT')", "CALL apoc.custom.declareProcedure('x() :: (n)', 'RETURN 1')", "CALL apoc.systemdb.execute('SHOW USERS')"]) {
+            assert.deepEqual(validateCypher(cypher).violations.map((v) => v.code), ['PROCEDURE_NOT_ALLOWED'], cypher);
+        }
+        assert.equal(validateCypher("CALL db.index.fulltext.queryNodes('names', 'x') YIELD node WHERE node.dataset = 'kc' RETURN node").valid, true);
+        assert.equal(validateCypher('CALL db.labels() YIELD label RETURN label').valid, true);
+    });
+
+    it('ignores keywords inside strings, property names and comments', () => {
+        const result = validateCypher("MATCH (n:Goal) WHERE n.dataset = 'kc' AND n.name <> 'DELETE me' // CREATE\nRETURN n.set LIMIT 5");
+        assert.equal(result.valid, true);
+    });
+
+    it('requires a dataset filter on every node variable', () => {
+        const result = validateCypher("MATCH (g:Goal)-[:HAS_OBSTACLE]->(o:Obstacle) WHERE g.dataset = 'kc' RETURN o");
+        assert.equal(result.valid, false);
+        assert.equal(result.violations[0].code, 'MISSING_DATASET_FILTER');
+        assert.match(result.violations[0].clause, /\(o:Obstacle\)/);
+
+        for (const cypher of [
+            "MATCH (n:Goal) WHERE true OR n.dataset = 'x' RETURN n LIMIT 5",
+            "MATCH (n:Goal) WHERE n.dataset = 'x' OR n.name = 'y' RETURN n LIMIT 5",
+            "MATCH (n:Goal) WHERE (n.dataset = 'x' OR true) AND n.name = 'y' RETURN n LIMIT 5",
+            "MATCH (n:Goal) WHERE NOT n.dataset = 'x' RETURN n LIMIT 5",
+            "MATCH (n:Goal) WITH n WHERE n.dataset = 'x' RETURN n LIMIT 5",
+            'MATCH (n:Goal) WHERE n.dataset = n.dataset RETURN n LIMIT 5',
+            "MATCH (n:Goal) WHERE n.dataset = toLower('X') RETURN n LIMIT 5",
+        ]) {
+            assert.deepEqual(validateCypher(cypher).violations.map((v) => v.code), ['MISSING_DATASET_FILTER'], cypher);
+        }
+        assert.equal(validateCypher("MATCH (n:Goal)-->(m) WHERE n.name = 'y' AND 'x' = m.dataset AND n.dataset IN ['x'] RETURN n LIMIT 5").valid, true);
+    });
+
+    it('checks node patterns in pattern comprehensions', () => {
+        const result = validateCypher(`${filtered}, [(n)-[:HAS_OBSTACLE]->(o) | o.name] AS obstacles`);
+        assert.deepEqual(result.violations.map((v) => [v.code, v.variable]), [['MISSING_DATASET_FILTER', 'o']]);
+        assert.equal(result.violations[0].clause, '(o)');
+
+        assert.equal(validateCypher(`${filtered}, [(n)-[:HAS_OBSTACLE]->(o) WHERE o.dataset = 'kc' | o.name] AS obstacles`).valid, true);
+        assert.equal(validateCypher(`${filtered}, [(n)-[:HAS_OBSTACLE]->(o {dataset: 'kc'}) | o.name] AS obstacles`).valid, true);
+    });
+
+    it('checks node patterns in WHERE pattern predicates', () => {
+        const result = validateCypher("MATCH (n:Goal) WHERE n.dataset = 'kc' AND NOT (n)-[:HAS_OBSTACLE]->(:Obstacle) RETURN n");
+        assert.deepEqual(result.violations.map((v) => v.code), ['MISSING_DATASET_FILTER']);
+        assert.match(result.violations[0].message, /\(:Obstacle \{dataset: '<dataset_id>'\}\)/);
+
+        assert.equal(validateCypher("MATCH (n:Goal) WHERE n.dataset = 'kc' AND NOT (n)-[:HAS_OBSTACLE]->(:Obstacle {dataset: 'kc'}) RETURN n").valid, true);
+        assert.equal(validateCypher("MATCH (n:Goal) WHERE n.dataset = 'kc' RETURN (n.x) - (n.y) AS gap").valid, true);
+    });
+
+    it('rejects a second statement', () => {
+        assert.equal(validateCypher(`${filtered} LIMIT 1; MATCH (n) DETACH DELETE n`).valid, false);
+    });
+});
+
+describe('injectDatasetFilter', () => {
+    it('adds an inline filter to every MATCH node', () => {
+        const { cypher } = injectDatasetFilter('MATCH (g:Goal)-[:HAS_OBSTACLE]->(o:Obstacle {name: $name}) RETURN g, o');
+        assert.equal(cypher, 'MATCH (g:Goal {dataset: $__dataset})-[:HAS_OBSTACLE]->(o:Obstacle {dataset: $__dataset, name: $name}) RETURN g, o');
+    });
+
+    it('adds an inline filter to nodes of pattern predicates and comprehensions', () => {
+        const { cypher } = injectDatasetFilter('MATCH (g:Goal) WHERE (g)-->(:Obstacle) RETURN [(g)-->(s) | s.name] AS names');
+        assert.equal(cypher, 'MATCH (g:Goal {dataset: $__dataset}) WHERE (g {dataset: $__dataset})-->(:Obstacle {dataset: $__dataset}) RETURN [(g {dataset: $__dataset})-->(s {dataset: $__dataset}) | s.name] AS names');
+        assert.equal(validateCypher(cypher).valid, true);
+    });
+
+    it('keeps an inline dataset only when it names the same dataset', () => {
+        const kept = injectDatasetFilter("MATCH (g:Goal {dataset: 'kc'})-->(o {dataset: $ds}) RETURN g, o", { dataset: 'kc', params: { ds: 'kc' } });
+        assert.equal(kept.cypher, "MATCH (g:Goal {dataset: 'kc'})-->(o {dataset: $ds}) RETURN g, o");
+        assert.equal(kept.notices.length, 2);
+
+        for (const cypher of ["MATCH (n:Goal {dataset: 'other'}) RETURN n", 'MATCH (n:Goal {dataset: toLower($ds)}) RETURN n']) {
+            assert.throws(() => injectDatasetFilter(cypher, { dataset: 'kc', params: { ds: 'kc' } }), (error) => {
+                assert.equal(error.violations[0].code, 'DATASET_CONFLICT');
+                return true;
+            }, cypher);
+        }
+    });
+
+    it('rejects a WHERE comparison that names a different dataset', () => {
+        const kept = injectDatasetFilter("MATCH (n:Goal) WHERE n.dataset IN $ids AND 'kc' = n.dataset RETURN n", { dataset: 'kc', params: { ids: ['kc', 'other'] } });
+        assert.equal(kept.cypher, "MATCH (n:Goal {dataset: $__dataset}) WHERE n.dataset IN $ids AND 'kc' = n.dataset RETURN n");
+
+        for (const cypher of ["MATCH (n:Goal) WHERE n.dataset = 'other' RETURN n", "MATCH (n:Goal) WHERE n.dataset IN ['a', 'b'] RETURN n"]) {
+            assert.throws(() => injectDatasetFilter(cypher, { dataset: 'kc' }), (error) => {
+                assert.deepEqual(error.violations.map((v) => v.code), ['DATASET_CONFLICT']);
+                assert.match(error.violations[0].clause, /^n\.dataset/);
+                return true;
+            }, cypher);
+        }
+    });
+});
+
+describe('paginateCypher', () => {
+    it('turns the final SKIP and LIMIT into the page window', () => {
+        const result = paginateCypher("MATCH (n {dataset: 'kc'}) RETURN n ORDER BY n.name SKIP 5 LIMIT 2500");
+        assert.equal(result.cypher, "MATCH (n {dataset: 'kc'}) RETURN n ORDER BY n.name SKIP $__skip LIMIT $__limit");
+        assert.equal(result.skip, 5);
+        assert.equal(result.limit, 2500);
+        assert.equal(result.ordered, true);
+    });
+
+    it('leaves UNION queries alone', () => {
+        assert.equal(paginateCypher('MATCH (a) RETURN a UNION MATCH (b) RETURN b').pageable, false);
+    });
+});
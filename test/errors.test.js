@@ -0,0 +1,75 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect } from './helpers.js';
+
+describe('API error paths', () => {
+    let t;
+
+    before(async () => {
+        t = await connect();
+    });
+
+    after(async () => {
+        await t.close();
+    });
+
+    it('surfaces 401 with the upstream message', async () => {
+        const bad = await connect({ api: t.api, server: { apiKey: 'wrong-key' } });
+        try {
+            const result = await bad.call('get_usage_stats');
+            assert.equal(result.isError, true);
+            assert.equal(result.json.error, 'datagraph_api_error');
+            assert.equal(result.json.status, 401);
+            assert.equal(result.json.upstream_message, 'Invalid or missing API key');
+            assert.equal(result.json.attempts, 1);
+        } finally {
+            await bad.close();
+        }
+    });
+
+    it('surfaces 404 for an unknown locality', async () => {
+        const result = await t.call('get_locality_schema', { locality: 'atlantis' });
+        assert.equal(result.isError, true);
+        assert.equal(result.json.status, 404);
+        assert.match(result.json.upstream_message, /Locality 'atlantis' not found/);
+        assert.equal(result.json.request, 'GET /api/atlantis/schema');
+    });
+
+    it('retries a 429 and succeeds when the next attempt does', async () => {
+        t.api.failNext({ path: '/usage', status: 429, body: { error: 'Too many requests' }, headers: { 'Retry-After': '0' } });
+        const result = await t.call('get_usage_stats');
+        assert.equal(result.isError, undefined);
+        assert.equal(result.json.plan, 'test');
+    });
+
+    it('reports 429 with the request id once retries are exhausted', async () => {
+        t.api.failNext({
+            path: '/usage',
+            status: 429,
+            body: { error: 'Too many requests' },
+            headers: { 'Retry-After': '0', 'X-Request-Id': 'req-429' },
+            times: 2,
+        });
+        const result = await t.call('get_usage_stats');
+        assert.equal(result.isError, true);
+        assert.equal(result.json.status, 429);
+        assert.equal(result.json.request_id, 'req-429');
+        assert.equal(result.json.attempts, 2);
+    });
+
+    it('reports malformed JSON from a successful response', async () => {
+        t.api.failNext({ path: '/api/kc/query', status: 200, raw: '{"results": [' });
+        const result = await t.call('query_locality_data', { query: 'anything', locality: 'kc' });
+        assert.equal(result.isError, true);
+        assert.match(result.json.message, /returned invalid JSON/);
+        assert.equal(result.json.upstream_message, '{"results": [');
+    });
+
+    it('reports non-JSON error bodies', async () => {
+        t.api.failNext({ path: '/cities', status: 502, raw: '<html>Bad gateway</html>', times: 2 });
+        await assert.rejects(
+            t.client.readResource({ uri: 'datagraph://cities/list' }),
+            /failed with 502: <html>Bad gateway<\/html>/
+        );
+    });
+});
@@ -0,0 +1,94 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { boroughName, geoLabels, parseSearch } from '../lib/geo.js';
+import { connect } from './helpers.js';
+
+describe('geo helpers', () => {
+    it('finds coordinate properties in the schema shapes localities use', () => {
+        assert.deepEqual(geoLabels({
+            nodes: [
+                { label: 'Permit', properties: ['id', 'Latitude', 'Longitude', 'borough'] },
+                { label: 'Station', properties: [{ name: 'name', type: 'STRING' }, { name: 'geom', type: 'POINT' }] },
+                { label: 'Goal', properties: ['name'] },
+            ],
+        }), [
+            { label: 'Permit', latitude: 'Latitude', longitude: 'Longitude', borough: 'borough' },
+            { label: 'Station', point: 'geom' },
+        ]);
+        assert.deepEqual(geoLabels({ node_labels: { Sale: { properties: { lat: 'FLOAT', lng: 'FLOAT' } } } }), [
+            { label: 'Sale', latitude: 'lat', longitude: 'lng' },
+        ]);
+    });
+
+    it('accepts borough names, codes and county names', () => {
+        assert.equal(boroughName('bk'), 'BROOKLYN');
+        assert.equal(boroughName('Kings'), 'BROOKLYN');
+        assert.equal(boroughName('5'), 'STATEN ISLAND');
+        assert.equal(boroughName('Jersey City'), null);
+    });
+
+    it('rejects mixed or out-of-range searches', () => {
+        assert.throws(() => parseSearch({}), /Pass latitude and longitude/);
+        assert.throws(() => parseSearch({ latitude: 40.7 }), /given together/);
+        assert.throws(() => parseSearch({ latitude: 40.7, longitude: -74, bbox: [-74, 40, -73, 41] }), /not both/);
+        assert.throws(() => parseSearch({ bbox: [-73, 40, -74, 41] }), /west < east/);
+        assert.throws(() => parseSearch({ latitude: 40.7, longitude: -74, radius_m: 60000 }), /at most 50000/);
+        assert.deepEqual(parseSearch({ latitude: 40.7, longitude: -74 }), { center: { latitude: 40.7, longitude: -74 }, radiusM: 500 });
+    });
+});
+
+describe('query_nearby', () => {
+    let t;
+
+    before(async () => {
+        t = await connect();
+    });
+
+    after(async () => {
+        await t.close();
+    });
+
+    it('returns the points within a radius, nearest first', async () => {
+        const { json, isError, texts } = await t.call('query_nearby', { locality: 'nyc', latitude: 40.70, longitude: -74.00, radius_m: 300 });
+        assert.ok(!isError, texts[0]);
+        assert.deepEqual(json.search, { center: { latitude: 40.70, longitude: -74.00 }, radius_m: 300 });
+        assert.deepEqual(json.results.map((row) => row.properties.id), ['permit-001', 'permit-002']);
+        assert.equal(json.results[0].distance_m, 0);
+        assert.ok(json.results[1].distance_m > 250 && json.results[1].distance_m < 300);
+        assert.equal(json.truncated, false);
+
+        const sent = t.api.requests.filter((request) => request.path === '/api/nyc/query').at(-1).body;
+        assert.match(sent.cypher_query, /point\.distance\(point\(\{latitude: n\.latitude, longitude: n\.longitude\}\)/);
+        assert.deepEqual(sent.cypher_params.datasets, ['nyc-dob-permits']);
+    });
+
+    it('returns a GeoJSON FeatureCollection', async () => {
+        const { json } = await t.call('query_nearby', { locality: 'nyc', bbox: [-74.001, 40.699, -73.995, 40.705], format: 'geojson' });
+        assert.equal(json.type, 'FeatureCollection');
+        assert.equal(json.features.length, 3);
+        const [first] = json.features;
+        assert.deepEqual(first.geometry, { type: 'Point', coordinates: [-74.00, 40.70] });
+        assert.equal(first.id, 'permit-001');
+        assert.equal(first.properties.label, 'Permit');
+        assert.equal(first.properties.latitude, undefined);
+        assert.deepEqual(json.bbox, [-74.00, 40.70, -73.996, 40.704]);
+        assert.deepEqual(json.query.search, { bbox: [-74.001, 40.699, -73.995, 40.705] });
+    });
+
+    it('searches a borough through the borough property and reports truncation', async () => {
+        const { json } = await t.call('query_nearby', { locality: 'nyc', dataset: 'nyc-dob-permits', borough: 'BK', limit: 4 });
+        assert.equal(json.returned, 4);
+        assert.ok(json.results.every((row) => row.properties.borough === 'BROOKLYN'));
+        assert.equal(json.truncated, true);
+        assert.match(json.note, /raise limit/);
+    });
+
+    it('explains localities and labels without coordinates', async () => {
+        const kc = await t.call('query_nearby', { locality: 'kc', borough: 'Queens' });
+        assert.equal(kc.isError, true);
+        assert.match(kc.texts[0], /no labels with coordinates/);
+
+        const label = await t.call('query_nearby', { locality: 'nyc', labels: ['Station'], borough: 'Queens' });
+        assert.match(label.texts[0], /No coordinates for Station in locality 'nyc'\. Labels with coordinates: Permit/);
+    });
+});
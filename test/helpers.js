@@ -0,0 +1,70 @@
+/**
+ * Test harness: an MCP client connected in-process to createServer(), which
+ * talks to the mock DataGraph API over real HTTP.
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { CreateMessageRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { createServer } from '../lib/server.js';
+import { createResponseCache } from '../lib/cache.js';
+import { startMockApi } from './mock-api/server.js';
+import { API_KEY } from './mock-api/fixtures.js';
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.api] - Running mock API to reuse; a new one is started otherwise
+ * @param {object} [options.server] - Extra createServer() config (apiKey, maxRetries, ...)
+ * @param {Function} [options.sampling] - sampling/createMessage handler; the client declares sampling support when set
+ */
+export async function connect({ api, server: serverConfig = {}, sampling } = {}) {
+    const mock = api || await startMockApi();
+    const server = createServer({
+        apiKey: API_KEY,
+        apiUrl: mock.url,
+        timeoutMs: 5000,
+        maxRetries: 1,
+        cache: createResponseCache({ ttlMs: 60000 }),
+        // Suites make far more requests per minute than an agent should; quota.test.js sets its own limits
+        quota: { minuteSoft: 0, minuteHard: 0, sessionSoft: 0, sessionHard: 0, usageCheckEvery: 0 },
+        ...serverConfig,
+    });
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    const client = new Client({ name: 'datagraph-test', version: '1.0.0' }, { capabilities: sampling ? { sampling: {} } : {} });
+    if (sampling) {
+        client.setRequestHandler(CreateMessageRequestSchema, (request) => sampling(request.params));
+    }
+    await client.connect(clientTransport);
+    // The client caches outputSchemas from tools/list and validates structuredContent against them on every call
+    await client.listTools();
+
+    return {
+        client,
+        api: mock,
+        server,
+
+        /**
+         * Call a tool and parse its first text block as JSON when possible.
+         */
+        async call(name, args = {}) {
+            const result = await client.callTool({ name, arguments: args });
+            const texts = result.content.filter((block) => block.type === 'text').map((block) => block.text);
+            return { ...result, texts, json: parseJson(texts[0]), blocks: texts.map(parseJson) };
+        },
+
+        async close() {
+            await client.close();
+            if (!api) await mock.close();
+        },
+    };
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return undefined;
+    }
+}
@@ -0,0 +1,213 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { LATEST_PROTOCOL_VERSION } from '@modelcontextprotocol/sdk/types.js';
+import { httpFromEnv, startHttpServer } from '../lib/http.js';
+import { createLogger } from '../lib/logging.js';
+import { createServer } from '../lib/server.js';
+import { startMockApi } from './mock-api/server.js';
+import { API_KEY } from './mock-api/fixtures.js';
+
+const AUTH_TOKEN = 'test-inbound-token';
+const AUTH = { Authorization: `Bearer ${AUTH_TOKEN}` };
+
+const INITIALIZE = {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: LATEST_PROTOCOL_VERSION, capabilities: {}, clientInfo: { name: 'datagraph-test', version: '1.0.0' } },
+};
+
+// Answers of the streamable transport come as JSON or as one SSE event
+async function readMessage(response) {
+    const text = await response.text();
+    const data = response.headers.get('content-type')?.startsWith('text/event-stream')
+        ? text.split('\n').find((line) => line.startsWith('data: ')).slice('data: '.length)
+        : text;
+    return JSON.parse(data);
+}
+
+// fetch always sends the Host of the URL, so a rebound name needs a plain request
+function postWithHost(url, host, headers, body) {
+    return new Promise((resolve, reject) => {
+        const req = request(url, { method: 'POST', headers: { ...headers, Host: host } }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, text: Buffer.concat(chunks).toString('utf-8') }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+describe('HTTP transport', () => {
+    let api;
+    let http;
+
+    before(async () => {
+        api = await startMockApi();
+        const logger = createLogger({ stream: null });
+        http = await startHttpServer({
+            // listPrompts reads /datasets for the generated prompts
+            createServer: () => createServer({ apiKey: API_KEY, apiUrl: api.url, maxRetries: 0, logger }),
+            port: 0,
+            authToken: AUTH_TOKEN,
+            logger,
+        });
+    });
+
+    after(async () => {
+        await http?.close();
+        await api.close();
+    });
+
+    it('requires the bearer token on MCP routes but not on /health', async () => {
+        const missing = await fetch(`${http.url}/mcp`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(INITIALIZE) });
+        assert.equal(missing.status, 401);
+        assert.match(missing.headers.get('www-authenticate'), /^Bearer/);
+        assert.equal((await missing.json()).error.code, -32001);
+
+        const wrong = await fetch(`${http.url}/sse`, { headers: { Authorization: 'Bearer nope' } });
+        assert.equal(wrong.status, 401);
+        await wrong.body?.cancel();
+
+        const health = await fetch(`${http.url}/health`);
+        assert.deepEqual(await health.json(), { status: 'ok', sessions: 0 });
+    });
+
+    it('rejects a Host or Origin that does not name the server', async () => {
+        const headers = { ...AUTH, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+        const rebound = await postWithHost(`${http.url}/mcp`, 'attacker.example:3000', headers, JSON.stringify(INITIALIZE));
+        assert.equal(rebound.status, 403);
+        assert.match(JSON.parse(rebound.text).error.message, /Host 'attacker\.example:3000' is not allowed/);
+
+        const crossOrigin = await fetch(`${http.url}/mcp`, { method: 'POST', headers: { ...headers, Origin: 'https://attacker.example' }, body: JSON.stringify(INITIALIZE) });
+        assert.equal(crossOrigin.status, 403);
+        await crossOrigin.body?.cancel();
+
+        const local = await postWithHost(`${http.url}/mcp`, `localhost:${new URL(http.url).port}`, { ...headers, Origin: 'http://localhost:6274' }, JSON.stringify(INITIALIZE));
+        assert.equal(local.status, 200);
+        assert.equal(http.sessions.size, 1);
+        for (const sessionId of http.sessions.keys()) {
+            await fetch(`${http.url}/mcp`, { method: 'DELETE', headers: { ...headers, 'mcp-session-id': sessionId } });
+        }
+    });
+
+    it('initializes a session and routes requests by mcp-session-id', async () => {
+        const headers = { ...AUTH, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+        const init = await fetch(`${http.url}/mcp`, { method: 'POST', headers, body: JSON.stringify(INITIALIZE) });
+        assert.equal(init.status, 200);
+        const sessionId = init.headers.get('mcp-session-id');
+        assert.match(sessionId, /^[0-9a-f-]{36}$/);
+        assert.equal((await readMessage(init)).result.serverInfo.name, 'datagraph');
+        assert.ok(http.sessions.has(sessionId));
+
+        const session = { ...headers, 'mcp-session-id': sessionId, 'mcp-protocol-version': LATEST_PROTOCOL_VERSION };
+        const initialized = await fetch(`${http.url}/mcp`, { method: 'POST', headers: session, body: JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }) });
+        assert.equal(initialized.status, 202);
+        const list = await fetch(`${http.url}/mcp`, { method: 'POST', headers: session, body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }) });
+        assert.ok((await readMessage(list)).result.tools.some((tool) => tool.name === 'query_locality_data'));
+
+        const closed = await fetch(`${http.url}/mcp`, { method: 'DELETE', headers: session });
+        assert.equal(closed.status, 200);
+        assert.ok(!http.sessions.has(sessionId));
+    });
+
+    it('answers 404 for an unknown session and 400 without one', async () => {
+        const headers = { ...AUTH, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+        const unknown = await fetch(`${http.url}/mcp`, {
+            method: 'POST',
+            headers: { ...headers, 'mcp-session-id': 'no-such-session' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+        });
+        assert.equal(unknown.status, 404);
+        assert.equal((await unknown.json()).error.message, 'Session not found');
+
+        const missing = await fetch(`${http.url}/mcp`, { method: 'POST', headers, body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }) });
+        assert.equal(missing.status, 400);
+
+        const legacy = await fetch(`${http.url}/messages?sessionId=no-such-session`, { method: 'POST', headers, body: '{}' });
+        assert.equal(legacy.status, 404);
+    });
+
+    it('serves MCP clients over Streamable HTTP', async () => {
+        const client = new Client({ name: 'datagraph-test', version: '1.0.0' });
+        const transport = new StreamableHTTPClientTransport(new URL('/mcp', http.url), { requestInit: { headers: AUTH } });
+        await client.connect(transport);
+        assert.ok(http.sessions.has(transport.sessionId));
+
+        const { tools } = await client.listTools();
+        assert.ok(tools.some((tool) => tool.name === 'list_datasets'));
+        const sessionId = transport.sessionId;
+        await transport.terminateSession();
+        await client.close();
+        assert.ok(!http.sessions.has(sessionId));
+    });
+
+    it('serves older clients over the legacy /sse and /messages endpoints', async () => {
+        const client = new Client({ name: 'datagraph-test', version: '1.0.0' });
+        const transport = new SSEClientTransport(new URL('/sse', http.url), {
+            requestInit: { headers: AUTH },
+            eventSourceInit: { fetch: (url, init) => fetch(url, { ...init, headers: { ...init?.headers, ...AUTH } }) },
+        });
+        const before = http.sessions.size;
+        await client.connect(transport);
+        assert.equal(http.sessions.size, before + 1);
+
+        try {
+            const { prompts } = await client.listPrompts();
+            assert.ok(prompts.length > 0);
+        } finally {
+            await client.close();
+        }
+    });
+
+    it('closes every session and connection', async () => {
+        const client = new Client({ name: 'datagraph-test', version: '1.0.0' });
+        await client.connect(new StreamableHTTPClientTransport(new URL('/mcp', http.url), { requestInit: { headers: AUTH } }));
+        assert.ok(http.sessions.size >= 1);
+
+        await http.close();
+        assert.equal(http.sessions.size, 0);
+        assert.equal(http.httpServer.listening, false);
+        const connections = await new Promise((resolve, reject) => http.httpServer.getConnections((error, count) => (error ? reject(error) : resolve(count))));
+        assert.equal(connections, 0);
+        await client.close();
+        http = null;
+    });
+});
+
+describe('HTTP session idle timeout', () => {
+    it('closes Streamable HTTP sessions without requests', async () => {
+        const logger = createLogger({ stream: null });
+        const http = await startHttpServer({ createServer: () => createServer({ apiKey: API_KEY, logger }), port: 0, sessionIdleMs: 50, logger });
+        try {
+            const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+            const init = await fetch(`${http.url}/mcp`, { method: 'POST', headers, body: JSON.stringify(INITIALIZE) });
+            const sessionId = init.headers.get('mcp-session-id');
+            await init.body?.cancel();
+            assert.ok(http.sessions.has(sessionId));
+
+            await new Promise((resolve) => setTimeout(resolve, 200));
+            assert.ok(!http.sessions.has(sessionId));
+            const late = await fetch(`${http.url}/mcp`, { method: 'POST', headers: { ...headers, 'mcp-session-id': sessionId }, body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }) });
+            assert.equal(late.status, 404);
+        } finally {
+            await http.close();
+        }
+    });
+
+    it('reads allowed hosts, origins and the idle timeout from the environment', () => {
+        assert.deepEqual(httpFromEnv({}), { allowedHosts: undefined, allowedOrigins: [], sessionIdleMs: 30 * 60 * 1000 });
+        assert.deepEqual(httpFromEnv({ MCP_HTTP_ALLOWED_HOSTS: 'MCP.example.org, localhost', MCP_HTTP_ALLOWED_ORIGINS: 'https://app.example.org', MCP_HTTP_SESSION_IDLE_SECONDS: '0' }), {
+            allowedHosts: ['mcp.example.org', 'localhost'],
+            allowedOrigins: ['https://app.example.org'],
+            sessionIdleMs: 0,
+        });
+        assert.throws(() => httpFromEnv({ MCP_HTTP_ALLOWED_ORIGINS: 'https://app.example.org/path', MCP_HTTP_SESSION_IDLE_SECONDS: '-1' }),
+            (error) => error.name === 'ConfigError' && error.issues.length === 2);
+    });
+});
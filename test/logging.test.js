@@ -0,0 +1,176 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { LoggingMessageNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { createResponseCache } from '../lib/cache.js';
+import { createAuditLog, createLogger, loggingFromEnv, redact } from '../lib/logging.js';
+import { connect } from './helpers.js';
+
+const readLines = (file) => readFileSync(file, 'utf-8').trim().split('\n').map((line) => JSON.parse(line));
+
+describe('logger', () => {
+    let dir;
+
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), 'datagraph-logs-'));
+    });
+
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('redacts API keys, bearer tokens and secret fields', () => {
+        assert.deepEqual(redact({
+            apiKey: 'abc',
+            profile: { api_key: 'xyz', name: 'prod' },
+            headers: { Authorization: 'Bearer abc.def' },
+            note: 'sent dgc_live_123 as Bearer t0k3n',
+            max_tokens: 500,
+            params: [{ access_token: 'a' }],
+        }), {
+            apiKey: '[REDACTED]',
+            profile: { api_key: '[REDACTED]', name: 'prod' },
+            headers: { Authorization: '[REDACTED]' },
+            note: 'sent [REDACTED] as [REDACTED]',
+            max_tokens: 500,
+            params: [{ access_token: '[REDACTED]' }],
+        });
+    });
+
+    it('writes JSON lines at or above its level and rotates the file by size', () => {
+        const file = join(dir, 'server.log');
+        const lines = [];
+        const logger = createLogger({ level: 'info', stream: { write: (text) => lines.push(text) }, file, maxBytes: 1024, maxFiles: 2 });
+        const child = logger.child({ session: 's1' });
+
+        child.debug('hidden');
+        child.info('shown', { key: 'dgc_secret' });
+        assert.equal(lines.length, 1);
+        assert.deepEqual({ ...JSON.parse(lines[0]), time: undefined }, { time: undefined, level: 'info', msg: 'shown', session: 's1', key: '[REDACTED]' });
+
+        for (let i = 0; i < 60; i++) child.warning('filler', { i, text: 'x'.repeat(50) });
+        assert.ok(existsSync(`${file}.1`) && existsSync(`${file}.2`));
+        assert.ok(!existsSync(`${file}.3`));
+        assert.ok(readFileSync(file).length <= 1024);
+        assert.equal(readLines(file).at(-1).i, 59);
+    });
+
+    it('falls back to stderr only when the log file cannot be created', () => {
+        const blocker = join(dir, 'not-a-directory');
+        writeFileSync(blocker, '');
+        const lines = [];
+        const logger = createLogger({ stream: { write: (text) => lines.push(JSON.parse(text)) }, file: join(blocker, 'server.log') });
+
+        assert.equal(logger.file, null);
+        assert.equal(lines[0].level, 'warning');
+        assert.match(lines[0].msg, /not-a-directory\/server\.log unavailable, logging to stderr only/);
+        logger.info('still running');
+        assert.equal(lines.at(-1).msg, 'still running');
+    });
+
+    it('reports cache write failures as log entries', async () => {
+        const blocker = join(dir, 'cache-blocker');
+        writeFileSync(blocker, '');
+        const entries = [];
+        const logger = createLogger({ stream: { write: (text) => entries.push(JSON.parse(text)) } });
+        const cache = createResponseCache({ directory: blocker, logger });
+
+        assert.deepEqual(await cache.get('schema:kc', async () => ({ data: { ok: true } })), { ok: true });
+        assert.equal(entries.length, 1);
+        assert.deepEqual([entries[0].level, entries[0].msg, entries[0].key], ['warning', 'Cache write failed', 'schema:kc']);
+    });
+
+    it('reads its settings from the environment', () => {
+        assert.deepEqual(loggingFromEnv({}), { level: 'info', file: null, maxBytes: 10 * 1024 * 1024, maxFiles: 5, auditFile: null });
+        assert.deepEqual(loggingFromEnv({ DATAGRAPH_LOG_LEVEL: 'debug', DATAGRAPH_LOG_FILE: 'off', DATAGRAPH_AUDIT_FILE: '/var/log/audit.jsonl', DATAGRAPH_LOG_MAX_FILES: '3' }), {
+            level: 'debug',
+            file: null,
+            maxBytes: 10 * 1024 * 1024,
+            maxFiles: 3,
+            auditFile: '/var/log/audit.jsonl',
+        });
+        assert.throws(() => loggingFromEnv({ DATAGRAPH_LOG_LEVEL: 'verbose', DATAGRAPH_LOG_MAX_BYTES: '10' }),
+            /DATAGRAPH_LOG_LEVEL: must be one of debug, info.*\n.*DATAGRAPH_LOG_MAX_BYTES: must be a whole number of at least 1024/s);
+    });
+});
+
+describe('request tracing and audit log', () => {
+    let dir;
+    let audit;
+    let lines;
+    let t;
+
+    before(async () => {
+        dir = mkdtempSync(join(tmpdir(), 'datagraph-audit-'));
+        audit = join(dir, 'audit.jsonl');
+        lines = [];
+        const logger = createLogger({ level: 'debug', stream: { write: (text) => lines.push(JSON.parse(text)) } });
+        t = await connect({ server: { logger, audit: createAuditLog({ file: audit }) } });
+    });
+
+    after(async () => {
+        await t.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('sends the correlation id to the API and audits the query', async () => {
+        const result = await t.call('query_locality_data', {
+            query: 'permits by name',
+            locality: 'nyc',
+            dataset: 'nyc-dob-permits',
+            cypher_query: 'MATCH (p:Permit) WHERE p.name <> $name RETURN p LIMIT 3',
+            cypher_params: { name: 'dgc_pasted_key' },
+        });
+        assert.ok(!result.isError, result.texts[0]);
+        const correlationId = result._meta['datagraph/correlation_id'];
+        assert.match(correlationId, /^[0-9a-f-]{36}$/);
+
+        const sent = t.api.requests.at(-1);
+        assert.equal(sent.headers['x-correlation-id'], correlationId);
+
+        const entry = readLines(audit).at(-1);
+        assert.equal(entry.correlation_id, correlationId);
+        assert.equal(entry.tool, 'query_locality_data');
+        assert.equal(entry.locality, 'nyc');
+        assert.match(entry.cypher, /^MATCH \(p:Permit \{dataset: \$__dataset\}\)/);
+        assert.equal(entry.params.name, '[REDACTED]');
+        assert.equal(entry.params.__dataset, 'nyc-dob-permits');
+        assert.equal(entry.rows, 3);
+        assert.equal(entry.status, 'ok');
+        assert.equal(typeof entry.latency_ms, 'number');
+
+        const finished = lines.find((line) => line.msg === 'Tool call finished' && line.correlation_id === correlationId);
+        assert.equal(finished.status, 'ok');
+        assert.ok(lines.some((line) => line.msg === 'API request' && line.correlation_id === correlationId && line.path === '/api/nyc/query'));
+        assert.ok(lines.every((line) => !JSON.stringify(line).includes('dgc_')));
+    });
+
+    it('audits failed queries with the HTTP status', async () => {
+        t.api.failNext({ path: '/api/kc/query', status: 400, body: { error: 'Invalid input' } });
+        const result = await t.call('get_gosr_chain', { dataset: 'kc-violence-prevention', node_label: 'Goal', node: 'kc-g1' });
+        assert.equal(result.isError, true);
+        assert.equal(result.json.correlation_id, result._meta['datagraph/correlation_id']);
+
+        const entry = readLines(audit).at(-1);
+        assert.deepEqual([entry.tool, entry.status, entry.http_status, entry.rows], ['get_gosr_chain', 'error', 400, null]);
+        assert.match(entry.error, /failed with 400: Invalid input/);
+    });
+
+    it('forwards log entries to the client from the level it sets', async () => {
+        const messages = [];
+        t.client.setNotificationHandler(LoggingMessageNotificationSchema, (notification) => messages.push(notification.params));
+
+        await t.call('list_datasets');
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.deepEqual(messages, []);
+
+        await t.client.setLoggingLevel('debug');
+        const result = await t.call('get_locality_schema', { locality: 'kc' });
+        await new Promise((resolve) => setImmediate(resolve));
+        const correlationId = result._meta['datagraph/correlation_id'];
+        assert.ok(messages.some((message) => message.level === 'debug' && message.logger === 'datagraph' && message.data.correlation_id === correlationId));
+        assert.ok(messages.some((message) => message.level === 'info' && message.data.msg === 'Tool call finished'));
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Fixture data served by the mock DataGraph API
+ *
+ * Two small GOSR datasets (Kansas City violence prevention, Un-Lonely NYC)
+ * and one non-GOSR NYC table. The Kansas City graph deliberately contains one
+ * of every gap find_gosr_gaps reports, and FUNDS edges to both Actors and
+ * Resources across several fiscal years. Un-Lonely NYC shares a funder, a
+ * StrategyArea and a similarly named Solution with Kansas City for
+ * compare_datasets.
+ */
+
+export const API_KEY = 'dgc_test_key';
+
+export const CITIES = [
+    { locality: 'kc', name: 'Kansas City', state: 'MO' },
+    { locality: 'unlonely-nyc', name: 'New York City (Un-Lonely NYC)', state: 'NY' },
+    { locality: 'nyc', name: 'New York City', state: 'NY' },
+];
+
+export const DATASETS = [
+    {
+        id: 'kc-violence-prevention',
+        locality: 'kc',
+        name: 'Kansas City Violence Prevention',
+        description: 'Violence prevention programs, organizations and funders in Kansas City (GOSR)',
+        node_counts: { Goal: 1, Obstacle: 4, Solution: 3, Resource: 3, Actor: 3, Funder: 2, Ecosystem: 1, StrategyArea: 1 },
+        suggested_queries: [
+            {
+                name: 'obstacles',
+                description: 'Obstacles under the goal',
+                cypher: "MATCH (g:Goal)-[:HAS_OBSTACLE]->(o:Obstacle) WHERE g.dataset = 'kc-violence-prevention' AND o.dataset = 'kc-violence-prevention' RETURN o.name LIMIT 25",
+            },
+        ],
+    },
+    {
+        id: 'unlonely-nyc',
+        locality: 'unlonely-nyc',
+        name: 'Un-Lonely NYC',
+        description: 'Programs addressing urban loneliness (GOSR)',
+        node_counts: { Goal: 1, Obstacle: 1, Solution: 2, Resource: 1, Actor: 1, Funder: 2, StrategyArea: 1 },
+        suggested_queries: [],
+    },
+    {
+        id: 'nyc-dob-permits',
+        locality: 'nyc',
+        name: 'NYC DOB Permits',
+        description: 'Department of Buildings permits',
+        node_counts: { Permit: 30 },
+        suggested_queries: [],
+    },
+];
+
+export const USAGE = {
+    plan: 'test',
+    requests_today: 12,
+    daily_limit: 1000,
+    requests_this_month: 340,
+    monthly_limit: 30000,
+};
+
+const KC = 'kc-violence-prevention';
+const NYC = 'unlonely-nyc';
+const PERMITS = 'nyc-dob-permits';
+
+const node = (label, dataset, id, name, properties = {}) => ({ label, dataset, id, name, ...properties });
+
+export const NODES = [
+    node('Goal', KC, 'kc-g1', 'Safe neighborhoods in Kansas City'),
+    node('Obstacle', KC, 'kc-o1', 'Easy access to firearms'),
+    node('Obstacle', KC, 'kc-o2', 'Straw purchases'),
+    node('Obstacle', KC, 'kc-o3', 'Retaliatory violence'),
+    node('Obstacle', KC, 'kc-o4', 'Lack of youth employment'),
+    node('Solution', KC, 'kc-s1', 'Gun buyback programs'),
+    node('Solution', KC, 'kc-s2', 'Violence interruption'),
+    node('Solution', KC, 'kc-s3', 'Conflict mediation in schools'),
+    node('Resource', KC, 'kc-r1', 'Aim4Peace'),
+    node('Resource', KC, 'kc-r2', 'KC Gun Buyback'),
+    node('Resource', KC, 'kc-r3', 'Street Outreach Pilot'),
+    node('Actor', KC, 'kc-a1', 'KC Health Department'),
+    node('Actor', KC, 'kc-a2', 'Police Athletic League'),
+    node('Actor', KC, 'kc-a3', 'Neighborhood Watch Alliance'),
+    node('Funder', KC, 'kc-f1', 'City of Kansas City'),
+    node('Funder', KC, 'kc-f2', 'Hall Family Foundation'),
+    node('Ecosystem', KC, 'kc-e1', 'City Council'),
+    node('StrategyArea', KC, 'kc-sa1', 'Prevention'),
+
+    node('Goal', NYC, 'ul-g1', 'New Yorkers feel connected'),
+    node('Obstacle', NYC, 'ul-o1', 'Social isolation of older adults'),
+    node('Solution', NYC, 'ul-s1', 'Intergenerational programs', {
+        description: 'Pairs students and young professionals with older New Yorkers for weekly visits, phone calls and shared '
+            + 'activities at libraries and community centers, so that seniors living alone keep regular contact and '
+            + 'isolation is noticed early by someone they already know.',
+    }),
+    node('Solution', NYC, 'ul-s2', 'Peer conflict mediation programs'),
+    node('Resource', NYC, 'ul-r1', 'Senior Center Lunch Club'),
+    node('Actor', NYC, 'ul-a1', 'Department for the Aging'),
+    node('Funder', NYC, 'ul-f1', 'NYC Council'),
+    node('Funder', NYC, 'ul-f2', 'Hall Family Foundation'),
+    node('StrategyArea', NYC, 'ul-sa1', 'Prevention'),
+
+    ...Array.from({ length: 30 }, (_, i) => node('Permit', PERMITS, `permit-${String(i + 1).padStart(3, '0')}`, `Permit ${i + 1}`, {
+        borough: ['MANHATTAN', 'BROOKLYN', 'QUEENS'][i % 3],
+        job_type: i % 2 === 0 ? 'A1' : 'NB',
+        estimated_cost: 10000 * (i + 1),
+        latitude: 40.70 + i * 0.002,
+        longitude: -74.00 + i * 0.002,
+    })),
+];
+
+const edge = (type, from, to, properties = {}) => ({ type, from, to, ...properties });
+
+export const EDGES = [
+    edge('HAS_OBSTACLE', 'kc-g1', 'kc-o1'),
+    edge('HAS_OBSTACLE', 'kc-o1', 'kc-o2'),
+    edge('HAS_OBSTACLE', 'kc-g1', 'kc-o3'),
+    edge('HAS_OBSTACLE', 'kc-g1', 'kc-o4'),
+    edge('HAS_SOLUTION', 'kc-o2', 'kc-s1'),
+    edge('HAS_SOLUTION', 'kc-o3', 'kc-s2'),
+    edge('HAS_SOLUTION', 'kc-o3', 'kc-s3'),
+    edge('IMPLEMENTS', 'kc-r1', 'kc-s2'),
+    edge('IMPLEMENTS', 'kc-r2', 'kc-s1'),
+    edge('IMPLEMENTS', 'kc-r3', 'kc-s2'),
+    edge('EXECUTES', 'kc-a1', 'kc-r1'),
+    edge('EXECUTES', 'kc-a2', 'kc-r2'),
+    edge('FUNDS', 'kc-f1', 'kc-a1', { year: 2022, amount: 500000 }),
+    edge('FUNDS', 'kc-f1', 'kc-a1', { year: 2023, amount: 550000 }),
+    edge('FUNDS', 'kc-f2', 'kc-r1', { year: 2023, amount: 120000 }),
+    edge('FUNDS', 'kc-e1', 'kc-r2', { year: 2024, amount: 50000 }),
+    edge('WORKS_IN', 'kc-a2', 'kc-sa1'),
+
+    edge('HAS_OBSTACLE', 'ul-g1', 'ul-o1'),
+    edge('HAS_SOLUTION', 'ul-o1', 'ul-s1'),
+    edge('HAS_SOLUTION', 'ul-o1', 'ul-s2'),
+    edge('IMPLEMENTS', 'ul-r1', 'ul-s1'),
+    edge('EXECUTES', 'ul-a1', 'ul-r1'),
+    edge('FUNDS', 'ul-f1', 'ul-a1', { year: 2024, amount: 75000 }),
+    edge('FUNDS', 'ul-f2', 'ul-r1', { year: 2024, amount: 30000 }),
+    edge('WORKS_IN', 'ul-a1', 'ul-sa1'),
+];
@@ -0,0 +1,419 @@
+/**
+ * Cypher stand-in for the mock DataGraph API
+ *
+ * The mock cannot run arbitrary Cypher. It recognizes the queries the MCP
+ * server generates itself (GOSR tree, chain hops, gap checks, funding, nearby
+ * and entity searches, snapshots) and answers them from the fixture graph.
+ * Any other query is treated as "return the nodes of the first label in the
+ * first MATCH" for the dataset it filters on, honoring SKIP/LIMIT, which is
+ * enough for pagination and formatting tests. EXPLAIN and PROFILE return a
+ * label scan plan for that first label.
+ */
+
+import { EDGES, NODES } from './fixtures.js';
+
+const byId = new Map(NODES.map((n) => [n.id, n]));
+
+const keyOf = (n) => n.id ?? n.name;
+const edgesOf = (type, dataset) => EDGES.filter((e) => e.type === type && byId.get(e.from)?.dataset === dataset);
+const properties = (n) => {
+    const { label, ...rest } = n;
+    return rest;
+};
+const asNode = (n) => ({ labels: [n.label], properties: properties(n) });
+const contains = (value, search) => String(value ?? '').toLowerCase().includes(String(search).toLowerCase());
+const matches = (n, search) => n.id === search || contains(n.name, search);
+
+const HANDLERS = [
+    {
+        // compare.js STRUCTURE_CYPHER (before GOSR_TREE_CYPHER, whose relationship list it contains)
+        test: (cypher) => cypher.includes('count(DISTINCT a) AS sources'),
+        run: (cypher, { dataset }) => {
+            const groups = new Map();
+            for (const e of EDGES.filter((edge) => byId.get(edge.from).dataset === dataset)) {
+                const a = byId.get(e.from);
+                const b = byId.get(e.to);
+                const key = `${a.label}|${e.type}|${b.label}`;
+                if (!groups.has(key)) {
+                    groups.set(key, { from_label: a.label, rel: e.type, to_label: b.label, sources: new Set(), targets: new Set(), edges: 0 });
+                }
+                const group = groups.get(key);
+                group.sources.add(a.id);
+                group.targets.add(b.id);
+                group.edges += 1;
+            }
+            return [...groups.values()].map((group) => ({ ...group, sources: group.sources.size, targets: group.targets.size }));
+        },
+    },
+    {
+        // compare.js LAYER_COUNTS_CYPHER
+        test: (cypher) => cypher.includes('labels(n)[0] AS label, count(n) AS count'),
+        run: (cypher, { dataset }) => {
+            const counts = new Map();
+            NODES.filter((n) => n.dataset === dataset).forEach((n) => counts.set(n.label, (counts.get(n.label) || 0) + 1));
+            return [...counts].sort(([a], [b]) => a.localeCompare(b)).map(([label, count]) => ({ label, count }));
+        },
+    },
+    {
+        // compare.js THEMES_CYPHER
+        test: (cypher) => cypher.includes('n:Solution OR n:StrategyArea'),
+        run: (cypher, { dataset }) => NODES
+            .filter((n) => n.dataset === dataset && ['Solution', 'StrategyArea'].includes(n.label))
+            .map((n) => ({ label: n.label, key: keyOf(n), name: n.name })),
+    },
+    {
+        // compare.js FUNDERS_CYPHER
+        test: (cypher) => cypher.includes('OPTIONAL MATCH (f)-[r:FUNDS]'),
+        run: (cypher, { dataset }) => NODES
+            .filter((n) => n.dataset === dataset && ['Funder', 'Ecosystem'].includes(n.label))
+            .map((n) => {
+                const funds = edgesOf('FUNDS', dataset).filter((e) => e.from === n.id);
+                return {
+                    label: n.label, key: keyOf(n), name: n.name,
+                    grants: funds.length, amount: funds.reduce((sum, e) => sum + e.amount, 0),
+                };
+            }),
+    },
+    {
+        // GOSR_TREE_CYPHER
+        test: (cypher) => cypher.includes('HAS_OBSTACLE|HAS_SOLUTION|IMPLEMENTS'),
+        run: (cypher, { dataset }) => EDGES
+            .filter((e) => ['HAS_OBSTACLE', 'HAS_SOLUTION', 'IMPLEMENTS'].includes(e.type) && byId.get(e.from).dataset === dataset)
+            .map((e) => {
+                const a = byId.get(e.from);
+                const b = byId.get(e.to);
+                return {
+                    from_label: a.label, from_id: keyOf(a), from_name: a.name,
+                    rel: e.type,
+                    to_label: b.label, to_id: keyOf(b), to_name: b.name,
+                };
+            }),
+    },
+    {
+        // startNodeCypher / suggestNodeCypher
+        test: (cypher) => /^MATCH \(n:\w+ \{dataset: \$dataset\}\)\nWHERE (n\.id = \$node|toLower\(n\.name\) CONTAINS)/.test(cypher),
+        run: (cypher, { dataset, node }) => {
+            const label = /^MATCH \(n:(\w+)/.exec(cypher)[1];
+            const exact = cypher.includes('n.id = $node');
+            return NODES
+                .filter((n) => n.label === label && n.dataset === dataset)
+                .filter((n) => (exact ? n.id === node || n.name.toLowerCase() === node.toLowerCase() : contains(n.name, node)))
+                .map((n) => ({ key: keyOf(n), name: n.name, description: n.description ?? null }));
+        },
+    },
+    {
+        // Chain hop from traverseGosrChain
+        test: (cypher) => cypher.includes('IN $keys'),
+        run: (cypher, { dataset, keys }) => {
+            const [, fromLabel, inbound, rel, toLabel] = /MATCH \(n:(\w+) [^)]*\)(<?)-\[r:(\w+)\]->?\(m:(\w+)/.exec(cypher);
+            return edgesOf(rel, dataset).flatMap((e) => {
+                const [near, far] = inbound ? [byId.get(e.to), byId.get(e.from)] : [byId.get(e.from), byId.get(e.to)];
+                if (near.label !== fromLabel || far.label !== toLabel || !keys.includes(keyOf(near))) return [];
+                const { type, from, to, ...edge } = e;
+                return [{ from_key: keyOf(near), key: keyOf(far), name: far.name, description: far.description ?? null, edge }];
+            });
+        },
+    },
+    {
+        // gapCypher
+        test: (cypher) => cypher.includes('AS linked'),
+        run: (cypher, { dataset, examples }) => {
+            const label = /^MATCH \(n:(\w+)/.exec(cypher)[1];
+            const nodes = NODES.filter((n) => n.label === label && n.dataset === dataset);
+            const linked = (n) => isLinked(label, n, dataset);
+            const unlinked = nodes.filter((n) => !linked(n)).map((n) => ({
+                id: keyOf(n),
+                name: n.name,
+                ...(label === 'Obstacle' && { sub_obstacles: edgesOf('HAS_OBSTACLE', dataset).filter((e) => e.from === n.id).length }),
+            }));
+            return [{ total: nodes.length, missing: unlinked.length, examples: unlinked.slice(0, examples) }];
+        },
+    },
+    {
+        // FUNDING_BREAKDOWN_CYPHER and FUNDING_TOTALS_CYPHER
+        test: (cypher) => cypher.includes('-[r:FUNDS]->') && cypher.includes('$year_from'),
+        run: (cypher, params) => {
+            const edges = fundingEdges(params);
+            if (!cypher.includes('funder_label')) {
+                return [{ grants: edges.length, amount: edges.reduce((sum, e) => sum + e.amount, 0) }];
+            }
+            const groups = new Map();
+            for (const e of edges) {
+                const f = byId.get(e.from);
+                const t = byId.get(e.to);
+                const key = `${f.id}|${t.id}|${e.year}`;
+                if (!groups.has(key)) {
+                    groups.set(key, {
+                        funder_label: f.label, funder_key: keyOf(f), funder_name: f.name,
+                        recipient_label: t.label, recipient_key: keyOf(t), recipient_name: t.name,
+                        year: e.year, amount: 0, grants: 0,
+                    });
+                }
+                groups.get(key).amount += e.amount;
+                groups.get(key).grants += 1;
+            }
+            return [...groups.values()].sort((a, b) => b.amount - a.amount);
+        },
+    },
+    {
+        // snapshots.js SNAPSHOT_NODES_CYPHER
+        test: (cypher) => cypher.includes('AS key, properties(n) AS properties'),
+        run: (cypher, { dataset, labels, skip, limit }) => NODES
+            .filter((n) => n.dataset === dataset && labels.includes(n.label))
+            .map((n) => ({ label: n.label, key: keyOf(n), properties: properties(n) }))
+            .slice(skip, skip + limit),
+    },
+    {
+        // snapshots.js SNAPSHOT_EDGES_CYPHER (before EXPORT_EDGES_CYPHER, which has the same pattern)
+        test: (cypher) => cypher.includes(')-[r]->(') && cypher.includes('SKIP $skip'),
+        run: (cypher, { dataset, labels, skip, limit }) => EDGES
+            .filter((e) => byId.get(e.from).dataset === dataset && labels.includes(byId.get(e.from).label) && labels.includes(byId.get(e.to).label))
+            .map(({ type, from, to, ...edge }) => ({
+                from_label: byId.get(from).label, from_key: keyOf(byId.get(from)),
+                rel: type, properties: edge,
+                to_label: byId.get(to).label, to_key: keyOf(byId.get(to)),
+            }))
+            .slice(skip, skip + limit),
+    },
+    {
+        // search.js containsCypher (before EXPORT_NODES_CYPHER, which starts the same way)
+        test: (cypher) => cypher.includes('AS name_text'),
+        run: (cypher, { dataset, labels, phrase, terms, limit }) => NODES
+            .filter((n) => n.dataset === dataset && labels.includes(n.label))
+            .map((n) => ({ label: n.label, id: keyOf(n), name: n.name, description: n.description ?? null, score: relevance(n, phrase, terms) }))
+            .filter((row) => row.score > 0)
+            .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+            .slice(0, limit),
+    },
+    {
+        // export.js neighbourhoodCypher, nodes and relationships (before EXPORT_EDGES_CYPHER, which has the same pattern)
+        test: (cypher) => cypher.includes(')-[*0..'),
+        run: (cypher, { dataset, root }) => {
+            const label = /^MATCH \(root:(\w+)/.exec(cypher)[1];
+            const depth = Number(/\[\*0\.\.(\d+)\]/.exec(cypher)[1]);
+            const kept = neighbourhoodOf(NODES.find((n) => n.dataset === dataset && n.label === label && keyOf(n) === root), depth);
+            if (!cypher.includes('AS from_label')) {
+                return [...kept].map((n) => ({ label: n.label, key: keyOf(n), name: n.name, description: n.description ?? null }));
+            }
+            return EDGES
+                .filter((e) => kept.has(byId.get(e.from)) && kept.has(byId.get(e.to)))
+                .map(({ type, from, to, ...edge }) => ({
+                    from_label: byId.get(from).label, from_key: keyOf(byId.get(from)),
+                    rel: type, properties: edge,
+                    to_label: byId.get(to).label, to_key: keyOf(byId.get(to)),
+                }));
+        },
+    },
+    {
+        // export.js EXPORT_NODES_CYPHER
+        test: (cypher) => cypher.startsWith('MATCH (n {dataset: $dataset})') && cypher.includes('n.description AS description'),
+        run: (cypher, { dataset }) => NODES
+            .filter((n) => n.dataset === dataset)
+            .map((n) => ({ label: n.label, key: keyOf(n), name: n.name, description: n.description ?? null })),
+    },
+    {
+        // export.js EXPORT_EDGES_CYPHER
+        test: (cypher) => cypher.includes(')-[r]->('),
+        run: (cypher, { dataset }) => EDGES
+            .filter((e) => byId.get(e.from).dataset === dataset)
+            .map(({ type, from, to, ...edge }) => ({
+                from_label: byId.get(from).label, from_key: keyOf(byId.get(from)),
+                rel: type, properties: edge,
+                to_label: byId.get(to).label, to_key: keyOf(byId.get(to)),
+            })),
+    },
+    {
+        // geo.js nearbyCypher (latitude/longitude properties)
+        test: (cypher) => cypher.includes('properties(n) AS properties') && cypher.includes('AS latitude'),
+        run: (cypher, params) => {
+            const label = /^MATCH \(n:(\w+)\)/.exec(cypher)[1];
+            const rows = NODES
+                .filter((n) => n.label === label && (params.dataset ? n.dataset === params.dataset : params.datasets.includes(n.dataset)))
+                .filter((n) => !params.boroughs || params.boroughs.includes(String(n.borough).toUpperCase()))
+                .filter((n) => params.south === undefined
+                    || (n.latitude >= params.south && n.latitude <= params.north && n.longitude >= params.west && n.longitude <= params.east))
+                .map((n) => ({
+                    dataset: n.dataset,
+                    latitude: n.latitude,
+                    longitude: n.longitude,
+                    properties: properties(n),
+                    ...(params.radius_m !== undefined && { distance_m: distanceMeters(n, params) }),
+                }))
+                .filter((row) => row.distance_m === undefined || row.distance_m <= params.radius_m);
+            rows.sort((a, b) => (a.distance_m !== undefined ? a.distance_m - b.distance_m : a.latitude - b.latitude || a.longitude - b.longitude));
+            return rows.slice(0, params.limit);
+        },
+    },
+];
+
+// Same weights as search.js containsCypher
+function relevance(n, phrase, terms) {
+    const name = String(n.name ?? '').toLowerCase();
+    const description = String(n.description ?? '').toLowerCase();
+    return (name === phrase ? 100 : 0) + (name.includes(phrase) ? 20 : 0) + (description.includes(phrase) ? 8 : 0)
+        + terms.reduce((total, term) => total + (name.includes(term) ? 3 : 0) + (description.includes(term) ? 1 : 0), 0);
+}
+
+// Haversine distance, as point.distance computes it for WGS84 points
+function distanceMeters(n, { latitude, longitude }) {
+    const rad = (degrees) => (degrees * Math.PI) / 180;
+    const a = Math.sin(rad(n.latitude - latitude) / 2) ** 2
+        + Math.cos(rad(latitude)) * Math.cos(rad(n.latitude)) * Math.sin(rad(n.longitude - longitude) / 2) ** 2;
+    return 2 * 6378140 * Math.asin(Math.sqrt(a));
+}
+
+// Nodes within depth hops of root in either direction, through nodes of root's dataset only
+function neighbourhoodOf(root, depth) {
+    const kept = new Set(root ? [root] : []);
+    let frontier = [...kept];
+    for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+        frontier = EDGES
+            .flatMap((e) => frontier.flatMap((n) => (e.from === n.id ? [e.to] : e.to === n.id ? [e.from] : [])))
+            .map((id) => byId.get(id))
+            .filter((n) => n && n.dataset === root.dataset && !kept.has(n));
+        frontier.forEach((n) => kept.add(n));
+    }
+    return kept;
+}
+
+function isLinked(label, n, dataset) {
+    const has = (type, predicate) => edgesOf(type, dataset).some(predicate);
+    const funded = (id) => EDGES.some((e) => e.type === 'FUNDS' && e.to === id);
+    switch (label) {
+        case 'Obstacle': return has('HAS_SOLUTION', (e) => e.from === n.id);
+        case 'Solution': return has('IMPLEMENTS', (e) => e.to === n.id);
+        case 'Resource': return has('EXECUTES', (e) => e.to === n.id);
+        case 'Actor': return funded(n.id) || has('EXECUTES', (e) => e.from === n.id && funded(e.to));
+        default: return true;
+    }
+}
+
+function fundingEdges({ dataset, funder, actor, year_from, year_to }) {
+    return EDGES.filter((e) => {
+        if (e.type !== 'FUNDS') return false;
+        const f = byId.get(e.from);
+        const t = byId.get(e.to);
+        if (f.dataset !== dataset || t.dataset !== dataset) return false;
+        if (funder != null && !matches(f, funder)) return false;
+        if (actor != null) {
+            const actors = t.label === 'Actor' ? [t] : EDGES.filter((x) => x.type === 'EXECUTES' && x.to === t.id).map((x) => byId.get(x.from));
+            if (!actors.some((a) => matches(a, actor))) return false;
+        }
+        if (year_from != null && e.year < year_from) return false;
+        if (year_to != null && e.year > year_to) return false;
+        return true;
+    });
+}
+
+// Any other query: nodes of the first MATCH label in the filtered dataset, one column per query variable
+function genericNodes(cypher, params) {
+    const match = /MATCH\s*\((\w+)?:(\w+)/i.exec(cypher);
+    if (!match) return [];
+    const [, variable = 'n', label] = match;
+    const literal = /dataset\s*[:=]\s*['"]([^'"]+)['"]/.exec(cypher);
+    const param = /dataset\s*[:=]\s*\$(\w+)/.exec(cypher);
+    const dataset = literal ? literal[1] : param ? params[param[1]] : undefined;
+
+    const nodes = NODES.filter((n) => n.label === label && (!dataset || n.dataset === dataset));
+    const skip = params.__skip ?? Number(/\bSKIP\s+(\d+)/i.exec(cypher)?.[1] ?? 0);
+    const limit = params.__limit ?? Number(/\bLIMIT\s+(\d+)/i.exec(cypher)?.[1] ?? nodes.length);
+    return nodes.slice(skip, skip + limit).map((n) => ({ [variable]: asNode(n) }));
+}
+
+// EXPLAIN / PROFILE: the plan Neo4j picks without a usable index, a label scan of the
+// first MATCH label then one Filter with every predicate on it
+function queryPlan(mode, cypher, params) {
+    const match = /MATCH\s*\((\w+)?:(\w+)\s*(\{[^}]*\})?\s*\)/i.exec(cypher);
+    if (!match) return { results: [] };
+    const [, variable = 'n', label, map = ''] = match;
+    const where = /\bWHERE\s+([\s\S]+?)\s+(?:RETURN|WITH)\b/i.exec(cypher)?.[1];
+    const predicates = [
+        ...[...map.matchAll(/(\w+)\s*:\s*([^,}]+)/g)].map(([, key, value]) => `${variable}.${key} = ${value.trim()}`),
+        ...(where ? [where] : []),
+    ];
+
+    const profile = mode === 'PROFILE';
+    const scanned = NODES.filter((n) => n.label === label).length;
+    const rows = genericNodes(cypher, params);
+    const operator = (type, details, estimated, dbHits, children = []) => ({
+        operatorType: `${type}@neo4j`,
+        identifiers: [variable],
+        arguments: { Details: details, EstimatedRows: estimated },
+        children,
+        ...(profile && { rows: type === 'NodeByLabelScan' ? scanned : rows.length, dbHits }),
+    });
+
+    let plan = operator('NodeByLabelScan', `${variable}:${label}`, scanned, scanned + 1);
+    if (predicates.length > 0) {
+        plan = operator('Filter', predicates.join(' AND '), scanned / 2, scanned * predicates.length, [plan]);
+    }
+    plan = operator('ProduceResults', variable, rows.length, 0, [plan]);
+    return { results: profile ? rows : [], [profile ? 'profile' : 'plan']: plan };
+}
+
+/**
+ * Answer a POST /api/{locality}/query body for the given locality.
+ */
+export function runQuery(locality, body) {
+    if (!body.cypher_query) {
+        const datasets = new Set(NODES.filter((n) => localityOf(n.dataset) === locality).map((n) => n.dataset));
+        // Natural language: a name search over the locality's nodes
+        const words = String(body.query || '').toLowerCase().split(/\W+/).filter((w) => w.length > 3);
+        const hits = NODES.filter((n) => datasets.has(n.dataset))
+            .filter((n) => words.length === 0 || words.some((w) => contains(n.name, w)));
+        const offset = body.offset || 0;
+        const limit = Math.min(body.limit || 10, 100);
+        return {
+            results: hits.slice(offset, offset + limit).map((n) => ({ label: n.label, id: n.id, name: n.name, dataset: n.dataset })),
+            total: hits.length,
+        };
+    }
+
+    const cypher = body.cypher_query;
+    const params = body.cypher_params || {};
+    const explained = /^\s*(EXPLAIN|PROFILE)\s+/i.exec(cypher);
+    if (explained) {
+        return queryPlan(explained[1].toUpperCase(), cypher.slice(explained[0].length), params);
+    }
+    const handler = HANDLERS.find((candidate) => candidate.test(cypher));
+    return { results: handler ? handler.run(cypher, params) : genericNodes(cypher, params) };
+}
+
+export function localityOf(dataset) {
+    return {
+        'kc-violence-prevention': 'kc',
+        'unlonely-nyc': 'unlonely-nyc',
+        'nyc-dob-permits': 'nyc',
+    }[dataset];
+}
+
+/**
+ * Schema for a locality in the shape /api/{locality}/schema returns.
+ */
+export function schemaFor(locality) {
+    const nodes = NODES.filter((n) => localityOf(n.dataset) === locality);
+    const labels = [...new Set(nodes.map((n) => n.label))];
+    const ids = new Set(nodes.map((n) => n.id));
+    const edges = EDGES.filter((e) => ids.has(e.from));
+    const relationships = [...new Map(edges.map((e) => [`${e.type}|${byId.get(e.from).label}|${byId.get(e.to).label}`, e])).values()];
+
+    return {
+        locality,
+        nodes: labels.map((label) => ({
+            label,
+            count: nodes.filter((n) => n.label === label).length,
+            properties: [...new Set(nodes.filter((n) => n.label === label).flatMap((n) => Object.keys(properties(n))))],
+        })),
+        relationships: relationships.map((e) => ({
+            type: e.type,
+            from: byId.get(e.from).label,
+            to: byId.get(e.to).label,
+            properties: Object.keys(e).filter((key) => !['type', 'from', 'to'].includes(key)),
+        })),
+        indexes: labels.map((label) => ({ label, properties: ['dataset'], type: 'RANGE' })),
+        dataset_filtering: {
+            datasets: [...new Set(nodes.map((n) => n.dataset))],
+            example: "WHERE n.dataset = '<dataset_id>'",
+        },
+    };
+}
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Offline stand-in for the DataGraph REST API
+ *
+ * Serves /cities, /datasets, /usage, /api/{locality}/schema and
+ * /api/{locality}/query from the fixtures in ./fixtures.js, with bearer auth,
+ * ETags on schemas and dataset lists, and 404 for unknown localities.
+ *
+ * Tests inject failures with failNext(); every request is recorded in
+ * requests. Run this file directly to develop against it:
+ *
+ *   node test/mock-api/server.js
+ *   DATAGRAPH_API_URL=http://127.0.0.1:4010 DATAGRAPH_API_KEY=dgc_test_key node index.js
+ */
+
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { API_KEY, CITIES, DATASETS, USAGE } from './fixtures.js';
+import { runQuery, schemaFor } from './graph.js';
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.port] - 0 picks a free port (default)
+ * @param {string} [options.apiKey] - Bearer token the mock accepts
+ * @returns {Promise<{ url: string, requests: object[], failNext: Function, close: () => Promise<void> }>}
+ */
+export async function startMockApi({ port = 0, apiKey = API_KEY } = {}) {
+    const requests = [];
+    // Queued failures: { match: (req) => boolean, status, body, headers, raw }
+    const failures = [];
+
+    const server = createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const text = Buffer.concat(chunks).toString('utf-8');
+            const record = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body: text ? safeJson(text) : undefined };
+            requests.push(record);
+            respond(record, url, res);
+        });
+    });
+
+    function respond(record, url, res) {
+        const failure = failures.findIndex((candidate) => candidate.match(record));
+        if (failure !== -1) {
+            const { status, body, headers = {}, raw } = failures.splice(failure, 1)[0];
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(raw ?? JSON.stringify(body ?? {}));
+            return;
+        }
+
+        if (record.headers.authorization !== `Bearer ${apiKey}`) {
+            sendJson(res, 401, { error: 'Invalid or missing API key' });
+            return;
+        }
+
+        if (record.method === 'GET' && record.path === '/cities') {
+            sendJson(res, 200, CITIES);
+        } else if (record.method === 'GET' && record.path === '/usage') {
+            sendJson(res, 200, USAGE);
+        } else if (record.method === 'GET' && record.path === '/datasets') {
+            const locality = url.searchParams.get('locality');
+            sendCacheable(record, res, locality ? DATASETS.filter((d) => d.locality === locality) : DATASETS);
+        } else {
+            const match = /^\/api\/([^/]+)\/(schema|query)$/.exec(record.path);
+            const locality = match && decodeURIComponent(match[1]);
+            if (!match) {
+                sendJson(res, 404, { error: `Not found: ${record.path}` });
+            } else if (!CITIES.some((city) => city.locality === locality)) {
+                sendJson(res, 404, { error: `Locality '${locality}' not found` });
+            } else if (match[2] === 'schema' && record.method === 'GET') {
+                sendCacheable(record, res, schemaFor(locality));
+            } else if (match[2] === 'query' && record.method === 'POST') {
+                sendJson(res, 200, runQuery(locality, record.body || {}));
+            } else {
+                sendJson(res, 405, { error: 'Method not allowed' });
+            }
+        }
+    }
+
+    await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+
+        /**
+         * Answer the next request matching path (string prefix or RegExp) with an error.
+         * @param {object} failure
+         * @param {string|RegExp} [failure.path] - Matches any request when omitted
+         * @param {number} failure.status
+         * @param {object} [failure.body] - JSON error body
+         * @param {string} [failure.raw] - Raw body instead of JSON, e.g. to send malformed JSON
+         * @param {object} [failure.headers]
+         * @param {number} [failure.times] - How many requests to fail (default 1)
+         */
+        failNext({ path, status, body, raw, headers, times = 1 }) {
+            const match = (record) => !path || (path instanceof RegExp ? path.test(record.path) : record.path.startsWith(path));
+            for (let i = 0; i < times; i++) {
+                failures.push({ match, status, body, raw, headers });
+            }
+        },
+
+        close() {
+            server.closeAllConnections();
+            return new Promise((resolve) => server.close(() => resolve()));
+        },
+    };
+}
+
+function sendJson(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+}
+
+function sendCacheable(record, res, payload) {
+    const etag = `"${createHash('sha1').update(JSON.stringify(payload)).digest('hex').slice(0, 16)}"`;
+    if (record.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag });
+        res.end();
+        return;
+    }
+    sendJson(res, 200, payload, { ETag: etag });
+}
+
+function safeJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const mock = await startMockApi({ port: Number(process.env.MOCK_API_PORT) || 4010 });
+    console.error(`Mock DataGraph API listening on ${mock.url} (API key: ${API_KEY})`);
+}
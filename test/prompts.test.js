@@ -0,0 +1,51 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect } from './helpers.js';
+
+describe('prompts', () => {
+    let t;
+
+    before(async () => {
+        t = await connect();
+    });
+
+    after(async () => {
+        await t.close();
+    });
+
+    const text = async (name, args) => {
+        const { messages } = await t.client.getPrompt({ name, arguments: args });
+        assert.equal(messages[0].role, 'user');
+        return messages[0].content.text;
+    };
+
+    it('lists every prompt, then one per saved or suggested query', async () => {
+        const { prompts } = await t.client.listPrompts();
+        assert.deepEqual(prompts.map((prompt) => prompt.name), [
+            'explore_locality_data',
+            'analyze_gosr_dataset',
+            'cypher_query_builder',
+            'query:kc-violence-prevention.obstacles',
+        ]);
+    });
+
+    it('explore_locality_data names the locality', async () => {
+        assert.match(await text('explore_locality_data', { locality: 'kc' }), /kc/);
+    });
+
+    it('analyze_gosr_dataset asks for a gap analysis', async () => {
+        const prompt = await text('analyze_gosr_dataset', { dataset: 'kc-violence-prevention', focus: 'youth' });
+        assert.match(prompt, /"kc-violence-prevention"/);
+        assert.match(prompt, /focusing on: youth/);
+        assert.match(prompt, /find_gosr_gaps/);
+    });
+
+    it('cypher_query_builder includes the question', async () => {
+        assert.match(await text('cypher_query_builder', { locality: 'nyc', user_question: 'Permits in Queens?' }), /Permits in Queens\?/);
+    });
+
+    it('rejects missing required arguments', async () => {
+        await assert.rejects(t.client.getPrompt({ name: 'cypher_query_builder', arguments: { locality: 'nyc' } }), /user_question/);
+        await assert.rejects(t.client.getPrompt({ name: 'analyze_gosr_dataset', arguments: {} }), /dataset/);
+    });
+});
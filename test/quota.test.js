@@ -0,0 +1,82 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUsageLedger, QuotaExceededError, quotaFromEnv } from '../lib/quota.js';
+import { ConfigError } from '../lib/config.js';
+import { connect } from './helpers.js';
+
+describe('usage ledger', () => {
+    it('refuses requests past the per-minute hard limit until the window moves', () => {
+        let clock = 0;
+        const ledger = createUsageLedger({ minuteSoft: 2, minuteHard: 3 }, { now: () => clock });
+        for (let i = 0; i < 3; i++) {
+            ledger.reserve({ tool: 'query_locality_data', locality: 'kc' });
+            clock += 1000;
+        }
+        assert.match(ledger.warnings()[0], /3 DataGraph API requests in the last minute \(soft limit 2/);
+        assert.throws(() => ledger.reserve({ tool: 'query_locality_data' }), (error) => error instanceof QuotaExceededError
+            && error.scope === 'minute' && error.retryAfterSeconds === 57);
+
+        clock = 60001;
+        ledger.reserve({ tool: 'query_locality_data' });
+        const { session, by_tool, by_locality } = ledger.snapshot();
+        assert.equal(session.api_requests, 4);
+        assert.equal(session.blocked, 1);
+        assert.deepEqual(by_tool.query_locality_data, { calls: 0, api_requests: 4, blocked: 1 });
+        assert.deepEqual(by_locality, { kc: 3 });
+    });
+
+    it('warns from the /usage numbers plus requests made since', () => {
+        const ledger = createUsageLedger({ usageCheckEvery: 2 });
+        ledger.recordUsage({ requests_today: 798, daily_limit: 1000, requests_this_month: 10, monthly_limit: 30000 });
+        assert.deepEqual(ledger.warnings(), []);
+        ledger.reserve({ tool: 'list_datasets' });
+        ledger.reserve({ tool: 'list_datasets' });
+        assert.equal(ledger.usageCheckDue(), true);
+        assert.deepEqual(ledger.warnings(), ['About 800 of 1000 DataGraph API requests used today (80% of the API quota).']);
+    });
+
+    it('reads limits from DATAGRAPH_QUOTA_* and rejects inconsistent ones', () => {
+        assert.equal(quotaFromEnv({ DATAGRAPH_QUOTA_SESSION_HARD: '0' }).sessionHard, 0);
+        assert.throws(() => quotaFromEnv({ DATAGRAPH_QUOTA_MINUTE_SOFT: '90', DATAGRAPH_QUOTA_MINUTE_HARD: '60' }),
+            (error) => error instanceof ConfigError && /soft limit 90 is above the hard limit 60/.test(error.message));
+    });
+});
+
+describe('quota guard', () => {
+    let t;
+
+    before(async () => {
+        t = await connect({ server: { quota: { minuteSoft: 2, minuteHard: 3, sessionSoft: 0, sessionHard: 0, usageCheckEvery: 3 } } });
+    });
+
+    after(async () => {
+        await t.close();
+    });
+
+    it('warns past the soft limit and refuses past the hard limit without calling the API', async () => {
+        const first = await t.call('get_usage_stats');
+        assert.equal(first.blocks.length, 1);
+
+        const second = await t.call('get_locality_schema', { locality: 'kc', detail: 'minimal' });
+        assert.match(second.blocks.at(-1).quota_warnings[0], /2 DataGraph API requests in the last minute/);
+
+        await t.call('list_datasets', { locality: 'kc' });
+        const before = t.api.requests.length;
+        const refused = await t.call('get_locality_schema', { locality: 'nyc' });
+        assert.equal(refused.isError, true);
+        assert.equal(refused.json.error, 'local_quota_exceeded');
+        assert.equal(refused.json.scope, 'minute');
+        assert.equal(t.api.requests.length, before);
+    });
+
+    it('reports the ledger as the datagraph://usage/session resource', async () => {
+        const { contents } = await t.client.readResource({ uri: 'datagraph://usage/session' });
+        const ledger = JSON.parse(contents[0].text);
+        assert.equal(ledger.session.api_requests, 3);
+        assert.equal(ledger.session.blocked, 1);
+        assert.deepEqual(ledger.by_locality, { kc: 2 });
+        assert.equal(ledger.by_tool.get_locality_schema.calls, 2);
+        assert.equal(ledger.limits.per_minute.hard, 3);
+        assert.equal(ledger.upstream.requests_today, 12);
+    });
+});
@@ -0,0 +1,71 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect } from './helpers.js';
+
+describe('resources', () => {
+    let t;
+
+    before(async () => {
+        t = await connect();
+    });
+
+    after(async () => {
+        await t.close();
+    });
+
+    const read = async (uri) => {
+        const { contents } = await t.client.readResource({ uri });
+        assert.equal(contents[0].mimeType, 'application/json');
+        return JSON.parse(contents[0].text);
+    };
+
+    it('lists static resources plus one schema per locality and two per dataset', async () => {
+        const { resources } = await t.client.listResources();
+        const uris = resources.map((resource) => resource.uri);
+        for (const uri of [
+            'datagraph://cities/list',
+            'datagraph://datasets/gosr',
+            'datagraph://usage/stats',
+            'datagraph://schema/kc',
+            'datagraph://schema/nyc',
+            'datagraph://datasets/kc-violence-prevention',
+            'datagraph://datasets/kc-violence-prevention/gosr-tree',
+        ]) {
+            assert.ok(uris.includes(uri), `missing resource ${uri}`);
+        }
+    });
+
+    it('lists resource templates', async () => {
+        const { resourceTemplates } = await t.client.listResourceTemplates();
+        assert.deepEqual(resourceTemplates.map((template) => template.uriTemplate), [
+            'datagraph://schema/{locality}',
+            'datagraph://datasets/{id}',
+            'datagraph://datasets/{id}/gosr-tree',
+            'datagraph://queries/{name}',
+        ]);
+    });
+
+    it('reads cities, datasets and usage', async () => {
+        assert.ok((await read('datagraph://cities/list')).some((city) => city.locality === 'kc'));
+        assert.equal((await read('datagraph://datasets/gosr')).length, 3);
+        assert.equal((await read('datagraph://usage/stats')).plan, 'test');
+    });
+
+    it('reads a locality schema and dataset metadata', async () => {
+        assert.equal((await read('datagraph://schema/unlonely-nyc')).locality, 'unlonely-nyc');
+        assert.equal((await read('datagraph://datasets/unlonely-nyc')).name, 'Un-Lonely NYC');
+    });
+
+    it('reads a GOSR tree nested from the Goal', async () => {
+        const tree = await read('datagraph://datasets/kc-violence-prevention/gosr-tree');
+        assert.equal(tree.goals.length, 1);
+        assert.deepEqual(tree.counts, { goals: 1, obstacles: 4, solutions: 3, resources: 3 });
+        const firearms = tree.goals[0].obstacles.find((o) => o.id === 'kc-o1');
+        assert.equal(firearms.obstacles[0].solutions[0].resources[0].name, 'KC Gun Buyback');
+    });
+
+    it('rejects unknown resources and datasets', async () => {
+        await assert.rejects(t.client.readResource({ uri: 'datagraph://nope' }), /Unknown resource/);
+        await assert.rejects(t.client.readResource({ uri: 'datagraph://datasets/nope' }), /Unknown dataset id 'nope'/);
+    });
+});
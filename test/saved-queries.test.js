@@ -0,0 +1,143 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CypherValidationError } from '../lib/cypher.js';
+import { bindParameters, checkQueryDefinition, createQueryStore } from '../lib/saved-queries.js';
+import { connect } from './helpers.js';
+
+const OBSTACLES_BY_NAME = {
+    name: 'obstacles-named',
+    description: 'Obstacles whose name contains a term',
+    locality: 'kc',
+    dataset: 'kc-violence-prevention',
+    cypher: 'MATCH (o:Obstacle) WHERE o.name CONTAINS $term RETURN o ORDER BY o.id LIMIT $max',
+    parameters: {
+        term: { type: 'string', description: 'Part of the Obstacle name' },
+        max: { type: 'integer', default: 2 },
+    },
+};
+
+describe('saved query definitions', () => {
+    it('reports undeclared parameters, bad types and bad names together', () => {
+        let error;
+        try {
+            checkQueryDefinition({
+                name: '-bad name',
+                locality: 'kc',
+                cypher: 'MATCH (g:Goal) WHERE g.dataset = $dataset AND g.year = $year AND g.month = $month RETURN g',
+                parameters: { dataset: { type: 'string' }, year: { type: 'date' }, unused: { type: 'integer', default: 'x' } },
+            });
+        } catch (caught) {
+            error = caught;
+        }
+        assert.match(error.message, /^Cannot save query '-bad name':/);
+        assert.match(error.message, /name: 1-80 letters/);
+        assert.match(error.message, /cypher: \$month is not declared in parameters/);
+        assert.match(error.message, /parameters\.year\.type: must be one of string, integer, number, boolean, list/);
+        assert.match(error.message, /parameters\.unused\.default: must be an integer/);
+    });
+
+    it('checks the Cypher with placeholder values', () => {
+        assert.throws(() => checkQueryDefinition({ ...OBSTACLES_BY_NAME, dataset: undefined }), CypherValidationError);
+        const { query, notices } = checkQueryDefinition({ ...OBSTACLES_BY_NAME, parameters: { ...OBSTACLES_BY_NAME.parameters, extra: { type: 'boolean' } } });
+        assert.equal(query.dataset, 'kc-violence-prevention');
+        assert.deepEqual(notices, ["Parameter 'extra' is not used in the Cypher"]);
+    });
+
+    it('binds text to the declared types and fills in defaults', () => {
+        const { query } = checkQueryDefinition(OBSTACLES_BY_NAME);
+        assert.deepEqual(bindParameters(query, { term: 'fire' }), { term: 'fire', max: 2 });
+        assert.deepEqual(bindParameters(query, { term: 'fire', max: '5' }), { term: 'fire', max: 5 });
+        assert.throws(() => bindParameters(query, { max: 'five', other: 1 }),
+            /unknown parameter 'other'; 'term' is required \(string\); 'max' must be an integer\. Expected: term \(string, required\), max \(integer, default 2\)/);
+    });
+});
+
+describe('saved queries', () => {
+    let dir;
+    let file;
+    let t;
+
+    before(async () => {
+        dir = mkdtempSync(join(tmpdir(), 'datagraph-queries-'));
+        file = join(dir, 'saved-queries.json');
+        t = await connect({ server: { queries: createQueryStore({ file }) } });
+    });
+
+    after(async () => {
+        await t.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('saves a query to the store file', async () => {
+        const result = await t.call('save_query', OBSTACLES_BY_NAME);
+        assert.ok(!result.isError, result.texts[0]);
+        assert.equal(result.json.saved.uri, 'datagraph://queries/obstacles-named');
+        assert.equal(result.json.saved.prompt, 'query:obstacles-named');
+
+        const stored = JSON.parse(readFileSync(file, 'utf-8'));
+        assert.equal(stored.queries['obstacles-named'].parameters.max.default, 2);
+    });
+
+    it('refuses to replace a query unless asked to', async () => {
+        const again = await t.call('save_query', OBSTACLES_BY_NAME);
+        assert.equal(again.isError, true);
+        assert.match(again.texts[0], /A saved query named 'obstacles-named' already exists/);
+
+        const replaced = await t.call('save_query', { ...OBSTACLES_BY_NAME, description: 'Obstacles by name', overwrite: true });
+        assert.equal(replaced.json.replaced, 'saved');
+    });
+
+    it('lists saved queries with the suggested queries of /datasets', async () => {
+        const { json } = await t.call('list_saved_queries', { locality: 'kc' });
+        assert.deepEqual(json.queries.map((query) => [query.name, query.source]), [
+            ['kc-violence-prevention.obstacles', 'suggested'],
+            ['obstacles-named', 'saved'],
+        ]);
+        assert.equal(json.store, file);
+    });
+
+    it('runs a saved query with typed parameters and the dataset filter', async () => {
+        const before = t.api.requests.length;
+        const result = await t.call('run_saved_query', { name: 'obstacles-named', parameters: { term: 'fire', max: '1' } });
+        assert.ok(!result.isError, result.texts[0]);
+        assert.equal(result.structuredContent.row_count, 1);
+
+        const sent = t.api.requests.slice(before).find((request) => request.path === '/api/kc/query');
+        assert.equal(sent.body.cypher_params.term, 'fire');
+        assert.equal(sent.body.cypher_params.max, 1);
+        assert.equal(sent.body.cypher_params.__dataset, 'kc-violence-prevention');
+    });
+
+    it('rejects missing parameters and unknown names', async () => {
+        const missing = await t.call('run_saved_query', { name: 'obstacles-named' });
+        assert.match(missing.texts[0], /'term' is required/);
+        const unknown = await t.call('run_saved_query', { name: 'nope' });
+        assert.match(unknown.texts[0], /Unknown saved query 'nope'/);
+    });
+
+    it('publishes each query as a resource', async () => {
+        const { resources } = await t.client.listResources();
+        const uris = resources.map((resource) => resource.uri);
+        assert.ok(uris.includes('datagraph://queries/obstacles-named'));
+        assert.ok(uris.includes('datagraph://queries/kc-violence-prevention.obstacles'));
+
+        const { contents } = await t.client.readResource({ uri: 'datagraph://queries/kc-violence-prevention.obstacles' });
+        const query = JSON.parse(contents[0].text);
+        assert.equal(query.dataset, 'kc-violence-prevention');
+        assert.match(query.cypher, /RETURN o\.name LIMIT 25/);
+    });
+
+    it('generates a prompt per query with the parameters as arguments', async () => {
+        const { prompts } = await t.client.listPrompts();
+        const prompt = prompts.find((candidate) => candidate.name === 'query:obstacles-named');
+        assert.deepEqual(prompt.arguments.map((argument) => [argument.name, argument.required]), [['term', true], ['max', false]]);
+
+        const { messages } = await t.client.getPrompt({ name: 'query:obstacles-named', arguments: { term: 'fire' } });
+        assert.match(messages[0].content.text, /run_saved_query/);
+        assert.match(messages[0].content.text, /"max": 2/);
+        await assert.rejects(t.client.getPrompt({ name: 'query:obstacles-named', arguments: {} }), /'term' is required/);
+    });
+});
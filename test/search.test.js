@@ -0,0 +1,140 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fulltextIndexes, luceneQuery, rankHits, searchTerms } from '../lib/search.js';
+import { schemaFor } from './mock-api/graph.js';
+import { connect } from './helpers.js';
+
+const FULLTEXT_SCHEMA = {
+    ...schemaFor('unlonely-nyc'),
+    indexes: [
+        { name: 'gosr_text', type: 'FULLTEXT', labelsOrTypes: ['Obstacle', 'Solution'], properties: ['name', 'description'] },
+        { label: 'Obstacle', properties: ['dataset'], type: 'RANGE' },
+    ],
+};
+
+describe('search helpers', () => {
+    it('drops filler words and punctuation from the text', () => {
+        assert.deepEqual(searchTerms('  Is there anything about senior isolation? '), {
+            phrase: 'is there anything about senior isolation',
+            terms: ['senior', 'isolation'],
+        });
+        assert.equal(luceneQuery(searchTerms('C++ mentoring')), '"c\\+\\+ mentoring"^4 mentoring mentoring~');
+    });
+
+    it('uses only fulltext indexes on name or description of searched labels', () => {
+        assert.deepEqual(fulltextIndexes([
+            { name: 'gosr_text', type: 'FULLTEXT', labelsOrTypes: ['Obstacle', 'Permit'], properties: ['name'] },
+            { name: 'notes', type: 'FULLTEXT', labelsOrTypes: ['Goal'], properties: ['notes'] },
+            { name: 'goal_name', type: 'RANGE', label: 'Goal', property: 'name' },
+        ], ['Goal', 'Obstacle']), [{ name: 'gosr_text', labels: ['Obstacle'] }]);
+        assert.deepEqual(fulltextIndexes(undefined, ['Goal']), []);
+    });
+
+    it('ranks phrase and name matches first and keeps one hit per node', () => {
+        const search = searchTerms('conflict mediation');
+        const hits = rankHits([
+            { label: 'Solution', id: 's2', name: 'Peer programs', description: 'Conflict mediation for teens', match: 'contains' },
+            { label: 'Solution', id: 's1', name: 'Conflict mediation in schools', match: 'fulltext', score: 1.2 },
+            { label: 'Solution', id: 's1', name: 'Conflict mediation in schools', match: 'contains' },
+            { label: 'Actor', id: 'a1', name: 'Mediation Center', match: 'contains' },
+        ], search, 10);
+        assert.deepEqual(hits.map((hit) => [hit.id, hit.score, hit.match]), [
+            ['s1', 26, 'fulltext'],
+            ['s2', 10, 'contains'],
+            ['a1', 3, 'contains'],
+        ]);
+        assert.equal(hits[0].index_score, 1.2);
+    });
+});
+
+describe('search_entities', () => {
+    let t;
+
+    before(async () => {
+        t = await connect();
+    });
+
+    after(async () => {
+        await t.close();
+    });
+
+    it('finds nodes by name and description with CONTAINS when there is no fulltext index', async () => {
+        const { json, isError, texts } = await t.call('search_entities', { dataset: 'unlonely-nyc', text: 'Is there anything about senior isolation?' });
+        assert.ok(!isError, texts[0]);
+        assert.deepEqual(json.terms, ['senior', 'isolation']);
+        assert.deepEqual(json.searched.fulltext, []);
+        assert.deepEqual(json.hits.map((hit) => [hit.layer, hit.id]), [
+            ['Resource', 'ul-r1'],
+            ['Obstacle', 'ul-o1'],
+            ['Solution', 'ul-s1'],
+        ]);
+        assert.deepEqual(json.hits.map((hit) => hit.score), [3, 3, 2]);
+        const description = json.hits[2];
+        assert.equal(description.match, 'contains');
+        assert.match(description.snippet, /^…ed activities .*seniors living alone .* they already know\.$/);
+
+        const sent = t.api.requests.filter((request) => request.path === '/api/unlonely-nyc/query').at(-1).body;
+        assert.match(sent.cypher_query, /toLower\(coalesce\(n\.name, ''\)\)/);
+        assert.equal(sent.cypher_params.dataset, 'unlonely-nyc');
+    });
+
+    it('narrows the layers and explains empty results', async () => {
+        const { json } = await t.call('search_entities', { dataset: 'unlonely-nyc', text: 'isolation', labels: ['Resource'] });
+        assert.deepEqual(json.hits, []);
+        assert.match(json.note, /No matches/);
+
+        const bad = await t.call('search_entities', { dataset: 'unlonely-nyc', text: 'isolation', labels: ['Permit'] });
+        assert.equal(bad.isError, true);
+        assert.match(bad.texts[0], /labels must be a non-empty list of: Goal/);
+    });
+});
+
+describe('search_entities with a fulltext index', () => {
+    let t;
+
+    before(async () => {
+        t = await connect();
+    });
+
+    after(async () => {
+        await t.close();
+    });
+
+    it('queries the index for the labels it covers and CONTAINS for the rest', async () => {
+        t.api.failNext({ path: '/api/unlonely-nyc/schema', status: 200, body: FULLTEXT_SCHEMA });
+        t.api.failNext({
+            path: '/api/unlonely-nyc/query',
+            status: 200,
+            body: { results: [{ label: 'Obstacle', id: 'ul-o1', name: 'Social isolation of older adults', description: null, score: 2.5 }] },
+        });
+
+        const { json, isError, texts } = await t.call('search_entities', { dataset: 'unlonely-nyc', text: 'senior isolation' });
+        assert.ok(!isError, texts[0]);
+        assert.deepEqual(json.searched, {
+            fulltext: [{ index: 'gosr_text', labels: ['Obstacle', 'Solution'] }],
+            contains: ['Goal', 'Resource', 'Actor', 'Funder', 'StrategyArea', 'Ecosystem'],
+        });
+        assert.deepEqual(json.hits.map((hit) => [hit.id, hit.match]), [['ul-o1', 'fulltext'], ['ul-r1', 'contains']]);
+        assert.equal(json.hits[0].index_score, 2.5);
+
+        const [fulltext, contains] = t.api.requests.filter((request) => request.path === '/api/unlonely-nyc/query').slice(-2).map((request) => request.body);
+        assert.match(fulltext.cypher_query, /^CALL db\.index\.fulltext\.queryNodes\(\$index, \$search\)/);
+        assert.deepEqual(fulltext.cypher_params, {
+            index: 'gosr_text',
+            search: '"senior isolation"^4 senior senior~ isolation isolation~',
+            dataset: 'unlonely-nyc',
+            labels: ['Obstacle', 'Solution'],
+            limit: 20,
+        });
+        assert.deepEqual(contains.cypher_params.labels, json.searched.contains);
+    });
+
+    it('falls back to CONTAINS when the index query fails', async () => {
+        t.api.failNext({ path: '/api/unlonely-nyc/query', status: 400, body: { error: "There is no such fulltext schema index: gosr_text" } });
+
+        const { json } = await t.call('search_entities', { dataset: 'unlonely-nyc', text: 'intergenerational', labels: ['Solution'] });
+        assert.deepEqual(json.searched, { fulltext: [], contains: ['Solution'] });
+        assert.deepEqual(json.hits.map((hit) => hit.id), ['ul-s1']);
+        assert.match(json.notices[0], /Fulltext index 'gosr_text' failed .*; Solution searched with CONTAINS instead/);
+    });
+});
@@ -0,0 +1,172 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { GOSR_LAYERS } from '../lib/gosr.js';
+import { buildSnapshot, createSnapshotStore, diffSnapshots, readDatasetGraph, SNAPSHOT_EDGES_CYPHER, SNAPSHOT_NODES_CYPHER } from '../lib/snapshots.js';
+import { runQuery } from './mock-api/graph.js';
+import { connect } from './helpers.js';
+
+const KC = 'kc-violence-prevention';
+
+const FUNDS_2022 = { from_label: 'Funder', from_key: 'f1', rel: 'FUNDS', to_label: 'Actor', to_key: 'a1', properties: { year: 2022, amount: 500000 } };
+const FUNDS_2023 = { ...FUNDS_2022, properties: { year: 2023, amount: 550000 } };
+
+const snapshot = (name, nodeRows, edgeRows) => buildSnapshot({
+    dataset: KC, locality: 'kc', name, takenAt: new Date('2026-09-01T00:00:00Z'), nodeRows, edgeRows,
+});
+
+// Rows the mock API answers a snapshot query with
+const liveRows = (cypher) => runQuery('kc', { cypher_query: cypher, cypher_params: { dataset: KC, labels: GOSR_LAYERS, skip: 0, limit: 1000 } }).results;
+
+describe('snapshot diffs', () => {
+    it('reports added, removed and modified nodes per layer', () => {
+        const before = snapshot('before', [
+            { label: 'Actor', key: 'a1', properties: { id: 'a1', name: 'Health Department', dataset: KC } },
+            { label: 'Actor', key: 'a2', properties: { id: 'a2', name: 'Watch Alliance', dataset: KC } },
+        ], []);
+        const after = snapshot('after', [
+            { label: 'Actor', key: 'a1', properties: { id: 'a1', name: 'KC Health Department', dataset: KC } },
+            { label: 'Resource', key: 'r9', properties: { id: 'r9', name: 'Youth Jobs', dataset: KC } },
+        ], []);
+
+        const diff = diffSnapshots(before, after);
+        assert.deepEqual(diff.summary.nodes, { added: 1, removed: 1, modified: 1 });
+        assert.deepEqual(Object.keys(diff.layers), ['Resource', 'Actor']);
+        assert.deepEqual(diff.layers.Actor.counts, { before: 2, after: 1, added: 0, removed: 1, modified: 1 });
+        assert.deepEqual(diff.layers.Actor.removed, [{ key: 'a2', name: 'Watch Alliance' }]);
+        assert.deepEqual(diff.layers.Actor.modified, [
+            { key: 'a1', name: 'KC Health Department', changes: { name: { from: 'Health Department', to: 'KC Health Department' } } },
+        ]);
+        assert.deepEqual(diff.layers.Resource.added, [{ key: 'r9', name: 'Youth Jobs', properties: { id: 'r9', name: 'Youth Jobs' } }]);
+    });
+
+    it('matches parallel relationships on their properties', () => {
+        const before = snapshot('before', [], [FUNDS_2022, FUNDS_2023]);
+        const after = snapshot('after', [], [FUNDS_2022, { ...FUNDS_2023, properties: { year: 2023, amount: 600000 } }]);
+
+        const diff = diffSnapshots(before, after);
+        assert.deepEqual(diff.summary.relationships, { added: 0, removed: 0, modified: 1 });
+        assert.deepEqual(diff.relationships.FUNDS.modified, [{
+            from: 'Funder:f1',
+            to: 'Actor:a1',
+            properties: { amount: 600000, year: 2023 },
+            changes: { amount: { from: 550000, to: 600000 } },
+        }]);
+
+        const dropped = diffSnapshots(before, snapshot('after', [], [FUNDS_2023]));
+        assert.deepEqual(dropped.relationships.FUNDS.removed, [{ from: 'Funder:f1', to: 'Actor:a1', properties: { amount: 500000, year: 2022 } }]);
+    });
+
+    it('reads every row once when equal keys straddle a page boundary', async () => {
+        // Pairs of rows share a key; the pair at positions 999 and 1000 is split across the first two pages
+        const pairKey = (i) => `k${String(Math.floor((i + 1) / 2)).padStart(4, '0')}`;
+        const nodes = Array.from({ length: 1002 }, (_, i) => ({ element_id: `n${i}`, label: 'Goal', key: pairKey(i), properties: {} }));
+        const edges = Array.from({ length: 1002 }, (_, i) => ({
+            element_id: `r${i}`, from_label: 'Funder', from_key: pairKey(i), rel: 'FUNDS', to_label: 'Actor', to_key: 'a1', properties: {},
+        }));
+
+        // Sorts on the query's ORDER BY columns and, like a database free to pick any order for ties,
+        // breaks ties the other way round on every call before applying SKIP/LIMIT
+        let calls = 0;
+        const run = async (cypher, { skip, limit }) => {
+            const columns = /ORDER BY (.+)\n/.exec(cypher)[1].split(', ').map((column) => (column.startsWith('elementId(') ? 'element_id' : column));
+            const tie = ++calls % 2 === 0 ? 1 : -1;
+            const rows = cypher === SNAPSHOT_NODES_CYPHER ? nodes : edges;
+            return [...rows]
+                .sort((a, b) => columns.reduce((order, column) => order || a[column].localeCompare(b[column]), 0) || tie * a.element_id.localeCompare(b.element_id))
+                .slice(skip, skip + limit);
+        };
+
+        const { nodeRows, edgeRows } = await readDatasetGraph(run, KC);
+        assert.deepEqual(nodeRows.map((row) => row.element_id).sort(), nodes.map((row) => row.element_id).sort());
+        assert.deepEqual(edgeRows.map((row) => row.element_id).sort(), edges.map((row) => row.element_id).sort());
+    });
+
+    it('lists at most limit entries but counts all of them', () => {
+        const rows = Array.from({ length: 5 }, (_, i) => ({ label: 'Goal', key: `g${i}`, properties: { name: `Goal ${i}` } }));
+        const diff = diffSnapshots(snapshot('before', [], []), snapshot('after', rows, []), { limit: 2 });
+        assert.equal(diff.layers.Goal.added.length, 2);
+        assert.equal(diff.summary.nodes.added, 5);
+        assert.equal(diff.truncated, true);
+    });
+});
+
+describe('snapshot_dataset and diff_dataset', () => {
+    let dir;
+    let t;
+
+    before(async () => {
+        dir = mkdtempSync(join(tmpdir(), 'datagraph-snapshots-'));
+        t = await connect({ server: { snapshots: createSnapshotStore({ dir }) } });
+    });
+
+    after(async () => {
+        await t.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('asks for a snapshot before the first diff', async () => {
+        const { isError, texts } = await t.call('diff_dataset', { dataset: KC });
+        assert.equal(isError, true);
+        assert.match(texts[0], /No snapshots of dataset 'kc-violence-prevention' yet\. Call snapshot_dataset/);
+    });
+
+    it('stores a normalized copy of the dataset', async () => {
+        const { json, isError, texts } = await t.call('snapshot_dataset', { dataset: KC, name: 'baseline' });
+        assert.ok(!isError, texts[0]);
+        assert.equal(json.snapshot.id, 'kc-violence-prevention@baseline');
+        assert.deepEqual(json.snapshot.counts.nodes, { Goal: 1, Obstacle: 4, Solution: 3, Resource: 3, Actor: 3, Funder: 2, StrategyArea: 1, Ecosystem: 1 });
+        assert.equal(json.snapshot.counts.relationships.FUNDS, 4);
+        assert.equal(json.stored_in, dir);
+        assert.ok(existsSync(join(dir, KC, 'baseline.json')));
+
+        const again = await t.call('snapshot_dataset', { dataset: KC, name: 'baseline' });
+        assert.match(again.texts[0], /already exists\. Pass overwrite: true/);
+        const live = await t.call('snapshot_dataset', { dataset: KC, name: 'live' });
+        assert.match(live.texts[0], /'live' stands for the current graph/);
+    });
+
+    it('reports no changes against an unchanged live graph', async () => {
+        const { json } = await t.call('diff_dataset', { dataset: KC });
+        assert.equal(json.from.snapshot, 'kc-violence-prevention@baseline');
+        assert.equal(json.to.live, true);
+        assert.deepEqual(json.summary, { nodes: { added: 0, removed: 0, modified: 0 }, relationships: { added: 0, removed: 0, modified: 0 } });
+        assert.equal(json.note, 'No changes');
+    });
+
+    it('reports new Resources, dropped Actors and changed funding amounts', async () => {
+        const nodes = liveRows(SNAPSHOT_NODES_CYPHER)
+            .filter((row) => row.key !== 'kc-a3')
+            .concat({ label: 'Resource', key: 'kc-r4', properties: { id: 'kc-r4', name: 'Youth Jobs Program', dataset: KC } });
+        const edges = liveRows(SNAPSHOT_EDGES_CYPHER)
+            .map((row) => (row.rel === 'FUNDS' && row.properties.year === 2023 && row.to_key === 'kc-a1'
+                ? { ...row, properties: { ...row.properties, amount: 600000 } }
+                : row));
+        t.api.failNext({ path: '/api/kc/query', status: 200, body: { results: nodes } });
+        t.api.failNext({ path: '/api/kc/query', status: 200, body: { results: edges } });
+
+        const { json, isError, texts } = await t.call('diff_dataset', { dataset: KC, from: 'baseline' });
+        assert.ok(!isError, texts[0]);
+        assert.deepEqual(json.layers.Resource.added.map((node) => node.key), ['kc-r4']);
+        assert.deepEqual(json.layers.Actor.removed, [{ key: 'kc-a3', name: 'Neighborhood Watch Alliance' }]);
+        assert.deepEqual(json.relationships.FUNDS.modified, [{
+            from: 'Funder:kc-f1',
+            to: 'Actor:kc-a1',
+            properties: { amount: 600000, year: 2023 },
+            changes: { amount: { from: 550000, to: 600000 } },
+        }]);
+        assert.deepEqual(json.summary.nodes, { added: 1, removed: 1, modified: 0 });
+    });
+
+    it('compares two snapshots and names the ones available', async () => {
+        await t.call('snapshot_dataset', { dataset: KC, name: 'later' });
+        const { json } = await t.call('diff_dataset', { dataset: KC, from: 'baseline', to: 'kc-violence-prevention@later' });
+        assert.equal(json.to.snapshot, 'kc-violence-prevention@later');
+        assert.equal(json.note, 'No changes');
+
+        const unknown = await t.call('diff_dataset', { dataset: KC, from: 'last-month' });
+        assert.match(unknown.texts[0], /Unknown snapshot 'last-month' of dataset 'kc-violence-prevention'\. Snapshots: baseline, later/);
+    });
+});
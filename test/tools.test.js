@@ -0,0 +1,599 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor } from '../lib/pagination.js';
+import { connect } from './helpers.js';
+
+describe('tools', () => {
+    let t;
+
+    before(async () => {
+        t = await connect();
+    });
+
+    after(async () => {
+        await t.close();
+    });
+
+    it('lists every tool with an input schema', async () => {
+        const { tools } = await t.client.listTools();
+        const names = tools.map((tool) => tool.name);
+        for (const name of [
+            'get_server_info', 'get_locality_schema', 'query_locality_data', 'fetch_more', 'list_datasets',
+            'get_gosr_chain', 'find_gosr_gaps', 'analyze_funding', 'compare_datasets', 'export_subgraph', 'refresh_cache', 'get_usage_stats',
+        ]) {
+            assert.ok(names.includes(name), `missing tool ${name}`);
+        }
+        for (const tool of tools) {
+            assert.equal(tool.inputSchema.type, 'object');
+        }
+    });
+
+    it('get_server_info reports version, cache stats and the GOSR reference', async () => {
+        const { json } = await t.call('get_server_info');
+        assert.equal(json.name, 'datagraph-city-mcp-server');
+        assert.match(json.version, /^\d+\.\d+\.\d+$/);
+        assert.ok(json.cache);
+        assert.match(json.gosr_framework.spelling, /Goal-Obstacles-Solutions-Resources/);
+    });
+
+    describe('list_datasets', () => {
+        it('returns usage notes and all datasets', async () => {
+            const { json } = await t.call('list_datasets');
+            assert.ok(json.usage.critical);
+            assert.deepEqual(json.datasets.map((d) => d.id), ['kc-violence-prevention', 'unlonely-nyc', 'nyc-dob-permits']);
+        });
+
+        it('filters by locality', async () => {
+            const { json } = await t.call('list_datasets', { locality: 'kc' });
+            assert.deepEqual(json.datasets.map((d) => d.id), ['kc-violence-prevention']);
+        });
+
+        it('condenses to id, locality and name with detail minimal', async () => {
+            const { json } = await t.call('list_datasets', { detail: 'minimal' });
+            assert.equal(json.condensed.detail, 'minimal');
+            assert.deepEqual(Object.keys(json.datasets[0]), ['id', 'locality', 'name']);
+        });
+
+        it('drops suggested queries in the summary view', async () => {
+            const { json } = await t.call('list_datasets', { detail: 'summary' });
+            assert.ok(json.condensed.omitted.includes('suggested_queries'));
+            assert.equal(json.datasets[0].suggested_queries, undefined);
+            assert.ok(json.datasets[0].node_counts);
+        });
+    });
+
+    describe('get_locality_schema', () => {
+        it('returns the full schema', async () => {
+            const { json } = await t.call('get_locality_schema', { locality: 'kc' });
+            assert.ok(json.nodes.some((n) => n.label === 'Goal'));
+            assert.ok(json.relationships.some((r) => r.type === 'FUNDS'));
+        });
+
+        it('condenses to labels and relationship types', async () => {
+            const { json } = await t.call('get_locality_schema', { locality: 'kc', detail: 'minimal' });
+            assert.ok(json.node_labels.some((n) => n.name === 'Obstacle' && n.count === 4));
+            assert.ok(json.dataset_filtering);
+            assert.match(json.condensed.retrieve, /detail 'full'/);
+        });
+
+        it('picks a view that fits max_tokens', async () => {
+            const { texts, json } = await t.call('get_locality_schema', { locality: 'kc', max_tokens: 500 });
+            assert.ok(json.condensed);
+            assert.ok(texts[0].length / 4 <= 500);
+        });
+
+        it('requires locality', async () => {
+            const result = await t.call('get_locality_schema', {});
+            assert.equal(result.isError, true);
+            assert.match(result.texts[0], /locality parameter is required/);
+        });
+    });
+
+    describe('query_locality_data', () => {
+        it('runs Cypher with an injected dataset filter and echoes it', async () => {
+            const result = await t.call('query_locality_data', {
+                query: 'permits',
+                locality: 'nyc',
+                dataset: 'nyc-dob-permits',
+                cypher_query: 'MATCH (p:Permit) RETURN p ORDER BY p.id LIMIT 5',
+            });
+            assert.equal(result.json.results.length, 5);
+            const echo = result.blocks.find((block) => block?.executed_cypher);
+            assert.match(echo.executed_cypher, /\(p:Permit \{dataset: \$__dataset\}\)/);
+            assert.equal(echo.cypher_params.__dataset, 'nyc-dob-permits');
+
+            const sent = t.api.requests.at(-1).body;
+            assert.equal(sent.cypher_params.__limit, 5);
+        });
+
+        it('rejects write queries before they reach the API', async () => {
+            const before = t.api.requests.length;
+            const result = await t.call('query_locality_data', {
+                query: 'delete',
+                locality: 'nyc',
+                cypher_query: "MATCH (p:Permit) WHERE p.dataset = 'nyc-dob-permits' DETACH DELETE p",
+            });
+            assert.equal(result.isError, true);
+            assert.equal(result.json.error, 'cypher_validation_failed');
+            assert.equal(t.api.requests.length, before);
+        });
+
+        it('rejects an inline dataset that differs from the dataset argument', async () => {
+            const before = t.api.requests.length;
+            const result = await t.call('query_locality_data', {
+                query: 'goals',
+                locality: 'kc',
+                dataset: 'kc-violence-prevention',
+                cypher_query: "MATCH (n:Goal {dataset: 'other'}) RETURN n",
+            });
+            assert.equal(result.isError, true);
+            assert.equal(result.json.violations[0].code, 'DATASET_CONFLICT');
+            assert.match(result.json.violations[0].message, /dataset 'other' but the query is restricted to dataset 'kc-violence-prevention'/);
+            assert.ok(t.api.requests.slice(before).every((request) => request.path !== '/api/kc/query'));
+        });
+
+        it('rejects unknown dataset ids', async () => {
+            const result = await t.call('query_locality_data', {
+                query: 'x',
+                locality: 'nyc',
+                dataset: 'nope',
+                cypher_query: 'MATCH (p:Permit) RETURN p',
+            });
+            assert.equal(result.isError, true);
+            assert.match(result.texts[0], /Unknown dataset 'nope'/);
+        });
+
+        it('answers natural language queries', async () => {
+            const { json } = await t.call('query_locality_data', { query: 'firearms access', locality: 'kc' });
+            assert.equal(json.results[0].id, 'kc-o1');
+        });
+
+        it('formats rows as a markdown table, CSV and NDJSON', async () => {
+            const args = {
+                query: 'permits',
+                locality: 'nyc',
+                cypher_query: "MATCH (p:Permit) WHERE p.dataset = 'nyc-dob-permits' RETURN p ORDER BY p.id LIMIT 2",
+            };
+            const table = await t.call('query_locality_data', { ...args, output_format: 'table' });
+            assert.match(table.texts[0], /^\| p\.labels \| p\.dataset \| p\.id \| p\.name \|/);
+
+            const csv = await t.call('query_locality_data', { ...args, output_format: 'csv' });
+            assert.equal(csv.texts[0].split('\r\n').length, 3);
+
+            const ndjson = await t.call('query_locality_data', { ...args, output_format: 'ndjson' });
+            assert.equal(JSON.parse(ndjson.texts[0].split('\n')[0])['p.id'], 'permit-001');
+        });
+
+        it('returns CSV as an embedded resource', async () => {
+            const result = await t.client.callTool({
+                name: 'query_locality_data',
+                arguments: {
+                    query: 'permits',
+                    locality: 'nyc',
+                    cypher_query: "MATCH (p:Permit) WHERE p.dataset = 'nyc-dob-permits' RETURN p LIMIT 3",
+                    output_format: 'csv',
+                    csv_as_resource: true,
+                },
+            });
+            const resource = result.content.find((block) => block.type === 'resource').resource;
+            assert.equal(resource.mimeType, 'text/csv');
+            assert.equal(Buffer.from(resource.blob, 'base64').toString('utf-8').split('\r\n').length, 4);
+        });
+
+        it('pages through results with fetch_more', async () => {
+            const first = await t.call('query_locality_data', {
+                query: 'permits',
+                locality: 'nyc',
+                cypher_query: "MATCH (p:Permit) WHERE p.dataset = 'nyc-dob-permits' RETURN p ORDER BY p.id",
+                page_size: 12,
+            });
+            assert.equal(first.json.results.length, 12);
+            let { pagination } = first.blocks.find((block) => block?.pagination);
+            assert.equal(pagination.truncated, true);
+
+            const ids = first.json.results.map((row) => row.p.properties.id);
+            while (pagination.next_cursor) {
+                const next = await t.call('fetch_more', { cursor: pagination.next_cursor });
+                ids.push(...next.json.results.map((row) => row.p.properties.id));
+                ({ pagination } = next.blocks.find((block) => block?.pagination));
+            }
+            assert.equal(ids.length, 30);
+            assert.equal(new Set(ids).size, 30);
+            assert.deepEqual(pagination.total_estimate, { rows: 30, source: 'last_page' });
+        });
+
+        it('rejects a tampered cursor', async () => {
+            const result = await t.call('fetch_more', { cursor: 'not-a-cursor' });
+            assert.equal(result.isError, true);
+            assert.match(result.texts[0], /Invalid cursor/);
+        });
+
+        it('rejects an edited or hand-built cursor before anything reaches the API', async () => {
+            const smuggled = { v: 1, mode: 'nl', locality: 'kc', offset: 0, start: 0, end: null, pageSize: 10, request: { query: 'x', cypher_query: 'MATCH (n) DETACH DELETE n' } };
+            const { v, ...state } = smuggled;
+            const first = await t.call('query_locality_data', {
+                query: 'permits',
+                locality: 'nyc',
+                cypher_query: "MATCH (p:Permit) WHERE p.dataset = 'nyc-dob-permits' RETURN p ORDER BY p.id",
+                page_size: 12,
+            });
+            const { next_cursor } = first.blocks.find((block) => block?.pagination).pagination;
+            const [payload, signature] = next_cursor.split('.');
+            const edited = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+            edited.cypher = 'MATCH (n) DETACH DELETE n RETURN 1';
+
+            const before = t.api.requests.length;
+            for (const cursor of [
+                // Unsigned, as a client would build it
+                Buffer.from(JSON.stringify(smuggled)).toString('base64url'),
+                // Signed by this process, but carrying Cypher in an nl request or a negative offset
+                encodeCursor(state),
+                encodeCursor({ ...state, request: { query: 'x' }, offset: -10 }),
+                // A real cursor with its payload edited
+                `${Buffer.from(JSON.stringify(edited)).toString('base64url')}.${signature}`,
+                // A signature of the right length in characters but not in bytes
+                `${payload}.${'é'.repeat(signature.length)}`,
+            ]) {
+                const result = await t.call('fetch_more', { cursor });
+                assert.equal(result.isError, true, cursor);
+                assert.match(result.texts[0], /Invalid cursor/);
+            }
+            assert.equal(t.api.requests.length, before);
+        });
+
+        it('explains a query as an operator tree without running it', async () => {
+            const { texts, json, blocks } = await t.call('query_locality_data', {
+                query: 'permits',
+                locality: 'nyc',
+                dataset: 'nyc-dob-permits',
+                cypher_query: 'MATCH (p:Permit) RETURN p LIMIT 5',
+                mode: 'explain',
+            });
+            assert.match(texts[0], /^EXPLAIN/);
+            assert.match(texts[0], /└─ Filter {2}p\.dataset = \$__dataset/);
+            assert.match(texts[0], /NodeByLabelScan {2}p:Permit {2}\(est\. 30 rows\) {2}⚠ full label scan/);
+            const report = blocks[1];
+            assert.equal(report.executed_cypher, 'EXPLAIN MATCH (p:Permit {dataset: $__dataset}) RETURN p LIMIT 5');
+            assert.deepEqual(report.warnings.map((w) => w.code), ['LABEL_SCAN']);
+            assert.equal(json, undefined);
+        });
+
+        it('profiles a query and flags filters on unindexed properties', async () => {
+            const { texts, blocks } = await t.call('query_locality_data', {
+                query: 'permits in Queens',
+                locality: 'nyc',
+                cypher_query: "PROFILE MATCH (p:Permit) WHERE p.dataset = 'nyc-dob-permits' AND p.borough = 'Q' RETURN p",
+            });
+            assert.match(texts[0], /^PROFILE/);
+            assert.match(texts[0], /⚠ no index on :Permit\(borough\)/);
+            const report = blocks[1];
+            assert.equal(report.mode, 'profile');
+            assert.deepEqual(report.warnings.map((w) => w.code), ['MISSING_INDEX', 'LABEL_SCAN']);
+            assert.equal(report.warnings[0].property, 'borough');
+            assert.ok(report.summary.db_hits > 0);
+        });
+
+        it('requires cypher_query for mode', async () => {
+            const result = await t.call('query_locality_data', { query: 'x', locality: 'kc', mode: 'explain' });
+            assert.equal(result.isError, true);
+            assert.match(result.texts[0], /mode requires cypher_query/);
+        });
+
+        it('condenses rows to a sample with column stats', async () => {
+            const { texts, blocks } = await t.call('query_locality_data', {
+                query: 'permits',
+                locality: 'nyc',
+                cypher_query: "MATCH (p:Permit) WHERE p.dataset = 'nyc-dob-permits' RETURN p",
+                detail: 'minimal',
+            });
+            const summary = JSON.parse(texts[0]);
+            assert.equal(summary.condensed.rows, 30);
+            assert.equal(summary.condensed.rows_shown, 0);
+            assert.equal(summary.column_stats['p.estimated_cost'].max, 300000);
+            assert.ok(blocks.some((block) => block?.pagination));
+        });
+    });
+
+    describe('query_locality_data with use_sampling', () => {
+        const reply = (text) => ({ role: 'assistant', model: 'test-model', content: { type: 'text', text } });
+
+        it('runs Cypher written by the client model from the schema', async () => {
+            const requests = [];
+            const sampled = await connect({
+                api: t.api,
+                sampling: (params) => {
+                    requests.push(params);
+                    return reply("```cypher\nMATCH (p:Permit) WHERE p.dataset = 'nyc-dob-permits' RETURN p ORDER BY p.id LIMIT 3;\n```");
+                },
+            });
+            try {
+                const result = await sampled.call('query_locality_data', { query: 'Three permits', locality: 'nyc', use_sampling: true });
+                assert.equal(result.json.results.length, 3);
+                const echo = result.blocks.find((block) => block?.executed_cypher);
+                assert.match(echo.executed_cypher, /^MATCH \(p:Permit\) WHERE p\.dataset = 'nyc-dob-permits'/);
+                assert.match(echo.notices[0], /generated from the question by test-model via MCP sampling/);
+
+                const prompt = requests[0].messages[0].content.text;
+                assert.match(prompt, /Question: Three permits/);
+                assert.match(prompt, /"label": "Permit"/);
+                assert.match(prompt, /nyc-dob-permits/);
+            } finally {
+                await sampled.close();
+            }
+        });
+
+        it('sends validation failures back for a corrected query', async () => {
+            const replies = [
+                reply("MATCH (p:Permit) WHERE p.dataset = 'nyc-dob-permits' DETACH DELETE p"),
+                reply("MATCH (p:Permit) WHERE p.dataset = 'nyc-dob-permits' RETURN p LIMIT 2"),
+            ];
+            let second;
+            const sampled = await connect({
+                api: t.api,
+                sampling: (params) => {
+                    second = params;
+                    return replies.shift();
+                },
+            });
+            try {
+                const result = await sampled.call('query_locality_data', { query: 'permits', locality: 'nyc', use_sampling: true });
+                assert.equal(result.json.results.length, 2);
+                assert.match(second.messages.at(-1).content.text, /That query was rejected/);
+            } finally {
+                await sampled.close();
+            }
+        });
+
+        it('falls back to the API parser when the client has no sampling support', async () => {
+            const result = await t.call('query_locality_data', { query: 'firearms access', locality: 'kc', use_sampling: true });
+            assert.equal(result.json.results[0].id, 'kc-o1');
+            assert.match(result.blocks.at(-1).notices[0], /does not support sampling/);
+        });
+    });
+
+    describe('GOSR tools', () => {
+        it('get_gosr_chain walks downstream from a Goal to Funders', async () => {
+            const { json } = await t.call('get_gosr_chain', {
+                dataset: 'kc-violence-prevention',
+                node_label: 'Goal',
+                node: 'kc-g1',
+                direction: 'downstream',
+            });
+            assert.equal(json.start.name, 'Safe neighborhoods in Kansas City');
+            assert.deepEqual(json.counts, { Obstacle: 4, Solution: 3, Resource: 3, Actor: 2, Funder: 2 });
+        });
+
+        it('get_gosr_chain suggests names when nothing matches exactly', async () => {
+            const result = await t.call('get_gosr_chain', { dataset: 'kc-violence-prevention', node_label: 'Resource', node: 'aim4' });
+            assert.equal(result.isError, true);
+            assert.match(result.texts[0], /Aim4Peace/);
+        });
+
+        it('get_gosr_chain rejects a max_depth that is not an integer from 1 to 12', async () => {
+            for (const max_depth of [0, 2.5, 13, '3']) {
+                const result = await t.call('get_gosr_chain', { dataset: 'kc-violence-prevention', node_label: 'Goal', node: 'kc-g1', max_depth });
+                assert.equal(result.isError, true, String(max_depth));
+                assert.match(result.texts[0], /max_depth must be an integer from 1 to 12/);
+            }
+        });
+
+        it('find_gosr_gaps reports every kind of gap', async () => {
+            const { json } = await t.call('find_gosr_gaps', { dataset: 'kc-violence-prevention' });
+            assert.deepEqual(json.gaps.obstacles_without_solutions.examples.map((e) => e.id), ['kc-o1', 'kc-o4']);
+            assert.equal(json.gaps.obstacles_without_solutions.examples[0].sub_obstacles, 1);
+            assert.equal(json.gaps.solutions_without_resources.missing, 1);
+            assert.equal(json.gaps.resources_without_actors.examples[0].id, 'kc-r3');
+            assert.deepEqual(json.gaps.actors_without_funders.examples.map((e) => e.id), ['kc-a3']);
+        });
+
+        it('find_gosr_gaps rejects examples that are not an integer from 0 to 50', async () => {
+            for (const examples of [-1, 1.5, 51, 'ten']) {
+                const result = await t.call('find_gosr_gaps', { dataset: 'kc-violence-prevention', examples });
+                assert.equal(result.isError, true, String(examples));
+                assert.match(result.texts[0], /examples must be an integer from 0 to 50/);
+            }
+        });
+
+        it('analyze_funding totals FUNDS edges to Actors and Resources once each', async () => {
+            const { json, texts } = await t.call('analyze_funding', { dataset: 'kc-violence-prevention' });
+            assert.equal(json.totals.amount, 1220000);
+            assert.equal(json.totals.grants, 4);
+            assert.equal(json.truncated, false);
+            assert.deepEqual(json.by_year.map((y) => y.year), [2022, 2023, 2024]);
+            assert.ok(json.by_funder.some((f) => f.label === 'Ecosystem'));
+            assert.match(texts[1], /\| \*\*Total\*\* \|/);
+        });
+
+        it('analyze_funding filters by funder and year', async () => {
+            const { json } = await t.call('analyze_funding', { dataset: 'kc-violence-prevention', funder: 'city of', year_from: 2023 });
+            assert.equal(json.totals.amount, 550000);
+        });
+    });
+
+    describe('compare_datasets', () => {
+        it('compares layers, structure, themes and funders across localities', async () => {
+            const { json, texts } = await t.call('compare_datasets', { datasets: ['kc-violence-prevention', 'unlonely-nyc'] });
+            const obstacles = json.layers.find((layer) => layer.label === 'Obstacle');
+            assert.deepEqual(obstacles.counts, { 'kc-violence-prevention': 4, 'unlonely-nyc': 1 });
+            assert.equal(json.layers[0].label, 'Goal');
+
+            assert.equal(json.metrics['kc-violence-prevention'].solutions_per_obstacle, 0.75);
+            assert.equal(json.metrics['kc-violence-prevention'].resources_per_solution, 1);
+            assert.equal(json.metrics['unlonely-nyc'].solutions_per_obstacle, 2);
+
+            const themes = json.shared_themes[0].matches;
+            assert.ok(themes.some((m) => m.label === 'StrategyArea' && m.similarity === 1));
+            assert.ok(themes.some((m) => m.names[0] === 'Conflict mediation in schools' && m.names[1] === 'Peer conflict mediation programs'));
+
+            assert.deepEqual(json.funder_overlap.shared.map((f) => f.name), ['Hall Family Foundation']);
+            assert.match(texts[1], /^\| \| kc-violence-prevention \| unlonely-nyc \|/);
+
+            const sent = t.api.requests.filter((r) => r.body?.query?.startsWith('compare_datasets'));
+            assert.ok(sent.every((r) => r.body.cypher_params.dataset && r.path === `/api/${r.body.cypher_params.dataset === 'unlonely-nyc' ? 'unlonely-nyc' : 'kc'}/query`));
+        });
+
+        it('needs at least two distinct datasets', async () => {
+            const result = await t.call('compare_datasets', { datasets: ['kc-violence-prevention'] });
+            assert.equal(result.isError, true);
+            assert.match(result.texts[0], /2 to 5 dataset ids/);
+        });
+    });
+
+    describe('export_subgraph', () => {
+        const exported = async (args) => {
+            const result = await t.client.callTool({ name: 'export_subgraph', arguments: args });
+            const { resource } = result.content.find((block) => block.type === 'resource');
+            return { summary: JSON.parse(result.content[0].text), resource, text: Buffer.from(resource.blob, 'base64').toString('utf-8') };
+        };
+
+        it('exports a dataset as a Mermaid flowchart grouped by layer', async () => {
+            const { summary, resource, text } = await exported({ dataset: 'kc-violence-prevention' });
+            assert.equal(resource.mimeType, 'text/vnd.mermaid');
+            assert.equal(resource.uri, summary.uri);
+            assert.match(resource.uri, /^datagraph:\/\/exports\/kc-violence-prevention\/.+\.mmd$/);
+            assert.equal(summary.nodes, 18);
+            assert.equal(summary.layers.Obstacle, 4);
+            assert.match(text, /^flowchart LR\n {4}subgraph layer_Goal\["Goal"\]/);
+            assert.match(text, /-->\|HAS_OBSTACLE\|/);
+            assert.match(text, /classDef Obstacle fill:#E45756/);
+        });
+
+        it('exports the neighbourhood of a root node', async () => {
+            const before = t.api.requests.length;
+            const { summary } = await exported({ dataset: 'kc-violence-prevention', node_label: 'Solution', node: 'kc-s1', depth: 1 });
+            assert.deepEqual(summary.root, { label: 'Solution', key: 'kc-s1', name: 'Gun buyback programs' });
+            assert.deepEqual(summary.layers, { Obstacle: 1, Solution: 1, Resource: 1 });
+            assert.equal(summary.edges, 2);
+
+            // The neighbourhood is matched from the root, not cut out of the whole dataset
+            const queries = t.api.requests.slice(before).map((request) => request.body?.cypher_query).filter(Boolean);
+            assert.ok(queries.every((cypher) => !cypher.startsWith('MATCH (n {dataset: $dataset})')));
+            assert.equal(queries.filter((cypher) => cypher.includes('MATCH p = (root)-[*0..1]-(n {dataset: $dataset})')).length, 2);
+        });
+
+        it('renders GraphML, Cytoscape.js JSON and DOT', async () => {
+            const graphml = await exported({ dataset: 'unlonely-nyc', format: 'graphml' });
+            assert.equal(graphml.resource.mimeType, 'application/graphml+xml');
+            assert.match(graphml.text, /<edge id="e\d+" source="n\d+" target="n\d+"><data key="type">FUNDS<\/data><data key="properties">\{&quot;year&quot;:2024/);
+
+            const cytoscape = await exported({ dataset: 'unlonely-nyc', format: 'cytoscape' });
+            const { elements } = JSON.parse(cytoscape.text);
+            assert.ok(elements.nodes.some((n) => n.data.id === 'layer:Goal'));
+            assert.equal(elements.nodes.find((n) => n.data.key === 'ul-g1').data.parent, 'layer:Goal');
+
+            const dot = await exported({ dataset: 'unlonely-nyc', format: 'dot' });
+            assert.equal(dot.resource.mimeType, 'text/vnd.graphviz');
+            assert.match(dot.text, /subgraph "cluster_Solution" \{/);
+        });
+
+        it('requires node_label and node together', async () => {
+            const result = await t.call('export_subgraph', { dataset: 'kc-violence-prevention', node: 'kc-s1' });
+            assert.equal(result.isError, true);
+            assert.match(result.texts[0], /node_label and node together/);
+        });
+    });
+
+    describe('structured output', () => {
+        // connect() lists tools first, so the client validates structuredContent against each outputSchema
+        it('declares an output schema for the data tools', async () => {
+            const { tools } = await t.client.listTools();
+            const withSchema = tools.filter((tool) => tool.outputSchema).map((tool) => tool.name).sort();
+            assert.deepEqual(withSchema, ['fetch_more', 'get_locality_schema', 'get_server_info', 'get_usage_stats', 'list_datasets', 'query_locality_data', 'run_saved_query']);
+        });
+
+        it('mirrors the text of list_datasets, get_locality_schema, get_usage_stats and get_server_info', async () => {
+            for (const [name, args] of [
+                ['list_datasets', {}],
+                ['list_datasets', { detail: 'minimal' }],
+                ['get_locality_schema', { locality: 'kc', detail: 'summary' }],
+                ['get_usage_stats', {}],
+                ['get_server_info', {}],
+            ]) {
+                const result = await t.call(name, args);
+                assert.ok(!result.isError, `${name}: ${result.texts[0]}`);
+                assert.deepEqual(result.structuredContent, result.json, name);
+            }
+        });
+
+        it('wraps API payloads that are not objects so they still match the schema', async () => {
+            for (const body of [null, [{ requests_today: 3 }]]) {
+                t.api.failNext({ path: '/usage', status: 200, raw: JSON.stringify(body), headers: { 'Content-Type': 'application/json' } });
+                const result = await t.call('get_usage_stats');
+                assert.ok(!result.isError, result.texts[0]);
+                assert.deepEqual(result.structuredContent, { value: body });
+            }
+        });
+
+        it('returns query rows with the executed Cypher and pagination', async () => {
+            const { structuredContent } = await t.call('query_locality_data', {
+                query: 'permits',
+                locality: 'nyc',
+                dataset: 'nyc-dob-permits',
+                cypher_query: 'MATCH (p:Permit) RETURN p ORDER BY p.id',
+                page_size: 10,
+                output_format: 'table',
+            });
+            assert.equal(structuredContent.kind, 'rows');
+            assert.equal(structuredContent.row_count, 10);
+            assert.equal(structuredContent.results[0].p.properties.id, 'permit-001');
+            assert.match(structuredContent.executed_cypher, /\$__dataset/);
+            assert.equal(structuredContent.pagination.truncated, true);
+
+            const next = await t.call('fetch_more', { cursor: structuredContent.pagination.next_cursor });
+            assert.equal(next.structuredContent.results[0].p.properties.id, 'permit-011');
+        });
+
+        it('follows the condensed view, CSV resources and plans', async () => {
+            const condensed = await t.call('query_locality_data', {
+                query: 'permits',
+                locality: 'nyc',
+                cypher_query: "MATCH (p:Permit) WHERE p.dataset = 'nyc-dob-permits' RETURN p",
+                detail: 'summary',
+            });
+            assert.equal(condensed.structuredContent.condensed.rows_shown, condensed.structuredContent.results.length);
+            assert.ok(condensed.structuredContent.column_stats['p.estimated_cost']);
+
+            const csv = await t.call('query_locality_data', {
+                query: 'permits',
+                locality: 'nyc',
+                cypher_query: "MATCH (p:Permit) WHERE p.dataset = 'nyc-dob-permits' RETURN p LIMIT 3",
+                output_format: 'csv',
+                csv_as_resource: true,
+            });
+            assert.equal(csv.structuredContent.row_count, 3);
+            assert.ok(csv.structuredContent.columns.includes('p.id'));
+            assert.equal(csv.structuredContent.resource_uri, csv.content[1].resource.uri);
+
+            const plan = await t.call('query_locality_data', {
+                query: 'permits',
+                locality: 'nyc',
+                dataset: 'nyc-dob-permits',
+                cypher_query: 'MATCH (p:Permit) RETURN p LIMIT 5',
+                mode: 'explain',
+            });
+            assert.equal(plan.structuredContent.kind, 'plan');
+            assert.deepEqual(plan.structuredContent.plan.warnings.map((w) => w.code), ['LABEL_SCAN']);
+        });
+    });
+
+    it('get_usage_stats returns API usage', async () => {
+        const { json } = await t.call('get_usage_stats');
+        assert.equal(json.daily_limit, 1000);
+    });
+
+    it('refresh_cache drops cached schemas so the next read revalidates', async () => {
+        await t.call('get_locality_schema', { locality: 'unlonely-nyc' });
+        const { json } = await t.call('refresh_cache', { locality: 'unlonely-nyc', scope: 'schema' });
+        assert.equal(json.invalidated, 1);
+
+        const before = t.api.requests.length;
+        await t.call('get_locality_schema', { locality: 'unlonely-nyc' });
+        assert.equal(t.api.requests.length, before + 1);
+    });
+
+    it('reports unknown tools', async () => {
+        const result = await t.call('no_such_tool');
+        assert.equal(result.isError, true);
+        assert.match(result.texts[0], /Unknown tool/);
+    });
+});